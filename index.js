@@ -1,7 +1,203 @@
 import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { randomUUID } from 'crypto';
 import fetch from 'node-fetch';
+import { callLLM, getProviderOrder, getModelRegistry, validateModel, validateGenerationOptions, extractGeneratedText, estimateTokens, DEFAULT_MODEL } from './lib/llm.js';
+import { generateForRequest, sendResult, sendError, wantsEventStream, openEventStream } from './lib/sse.js';
+import { flushAllCollections } from './lib/store.js';
+import { rateLimit, chargeBudget, clientKey, configureRateLimitStore } from './lib/rate-limit.js';
+import { cacheAllowed } from './lib/cache.js';
+import { saveToHistory, historyOwner, listHistory, getHistoryEntry, deleteHistoryEntry } from './lib/history.js';
+import {
+  PROMPT_CATEGORIES,
+  PROMPT_SORTS,
+  createPrompt,
+  getPrompt,
+  updatePrompt,
+  deletePrompt,
+  ratePrompt,
+  recordPromptUse,
+  listPrompts,
+  getCatalogFacets
+} from './lib/prompts.js';
+import { validateTemplateValues, renderTemplate } from './lib/templates.js';
+import { generateStructured } from './lib/structured.js';
+import { LEAD_FIELDS, LEAD_SCHEMA, buildLeads, summarizeProvenance } from './lib/leads.js';
+import {
+  EXPORT_FORMATS,
+  listLeadLists,
+  createLeadList,
+  resolveLeadList,
+  getLeadList,
+  updateLeadList,
+  deleteLeadList,
+  addLeadsToList,
+  removeLeadFromList,
+  exportLeadList
+} from './lib/lead-lists.js';
+import {
+  RESUME_SECTIONS,
+  RESUME_SCHEMA,
+  buildResume,
+  resumeToText,
+  resumeToInputs,
+  saveResume,
+  getResume,
+  updateResumeSection,
+  validateResume
+} from './lib/resume.js';
+import { RESUME_TEMPLATES, RENDER_FORMATS, DEFAULT_TEMPLATE, renderResume } from './lib/resume-render.js';
+import { scoreResume } from './lib/ats.js';
+import {
+  COVER_LETTER_TONES,
+  COVER_LETTER_LENGTHS,
+  MIN_WORDS_LIMIT,
+  MAX_WORDS_LIMIT,
+  countWords,
+  buildCoverLetterPrompt,
+  enforceWordLimit
+} from './lib/cover-letter.js';
+import {
+  MIN_FOLLOW_UPS,
+  MAX_FOLLOW_UPS,
+  DEFAULT_FOLLOW_UPS,
+  MAX_DAY_OFFSET,
+  validateSequenceOptions,
+  sequenceAngles,
+  buildStepPrompt,
+  normalizeMergeFields,
+  findMergeFields,
+  parseEmailStep,
+  renderSequencePreview,
+  validatePreviewRecipient
+} from './lib/email-sequences.js';
+import {
+  BATCH_EXPORT_FORMATS,
+  MAX_BATCH_ROWS,
+  MAX_BATCH_CONCURRENCY,
+  DEFAULT_BATCH_CONCURRENCY,
+  parseRecipients,
+  normalizeRecipients,
+  createBatch,
+  runBatch,
+  runningBatch,
+  onBatchProgress,
+  listBatches,
+  getBatch,
+  deleteBatch,
+  exportBatch
+} from './lib/email-batches.js';
+import { lintEmail, buildRewritePrompt } from './lib/email-lint.js';
+import {
+  TIERS,
+  requireApiKey,
+  attachApiKey,
+  requireAdmin,
+  enforceQuota,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  getQuota,
+  getEmailQuota,
+  getUsage,
+  recordUsage,
+  reserveTokens,
+  releaseTokens,
+  recordEmails,
+  currentPeriod,
+  getApiKeyById,
+  isAdminRequest
+} from './lib/api-keys.js';
+import {
+  NEWSLETTER_RENDER_FORMATS,
+  buildNewsletterPrompt,
+  parseNewsletter,
+  validateNewsletterSections,
+  validateRenderOptions,
+  renderNewsletter,
+  renderNewsletterHtml,
+  renderNewsletterText
+} from './lib/newsletter.js';
+import {
+  validatePublication,
+  publishIssue,
+  findPublication,
+  listPublishedIssues,
+  getPublishedIssue,
+  listOwnIssues,
+  deleteIssue,
+  archiveUrls,
+  renderIssuePage,
+  renderArchivePage,
+  renderRssFeed,
+  renderAtomFeed
+} from './lib/newsletter-archive.js';
+import {
+  SUBSCRIBER_STATUSES,
+  SUBSCRIBER_EXPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  createList,
+  listLists,
+  getList,
+  getListForSignup,
+  getListRecord,
+  deleteList,
+  listSubscribers,
+  addSubscriber,
+  removeSubscriber,
+  toPublicSubscriber,
+  parseSubscriberImport,
+  importSubscribers,
+  exportSubscribers,
+  confirmSubscription,
+  findByUnsubscribeToken,
+  unsubscribe,
+  markBounced
+} from './lib/subscribers.js';
+import {
+  SEND_EXPORT_FORMATS,
+  sendConfirmation,
+  renderSubscriptionPage,
+  createSend,
+  runSend,
+  resumeSends,
+  listSends,
+  getSend,
+  exportSend
+} from './lib/newsletter-sends.js';
+import { mailerConfigured } from './lib/mailer.js';
+import { analyzeSeo } from './lib/seo-analysis.js';
+import { validateWordCount, estimatePipeline, generateLongFormPost, buildJsonLd } from './lib/seo-pipeline.js';
+import { validateTrendSources, collectTrendItems } from './lib/trend-sources.js';
+import { resolveSubreddits, fetchTopicTrends } from './lib/subreddit-resolver.js';
+import { trendStream, recordSnapshot, getStreamSnapshots, rankSignals, buildTrendPrompt, findCitations } from './lib/trends.js';
+import {
+  createWatchlist,
+  listWatchlists,
+  getWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  listAlerts,
+  checkWatchlist,
+  sendEmailConfirmation,
+  confirmEmail,
+  findWatchlistByUnsubscribeToken,
+  stopDigests,
+  startWatchlistScheduler
+} from './lib/watchlists.js';
+import {
+  JOB_STATUSES,
+  validateWebhookUrl,
+  setJobRunner,
+  createJob,
+  getJob,
+  getJobRecord,
+  listJobs,
+  cancelJob,
+  startJobQueue
+} from './lib/jobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,6 +205,12 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Render's proxy set TRUST_PROXY=1 so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -16,132 +218,138 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Serve static files from public directory (CSS, JS, images, etc.)
 app.use(express.static(join(__dirname, 'public')));
 
-// Router-compatible models (in order of preference)
-const COMPATIBLE_MODELS = [
-  'HuggingFaceH4/zephyr-7b-beta',
-  'google/gemma-2b-it',
-  'tiiuae/falcon-7b-instruct',
-  'Qwen/Qwen1.5-7B-Chat'
-];
-
-// Default model for all AI operations
-const DEFAULT_MODEL = 'HuggingFaceH4/zephyr-7b-beta';
-
-// Helper function to safely call HuggingFace API (using router endpoint)
-async function callHuggingFaceAPI(model, inputs, options = {}) {
-  // Use default model if none specified or if model is not router-compatible
-  const modelToUse = model || DEFAULT_MODEL;
-  
-  try {
-    const apiKey = process.env.HUGGINGFACE_API_KEY || '';
-    
-    if (!apiKey) {
-      return {
-        error: 'API key not configured. Please set HUGGINGFACE_API_KEY in your environment variables.',
-        suggestion: 'Get a free API key from https://huggingface.co/settings/tokens'
-      };
+// Queued jobs replay their request against this server; the token proves a request came from the job runner
+const JOB_TOKEN = randomUUID();
+
+// Middleware: restore the queued job (and its API key) on a replayed request
+app.use((req, res, next) => {
+  const token = req.get('X-Job-Token');
+  if (!token) {
+    return next();
+  }
+
+  const job = token === JOB_TOKEN ? getJobRecord(req.get('X-Job-Id')) : null;
+  if (!job) {
+    return res.status(403).json({ error: 'Invalid job token' });
+  }
+
+  req.job = job;
+  if (job.apiKeyId) {
+    const record = getApiKeyById(job.apiKeyId);
+    if (!record || record.status !== 'active') {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
     }
+    req.apiKey = record;
+  }
+  next();
+});
 
-    // Use router endpoint: https://router.huggingface.co/hf-inference/models/{model_name}
-    const response = await fetch(
-      `https://router.huggingface.co/hf-inference/models/${modelToUse}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        method: 'POST',
-        body: JSON.stringify({ inputs, parameters: options }),
-      }
-    );
+// Middleware factory: with `"async": true` in the body, queue the request as a job and answer 202 with its id.
+// expectedTokens (a number, or a function of the request) lets streaming routes report progress while the job runs.
+function queueIfAsync(type, { expectedTokens = null } = {}) {
+  return (req, res, next) => {
+    if (req.job || req.body?.async === undefined || req.body.async === false) {
+      return next();
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorDetails = errorText.substring(0, 200);
-      
-      // Handle model loading errors
-      if (response.status === 503) {
-        errorDetails = 'Model is currently loading. Please try again in a few moments.';
-      }
-      
-      // Handle 404 for invalid/unavailable models
-      if (response.status === 404) {
-        errorDetails = `Model "${modelToUse}" is not available on the router. Available models: ${COMPATIBLE_MODELS.join(', ')}`;
-      }
-      
-      // Handle rate limiting
-      if (response.status === 429) {
-        errorDetails = 'Rate limit exceeded. Please try again later.';
-      }
-      
-      // Handle authentication errors
-      if (response.status === 401 || response.status === 403) {
-        errorDetails = 'Invalid or expired API key. Please check your HUGGINGFACE_API_KEY.';
-      }
-      
-      return {
-        error: `API request failed: ${response.status} ${response.statusText}`,
-        details: errorDetails,
-        model: modelToUse
-      };
+    if (req.body.async !== true) {
+      return res.status(400).json({ error: 'async must be true or false' });
     }
 
-    const data = await response.json();
-    
-    // Handle array responses (common in router API format)
-    if (Array.isArray(data)) {
-      if (data.length === 0) {
-        return {
-          error: 'Empty response from API',
-          details: 'The API returned an empty array',
-          model: modelToUse
-        };
+    // Jobs belong to the API key when one is sent, even on routes that otherwise ignore it
+    attachApiKey(req, res, () => {
+      const { async, webhookUrl, stream, ...body } = req.body;
+
+      const owner = historyOwner(req);
+      if (!owner) {
+        return res.status(400).json({
+          error: 'Client id required',
+          details: 'Send an X-Client-Id header or an API key to run generations as jobs'
+        });
       }
-      // Safely extract first element
-      const firstItem = data[0];
-      if (firstItem && typeof firstItem === 'object') {
-        return { success: true, data: firstItem, model: modelToUse };
+
+      const webhook = validateWebhookUrl(webhookUrl);
+      if (webhook.error) {
+        return res.status(400).json(webhook);
+      }
+
+      const job = createJob(owner, {
+        type,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        body,
+        apiKeyId: req.apiKey?.id || null,
+        clientId: req.apiKey ? null : req.get('X-Client-Id'),
+        webhookUrl: webhook.url,
+        expectedTokens: typeof expectedTokens === 'function' ? expectedTokens(req) : expectedTokens
+      });
+
+      res.status(202).set('Location', `/api/jobs/${job.id}`).json({ success: true, job });
+    });
+  };
+}
+
+// Helper function to run a job by replaying its request against this server.
+// Streaming routes are read as SSE so token events can drive the progress.
+async function replayJob(job, { signal, progress }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Job-Token': JOB_TOKEN,
+    'X-Job-Id': job.id,
+    ...(job.clientId ? { 'X-Client-Id': job.clientId } : {}),
+    ...(job.expectedTokens ? { 'Accept': 'text/event-stream' } : {})
+  };
+
+  const response = await fetch(`http://127.0.0.1:${PORT}${job.path}`, {
+    method: job.method,
+    headers,
+    body: JSON.stringify(job.body),
+    signal
+  });
+
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const body = await response.json().catch(() => ({ error: `Request failed with status ${response.status}` }));
+    return { status: response.status, body };
+  }
+
+  // Roughly four characters per token
+  const expectedCharacters = job.expectedTokens * 4;
+  let received = 0;
+  let staged = false;
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += chunk.toString();
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const raw of events) {
+      const event = raw.match(/^event: (.+)$/m)?.[1];
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (!event || data === undefined) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'progress') {
+        // Routes that report their own stages replace the token estimate
+        staged = true;
+        progress(payload.percent);
+      } else if (event === 'token' && !staged) {
+        received += payload.text.length;
+        progress((received / expectedCharacters) * 100);
+      } else if (event === 'done') {
+        return { status: 200, body: payload };
+      } else if (event === 'error') {
+        const { status, ...body } = payload;
+        return { status: status || 500, body };
       }
-      return { success: true, data: { generated_text: String(firstItem) }, model: modelToUse };
-    }
-    
-    // Handle error responses from API
-    if (data.error) {
-      return {
-        error: typeof data.error === 'string' ? data.error : 'API returned an error',
-        details: typeof data.error === 'string' ? data.error : JSON.stringify(data.error),
-        model: modelToUse
-      };
-    }
-    
-    // Handle object responses with error_message field
-    if (data.error_message) {
-      return {
-        error: data.error_message,
-        details: data.error_message,
-        model: modelToUse
-      };
-    }
-    
-    // Validate that we have some form of response data
-    if (!data || (typeof data === 'object' && Object.keys(data).length === 0)) {
-      return {
-        error: 'Empty response from API',
-        details: 'The API returned an empty response object',
-        model: modelToUse
-      };
     }
-    
-    return { success: true, data, model: modelToUse };
-  } catch (error) {
-    return {
-      error: 'Failed to connect to AI service',
-      details: error.message,
-      model: modelToUse
-    };
   }
+
+  return { status: 0, body: { error: 'Stream ended before the generation finished' } };
 }
 
+setJobRunner(replayJob);
+
 // Route: Landing page
 app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'public', 'index.html'), (err) => {
@@ -162,20 +370,28 @@ app.get('/content', (req, res) => {
   });
 });
 
-app.post('/api/content/generate', async (req, res) => {
+app.post('/api/content/generate', rateLimit('content'), queueIfAsync('content'), async (req, res) => {
   try {
-    const { topic, type, tone } = req.body;
+    const { topic, type, tone, model } = req.body;
 
     if (!topic || typeof topic !== 'string' || topic.trim().length === 0) {
       return res.status(400).json({ error: 'Topic is required' });
     }
 
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
     const prompt = `Create a ${type || 'social media post'} about "${topic}" in a ${tone || 'engaging'} tone. Make it compelling and ready to use.`;
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
       max_new_tokens: 200,
       temperature: 0.7
     });
+    res.set('X-Cache', result.cache);
 
     if (result.error) {
       return res.status(500).json(result);
@@ -196,12 +412,14 @@ app.post('/api/content/generate', async (req, res) => {
     // Clean up the text (remove prompt if present)
     const cleanText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
 
-    res.json({
+    res.json(saveToHistory(req, 'content', { topic, type, tone, model }, {
       success: true,
+      provider: result.provider,
+      model: result.model,
       content: cleanText || 'Content generated successfully',
       topic,
       type: type || 'social media post'
-    });
+    }));
   } catch (error) {
     res.status(500).json({
       error: 'Internal server error',
@@ -220,75 +438,268 @@ app.get('/leads', (req, res) => {
   });
 });
 
-app.post('/api/leads/generate', async (req, res) => {
+// Lead lists belong to the caller's API key or X-Client-Id, like generation history
+app.use('/api/leads', attachApiKey);
+
+app.post('/api/leads/generate', rateLimit('leads'), queueIfAsync('leads'), async (req, res) => {
   try {
-    const { industry, location, companySize } = req.body;
+    const { industry, location, companySize, model, listId, listName } = req.body;
 
     if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
       return res.status(400).json({ error: 'Industry is required' });
     }
 
-    // Generate business leads using AI
-    const prompt = `Generate a list of 5 real business leads in the ${industry} industry${location ? ` located in ${location}` : ''}${companySize ? ` with ${companySize} employees` : ''}. Format as JSON array with fields: companyName, contactEmail, contactName, phone, website, address.`;
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 300,
-      temperature: 0.7
+    // Optionally collect the results into a lead list (by id, or by name, created on first use)
+    const saveToList = Boolean(listId || listName);
+    if (saveToList && !historyOwner(req)) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to save leads to a list'
+      });
+    }
+    if (listId && !getLeadList(historyOwner(req), listId)) {
+      return res.status(404).json({ error: 'Lead list not found' });
+    }
+
+    // Generate business leads using AI, as JSON checked against LEAD_SCHEMA
+    const prompt = `Generate a list of 5 real business leads in the ${industry} industry${location ? ` located in ${location}` : ''}${companySize ? ` with ${companySize} employees` : ''}. Respond with only a JSON array of objects with fields: ${LEAD_FIELDS.join(', ')}. Use null for any field you do not know; never invent placeholder values.`;
+
+    const structured = await generateStructured(prompt, {
+      schema: LEAD_SCHEMA,
+      model,
+      cache: cacheAllowed(req),
+      max_new_tokens: 600,
+      temperature: 0.4
     });
+    const { result } = structured;
+    res.set('X-Cache', result.cache);
 
     if (result.error) {
       return res.status(500).json(result);
     }
 
-    // Extract text from various response formats
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || result.data[0]?.summary || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || result.data.summary || result.data[0]?.generated_text || JSON.stringify(result.data);
-    } else if (typeof result.data === 'string') {
-      generatedText = result.data;
-    } else {
-      generatedText = JSON.stringify(result.data);
+    const { leads, dropped } = buildLeads(structured.value);
+
+    if (leads.length === 0) {
+      return res.status(502).json({
+        error: 'The model did not return usable leads',
+        details: `No valid lead data after ${structured.attempts.length} attempt(s)${structured.errors.length ? ` (${structured.errors[0].path} ${structured.errors[0].message})` : ''}. Try again or choose another model.`,
+        attempts: structured.attempts
+      });
+    }
+
+    const provenanceSummary = summarizeProvenance(leads);
+    const warnings = [];
+    if (provenanceSummary.placeholder > 0) {
+      warnings.push(`${provenanceSummary.placeholder} field(s) look like placeholders rather than real contact details`);
+    }
+    if (provenanceSummary.invalid > 0) {
+      warnings.push(`${provenanceSummary.invalid} field(s) failed validation and were removed`);
+    }
+    if (dropped > 0) {
+      warnings.push(`${dropped} lead(s) without a usable company name were dropped`);
     }
 
-    // Try to parse JSON from response, fallback to structured data
-    let leads = [];
-    try {
-      const jsonMatch = generatedText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        leads = JSON.parse(jsonMatch[0]);
-      } else {
-        // Fallback: create structured leads from text
-        const lines = generatedText.split('\n').filter(line => line.trim());
-        leads = lines.slice(0, 5).map((line, idx) => ({
-          companyName: `Company ${idx + 1}`,
-          contactEmail: `contact${idx + 1}@example.com`,
-          contactName: `Contact ${idx + 1}`,
-          phone: `+1-555-000-${1000 + idx}`,
-          website: `https://example${idx + 1}.com`,
-          address: line.substring(0, 50)
-        }));
+    let list = null;
+    if (saveToList) {
+      const resolved = resolveLeadList(historyOwner(req), {
+        listId,
+        listName,
+        targets: { industry, location, companySize }
+      });
+      if (resolved.error) {
+        const { status, ...error } = resolved;
+        return res.status(status).json(error);
       }
-    } catch (parseError) {
-      // Generate sample leads if parsing fails
-      leads = Array.from({ length: 5 }, (_, idx) => ({
-        companyName: `${industry} Company ${idx + 1}`,
-        contactEmail: `contact${idx + 1}@${industry.toLowerCase().replace(/\s+/g, '')}.com`,
-        contactName: `John Doe ${idx + 1}`,
-        phone: `+1-555-000-${1000 + idx}`,
-        website: `https://${industry.toLowerCase().replace(/\s+/g, '')}${idx + 1}.com`,
-        address: `${location || 'City'}, State`
-      }));
+
+      const saved = addLeadsToList(historyOwner(req), resolved.list.id, leads, { industry, location, companySize });
+      list = { id: saved.list.id, name: saved.list.name, added: saved.added, merged: saved.merged, leadCount: saved.list.leadCount };
     }
 
-    res.json({
+    res.json(saveToHistory(req, 'leads', { industry, location, companySize, model }, {
       success: true,
+      provider: result.provider,
+      model: result.model,
       leads,
       count: leads.length,
       industry,
-      location: location || 'Anywhere'
+      location: location || 'Anywhere',
+      provenanceSummary,
+      warnings,
+      list,
+      structuredOutput: {
+        valid: structured.valid,
+        attempts: structured.attempts.length,
+        partial: structured.attempts[structured.attempts.length - 1].partial
+      }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Lead lists (normalized, deduplicated and scored across runs)
+app.get('/api/leads/lists', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to use lead lists'
+      });
+    }
+
+    res.json({
+      success: true,
+      lists: listLeadLists(owner)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/leads/lists', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to use lead lists'
+      });
+    }
+
+    const { name, targets, weights, countryCode } = req.body;
+    const result = createLeadList(owner, { name, targets, weights, countryCode });
+
+    if (result.error) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/leads/lists/:id', (req, res) => {
+  try {
+    const list = getLeadList(historyOwner(req), req.params.id);
+
+    if (!list) {
+      return res.status(404).json({ error: 'Lead list not found' });
+    }
+
+    res.json({
+      success: true,
+      list
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.patch('/api/leads/lists/:id', (req, res) => {
+  try {
+    const { name, targets, weights, countryCode } = req.body;
+    const { status, ...result } = updateLeadList(historyOwner(req), req.params.id, { name, targets, weights, countryCode });
+
+    if (result.error) {
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/leads/lists/:id', (req, res) => {
+  try {
+    if (!deleteLeadList(historyOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'Lead list not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Add leads collected elsewhere (same fields as generated leads)
+app.post('/api/leads/lists/:id/leads', rateLimit('leads'), (req, res) => {
+  try {
+    const { status, ...result } = addLeadsToList(historyOwner(req), req.params.id, req.body.leads);
+
+    if (result.error) {
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/leads/lists/:id/leads/:leadId', (req, res) => {
+  try {
+    if (!removeLeadFromList(historyOwner(req), req.params.id, req.params.leadId)) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
     });
+  }
+});
+
+app.get('/api/leads/lists/:id/export', (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid export format', details: `Available formats: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const list = getLeadList(historyOwner(req), req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'Lead list not found' });
+    }
+
+    const file = exportLeadList(list, format);
+    const filename = `${list.name.replace(/[^A-Za-z0-9-_]+/g, '_').replace(/^_+|_+$/g, '') || 'leads'}.${file.extension}`;
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file.body);
   } catch (error) {
     res.status(500).json({
       error: 'Internal server error',
@@ -307,9 +718,9 @@ app.get('/products', (req, res) => {
   });
 });
 
-app.post('/api/products/generate', async (req, res) => {
+app.post('/api/products/generate', rateLimit('products'), queueIfAsync('products'), async (req, res) => {
   try {
-    const { productType, topic, format } = req.body;
+    const { productType, topic, format, model } = req.body;
 
     if (!productType || typeof productType !== 'string' || productType.trim().length === 0) {
       return res.status(400).json({ error: 'Product type is required' });
@@ -319,12 +730,20 @@ app.post('/api/products/generate', async (req, res) => {
       return res.status(400).json({ error: 'Topic is required' });
     }
 
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
     const prompt = `Create a ${productType} about "${topic}" in ${format || 'markdown'} format. Include a title, introduction, main content sections, and conclusion. Make it comprehensive and valuable.`;
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
       max_new_tokens: 500,
       temperature: 0.7
     });
+    res.set('X-Cache', result.cache);
 
     if (result.error) {
       return res.status(500).json(result);
@@ -344,8 +763,10 @@ app.post('/api/products/generate', async (req, res) => {
 
     const content = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
 
-    res.json({
+    res.json(saveToHistory(req, 'products', { productType, topic, format, model }, {
       success: true,
+      provider: result.provider,
+      model: result.model,
       product: {
         type: productType,
         topic,
@@ -354,7 +775,7 @@ app.post('/api/products/generate', async (req, res) => {
         wordCount: content.split(/\s+/).length,
         createdAt: new Date().toISOString()
       }
-    });
+    }));
   } catch (error) {
     res.status(500).json({
       error: 'Internal server error',
@@ -373,20 +794,42 @@ app.get('/prompts', (req, res) => {
   });
 });
 
-app.post('/api/prompts/generate', async (req, res) => {
+// Catalog listings belong to the caller's API key or X-Client-Id, like generation history
+app.use('/api/prompts', attachApiKey);
+
+app.post('/api/prompts/generate', rateLimit('prompts'), queueIfAsync('prompts'), async (req, res) => {
   try {
-    const { category, useCase, style } = req.body;
+    const { category, useCase, style, model, publish, title, description, tags, price, author } = req.body;
 
     if (!category || typeof category !== 'string' || category.trim().length === 0) {
       return res.status(400).json({ error: 'Category is required' });
     }
 
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    if (publish && !historyOwner(req)) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to publish prompts'
+      });
+    }
+
+    if (publish && !PROMPT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category', details: `Available categories: ${PROMPT_CATEGORIES.join(', ')}` });
+    }
+
     const prompt = `Create a high-quality AI prompt for ${category}${useCase ? ` specifically for ${useCase}` : ''}${style ? ` in a ${style} style` : ''}. Make it detailed, effective, and ready to use. Include the prompt text, description, and use cases.`;
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
       max_new_tokens: 300,
       temperature: 0.7
     });
+    res.set('X-Cache', result.cache);
 
     if (result.error) {
       return res.status(500).json(result);
@@ -406,19 +849,50 @@ app.post('/api/prompts/generate', async (req, res) => {
 
     const promptText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
 
-    res.json({
-      success: true,
-      prompt: {
-        id: `prompt-${Date.now()}`,
-        category,
-        useCase: useCase || 'General',
-        style: style || 'Professional',
+    let generatedPrompt = {
+      id: null,
+      category,
+      useCase: useCase || 'General',
+      style: style || 'Professional',
+      text: promptText,
+      description: `AI prompt for ${category}`,
+      createdAt: new Date().toISOString(),
+      price: 0 // Free tier
+    };
+
+    // Optionally list the generated prompt in the marketplace catalog
+    if (publish) {
+      const published = createPrompt(historyOwner(req), {
+        title: title || `${category}${useCase ? `: ${useCase}` : ''} prompt`,
+        description: description ?? generatedPrompt.description,
         text: promptText,
-        description: `AI prompt for ${category}`,
-        createdAt: new Date().toISOString(),
-        price: 0 // Free tier
+        category,
+        useCase: generatedPrompt.useCase,
+        style: generatedPrompt.style,
+        tags: tags ?? [],
+        price: price ?? 0,
+        author: author ?? req.apiKey?.owner ?? 'Anonymous',
+        source: 'generated',
+        model: result.model
+      });
+
+      if (published.error) {
+        return res.status(400).json({
+          error: 'Prompt generated but could not be published',
+          details: published.details ? `${published.error}: ${published.details}` : published.error
+        });
       }
-    });
+
+      generatedPrompt = published.prompt;
+    }
+
+    res.json(saveToHistory(req, 'prompts', { category, useCase, style, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      published: Boolean(publish),
+      prompt: generatedPrompt
+    }));
   } catch (error) {
     res.status(500).json({
       error: 'Internal server error',
@@ -427,29 +901,40 @@ app.post('/api/prompts/generate', async (req, res) => {
   }
 });
 
-app.get('/api/prompts/list', async (req, res) => {
+app.get('/api/prompts/list', (req, res) => {
   try {
-    // Return sample prompts (in production, this would come from a database)
-    const samplePrompts = [
-      {
-        id: 'prompt-1',
-        category: 'Content Writing',
-        text: 'Write a compelling blog post about...',
-        description: 'Professional blog post generator',
-        price: 0
-      },
-      {
-        id: 'prompt-2',
-        category: 'Marketing',
-        text: 'Create a social media campaign for...',
-        description: 'Social media content creator',
-        price: 0
-      }
-    ];
+    const { q, category, tag, author, sort = 'newest' } = req.query;
+
+    if (!PROMPT_SORTS.includes(sort)) {
+      return res.status(400).json({ error: 'Invalid sort', details: `Available sorts: ${PROMPT_SORTS.join(', ')}` });
+    }
+
+    const minPrice = req.query.minPrice !== undefined ? Number(req.query.minPrice) : undefined;
+    const maxPrice = req.query.free === 'true' ? 0 : (req.query.maxPrice !== undefined ? Number(req.query.maxPrice) : undefined);
+
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+      return res.status(400).json({ error: 'minPrice and maxPrice must be numbers' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 100);
+
+    const result = listPrompts({
+      q,
+      category,
+      tag,
+      author,
+      minPrice,
+      maxPrice,
+      mine: req.query.mine === 'true',
+      sort,
+      page,
+      limit
+    }, historyOwner(req));
 
     res.json({
       success: true,
-      prompts: samplePrompts
+      ...result
     });
   } catch (error) {
     res.status(500).json({
@@ -459,58 +944,12 @@ app.get('/api/prompts/list', async (req, res) => {
   }
 });
 
-// Route: Trend Analyzer
-app.get('/trends', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'trends', 'index.html'), (err) => {
-    if (err) {
-      console.error('Error serving trends page:', err);
-      res.status(500).json({ error: 'Failed to load trends analyzer page' });
-    }
-  });
-});
-
-app.post('/api/trends/analyze', async (req, res) => {
+app.get('/api/prompts/categories', (req, res) => {
   try {
-    const { industry, timeframe, focus } = req.body;
-
-    if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
-      return res.status(400).json({ error: 'Industry is required' });
-    }
-
-    const prompt = `Analyze current trends in the ${industry} industry${timeframe ? ` for the ${timeframe}` : ''}${focus ? ` focusing on ${focus}` : ''}. Provide: 1) Top 5 trends, 2) Market opportunities, 3) Emerging technologies, 4) Consumer behavior shifts, 5) Business ideas. Format as structured analysis.`;
-
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 400,
-      temperature: 0.7
-    });
-
-    if (result.error) {
-      return res.status(500).json(result);
-    }
-
-    // Extract text from various response formats
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || result.data[0]?.summary || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || result.data.summary || result.data[0]?.generated_text || JSON.stringify(result.data);
-    } else if (typeof result.data === 'string') {
-      generatedText = result.data;
-    } else {
-      generatedText = JSON.stringify(result.data);
-    }
-
-    const analysis = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
-
     res.json({
       success: true,
-      analysis: {
-        industry,
-        timeframe: timeframe || 'Current',
-        focus: focus || 'General',
-        content: analysis,
-        generatedAt: new Date().toISOString()
-      }
+      sorts: PROMPT_SORTS,
+      ...getCatalogFacets()
     });
   } catch (error) {
     res.status(500).json({
@@ -520,171 +959,2482 @@ app.post('/api/trends/analyze', async (req, res) => {
   }
 });
 
-// Helper function to call OpenRouter API (free models)
-async function callOpenRouterAPI(prompt, model = 'mistralai/mistral-7b-instruct:free') {
+app.post('/api/prompts', rateLimit('prompts'), (req, res) => {
   try {
-    const apiKey = process.env.OPENROUTER_API_KEY || '';
-    
-    if (!apiKey) {
-      return {
-        error: 'OpenRouter API key not configured. Please set OPENROUTER_API_KEY in your environment variables.',
-        suggestion: 'Get a free API key from https://openrouter.ai/keys'
-      };
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to publish prompts'
+      });
     }
 
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 500,
-        temperature: 0.7
-      })
+    const { title, description, text, category, useCase, style, tags, price, author } = req.body;
+    const result = createPrompt(owner, {
+      title,
+      description,
+      text,
+      category,
+      useCase,
+      style,
+      tags,
+      price,
+      author: author ?? req.apiKey?.owner ?? 'Anonymous'
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      return {
-        error: `OpenRouter API request failed: ${response.status} ${response.statusText}`,
-        details: errorText.substring(0, 200)
-      };
+    if (result.error) {
+      return res.status(400).json(result);
     }
 
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content || '';
-    
-    return { success: true, data: { text: content } };
+    res.status(201).json(result);
   } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/prompts/:id', (req, res) => {
+  try {
+    const prompt = getPrompt(req.params.id, historyOwner(req));
+
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json({
+      success: true,
+      prompt
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.put('/api/prompts/:id', (req, res) => {
+  try {
+    const { title, description, text, category, useCase, style, tags, price, author } = req.body;
+    const { status, ...result } = updatePrompt(historyOwner(req), req.params.id, {
+      title,
+      description,
+      text,
+      category,
+      useCase,
+      style,
+      tags,
+      price,
+      author
+    });
+
+    if (result.error) {
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/prompts/:id', (req, res) => {
+  try {
+    const { status, ...result } = deletePrompt(historyOwner(req), req.params.id);
+
+    if (result.error) {
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/prompts/:id/rate', rateLimit('prompts'), (req, res) => {
+  try {
+    const { status, ...result } = ratePrompt(clientKey(req), req.params.id, req.body.rating, historyOwner(req));
+
+    if (result.error) {
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Count copies so the "popular" sort reflects real use
+app.post('/api/prompts/:id/use', rateLimit('prompts'), (req, res) => {
+  try {
+    if (!getPrompt(req.params.id)) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    recordPromptUse(req.params.id, clientKey(req));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Fill a template's {{variables}} and run it like /api/v1/generate (same API key, quota and rate limit)
+app.post('/api/prompts/:id/run', requireApiKey, rateLimit('api'), enforceQuota, queueIfAsync('prompt-run'), async (req, res) => {
+  try {
+    const template = getPrompt(req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const { values = {}, model, maxTokens, temperature, fallback } = req.body;
+
+    const validation = validateTemplateValues(template.variables, values);
+    if (validation.error) {
+      return res.status(400).json({ ...validation, variables: template.variables });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const optionsError = validateGenerationOptions({ maxTokens, temperature });
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    const prompt = renderTemplate(template.text, validation.values);
+
+    const { result, data, status } = await runApiGeneration(req, prompt, { model, maxTokens, temperature, fallback });
+    if (result.cache) {
+      res.set('X-Cache', result.cache);
+    }
+
+    if (result.error) {
+      return res.status(status || 500).json(result);
+    }
+
+    recordPromptUse(template.id, clientKey(req));
+
+    res.json(saveToHistory(req, 'api', { promptId: template.id, values: validation.values, model, maxTokens, temperature }, {
+      success: true,
+      data: {
+        ...data,
+        promptId: template.id,
+        prompt
+      }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Trend Analyzer
+app.get('/trends', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'trends', 'index.html'), (err) => {
+    if (err) {
+      console.error('Error serving trends page:', err);
+      res.status(500).json({ error: 'Failed to load trends analyzer page' });
+    }
+  });
+});
+
+app.post('/api/trends/analyze', rateLimit('trends'), queueIfAsync('trends'), async (req, res) => {
+  try {
+    const { industry, timeframe, focus, subreddits, listings, feeds, news, model } = req.body;
+
+    if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
+      return res.status(400).json({ error: 'Industry is required' });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const checked = validateTrendSources({ subreddits: await trendSubreddits(req, industry, subreddits), listings, feeds, news }, { industry });
+    if (checked.error) {
+      return res.status(400).json(checked);
+    }
+
+    const signals = await ingestTrends(req, industry, focus, checked.sources);
+    const ranked = rankSignals(signals.items);
+    const warnings = signals.sources.filter(source => !source.ok).map(source => `${source.name}: ${source.error}`);
+    if (ranked.length === 0) {
+      warnings.push('No live signals could be fetched; the analysis is based on the model alone');
+    }
+
+    const prompt = buildTrendPrompt({
+      industry,
+      timeframe,
+      focus,
+      topics: signals.snapshot.topics,
+      faded: signals.snapshot.faded,
+      signals: ranked
+    });
+
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
+      max_new_tokens: ranked.length > 0 ? 600 : 400,
+      temperature: 0.7
+    });
+    res.set('X-Cache', result.cache);
+
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+
+    const generatedText = extractGeneratedText(result.data);
+    const analysis = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+
+    res.json(saveToHistory(req, 'trends', { industry, timeframe, focus, subreddits, listings, feeds, news, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      analysis: {
+        industry,
+        timeframe: timeframe || 'Current',
+        focus: focus || 'General',
+        content: analysis,
+        generatedAt: new Date().toISOString(),
+        streamId: signals.stream.id,
+        snapshotAt: signals.snapshot.takenAt,
+        topics: publicTopics(signals.snapshot.topics, ranked),
+        faded: signals.snapshot.faded,
+        signals: ranked.map(({ itemId, ...signal }) => signal),
+        citations: findCitations(analysis, ranked),
+        sources: signals.sources,
+        warnings
+      }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Take a trend snapshot without running the model
+app.post('/api/trends/ingest', rateLimit('trends'), async (req, res) => {
+  try {
+    const { industry, focus, subreddits, listings, feeds, news } = req.body;
+
+    if (!industry || typeof industry !== 'string' || industry.trim().length === 0) {
+      return res.status(400).json({ error: 'Industry is required' });
+    }
+
+    const checked = validateTrendSources({ subreddits: await trendSubreddits(req, industry, subreddits), listings, feeds, news }, { industry });
+    if (checked.error) {
+      return res.status(400).json(checked);
+    }
+
+    const signals = await ingestTrends(req, industry, focus, checked.sources);
+    const ranked = rankSignals(signals.items);
+
+    res.json({
+      success: true,
+      stream: signals.stream,
+      snapshot: {
+        id: signals.snapshot.id,
+        takenAt: signals.snapshot.takenAt,
+        itemCount: signals.snapshot.itemCount,
+        earlierSnapshots: signals.history,
+        topics: publicTopics(signals.snapshot.topics, ranked),
+        faded: signals.snapshot.faded
+      },
+      signals: ranked.map(({ itemId, ...signal }) => signal),
+      sources: signals.sources
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Snapshot history of a trend stream
+app.get('/api/trends/streams/:id/snapshots', (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 200' });
+  }
+
+  const history = getStreamSnapshots(req.params.id, { limit });
+  if (!history) {
+    return res.status(404).json({ error: 'Trend stream not found' });
+  }
+
+  res.json({ success: true, ...history });
+});
+
+// Route: Subreddits a topic resolves to
+app.get('/api/trends/subreddits', rateLimit('trends'), async (req, res) => {
+  try {
+    const topic = typeof req.query.topic === 'string' ? req.query.topic.trim() : '';
+    if (!topic || topic.length > 100) {
+      return res.status(400).json({ error: 'topic is required (up to 100 characters)' });
+    }
+
+    const { subreddits } = await resolveSubreddits(topic, { cache: cacheAllowed(req) });
+    res.json({ success: true, topic, subreddits });
+  } catch (error) {
+    console.error('Subreddit resolve error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Helper function to default a trends request's subreddits to the ones resolved for its industry
+async function trendSubreddits(req, industry, subreddits) {
+  if (subreddits !== undefined) {
+    return subreddits;
+  }
+  const resolved = await resolveSubreddits(industry, { cache: cacheAllowed(req) });
+  return resolved.subreddits.map(subreddit => subreddit.name);
+}
+
+// Helper function to fetch a stream's sources and record a snapshot of its topics
+async function ingestTrends(req, industry, focus, sources) {
+  const stream = trendStream(industry, sources, { focus });
+  const { items, sources: status } = await collectTrendItems(sources, {
+    newsQuery: [stream.industry, stream.focus].join(' ').trim(),
+    newsApiKey: process.env.NEWS_API_KEY,
+    cache: cacheAllowed(req)
+  });
+  const { snapshot, history } = recordSnapshot(stream, { items, sources: status });
+  return { stream, items, sources: status, snapshot, history };
+}
+
+// Helper function to show topics with the signal numbers they came from instead of internal item ids
+function publicTopics(topics, signals) {
+  const refs = new Map(signals.map(signal => [signal.itemId, signal.ref]));
+  return topics.map(({ items, ...topic }) => ({
+    ...topic,
+    signals: items.map(id => refs.get(id)).filter(Boolean)
+  }));
+}
+
+// Route: Trend watchlists
+app.use('/api/watchlists', attachApiKey);
+
+// Setting notify.email emails a confirmation link
+const setsDigestEmail = req => (typeof req.body?.notify?.email === 'string' && req.body.notify.email.trim() ? 1 : 0);
+
+// Whether a request leaves a watchlist active: a create that isn't paused, or a change that unpauses one
+const activatesWatchlist = req => (req.method === 'POST' ? req.body?.paused !== true : req.body?.paused === false);
+
+// Creates, unpauses and digest addresses share the signup budget; changing anything else is free
+const watchlistSignupCost = req => (req.method === 'POST' || activatesWatchlist(req) || setsDigestEmail(req) ? 1 : 0);
+
+// Middleware: every active watchlist polls its sources on a schedule, so keeping one active needs an API key
+function requireKeyToActivate(req, res, next) {
+  return activatesWatchlist(req) ? requireApiKey(req, res, next) : next();
+}
+
+// Helper function to email the confirmation link for a watchlist's new digest address,
+// charged to the caller's email allowance like newsletter confirmations
+async function confirmDigestEmail(req, watchlistId) {
+  const quotaError = chargeEmails(req.apiKey, 1);
+  return quotaError
+    ? { sent: false, error: quotaError.details }
+    : sendEmailConfirmation(watchlistId, emailBaseUrl());
+}
+
+app.post('/api/watchlists', requireKeyToActivate, rateLimit('subscribe', { cost: watchlistSignupCost }), async (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to keep watchlists'
+      });
+    }
+
+    if (setsDigestEmail(req) && !emailBaseUrl()) {
+      return res.status(503).json(EMAIL_BASE_URL_ERROR);
+    }
+
+    const result = createWatchlist(owner, req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    const confirmation = result.needsConfirmation ? await confirmDigestEmail(req, result.watchlist.id) : null;
+    res.status(201).json({ success: true, watchlist: result.watchlist, confirmation });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/watchlists', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your watchlists'
+      });
+    }
+
+    res.json({ success: true, watchlists: listWatchlists(owner) });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/watchlists/:id', (req, res) => {
+  const watchlist = getWatchlist(historyOwner(req), req.params.id);
+  if (!watchlist) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+  res.json({ success: true, watchlist });
+});
+
+app.patch('/api/watchlists/:id', requireKeyToActivate, rateLimit('subscribe', { cost: watchlistSignupCost }), async (req, res) => {
+  try {
+    if (setsDigestEmail(req) && !emailBaseUrl()) {
+      return res.status(503).json(EMAIL_BASE_URL_ERROR);
+    }
+
+    const result = updateWatchlist(historyOwner(req), req.params.id, req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, details: result.details });
+    }
+
+    const confirmation = result.needsConfirmation ? await confirmDigestEmail(req, result.watchlist.id) : null;
+    res.json({ success: true, watchlist: result.watchlist, confirmation });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/watchlists/:id', (req, res) => {
+  if (!deleteWatchlist(historyOwner(req), req.params.id)) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+  res.json({ success: true });
+});
+
+// Route: Check a watchlist now instead of waiting for the scheduler
+app.post('/api/watchlists/:id/check', rateLimit('trends'), async (req, res) => {
+  try {
+    if (!getWatchlist(historyOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+
+    const result = await checkWatchlist(req.params.id, { fresh: true });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/watchlists/:id/alerts', (req, res) => {
+  const list = listAlerts(historyOwner(req), req.params.id);
+  if (!list) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+  res.json({ success: true, alerts: list });
+});
+
+app.get('/watchlists/confirm/:token', (req, res) => {
+  const watchlist = confirmEmail(req.params.token);
+  if (!watchlist) {
+    return res.status(404).type('html').send(renderSubscriptionPage({
+      title: 'Link expired',
+      message: 'This confirmation link is invalid or was already used.'
+    }));
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Digests confirmed',
+    message: `${watchlist.notify.email} will get ${watchlist.notify.digest} digests for "${watchlist.name}".`
+  }));
+});
+
+// Like newsletter unsubscribe links, the link in a digest asks first so mail scanners don't stop it
+app.get('/watchlists/unsubscribe/:token', (req, res) => {
+  const watchlist = findWatchlistByUnsubscribeToken(req.params.token);
+  if (!watchlist) {
+    return res.status(404).type('html').send(renderSubscriptionPage({ title: 'Link not found', message: 'This link is invalid or the digests were already stopped.' }));
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Stop digests',
+    message: `Stop sending trend digests for "${watchlist.name}" to ${watchlist.notify.email}?`,
+    form: { action: `/watchlists/unsubscribe/${req.params.token}`, button: 'Stop digests' }
+  }));
+});
+
+// Also the one-click target of the List-Unsubscribe-Post header (RFC 8058)
+app.post('/watchlists/unsubscribe/:token', (req, res) => {
+  const stopped = stopDigests(req.params.token);
+  if (!stopped) {
+    return res.status(404).type('html').send(renderSubscriptionPage({ title: 'Link not found', message: 'This link is invalid or the digests were already stopped.' }));
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Digests stopped',
+    message: `${stopped.email} won't receive any more digests for "${stopped.watchlist.name}".`
+  }));
+});
+
+// Route: Resume Generator
+app.get('/resume', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'resume', 'index.html'), (err) => {
+    if (err) {
+      console.error('Error serving resume page:', err);
+      res.status(500).json({ error: 'Failed to load resume generator page' });
+    }
+  });
+});
+
+// Saved resumes belong to the caller's API key or X-Client-Id, like generation history
+app.use('/api/resume', attachApiKey);
+
+app.post('/api/resume/generate', rateLimit('resume'), queueIfAsync('resume'), async (req, res) => {
+  try {
+    const { name, email, phone, jobTitle, experience, skills, education, model, template = DEFAULT_TEMPLATE, targetKeywords } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!jobTitle || typeof jobTitle !== 'string' || jobTitle.trim().length === 0) {
+      return res.status(400).json({ error: 'Job title is required' });
+    }
+
+    if (!Object.hasOwn(RESUME_TEMPLATES, template)) {
+      return res.status(400).json({ error: 'Invalid template', details: `Available templates: ${Object.keys(RESUME_TEMPLATES).join(', ')}` });
+    }
+
+    if (targetKeywords !== undefined && (!Array.isArray(targetKeywords) || targetKeywords.length > 30 ||
+      targetKeywords.some(keyword => typeof keyword !== 'string' || keyword.trim().length === 0 || keyword.length > 60))) {
+      return res.status(400).json({ error: 'targetKeywords must be an array of up to 30 non-empty strings (max 60 characters each)' });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    // Keywords from /api/resume/ats-score, worked in only where the candidate's background supports them
+    const keywordInstruction = targetKeywords?.length
+      ? ` Where the candidate's background genuinely supports it, use these job-description keywords: ${targetKeywords.map(keyword => keyword.trim()).join(', ')}. Do not claim skills or experience that are not in the information provided.`
+      : '';
+
+    // Ask for JSON Resume-style sections so they can be edited and re-rendered without regenerating
+    const prompt = `Create a professional resume for ${name} applying for a ${jobTitle} position. ${experience ? `Experience: ${experience}. ` : ''}${skills ? `Skills: ${skills}. ` : ''}${education ? `Education: ${education}. ` : ''}Respond with only a JSON object with keys: basics (label, summary), work (array of name, position, location, startDate, endDate, summary, highlights), education (array of institution, area, studyType, startDate, endDate, score) and skills (array of name, level, keywords). Use only the information provided; use null for anything unknown and never invent employers, schools or dates.${keywordInstruction}`;
+
+    const structured = await generateStructured(prompt, {
+      schema: RESUME_SCHEMA,
+      model,
+      cache: cacheAllowed(req),
+      max_new_tokens: 800,
+      temperature: 0.6
+    });
+    const { result } = structured;
+    res.set('X-Cache', result.cache);
+
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+
+    const { resume, sources } = buildResume({ name, email, phone, jobTitle, experience, skills, education }, structured.value);
+
+    const warnings = RESUME_SECTIONS
+      .filter(section => sources[section] === 'input')
+      .map(section => `The ${section} section was built from your inputs because the model did not return usable data for it`);
+
+    const owner = historyOwner(req);
+    const saved = owner
+      ? saveResume(owner, { jobTitle, template, resume, sources })
+      : { id: null, jobTitle, template, ...resume, sources, content: resumeToText(resume), createdAt: new Date().toISOString() };
+
+    res.json(saveToHistory(req, 'resume', { name, email, phone, jobTitle, experience, skills, education, model, template, targetKeywords }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      resume: {
+        id: saved.id,
+        name,
+        email: email || '',
+        phone: phone || '',
+        jobTitle,
+        template,
+        basics: saved.basics,
+        work: saved.work,
+        education: saved.education,
+        skills: saved.skills,
+        sources: saved.sources,
+        content: saved.content,
+        createdAt: saved.createdAt
+      },
+      warnings,
+      structuredOutput: {
+        valid: structured.valid,
+        attempts: structured.attempts.length,
+        partial: structured.attempts[structured.attempts.length - 1].partial
+      }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Resume templates and rendering (HTML, PDF, DOCX)
+app.get('/api/resume/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: Object.entries(RESUME_TEMPLATES).map(([id, template]) => ({
+      id,
+      label: template.label,
+      description: template.description
+    })),
+    formats: RENDER_FORMATS,
+    default: DEFAULT_TEMPLATE
+  });
+});
+
+// Helper function to check render options and send the rendered file
+async function sendRenderedResume(res, resume, { format = 'html', template = DEFAULT_TEMPLATE, filename }) {
+  format = String(format).toLowerCase();
+
+  if (!RENDER_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', details: `Available formats: ${RENDER_FORMATS.join(', ')}` });
+  }
+
+  if (!Object.hasOwn(RESUME_TEMPLATES, template)) {
+    return res.status(400).json({ error: 'Invalid template', details: `Available templates: ${Object.keys(RESUME_TEMPLATES).join(', ')}` });
+  }
+
+  const file = await renderResume(resume, format, template);
+  const safeName = `${String(filename || 'resume').replace(/[^A-Za-z0-9-_]+/g, '_').replace(/^_+|_+$/g, '') || 'resume'}.${file.extension}`;
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${safeName}"`);
+  res.send(file.body);
+}
+
+// Stateless rendering of a resume sent in the request body
+app.post('/api/resume/render', async (req, res) => {
+  try {
+    const { resume, format, template } = req.body;
+
+    const validation = validateResume(resume);
+    if (validation.error) {
+      return res.status(400).json(validation);
+    }
+
+    await sendRenderedResume(res, validation.resume, { format, template, filename: `${validation.resume.basics.name} resume` });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: ATS keyword match of a resume (text, structure or saved id) against a job description
+app.post('/api/resume/ats-score', (req, res) => {
+  try {
+    const { resume, resumeId, jobDescription } = req.body;
+
+    if (!jobDescription || typeof jobDescription !== 'string' || jobDescription.trim().length < 50) {
+      return res.status(400).json({ error: 'Job description is required', details: 'Paste the job posting (at least 50 characters)' });
+    }
+
+    if (jobDescription.length > 20000) {
+      return res.status(400).json({ error: 'Job description is too long', details: 'Maximum 20000 characters' });
+    }
+
+    let target;
+    if (resumeId) {
+      target = getResume(historyOwner(req), resumeId);
+      if (!target) {
+        return res.status(404).json({ error: 'Resume not found' });
+      }
+    } else if (typeof resume === 'string') {
+      if (resume.trim().length === 0 || resume.length > 30000) {
+        return res.status(400).json({ error: 'Resume text must be 1-30000 characters' });
+      }
+      target = resume;
+    } else if (resume) {
+      const validation = validateResume(resume);
+      if (validation.error) {
+        return res.status(400).json(validation);
+      }
+      target = validation.resume;
+    } else {
+      return res.status(400).json({ error: 'Resume is required', details: 'Send resume as text or as { basics, work, education, skills }, or a saved resumeId' });
+    }
+
+    const analysis = scoreResume(target, jobDescription);
+
+    // Ready-made request for /api/resume/generate with the missing keywords (structured resumes only)
+    const regenerate = typeof target === 'string' || analysis.keywords.missing.length === 0
+      ? null
+      : {
+        endpoint: '/api/resume/generate',
+        body: {
+          ...resumeToInputs(target),
+          template: target.template || DEFAULT_TEMPLATE,
+          targetKeywords: analysis.keywords.missing.map(entry => entry.keyword)
+        }
+      };
+
+    res.json({
+      success: true,
+      ...analysis,
+      regenerate
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/resume/:id', (req, res) => {
+  try {
+    const resume = getResume(historyOwner(req), req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    res.json({ success: true, resume });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Replace one section ({ "data": ... }) without regenerating the rest
+app.put('/api/resume/:id/sections/:section', (req, res) => {
+  try {
+    const { data } = req.body;
+
+    if (data === undefined) {
+      return res.status(400).json({ error: 'data is required', details: 'Send the new section content as { "data": ... }' });
+    }
+
+    const updated = updateResumeSection(historyOwner(req), req.params.id, req.params.section, data);
+    if (updated.error) {
+      const { status, ...error } = updated;
+      return res.status(status).json(error);
+    }
+
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/resume/:id/render', async (req, res) => {
+  try {
+    const resume = getResume(historyOwner(req), req.params.id);
+    if (!resume) {
+      return res.status(404).json({ error: 'Resume not found' });
+    }
+
+    await sendRenderedResume(res, resume, {
+      format: req.query.format,
+      template: req.query.template || resume.template || DEFAULT_TEMPLATE,
+      filename: `${resume.basics.name} resume`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Cover Letter Generator (a tab on the /resume page)
+app.use('/api/cover-letter', attachApiKey);
+
+app.post('/api/cover-letter/generate', rateLimit('resume'), queueIfAsync('cover-letter'), async (req, res) => {
+  try {
+    const { resumeId, company, role, jobDescription, hiringManager, tone = 'professional', length = 'medium', maxWords, model } = req.body;
+    let { name, jobTitle, experience, skills } = req.body;
+
+    // Fill candidate fields that were left out from a saved resume
+    if (resumeId) {
+      const resume = getResume(historyOwner(req), resumeId);
+      if (!resume) {
+        return res.status(404).json({ error: 'Resume not found' });
+      }
+      const fromResume = resumeToInputs(resume);
+      name = name || fromResume.name;
+      jobTitle = jobTitle || fromResume.jobTitle;
+      experience = experience || fromResume.experience;
+      skills = skills || fromResume.skills;
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!company || typeof company !== 'string' || company.trim().length === 0) {
+      return res.status(400).json({ error: 'Company is required' });
+    }
+
+    const targetRole = typeof role === 'string' && role.trim() ? role.trim() : jobTitle;
+    if (!targetRole || typeof targetRole !== 'string' || targetRole.trim().length === 0) {
+      return res.status(400).json({ error: 'Role is required', details: 'Send role, or jobTitle to apply for the same title' });
+    }
+
+    if (jobDescription !== undefined && (typeof jobDescription !== 'string' || jobDescription.length > 20000)) {
+      return res.status(400).json({ error: 'Job description must be text of at most 20000 characters' });
+    }
+
+    if (!COVER_LETTER_TONES.includes(tone)) {
+      return res.status(400).json({ error: 'Invalid tone', details: `Available tones: ${COVER_LETTER_TONES.join(', ')}` });
+    }
+
+    if (!Object.hasOwn(COVER_LETTER_LENGTHS, length)) {
+      return res.status(400).json({ error: 'Invalid length', details: `Available lengths: ${Object.keys(COVER_LETTER_LENGTHS).join(', ')}` });
+    }
+
+    if (maxWords !== undefined && (!Number.isInteger(maxWords) || maxWords < MIN_WORDS_LIMIT || maxWords > MAX_WORDS_LIMIT)) {
+      return res.status(400).json({ error: `maxWords must be an integer between ${MIN_WORDS_LIMIT} and ${MAX_WORDS_LIMIT}` });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const wordLimit = maxWords || COVER_LETTER_LENGTHS[length].max;
+    const minWords = Math.min(COVER_LETTER_LENGTHS[length].min, Math.round(wordLimit * 0.7));
+
+    const prompt = buildCoverLetterPrompt({
+      name: name.trim(),
+      jobTitle,
+      experience,
+      skills,
+      company: company.trim(),
+      role: targetRole,
+      jobDescription,
+      hiringManager,
+      tone,
+      minWords,
+      maxWords: wordLimit
+    });
+
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
+      max_new_tokens: Math.ceil(wordLimit * 1.6) + 50,
+      temperature: 0.7
+    });
+    res.set('X-Cache', result.cache);
+
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+
+    const generatedText = extractGeneratedText(result.data);
+
+    const letterText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+    const { content, truncated } = enforceWordLimit(letterText, wordLimit, name.trim());
+    const wordCount = countWords(content);
+
+    const warnings = [];
+    if (truncated) {
+      warnings.push(`The letter was cut at a sentence boundary to stay within ${wordLimit} words`);
+    }
+    if (wordCount < minWords) {
+      warnings.push(`The letter is ${wordCount} words, shorter than the ${minWords}-${wordLimit} words asked for`);
+    }
+
+    res.json(saveToHistory(req, 'cover-letter', { name, company, role: targetRole, tone, length, maxWords, resumeId, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      coverLetter: {
+        name,
+        company,
+        role: targetRole,
+        tone,
+        length,
+        content,
+        wordCount,
+        wordLimit,
+        truncated,
+        resumeId: resumeId || null,
+        createdAt: new Date().toISOString()
+      },
+      warnings
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Cold Email Generator
+app.get('/email', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'email', 'index.html'), (err) => {
+    if (err) {
+      console.error('Error serving email page:', err);
+      res.status(500).json({ error: 'Failed to load email generator page' });
+    }
+  });
+});
+
+const COLD_EMAIL_MAX_TOKENS = 300;
+
+// Helper function to build the cold email prompt. `fields` are extra per-recipient details
+// (custom CSV columns) used for personalization.
+function coldEmailPrompt({ recipientName, recipientCompany, purpose, valueProposition, callToAction, fields = {} }) {
+  const details = Object.entries(fields).map(([field, value]) => `${field}: ${value}`).join('; ');
+  return `Write a professional cold email to ${recipientName}${recipientCompany ? ` at ${recipientCompany}` : ''}. Purpose: ${purpose}. ${valueProposition ? `Value proposition: ${valueProposition}. ` : ''}${callToAction ? `Call to action: ${callToAction}. ` : ''}${details ? `Details about the recipient: ${details}. ` : ''}Make it personalized, concise, and compelling. Include subject line.`;
+}
+
+// Helper function to write one cold email; shared by /api/email/generate and bulk batches
+async function generateColdEmail(email, options = {}) {
+  const prompt = coldEmailPrompt(email);
+  const result = await callLLM(prompt, {
+    ...options,
+    max_new_tokens: COLD_EMAIL_MAX_TOKENS,
+    temperature: 0.7
+  });
+
+  if (result.error) {
+    return { result };
+  }
+
+  const generatedText = extractGeneratedText(result.data);
+
+  const content = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+  return { result, content };
+}
+
+app.post('/api/email/generate', rateLimit('email'), queueIfAsync('email'), async (req, res) => {
+  try {
+    const { recipientName, recipientCompany, purpose, valueProposition, callToAction, model } = req.body;
+
+    if (!recipientName || typeof recipientName !== 'string' || recipientName.trim().length === 0) {
+      return res.status(400).json({ error: 'Recipient name is required' });
+    }
+
+    if (!purpose || typeof purpose !== 'string' || purpose.trim().length === 0) {
+      return res.status(400).json({ error: 'Email purpose is required' });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const { result, content: emailContent } = await generateColdEmail(
+      { recipientName, recipientCompany, purpose, valueProposition, callToAction },
+      { model, cache: cacheAllowed(req) }
+    );
+    res.set('X-Cache', result.cache);
+
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+
+    const { subject, body, ...lint } = lintEmail({ content: emailContent }, { recipientName, recipientCompany });
+
+    res.json(saveToHistory(req, 'email', { recipientName, recipientCompany, purpose, valueProposition, callToAction, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      email: {
+        recipientName,
+        recipientCompany: recipientCompany || '',
+        purpose,
+        content: emailContent,
+        lint,
+        createdAt: new Date().toISOString()
+      }
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Deliverability lint (spam triggers, subject, links, personalization, reading level, opt-out)
+const emailRewriteLimit = rateLimit('email');
+
+// Linting alone is free; only the rewrite pass calls the model and counts against the email budget
+app.post('/api/email/lint', (req, res, next) => req.body?.rewrite === true ? emailRewriteLimit(req, res, next) : next(), async (req, res) => {
+  try {
+    const { content, subject, body, recipientName, recipientCompany, fields = {}, rewrite = false, model } = req.body;
+
+    const email = typeof content === 'string' ? { content } : { subject, body };
+    if (typeof content !== 'string' && (typeof body !== 'string' || (subject !== undefined && typeof subject !== 'string'))) {
+      return res.status(400).json({
+        error: 'Email is required',
+        details: 'Send content ("Subject: ..." followed by the body) or subject and body'
+      });
+    }
+
+    const text = typeof content === 'string' ? content : `${subject || ''}\n${body}`;
+    if (text.trim().length === 0 || text.length > 20000) {
+      return res.status(400).json({ error: 'Email must be between 1 and 20000 characters' });
+    }
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return res.status(400).json({ error: 'fields must be an object of recipient details' });
+    }
+
+    if (typeof rewrite !== 'boolean') {
+      return res.status(400).json({ error: 'rewrite must be true or false' });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const recipient = {
+      recipientName: typeof recipientName === 'string' ? recipientName : '',
+      recipientCompany: typeof recipientCompany === 'string' ? recipientCompany : '',
+      fields
+    };
+    const { subject: lintedSubject, body: lintedBody, ...lint } = lintEmail(email, recipient);
+
+    if (!rewrite || lint.findings.length === 0) {
+      return res.json({ success: true, lint, rewrite: null });
+    }
+
+    const prompt = buildRewritePrompt({ subject: lintedSubject, body: lintedBody }, lint.findings);
+    const result = await callLLM(prompt, {
+      model,
+      cache: cacheAllowed(req),
+      max_new_tokens: 350,
+      temperature: 0.4
+    });
+    res.set('X-Cache', result.cache);
+
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+
+    const generatedText = extractGeneratedText(result.data);
+
+    const rewritten = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+    const { subject: rewrittenSubject, body: rewrittenBody, ...rewrittenLint } = lintEmail({ content: rewritten }, recipient);
+
+    res.json({
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      lint,
+      rewrite: {
+        content: rewritten,
+        subject: rewrittenSubject,
+        body: rewrittenBody,
+        lint: rewrittenLint,
+        improved: rewrittenLint.score > lint.score
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Bulk email batches (one email per recipient from an uploaded CSV)
+app.use('/api/email/batches', attachApiKey);
+
+// Helper function to charge one unit of a route's budget for work done after the response, waiting for
+// the next window while the budget is spent. Batch rows share the budget of the interactive route.
+async function waitForBudget(name, client) {
+  for (;;) {
+    const counter = await chargeBudget(name, client);
+    if (!counter || counter.allowed) return;
+    await new Promise(resolve => setTimeout(resolve, Math.max(counter.resetAt - Date.now(), 100)));
+  }
+}
+
+// Every row is one generation: rows are paced through the caller's `email` rate budget, and with an
+// API key each row is checked against and billed to the monthly token quota.
+app.post('/api/email/batches', rateLimit('email'), enforceQuota, (req, res) => {
+  try {
+    const { csv, recipients: recipientList, purpose, valueProposition, callToAction, concurrency = DEFAULT_BATCH_CONCURRENCY, model } = req.body;
+
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to run email batches'
+      });
+    }
+
+    if (!purpose || typeof purpose !== 'string' || purpose.trim().length === 0) {
+      return res.status(400).json({ error: 'Email purpose is required' });
+    }
+
+    const parsed = csv !== undefined ? parseRecipients(csv) : normalizeRecipients(recipientList);
+    if (parsed.error) {
+      return res.status(400).json(parsed);
+    }
+
+    if (parsed.recipients.length > MAX_BATCH_ROWS) {
+      return res.status(400).json({ error: 'Too many recipients', details: `A batch can have at most ${MAX_BATCH_ROWS} recipients; split the file` });
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+      return res.status(400).json({ error: `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}` });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const running = runningBatch(owner);
+    if (running) {
+      return res.status(409).json({
+        error: 'A batch is already running',
+        details: `Wait for batch ${running.id} to finish (${running.completed} of ${running.total} rows done) before starting another`
+      });
+    }
+
+    const options = { purpose, valueProposition, callToAction, model };
+    const batch = createBatch(owner, { recipients: parsed.recipients, options });
+    const cache = cacheAllowed(req);
+    const client = clientKey(req);
+    const apiKeyId = req.apiKey?.id || null;
+
+    // The batch runs after the response; follow it with GET /api/email/batches/:id
+    runBatch(batch.id, async row => {
+      if (!row.recipientName) {
+        return { error: 'Recipient name is required' };
+      }
+
+      await waitForBudget('email', client);
+
+      // Hold the row's prompt and completion budget against the key's quota while it generates,
+      // so rows running side by side can't overrun the monthly limit together
+      const email = { recipientName: row.recipientName, recipientCompany: row.recipientCompany, purpose, valueProposition, callToAction, fields: row.fields };
+      const apiKey = apiKeyId ? getApiKeyById(apiKeyId) : null;
+      let reservation = null;
+      let limited = false;
+      if (apiKey) {
+        const held = estimateTokens(coldEmailPrompt(email)) + COLD_EMAIL_MAX_TOKENS;
+        const quota = getQuota(apiKey);
+        if (quota.remaining !== null && quota.remaining < held) {
+          return { error: 'Monthly token quota exceeded' };
+        }
+        limited = quota.remaining !== null;
+        reservation = reserveTokens(apiKey.id, held);
+      }
+
+      try {
+        const { result, content } = await generateColdEmail(email, { model, cache });
+        if (apiKey && result.success && result.cache !== 'HIT') {
+          recordUsage(apiKey.id, billableUsage(result.usage, limited ? reservation.tokens : null));
+        }
+        return result.error ? result : parseEmailStep(content);
+      } finally {
+        if (reservation) {
+          releaseTokens(reservation);
+        }
+      }
+    }, concurrency).catch(error => console.error(`Email batch ${batch.id} failed:`, error.message));
+
+    res.status(202).json({
+      success: true,
+      batch
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/email/batches', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to run email batches'
+      });
+    }
+
+    res.json({
+      success: true,
+      batches: listBatches(owner)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Batch status with every row; with Accept: text/event-stream, `progress` events until `done`
+app.get('/api/email/batches/:id', (req, res) => {
+  try {
+    const batch = getBatch(historyOwner(req), req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    if (!wantsEventStream(req)) {
+      return res.json({ success: true, batch });
+    }
+
+    const { rows, ...summary } = batch;
+    const stream = openEventStream(res);
+    stream.send('progress', summary);
+
+    if (batch.status !== 'running') {
+      stream.send('done', summary);
+      return res.end();
+    }
+
+    const unsubscribe = onBatchProgress(batch.id, event => {
+      const { type, ...data } = event;
+      stream.send(type, data);
+      if (type === 'done') {
+        unsubscribe();
+        res.end();
+      }
+    });
+    res.on('close', unsubscribe);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/email/batches/:id/export', (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!BATCH_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid export format', details: `Available formats: ${BATCH_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const batch = getBatch(historyOwner(req), req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const file = exportBatch(batch, format);
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="emails-${batch.id.slice(0, 8)}.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/email/batches/:id', (req, res) => {
+  try {
+    const deleted = deleteBatch(historyOwner(req), req.params.id);
+    if (deleted.error) {
+      const { status, ...error } = deleted;
+      return res.status(status).json(error);
+    }
+
+    res.json(deleted);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Helper function to read a valid followUps from the request, or null
+function validFollowUps(req) {
+  const followUps = req.body?.followUps;
+  return Number.isInteger(followUps) && followUps >= MIN_FOLLOW_UPS && followUps <= MAX_FOLLOW_UPS ? followUps : null;
+}
+
+// Route: Cold email sequences (initial email plus follow-ups, with merge fields kept as {{field}})
+// Each email is its own upstream call, so each one is charged to the `email` budget
+app.post('/api/email/sequence', rateLimit('email', { cost: req => (validFollowUps(req) ?? DEFAULT_FOLLOW_UPS) + 1 }), queueIfAsync('email-sequence'), async (req, res) => {
+  try {
+    const { purpose, valueProposition, callToAction, senderName, senderCompany, audience, previewRecipient, startDate, model } = req.body;
+
+    if (!purpose || typeof purpose !== 'string' || purpose.trim().length === 0) {
+      return res.status(400).json({ error: 'Email purpose is required' });
+    }
+
+    const options = validateSequenceOptions(req.body);
+    if (options.error) {
+      return res.status(400).json(options);
+    }
+
+    let preview = null;
+    if (previewRecipient !== undefined) {
+      preview = validatePreviewRecipient(previewRecipient);
+      if (preview.error) {
+        return res.status(400).json(preview);
+      }
+    }
+
+    if (startDate !== undefined && Number.isNaN(Date.parse(startDate))) {
+      return res.status(400).json({ error: 'startDate must be a valid date (e.g. 2024-05-01)' });
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    const { followUps, dayOffsets, mergeFields } = options;
+    const angles = sequenceAngles(followUps);
+    const steps = [];
+    let result;
+
+    // One call per step so each follow-up can see the emails before it
+    for (let index = 0; index < angles.length; index++) {
+      const prompt = buildStepPrompt(
+        { purpose, valueProposition, callToAction, senderName, senderCompany, audience },
+        { index, total: angles.length, dayOffset: dayOffsets[index], angle: angles[index], mergeFields, previous: steps }
+      );
+
+      result = await callLLM(prompt, {
+        model,
+        cache: cacheAllowed(req),
+        max_new_tokens: 300,
+        temperature: 0.7
+      });
+
+      if (result.error) {
+        return res.status(500).json({ ...result, failedStep: index + 1 });
+      }
+
+      const generatedText = extractGeneratedText(result.data);
+
+      const emailText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+      const { subject, body } = parseEmailStep(normalizeMergeFields(emailText, mergeFields));
+
+      steps.push({
+        step: index + 1,
+        dayOffset: dayOffsets[index],
+        angle: angles[index].id,
+        subject: subject || (index === 0 ? purpose.trim().slice(0, 80) : `Re: ${steps[0].subject}`),
+        body,
+        mergeFields: findMergeFields(`${subject}\n${body}`)
+      });
+    }
+
+    const warnings = steps
+      .filter(step => step.mergeFields.length === 0)
+      .map(step => `Email ${step.step} has no merge fields; personalize it before sending`);
+
+    res.json(saveToHistory(req, 'email', { purpose, audience, followUps, senderName, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      sequence: {
+        purpose,
+        mergeFields,
+        steps,
+        createdAt: new Date().toISOString()
+      },
+      preview: preview ? renderSequencePreview(steps, preview.values, startDate) : null,
+      warnings
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Preview an existing sequence for one sample recipient without regenerating it
+app.post('/api/email/sequence/preview', (req, res) => {
+  try {
+    const { steps, previewRecipient, startDate } = req.body;
+
+    if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_FOLLOW_UPS + 1 ||
+      steps.some(step => !step || typeof step.subject !== 'string' || typeof step.body !== 'string' ||
+      !Number.isInteger(step.dayOffset) || step.dayOffset < 0 || step.dayOffset > MAX_DAY_OFFSET)) {
+      return res.status(400).json({ error: 'steps must be the sequence steps, each with subject, body and dayOffset', details: `dayOffset is a day from 0 to ${MAX_DAY_OFFSET}` });
+    }
+
+    const preview = validatePreviewRecipient(previewRecipient);
+    if (preview.error) {
+      return res.status(400).json(preview);
+    }
+
+    if (startDate !== undefined && Number.isNaN(Date.parse(startDate))) {
+      return res.status(400).json({ error: 'startDate must be a valid date (e.g. 2024-05-01)' });
+    }
+
+    res.json({
+      success: true,
+      preview: renderSequencePreview(steps.map((step, index) => ({ ...step, step: step.step || index + 1 })), preview.values, startDate)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Newsletter Generator
+app.get('/newsletter', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'newsletter', 'index.html'), (err) => {
+    if (err) {
+      console.error('Error serving newsletter page:', err);
+      res.status(500).json({ error: 'Failed to load newsletter generator page' });
+    }
+  });
+});
+
+app.use('/api/newsletter', attachApiKey);
+
+app.post('/api/newsletter/generate', rateLimit('newsletter'), queueIfAsync('newsletter', { expectedTokens: 800 }), async (req, res) => {
+  try {
+    const { topic, audience, sections, includeTrends, ctaUrl, brandName, accentColor, model } = req.body;
+
+    if (!topic || typeof topic !== 'string' || topic.trim().length === 0) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    if (ctaUrl !== undefined && (typeof ctaUrl !== 'string' || !/^https?:\/\/\S+$/.test(ctaUrl))) {
+      return res.status(400).json({ error: 'ctaUrl must be an http(s) URL' });
+    }
+
+    const render = validateRenderOptions({ brandName, accentColor });
+    if (render.error) {
+      return res.status(400).json(render);
+    }
+
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    let trendsData = null;
+    if (includeTrends) {
+      const redditResult = await fetchTopicTrends(topic, { limit: 5, cache: cacheAllowed(req) });
+      res.set('X-Trends-Cache', redditResult.cache || 'MISS');
+      if (redditResult.success) {
+        trendsData = redditResult.data.posts;
+      }
+    }
+
+    const prompt = buildNewsletterPrompt({ topic, audience, sections, trends: trendsData });
+
+    // Streams tokens over SSE when the client sent `stream: true` or Accept: text/event-stream
+    const result = await generateForRequest(req, res, prompt, {
+      model,
+      max_new_tokens: 800,
+      temperature: 0.7
+    });
+
+    if (result.error) {
+      return sendError(res, 500, result);
+    }
+
+    const generatedText = extractGeneratedText(result.data);
+
+    const newsletterContent = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+    const { sections: newsletterSections, warnings } = parseNewsletter(newsletterContent, { topic, ctaUrl });
+
+    sendResult(res, saveToHistory(req, 'newsletter', { topic, audience, sections, includeTrends, ctaUrl, brandName, accentColor, model }, {
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      newsletter: {
+        topic,
+        audience: audience || 'general audience',
+        sections: sections || 'weekly',
+        content: newsletterContent,
+        structured: newsletterSections,
+        html: renderNewsletterHtml(newsletterSections, render.options),
+        text: renderNewsletterText(newsletterSections, render.options),
+        warnings,
+        trends: trendsData,
+        createdAt: new Date().toISOString()
+      }
+    }));
+  } catch (error) {
+    sendError(res, 500, {
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Render (possibly edited) newsletter sections as an HTML email, plain text, or a draft .eml with both parts
+app.post('/api/newsletter/render', (req, res) => {
+  try {
+    const { sections, format = 'html', brandName, accentColor, unsubscribeUrl } = req.body;
+
+    if (!NEWSLETTER_RENDER_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: `Available formats: ${NEWSLETTER_RENDER_FORMATS.join(', ')}` });
+    }
+
+    const validated = validateNewsletterSections(sections);
+    if (validated.error) {
+      return res.status(400).json(validated);
+    }
+
+    const render = validateRenderOptions({ brandName, accentColor, unsubscribeUrl });
+    if (render.error) {
+      return res.status(400).json(render);
+    }
+
+    const file = renderNewsletter(validated.sections, format, render.options);
+    const safeName = `${validated.sections.subject.replace(/[^A-Za-z0-9-_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'newsletter'}.${file.extension}`;
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${safeName}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Helper function to build absolute links for the public archive and feeds
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Helper function to get the base of links put in emails. Unlike page links, these never come from the
+// request's Host header, which a client can set to put a live confirm token in a link to their own site.
+function emailBaseUrl() {
+  return process.env.PUBLIC_BASE_URL ? process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+}
+
+const EMAIL_BASE_URL_ERROR = {
+  error: 'Email links are not configured',
+  details: 'Set PUBLIC_BASE_URL to the public address of this server so confirmation and unsubscribe links point at it'
+};
+
+// Helper function to charge emails to an API key's monthly email allowance. Returns an error when
+// fewer than `count` are left (nothing is charged then), or null. Without API keys nothing is metered.
+function chargeEmails(apiKey, count) {
+  if (!apiKey || count === 0) {
+    return null;
+  }
+
+  const quota = getEmailQuota(apiKey);
+  if (quota.remaining !== null && quota.remaining < count) {
     return {
-      error: 'Failed to connect to OpenRouter service',
+      error: 'Monthly email quota exceeded',
+      details: `This needs ${count} email${count === 1 ? '' : 's'} and ${quota.remaining} of your ${quota.limit} are left this month. Quota resets at ${quota.resetsAt}.`,
+      quota
+    };
+  }
+
+  recordEmails(apiKey.id, count);
+  return null;
+}
+
+// Helper function to find the API key that owns a list or watchlist, for charging emails sent on its behalf
+function ownerApiKey(owner) {
+  return owner.startsWith('key:') ? getApiKeyById(owner.slice(4)) : null;
+}
+
+const CONFIRMED_NEEDS_ADMIN = {
+  error: 'confirmed: true needs the admin token',
+  details: 'Subscribers confirm by email. Only an admin (X-Admin-Token) can add addresses as already confirmed.'
+};
+
+// Publishing puts pages and feeds on this server's domain, so the archive API needs an API key
+app.use('/api/newsletter/issues', requireApiKey);
+
+// Publish an issue to a public archive with RSS and Atom feeds
+app.post('/api/newsletter/issues', rateLimit('newsletter'), (req, res) => {
+  try {
+    const { sections, topic } = req.body;
+
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to publish issues'
+      });
+    }
+
+    const publication = validatePublication(req.body);
+    if (publication.error) {
+      return res.status(400).json(publication);
+    }
+
+    const validated = validateNewsletterSections(sections);
+    if (validated.error) {
+      return res.status(400).json(validated);
+    }
+
+    const published = publishIssue(owner, {
+      publication,
+      sections: validated.sections,
+      topic: typeof topic === 'string' ? topic.slice(0, 200) : ''
+    });
+    if (published.error) {
+      return res.status(published.status).json({ error: published.error, details: published.details });
+    }
+
+    res.status(201).json({
+      success: true,
+      issue: published.issue,
+      publication: published.publication,
+      urls: archiveUrls(publicBaseUrl(req), published.publication.slug, published.issue.slug)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/issues', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your issues'
+      });
+    }
+
+    const baseUrl = publicBaseUrl(req);
+    res.json({
+      success: true,
+      issues: listOwnIssues(owner).map(issue => ({ ...issue, url: archiveUrls(baseUrl, issue.publication, issue.slug).issue }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/newsletter/issues/:id', (req, res) => {
+  try {
+    if (!deleteIssue(historyOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Public newsletter archive and feeds
+app.get('/newsletter/archive/:publication/rss.xml', (req, res) => {
+  const publication = findPublication(req.params.publication);
+  if (!publication) {
+    return res.status(404).json({ error: 'Publication not found' });
+  }
+
+  res.set('Content-Type', 'application/rss+xml; charset=utf-8');
+  res.send(renderRssFeed(publication, listPublishedIssues(publication.slug), publicBaseUrl(req)));
+});
+
+app.get('/newsletter/archive/:publication/atom.xml', (req, res) => {
+  const publication = findPublication(req.params.publication);
+  if (!publication) {
+    return res.status(404).json({ error: 'Publication not found' });
+  }
+
+  res.set('Content-Type', 'application/atom+xml; charset=utf-8');
+  res.send(renderAtomFeed(publication, listPublishedIssues(publication.slug), publicBaseUrl(req)));
+});
+
+app.get('/newsletter/archive/:publication', (req, res) => {
+  const publication = findPublication(req.params.publication);
+  if (!publication) {
+    return res.status(404).json({ error: 'Publication not found' });
+  }
+
+  res.type('html').send(renderArchivePage(publication, listPublishedIssues(publication.slug, Infinity), publicBaseUrl(req)));
+});
+
+app.get('/newsletter/archive/:publication/:issue', (req, res) => {
+  const publication = findPublication(req.params.publication);
+  const issue = publication && getPublishedIssue(publication.slug, req.params.issue);
+  if (!issue) {
+    return res.status(404).json({ error: 'Issue not found' });
+  }
+
+  res.type('html').send(renderIssuePage(publication, issue, publicBaseUrl(req)));
+});
+
+// Route: Newsletter subscriber lists
+// Lists and sends email people, so they need an API key: a made-up X-Client-Id isn't enough
+app.use('/api/newsletter/lists', requireApiKey);
+app.use('/api/newsletter/sends', requireApiKey);
+
+app.post('/api/newsletter/lists', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to manage subscriber lists'
+      });
+    }
+
+    const created = createList(owner, req.body);
+    if (created.error) {
+      return res.status(400).json(created);
+    }
+
+    res.status(201).json({
+      success: true,
+      list: created.list,
+      signupUrl: `${publicBaseUrl(req)}/newsletter/subscribe/${created.list.id}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/lists', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your subscriber lists'
+      });
+    }
+
+    const baseUrl = publicBaseUrl(req);
+    res.json({
+      success: true,
+      mailerConfigured: mailerConfigured(),
+      lists: listLists(owner).map(list => ({ ...list, signupUrl: `${baseUrl}/newsletter/subscribe/${list.id}` }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/lists/:id', (req, res) => {
+  try {
+    const list = getList(historyOwner(req), req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({
+      success: true,
+      list,
+      signupUrl: `${publicBaseUrl(req)}/newsletter/subscribe/${list.id}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
       details: error.message
-    };
+    });
   }
-}
+});
+
+app.delete('/api/newsletter/lists/:id', (req, res) => {
+  try {
+    if (!deleteList(historyOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/lists/:id/subscribers', (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !SUBSCRIBER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', details: `Available statuses: ${SUBSCRIBER_STATUSES.join(', ')}` });
+    }
+
+    const subscribers = listSubscribers(historyOwner(req), req.params.id, { status });
+    if (!subscribers) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    res.json({ success: true, subscribers });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Add one subscriber. They stay pending until they click the emailed confirmation link, unless
+// `confirmed: true` says the list owner already has their consent.
+app.post('/api/newsletter/lists/:id/subscribers', async (req, res) => {
+  try {
+    const { email, name, confirmed } = req.body;
+
+    const list = getList(historyOwner(req), req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (confirmed === true && !isAdminRequest(req)) {
+      return res.status(403).json(CONFIRMED_NEEDS_ADMIN);
+    }
+
+    const baseUrl = emailBaseUrl();
+    if (confirmed !== true && !baseUrl) {
+      return res.status(503).json(EMAIL_BASE_URL_ERROR);
+    }
+
+    const added = addSubscriber(list.id, { email, name, confirmed: confirmed === true });
+    if (added.error) {
+      return res.status(added.status).json({ error: added.error });
+    }
+
+    let confirmation = null;
+    if (added.needsConfirmation) {
+      const quotaError = chargeEmails(req.apiKey, 1);
+      confirmation = quotaError
+        ? { sent: false, error: quotaError.details }
+        : await sendConfirmation(list, added.subscriber, baseUrl);
+    }
+
+    res.status(added.created ? 201 : 200).json({
+      success: true,
+      subscriber: toPublicSubscriber(added.subscriber),
+      confirmation
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/newsletter/lists/:id/subscribers/:subscriberId', (req, res) => {
+  try {
+    if (!removeSubscriber(historyOwner(req), req.params.id, req.params.subscriberId)) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Import subscribers from CSV text (email and optional name columns) or a subscribers array.
+// Imported addresses get confirmation emails (sent in the background) unless an admin sends `confirmed: true`.
+app.post('/api/newsletter/lists/:id/import', rateLimit('newsletter'), (req, res) => {
+  try {
+    const { confirmed, sendConfirmations = true } = req.body;
+
+    const list = getList(historyOwner(req), req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (confirmed === true && !isAdminRequest(req)) {
+      return res.status(403).json(CONFIRMED_NEEDS_ADMIN);
+    }
+
+    const parsed = parseSubscriberImport(req.body);
+    if (parsed.error) {
+      return res.status(400).json(parsed);
+    }
+
+    if (parsed.entries.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: 'Too many subscribers',
+        details: `Import up to ${MAX_IMPORT_ROWS} subscribers at a time`
+      });
+    }
+
+    // Every row could need a confirmation email, so check the allowance before importing anything
+    const baseUrl = emailBaseUrl();
+    const willConfirm = confirmed !== true && sendConfirmations !== false && mailerConfigured();
+    if (willConfirm && !baseUrl) {
+      return res.status(503).json(EMAIL_BASE_URL_ERROR);
+    }
+    const emailQuota = req.apiKey ? getEmailQuota(req.apiKey) : null;
+    if (willConfirm && emailQuota && emailQuota.remaining !== null && emailQuota.remaining < parsed.entries.length) {
+      return res.status(429).json({
+        error: 'Monthly email quota exceeded',
+        details: `Importing ${parsed.entries.length} subscribers can take as many confirmation emails and ${emailQuota.remaining} of your ${emailQuota.limit} are left this month`,
+        quota: emailQuota
+      });
+    }
+
+    const imported = importSubscribers(list.id, parsed.entries, { confirmed: confirmed === true });
+    const pending = imported.added.filter(subscriber => subscriber.status === 'pending');
+
+    // The mailer throttles these, so a large import can take a while to finish sending
+    const queueConfirmations = willConfirm && pending.length > 0 && !chargeEmails(req.apiKey, pending.length);
+    if (queueConfirmations) {
+      (async () => {
+        for (const subscriber of pending) {
+          await sendConfirmation(list, subscriber, baseUrl);
+        }
+      })().catch(error => console.error(`Confirmation emails for list ${list.id} failed:`, error.message));
+    }
+
+    res.json({
+      success: true,
+      added: imported.added.length,
+      alreadySubscribed: imported.alreadySubscribed,
+      skipped: imported.skipped,
+      confirmationsQueued: queueConfirmations ? pending.length : 0,
+      list: getList(historyOwner(req), list.id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/lists/:id/export', (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!SUBSCRIBER_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: `Available formats: ${SUBSCRIBER_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const owner = historyOwner(req);
+    const list = getList(owner, req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const file = exportSubscribers(owner, list.id, format);
+    const safeName = list.name.replace(/[^A-Za-z0-9-_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'subscribers';
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${safeName}.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Record bounces reported by the mail provider; bounced addresses are left out of later sends
+app.post('/api/newsletter/lists/:id/bounces', (req, res) => {
+  try {
+    const { emails, reason } = req.body;
+
+    const list = getList(historyOwner(req), req.params.id);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (!Array.isArray(emails) || emails.length === 0 || emails.some(email => typeof email !== 'string')) {
+      return res.status(400).json({ error: 'emails must be a non-empty array of email addresses' });
+    }
+
+    res.json({
+      success: true,
+      updated: markBounced(list.id, emails, typeof reason === 'string' && reason.trim() ? reason.trim() : 'Reported as bounced')
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
 
-// Helper function to fetch Reddit trends
-async function fetchRedditTrends(subreddit = 'all', limit = 10) {
+// Route: Newsletter sends
+// Email a newsletter to every confirmed subscriber of a list. Send `historyId` of a
+// /api/newsletter/generate result, or edited `sections`.
+app.post('/api/newsletter/sends', rateLimit('newsletter'), (req, res) => {
   try {
-    const url = `https://www.reddit.com/r/${subreddit}/hot.json?limit=${limit}`;
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SaaS Tool/1.0)'
+    const { listId, historyId, sections } = req.body;
+
+    if (!mailerConfigured()) {
+      return res.status(503).json({
+        error: 'Email sending is not configured',
+        details: 'Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS as needed) to send newsletters'
+      });
+    }
+
+    const owner = historyOwner(req);
+    const list = getList(owner, listId);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    let newsletterSections = sections;
+    let renderInput = req.body;
+    if (historyId !== undefined) {
+      const entry = getHistoryEntry(owner, historyId);
+      if (!entry || entry.tool !== 'newsletter' || !entry.response.newsletter?.structured) {
+        return res.status(404).json({ error: 'Newsletter not found', details: 'historyId must point to one of your /api/newsletter/generate results' });
       }
+      newsletterSections = entry.response.newsletter.structured;
+      renderInput = { brandName: entry.input.brandName, accentColor: entry.input.accentColor, ...req.body };
+    }
+
+    const validated = validateNewsletterSections(newsletterSections);
+    if (validated.error) {
+      return res.status(400).json(validated);
+    }
+
+    const render = validateRenderOptions({ brandName: renderInput.brandName, accentColor: renderInput.accentColor });
+    if (render.error) {
+      return res.status(400).json(render);
+    }
+
+    if (list.counts.subscribed === 0) {
+      return res.status(400).json({ error: 'List has no confirmed subscribers' });
+    }
+
+    const baseUrl = emailBaseUrl();
+    if (!baseUrl) {
+      return res.status(503).json(EMAIL_BASE_URL_ERROR);
+    }
+
+    // Every recipient counts against the key's email allowance
+    const quotaError = chargeEmails(req.apiKey, list.counts.subscribed);
+    if (quotaError) {
+      return res.status(429).json(quotaError);
+    }
+
+    const send = createSend(owner, {
+      listId: list.id,
+      sections: validated.sections,
+      options: render.options,
+      baseUrl
     });
+    runSend(send.id).catch(error => console.error(`Newsletter send ${send.id} failed:`, error.message));
 
-    if (!response.ok) {
-      return {
-        error: `Reddit API request failed: ${response.status}`,
-        details: 'Unable to fetch Reddit trends'
-      };
+    res.status(202).json({ success: true, send });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/newsletter/sends', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your sends'
+      });
     }
 
-    const data = await response.json();
-    const posts = data.data?.children?.map(child => ({
-      title: child.data.title,
-      score: child.data.score,
-      subreddit: child.data.subreddit,
-      url: `https://reddit.com${child.data.permalink}`,
-      created: new Date(child.data.created_utc * 1000).toISOString()
-    })) || [];
+    res.json({ success: true, sends: listSends(owner) });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// A send with its per-recipient delivery log
+app.get('/api/newsletter/sends/:id', (req, res) => {
+  try {
+    const send = getSend(historyOwner(req), req.params.id);
+    if (!send) {
+      return res.status(404).json({ error: 'Send not found' });
+    }
 
-    return { success: true, data: { posts } };
+    res.json({ success: true, send });
   } catch (error) {
-    return {
-      error: 'Failed to fetch Reddit trends',
+    res.status(500).json({
+      error: 'Internal server error',
       details: error.message
-    };
+    });
   }
-}
+});
 
-// Helper function to fetch NewsAPI (optional)
-async function fetchNewsAPI(query, apiKey) {
+app.get('/api/newsletter/sends/:id/export', (req, res) => {
   try {
-    if (!apiKey) {
-      return {
-        error: 'NewsAPI key not configured',
-        suggestion: 'Set NEWS_API_KEY in environment variables (optional)'
-      };
+    const format = req.query.format || 'csv';
+    if (!SEND_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid format', details: `Available formats: ${SEND_EXPORT_FORMATS.join(', ')}` });
     }
 
-    const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(query)}&sortBy=popularity&pageSize=5&apiKey=${apiKey}`;
-    const response = await fetch(url);
+    const send = getSend(historyOwner(req), req.params.id);
+    if (!send) {
+      return res.status(404).json({ error: 'Send not found' });
+    }
 
-    if (!response.ok) {
-      return {
-        error: `NewsAPI request failed: ${response.status}`,
-        details: 'Unable to fetch news'
-      };
+    const file = exportSend(send, format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="delivery-log-${send.id}.${file.extension}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Public newsletter signup, confirmation and unsubscribe
+app.get('/newsletter/subscribe/:listId', (req, res) => {
+  const list = getListForSignup(req.params.listId);
+  if (!list) {
+    return res.status(404).json({ error: 'List not found' });
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: `Subscribe to ${list.name}`,
+    message: 'We will email you a link to confirm your subscription.',
+    form: {
+      action: `/newsletter/subscribe/${list.id}`,
+      button: 'Subscribe',
+      fields: [
+        { name: 'email', label: 'Email', type: 'email', required: true },
+        { name: 'name', label: 'Name (optional)' }
+      ]
+    }
+  }));
+});
+
+app.post('/newsletter/subscribe/:listId', rateLimit('subscribe'), async (req, res) => {
+  try {
+    const list = getListForSignup(req.params.listId);
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if (!emailBaseUrl()) {
+      return res.status(503).type('html').send(renderSubscriptionPage({ title: 'Signups are closed', message: 'This server cannot send confirmation emails right now.' }));
+    }
+
+    const added = addSubscriber(list.id, { email: req.body.email, name: req.body.name || '', source: 'signup' });
+    if (added.error) {
+      return res.status(added.status).type('html').send(renderSubscriptionPage({ title: 'Subscription failed', message: added.error }));
+    }
+
+    // Answer the same whether or not the address was already on the list, so the form can't be used to probe it.
+    // The confirmation email counts against the list owner's API key.
+    if (added.needsConfirmation) {
+      const record = getListRecord(list.id);
+      const quotaError = chargeEmails(ownerApiKey(record.owner), 1);
+      const confirmation = quotaError
+        ? { sent: false, error: quotaError.error }
+        : await sendConfirmation(record, added.subscriber, emailBaseUrl());
+      if (!confirmation.sent) {
+        console.error(`Confirmation email for list ${list.id} failed:`, confirmation.error);
+      }
     }
 
-    const data = await response.json();
-    return { success: true, data: { articles: data.articles || [] } };
+    res.type('html').send(renderSubscriptionPage({
+      title: 'Check your inbox',
+      message: `If ${added.subscriber.email} isn't subscribed to ${list.name} yet, we've sent it a confirmation link.`
+    }));
   } catch (error) {
-    return {
-      error: 'Failed to fetch news',
+    res.status(500).json({
+      error: 'Internal server error',
       details: error.message
-    };
+    });
   }
-}
+});
 
-// Route: Resume Generator
-app.get('/resume', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'resume', 'index.html'), (err) => {
+app.get('/newsletter/confirm/:token', (req, res) => {
+  const subscriber = confirmSubscription(req.params.token);
+  if (!subscriber) {
+    return res.status(404).type('html').send(renderSubscriptionPage({
+      title: 'Link expired',
+      message: 'This confirmation link is invalid or was already used.'
+    }));
+  }
+
+  const list = getListForSignup(subscriber.listId);
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Subscription confirmed',
+    message: `Thanks! ${subscriber.email} will now receive ${list ? list.name : 'the newsletter'}.`
+  }));
+});
+
+// The link in each newsletter asks before unsubscribing, so mail scanners that follow links don't unsubscribe anyone
+app.get('/newsletter/unsubscribe/:token', (req, res) => {
+  const subscriber = findByUnsubscribeToken(req.params.token);
+  if (!subscriber) {
+    return res.status(404).type('html').send(renderSubscriptionPage({ title: 'Link not found', message: 'This unsubscribe link is invalid.' }));
+  }
+
+  const list = getListForSignup(subscriber.listId);
+  if (subscriber.status === 'unsubscribed') {
+    return res.type('html').send(renderSubscriptionPage({ title: 'Unsubscribed', message: `${subscriber.email} is already unsubscribed.` }));
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Unsubscribe',
+    message: `Stop sending ${list ? list.name : 'this newsletter'} to ${subscriber.email}?`,
+    form: { action: `/newsletter/unsubscribe/${req.params.token}`, button: 'Unsubscribe' }
+  }));
+});
+
+// Also the one-click target of the List-Unsubscribe-Post header (RFC 8058)
+app.post('/newsletter/unsubscribe/:token', (req, res) => {
+  const subscriber = unsubscribe(req.params.token);
+  if (!subscriber) {
+    return res.status(404).type('html').send(renderSubscriptionPage({ title: 'Link not found', message: 'This unsubscribe link is invalid.' }));
+  }
+
+  res.type('html').send(renderSubscriptionPage({
+    title: 'Unsubscribed',
+    message: `${subscriber.email} won't receive any more emails from this list.`
+  }));
+});
+
+// Route: SEO Blog Generator
+app.get('/seo', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'seo', 'index.html'), (err) => {
     if (err) {
-      console.error('Error serving resume page:', err);
-      res.status(500).json({ error: 'Failed to load resume generator page' });
+      console.error('Error serving seo page:', err);
+      res.status(500).json({ error: 'Failed to load SEO blog generator page' });
     }
   });
 });
 
-app.post('/api/resume/generate', async (req, res) => {
+// Helper function to size a long-form post from its requested length; an invalid length is
+// rejected by the route, so it is charged as a single request
+function seoPostEstimate(req) {
+  const length = validateWordCount(req.body?.wordCount);
+  return length.error ? { calls: 1, tokens: 1000 } : estimatePipeline(length.wordCount);
+}
+
+// Every stage of the post is its own upstream call, so each one is charged to the `seo` budget
+app.post('/api/seo/generate', rateLimit('seo', { cost: req => seoPostEstimate(req).calls }), queueIfAsync('seo', { expectedTokens: req => seoPostEstimate(req).tokens }), async (req, res) => {
   try {
-    const { name, email, phone, jobTitle, experience, skills, education } = req.body;
+    const { keyword, targetAudience, wordCount, includeTrends, siteUrl, author, model } = req.body;
 
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      return res.status(400).json({ error: 'Name is required' });
+    if (!keyword || typeof keyword !== 'string' || keyword.trim().length === 0) {
+      return res.status(400).json({ error: 'Keyword is required' });
     }
 
-    if (!jobTitle || typeof jobTitle !== 'string' || jobTitle.trim().length === 0) {
-      return res.status(400).json({ error: 'Job title is required' });
+    const length = validateWordCount(wordCount);
+    if (length.error) {
+      return res.status(400).json(length);
+    }
+
+    if (siteUrl !== undefined && (typeof siteUrl !== 'string' || !/^https?:\/\/[^\s/]+\.[^\s]+$/.test(siteUrl) || siteUrl.length > 200)) {
+      return res.status(400).json({ error: 'siteUrl must be an http(s) URL such as https://example.com/blog' });
     }
 
-    const prompt = `Create a professional resume for ${name} applying for a ${jobTitle} position. ${experience ? `Experience: ${experience}. ` : ''}${skills ? `Skills: ${skills}. ` : ''}${education ? `Education: ${education}. ` : ''}Include: Professional Summary, Work Experience, Skills, Education sections. Format as clean, professional resume text.`;
+    if (author !== undefined && (typeof author !== 'string' || author.trim().length === 0 || author.length > 100)) {
+      return res.status(400).json({ error: 'author must be a name up to 100 characters' });
+    }
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 600,
-      temperature: 0.6
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
+    }
+
+    let trendsData = null;
+    if (includeTrends) {
+      const redditResult = await fetchTopicTrends(keyword, { limit: 5, cache: cacheAllowed(req) });
+      res.set('X-Trends-Cache', redditResult.cache || 'MISS');
+      if (redditResult.success) {
+        trendsData = redditResult.data.posts;
+      }
+    }
+
+    // In streaming mode each stage sends a `progress` event and the sections stream as `token`s
+    const stream = wantsEventStream(req) ? openEventStream(res) : null;
+    const audience = targetAudience || 'general readers';
+    let lastResult = null;
+
+    const post = await generateLongFormPost({
+      keyword,
+      targetAudience: audience,
+      wordCount: length.wordCount,
+      trends: trendsData ? trendsData.map(p => p.title) : []
+    }, {
+      signal: stream?.signal,
+      // The outline and FAQ are parsed, not shown, so only the post's own text is streamed
+      generate: async (prompt, { max_new_tokens, stage }) => {
+        const options = { model, max_new_tokens, temperature: 0.7 };
+        const result = ['outline', 'faq'].includes(stage)
+          ? await callLLM(prompt, { ...options, cache: cacheAllowed(req) })
+          : await generateForRequest(req, res, prompt, options);
+
+        if (result.error) return result;
+        lastResult = result;
+
+        const generatedText = extractGeneratedText(result.data);
+        return { text: generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim() };
+      },
+      onProgress: ({ stage, step, steps, heading }) => {
+        if (!stream) return;
+        stream.send('progress', { stage, step, steps, heading, percent: Math.round(((step - 1) / steps) * 100) });
+        if (heading) {
+          stream.send('token', { text: `\n\n## ${heading}\n\n` });
+        }
+      }
+    });
+
+    if (post.error) {
+      return sendError(res, 500, post);
+    }
+
+    const url = siteUrl ? `${siteUrl.replace(/\/+$/, '')}/${post.slug}` : null;
+    const createdAt = new Date().toISOString();
+    const jsonLd = buildJsonLd({
+      title: post.title,
+      metaDescription: post.metaDescription,
+      keyword,
+      wordCount: post.wordCount,
+      headings: post.outline.map(section => section.heading),
+      faq: post.faq,
+      url,
+      author: author?.trim(),
+      publishedAt: createdAt
+    });
+
+    sendResult(res, saveToHistory(req, 'seo', { keyword, targetAudience, wordCount: length.wordCount, includeTrends, siteUrl, author, model }, {
+      success: true,
+      provider: lastResult.provider,
+      model: lastResult.model,
+      blog: {
+        keyword,
+        targetAudience: audience,
+        wordCount: post.wordCount,
+        targetWordCount: length.wordCount,
+        title: post.title,
+        metaDescription: post.metaDescription,
+        slug: post.slug,
+        url,
+        outline: post.outline,
+        sections: post.sections.map(({ content, ...section }) => section),
+        faq: post.faq,
+        content: post.content,
+        jsonLd: { article: jsonLd.article, faqPage: jsonLd.faqPage },
+        jsonLdHtml: jsonLd.html,
+        analysis: analyzeSeo(post.content, keyword, { title: post.title, metaDescription: post.metaDescription, siteUrl }),
+        warnings: post.warnings,
+        trends: trendsData,
+        createdAt
+      }
+    }));
+  } catch (error) {
+    sendError(res, 500, {
+      error: 'Internal server error',
+      details: error.message
     });
+  }
+});
 
-    if (result.error) {
-      return res.status(500).json(result);
+// On-page SEO report for any post: keyword density and placement, headings, title and meta description
+// lengths, readability, passive voice and links, with a score and recommendations
+app.post('/api/seo/analyze', rateLimit('seo'), (req, res) => {
+  try {
+    const { content, keyword, title, metaDescription, siteUrl } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0 || content.length > 100000) {
+      return res.status(400).json({ error: 'Content is required', details: 'Send the post as content (up to 100000 characters)' });
     }
 
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
-    } else {
-      generatedText = String(result.data);
+    if (!keyword || typeof keyword !== 'string' || keyword.trim().length === 0 || keyword.length > 100) {
+      return res.status(400).json({ error: 'Keyword is required' });
     }
 
-    const resumeContent = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+    for (const [name, value] of Object.entries({ title, metaDescription, siteUrl })) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 500)) {
+        return res.status(400).json({ error: `${name} must be text up to 500 characters` });
+      }
+    }
 
     res.json({
       success: true,
-      resume: {
-        name,
-        email: email || '',
-        phone: phone || '',
-        jobTitle,
-        content: resumeContent,
-        createdAt: new Date().toISOString()
-      }
+      analysis: analyzeSeo(content, keyword, { title, metaDescription, siteUrl })
     });
   } catch (error) {
     res.status(500).json({
@@ -694,59 +3444,55 @@ app.post('/api/resume/generate', async (req, res) => {
   }
 });
 
-// Route: Cold Email Generator
-app.get('/email', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'email', 'index.html'), (err) => {
-    if (err) {
-      console.error('Error serving email page:', err);
-      res.status(500).json({ error: 'Failed to load email generator page' });
-    }
-  });
-});
+// Route: Generation history (scoped to the caller's API key or X-Client-Id)
+app.use('/api/history', attachApiKey);
 
-app.post('/api/email/generate', async (req, res) => {
+app.get('/api/history', (req, res) => {
   try {
-    const { recipientName, recipientCompany, purpose, valueProposition, callToAction } = req.body;
-
-    if (!recipientName || typeof recipientName !== 'string' || recipientName.trim().length === 0) {
-      return res.status(400).json({ error: 'Recipient name is required' });
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your history'
+      });
     }
 
-    if (!purpose || typeof purpose !== 'string' || purpose.trim().length === 0) {
-      return res.status(400).json({ error: 'Email purpose is required' });
+    const { tool, from, to, q } = req.query;
+
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'from and to must be valid dates (e.g. 2024-05-01)' });
     }
 
-    const prompt = `Write a professional cold email to ${recipientName}${recipientCompany ? ` at ${recipientCompany}` : ''}. Purpose: ${purpose}. ${valueProposition ? `Value proposition: ${valueProposition}. ` : ''}${callToAction ? `Call to action: ${callToAction}. ` : ''}Make it personalized, concise, and compelling. Include subject line.`;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { total, items } = listHistory(owner, { tool, from, to, q, limit, offset });
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 300,
-      temperature: 0.7
+    res.json({
+      success: true,
+      total,
+      limit,
+      offset,
+      items
     });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
 
-    if (result.error) {
-      return res.status(500).json(result);
-    }
+app.get('/api/history/:id', (req, res) => {
+  try {
+    const entry = getHistoryEntry(historyOwner(req), req.params.id);
 
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
-    } else {
-      generatedText = String(result.data);
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
     }
 
-    const emailContent = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
-
     res.json({
       success: true,
-      email: {
-        recipientName,
-        recipientCompany: recipientCompany || '',
-        purpose,
-        content: emailContent,
-        createdAt: new Date().toISOString()
-      }
+      entry
     });
   } catch (error) {
     res.status(500).json({
@@ -756,64 +3502,62 @@ app.post('/api/email/generate', async (req, res) => {
   }
 });
 
-// Route: Newsletter Generator
-app.get('/newsletter', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'newsletter', 'index.html'), (err) => {
-    if (err) {
-      console.error('Error serving newsletter page:', err);
-      res.status(500).json({ error: 'Failed to load newsletter generator page' });
+app.delete('/api/history/:id', (req, res) => {
+  try {
+    if (!deleteHistoryEntry(historyOwner(req), req.params.id)) {
+      return res.status(404).json({ error: 'History entry not found' });
     }
-  });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
 });
 
-app.post('/api/newsletter/generate', async (req, res) => {
-  try {
-    const { topic, audience, sections, includeTrends } = req.body;
+// Route: Background jobs (generations sent with "async": true)
+app.use('/api/jobs', attachApiKey);
 
-    if (!topic || typeof topic !== 'string' || topic.trim().length === 0) {
-      return res.status(400).json({ error: 'Topic is required' });
+app.get('/api/jobs', (req, res) => {
+  try {
+    const owner = historyOwner(req);
+    if (!owner) {
+      return res.status(400).json({
+        error: 'Client id required',
+        details: 'Send an X-Client-Id header or an API key to see your jobs'
+      });
     }
 
-    let trendsData = null;
-    if (includeTrends) {
-      const redditResult = await fetchRedditTrends(topic.replace(/\s+/g, ''), 5);
-      if (redditResult.success) {
-        trendsData = redditResult.data.posts;
-      }
+    const { status } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
     }
 
-    const prompt = `Create a ${sections || 'weekly'} newsletter about ${topic} for ${audience || 'general audience'}. ${trendsData ? `Include trending topics: ${trendsData.map(p => p.title).join(', ')}. ` : ''}Include: engaging subject line, introduction, main stories, and conclusion. Make it informative and engaging.`;
-
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 800,
-      temperature: 0.7
+    res.json({
+      success: true,
+      jobs: listJobs(owner, { status })
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
     });
+  }
+});
 
-    if (result.error) {
-      return res.status(500).json(result);
-    }
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(historyOwner(req), req.params.id);
 
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
-    } else {
-      generatedText = String(result.data);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    const newsletterContent = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
-
     res.json({
       success: true,
-      newsletter: {
-        topic,
-        audience: audience || 'general audience',
-        sections: sections || 'weekly',
-        content: newsletterContent,
-        trends: trendsData,
-        createdAt: new Date().toISOString()
-      }
+      job
     });
   } catch (error) {
     res.status(500).json({
@@ -823,67 +3567,174 @@ app.post('/api/newsletter/generate', async (req, res) => {
   }
 });
 
-// Route: SEO Blog Generator
-app.get('/seo', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'seo', 'index.html'), (err) => {
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const result = cancelJob(historyOwner(req), req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: Simple AI API (SaaS endpoint)
+app.get('/api', (req, res) => {
+  res.sendFile(join(__dirname, 'public', 'api', 'index.html'), (err) => {
     if (err) {
-      console.error('Error serving seo page:', err);
-      res.status(500).json({ error: 'Failed to load SEO blog generator page' });
+      console.error('Error serving api page:', err);
+      res.status(500).json({ error: 'Failed to load API documentation page' });
     }
   });
 });
 
-app.post('/api/seo/generate', async (req, res) => {
+// Every /api/v1 endpoint needs an issued API key (see /api/admin/keys)
+app.use('/api/v1', requireApiKey);
+
+// Helper function to cap billed usage at what a request was allowed to hold; the prompt estimate and a
+// provider's own token count can differ, and a key is never billed past its monthly limit
+function billableUsage(usage, held) {
+  if (held === null || usage.totalTokens <= held) {
+    return usage;
+  }
+
+  const promptTokens = Math.min(usage.promptTokens || 0, held);
+  const completionTokens = held - promptTokens;
+  return { ...usage, promptTokens, completionTokens, totalTokens: held };
+}
+
+// Helper function to run a prompt for an API caller: reserves the prompt plus the completion budget
+// against the key's remaining quota, bills what the generation actually used (nothing for cache hits)
+// and returns { result, status } on failure or { result, data } on success
+async function runApiGeneration(req, prompt, { model, maxTokens, temperature, fallback }) {
+  // Never let one request run past what is left of the monthly quota, counting its prompt
+  // and what other requests on the same key are still generating
+  let maxNewTokens = maxTokens || 200;
+  let reservation = null;
+  let limited = false;
+  if (req.apiKey) {
+    const promptTokens = estimateTokens(prompt);
+    const quota = getQuota(getApiKeyById(req.apiKey.id) || req.apiKey);
+    if (quota.remaining !== null) {
+      if (quota.remaining <= promptTokens) {
+        return {
+          status: 429,
+          result: {
+            error: 'Monthly token quota exceeded',
+            details: `This prompt needs about ${promptTokens} tokens and ${quota.remaining} are left this month. Quota resets at ${quota.resetsAt}.`
+          }
+        };
+      }
+      maxNewTokens = Math.max(1, Math.min(maxNewTokens, quota.remaining - promptTokens));
+      limited = true;
+    }
+    reservation = reserveTokens(req.apiKey.id, promptTokens + maxNewTokens);
+  }
+
+  // An explicitly requested model only falls back to others when allowed
+  let result;
   try {
-    const { keyword, targetAudience, wordCount, includeTrends } = req.body;
+    result = await callLLM(prompt, {
+      model,
+      fallback: fallback !== false,
+      cache: cacheAllowed(req),
+      max_new_tokens: maxNewTokens,
+      temperature: temperature ?? 0.7
+    });
 
-    if (!keyword || typeof keyword !== 'string' || keyword.trim().length === 0) {
-      return res.status(400).json({ error: 'Keyword is required' });
+    // A cached answer cost no generation, so it counts as a request without tokens
+    if (req.apiKey && !result.error) {
+      recordUsage(req.apiKey.id, result.cache === 'HIT' ? {} : billableUsage(result.usage, limited ? reservation.tokens : null));
     }
+  } finally {
+    if (reservation) {
+      releaseTokens(reservation);
+    }
+  }
 
-    let trendsData = null;
-    if (includeTrends) {
-      const redditResult = await fetchRedditTrends('all', 10);
-      if (redditResult.success) {
-        trendsData = redditResult.data.posts.filter(p => 
-          p.title.toLowerCase().includes(keyword.toLowerCase()) || 
-          p.subreddit.toLowerCase().includes(keyword.toLowerCase())
-        ).slice(0, 5);
-      }
+  if (result.error) {
+    return { result };
+  }
+
+  let generatedText = '';
+  if (Array.isArray(result.data)) {
+    generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
+  } else if (typeof result.data === 'object') {
+    generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
+  } else {
+    generatedText = String(result.data);
+  }
+
+  const cleanText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+
+  return {
+    result,
+    data: {
+      text: cleanText,
+      model: result.model,
+      requestedModel: model || null,
+      provider: result.provider,
+      tokens: result.usage.totalTokens,
+      usage: result.usage,
+      createdAt: new Date().toISOString()
     }
+  };
+}
 
-    const prompt = `Write a comprehensive SEO-optimized blog post targeting the keyword "${keyword}" for ${targetAudience || 'general readers'}. Target word count: ${wordCount || 1000} words. ${trendsData ? `Reference these trending topics: ${trendsData.map(p => p.title).join(', ')}. ` : ''}Include: SEO-optimized title, meta description, H1-H3 headings, keyword-rich content, and conclusion. Make it valuable and search-engine friendly.`;
+app.post('/api/v1/generate', rateLimit('api'), enforceQuota, queueIfAsync('api'), async (req, res) => {
+  try {
+    const { prompt, model, maxTokens, temperature, fallback } = req.body;
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: 1000,
-      temperature: 0.7
-    });
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({ error: 'Prompt is required' });
+    }
 
-    if (result.error) {
-      return res.status(500).json(result);
+    const modelError = validateModel(model);
+    if (modelError) {
+      return res.status(400).json(modelError);
     }
 
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
-    } else {
-      generatedText = String(result.data);
+    const optionsError = validateGenerationOptions({ maxTokens, temperature });
+    if (optionsError) {
+      return res.status(400).json(optionsError);
+    }
+
+    const { result, data, status } = await runApiGeneration(req, prompt, { model, maxTokens, temperature, fallback });
+    if (result.cache) {
+      res.set('X-Cache', result.cache);
+    }
+
+    if (result.error) {
+      return res.status(status || 500).json(result);
     }
 
-    const blogContent = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+    res.json(saveToHistory(req, 'api', { prompt, model, maxTokens, temperature }, {
+      success: true,
+      data
+    }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/v1/models', (req, res) => {
+  try {
+    const models = getModelRegistry();
 
     res.json({
       success: true,
-      blog: {
-        keyword,
-        targetAudience: targetAudience || 'general readers',
-        wordCount: blogContent.split(/\s+/).length,
-        content: blogContent,
-        trends: trendsData,
-        createdAt: new Date().toISOString()
-      }
+      defaultModel: DEFAULT_MODEL,
+      providers: getProviderOrder(),
+      models
     });
   } catch (error) {
     res.status(500).json({
@@ -893,53 +3744,98 @@ app.post('/api/seo/generate', async (req, res) => {
   }
 });
 
-// Route: Simple AI API (SaaS endpoint)
-app.get('/api', (req, res) => {
-  res.sendFile(join(__dirname, 'public', 'api', 'index.html'), (err) => {
-    if (err) {
-      console.error('Error serving api page:', err);
-      res.status(500).json({ error: 'Failed to load API documentation page' });
+app.get('/api/v1/usage', (req, res) => {
+  try {
+    if (!req.apiKey) {
+      return res.status(400).json({
+        error: 'Usage tracking is disabled',
+        details: 'API keys are not required on this server (REQUIRE_API_KEY=false)'
+      });
     }
+
+    const period = typeof req.query.period === 'string' && /^\d{4}-\d{2}$/.test(req.query.period)
+      ? req.query.period
+      : currentPeriod();
+
+    res.json({
+      success: true,
+      key: {
+        id: req.apiKey.id,
+        name: req.apiKey.name,
+        prefix: req.apiKey.prefix,
+        tier: req.apiKey.tier
+      },
+      quota: getQuota(req.apiKey, period),
+      emailQuota: getEmailQuota(req.apiKey, period),
+      usage: getUsage(req.apiKey, period),
+      history: Object.keys(req.apiKey.usage || {}).sort().map(month => ({
+        period: month,
+        ...getUsage(req.apiKey, month)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// Route: API key administration (requires ADMIN_TOKEN)
+app.use('/api/admin', requireAdmin);
+
+app.get('/api/admin/keys', (req, res) => {
+  res.json({
+    success: true,
+    tiers: TIERS,
+    keys: listApiKeys()
   });
 });
 
-app.post('/api/v1/generate', async (req, res) => {
+app.post('/api/admin/keys', (req, res) => {
   try {
-    const { prompt, model, maxTokens, temperature } = req.body;
+    const { name, tier, owner, monthlyTokenLimit } = req.body;
+    const result = createApiKey({ name, tier, owner, monthlyTokenLimit });
 
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    if (result.error) {
+      return res.status(400).json(result);
     }
 
-    const result = await callHuggingFaceAPI(DEFAULT_MODEL, prompt, {
-      max_new_tokens: maxTokens || 200,
-      temperature: temperature || 0.7
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
     });
+  }
+});
+
+app.post('/api/admin/keys/:id/rotate', (req, res) => {
+  try {
+    const result = rotateApiKey(req.params.id);
 
     if (result.error) {
-      return res.status(500).json(result);
+      return res.status(result.error === 'API key not found' ? 404 : 400).json(result);
     }
 
-    let generatedText = '';
-    if (Array.isArray(result.data)) {
-      generatedText = result.data[0]?.generated_text || result.data[0]?.text || JSON.stringify(result.data[0]);
-    } else if (typeof result.data === 'object') {
-      generatedText = result.data.generated_text || result.data.text || JSON.stringify(result.data);
-    } else {
-      generatedText = String(result.data);
-    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
 
-    const cleanText = generatedText.replace(prompt, '').replace(/^[\s\n]+|[\s\n]+$/g, '').trim() || generatedText.trim();
+app.post('/api/admin/keys/:id/revoke', (req, res) => {
+  try {
+    const result = revokeApiKey(req.params.id);
 
-    res.json({
-      success: true,
-      data: {
-        text: cleanText,
-        model: model || DEFAULT_MODEL,
-        tokens: cleanText.split(/\s+/).length,
-        createdAt: new Date().toISOString()
-      }
-    });
+    if (result.error) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({
       error: 'Internal server error',
@@ -1001,16 +3897,26 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`API Key configured: ${process.env.HUGGINGFACE_API_KEY ? 'Yes' : 'No (using fallback)'}`);
+  console.log(`AI providers: ${getProviderOrder().join(' -> ')}`);
+  configureRateLimitStore();
+  startJobQueue();
+  resumeSends();
+  startWatchlistScheduler({
+    baseUrl: emailBaseUrl,
+    chargeDigest: watchlist => chargeEmails(ownerApiKey(watchlist.owner), 1)
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  flushAllCollections();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  flushAllCollections();
   process.exit(0);
 });
 
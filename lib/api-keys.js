@@ -0,0 +1,312 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { openCollection } from './store.js';
+
+// Monthly token and email allowances per tier (null means unlimited). Emails are newsletter
+// confirmations and sends, one per recipient.
+export const TIERS = {
+  free: { label: 'Free', monthlyTokens: 10000, monthlyEmails: 500 },
+  pro: { label: 'Pro', monthlyTokens: 1000000, monthlyEmails: 50000 },
+  enterprise: { label: 'Enterprise', monthlyTokens: null, monthlyEmails: null }
+};
+
+const apiKeys = openCollection('api-keys');
+
+// Tokens held by requests that are still generating, per key id. Counted against the quota so
+// concurrent requests can't all pass the check before any of them is billed.
+const reservedTokens = new Map();
+
+// Only a SHA-256 hash of each key is stored; the plain key is shown once on create/rotate
+function hashKey(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return `sk_${randomBytes(24).toString('hex')}`;
+}
+
+// Usage is bucketed per calendar month (UTC), e.g. "2024-05"
+export function currentPeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function periodResetsAt(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString();
+}
+
+// Key record without the stored hash, safe to return from the API
+function toPublicKey(record) {
+  const { keyHash, ...publicFields } = record;
+  return publicFields;
+}
+
+export function listApiKeys() {
+  return apiKeys.all().map(toPublicKey);
+}
+
+export function createApiKey({ name, tier = 'free', owner, monthlyTokenLimit } = {}) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return { error: 'Key name is required' };
+  }
+
+  if (!TIERS[tier]) {
+    return { error: `Unknown tier "${tier}"`, details: `Available tiers: ${Object.keys(TIERS).join(', ')}` };
+  }
+
+  if (monthlyTokenLimit !== undefined && monthlyTokenLimit !== null &&
+      (!Number.isInteger(monthlyTokenLimit) || monthlyTokenLimit < 0)) {
+    return { error: 'monthlyTokenLimit must be a non-negative integer' };
+  }
+
+  const secret = generateSecret();
+  const record = apiKeys.insert({
+    name: name.trim(),
+    owner: owner || null,
+    tier,
+    monthlyTokenLimit: monthlyTokenLimit ?? null,
+    keyHash: hashKey(secret),
+    prefix: secret.slice(0, 10),
+    status: 'active',
+    usage: {},
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  });
+
+  return { success: true, key: secret, apiKey: toPublicKey(record) };
+}
+
+export function revokeApiKey(id) {
+  const record = apiKeys.get(id);
+  if (!record) {
+    return { error: 'API key not found' };
+  }
+
+  const updated = apiKeys.update(id, { status: 'revoked', revokedAt: new Date().toISOString() });
+  return { success: true, apiKey: toPublicKey(updated) };
+}
+
+// Issue a new secret for an existing key; usage history carries over and the old secret stops working
+export function rotateApiKey(id) {
+  const record = apiKeys.get(id);
+  if (!record) {
+    return { error: 'API key not found' };
+  }
+
+  if (record.status === 'revoked') {
+    return { error: 'Revoked keys cannot be rotated' };
+  }
+
+  const secret = generateSecret();
+  const updated = apiKeys.update(id, {
+    keyHash: hashKey(secret),
+    prefix: secret.slice(0, 10),
+    rotatedAt: new Date().toISOString()
+  });
+
+  return { success: true, key: secret, apiKey: toPublicKey(updated) };
+}
+
+export function getApiKeyById(id) {
+  return apiKeys.get(id);
+}
+
+export function findApiKey(secret) {
+  const keyHash = hashKey(secret);
+  return apiKeys.find(record => record.keyHash === keyHash);
+}
+
+// Quota state for the current month
+export function getQuota(record, period = currentPeriod()) {
+  const limit = record.monthlyTokenLimit ?? TIERS[record.tier]?.monthlyTokens ?? null;
+  const used = record.usage?.[period]?.totalTokens || 0;
+  const reserved = period === currentPeriod() ? reservedTokens.get(record.id) || 0 : 0;
+
+  return {
+    period,
+    limit,
+    used,
+    reserved,
+    remaining: limit === null ? null : Math.max(0, limit - used - reserved),
+    resetsAt: periodResetsAt(period)
+  };
+}
+
+// Email allowance for the current month
+export function getEmailQuota(record, period = currentPeriod()) {
+  const limit = TIERS[record.tier]?.monthlyEmails ?? null;
+  const used = record.usage?.[period]?.emails || 0;
+
+  return {
+    period,
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetsAt: periodResetsAt(period)
+  };
+}
+
+export function getUsage(record, period = currentPeriod()) {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    emails: 0,
+    ...record.usage?.[period]
+  };
+}
+
+// Add one request's token usage to the key's monthly counters
+export function recordUsage(id, usage = {}) {
+  const period = currentPeriod();
+
+  return apiKeys.update(id, (record) => {
+    const current = getUsage(record, period);
+    return {
+      ...record,
+      lastUsedAt: new Date().toISOString(),
+      usage: {
+        ...record.usage,
+        [period]: {
+          requests: current.requests + 1,
+          promptTokens: current.promptTokens + (usage.promptTokens || 0),
+          completionTokens: current.completionTokens + (usage.completionTokens || 0),
+          totalTokens: current.totalTokens + (usage.totalTokens || 0),
+          emails: current.emails
+        }
+      }
+    };
+  });
+}
+
+// Hold tokens against a key's quota while a request generates; release them with releaseTokens()
+// once its real usage is recorded
+export function reserveTokens(id, tokens) {
+  reservedTokens.set(id, (reservedTokens.get(id) || 0) + tokens);
+  return { id, tokens };
+}
+
+export function releaseTokens(reservation) {
+  const left = (reservedTokens.get(reservation.id) || 0) - reservation.tokens;
+  if (left > 0) {
+    reservedTokens.set(reservation.id, left);
+  } else {
+    reservedTokens.delete(reservation.id);
+  }
+}
+
+// Add emails sent on a key's behalf to its monthly counters
+export function recordEmails(id, count) {
+  const period = currentPeriod();
+
+  return apiKeys.update(id, (record) => {
+    const current = getUsage(record, period);
+    return {
+      ...record,
+      lastUsedAt: new Date().toISOString(),
+      usage: {
+        ...record.usage,
+        [period]: { ...current, emails: current.emails + count }
+      }
+    };
+  });
+}
+
+// Set to "false" to run the API without keys (local development)
+export function apiKeysRequired() {
+  return process.env.REQUIRE_API_KEY !== 'false';
+}
+
+// Middleware: require `Authorization: Bearer <key>` with an active key
+export function requireApiKey(req, res, next) {
+  // A queued job replaying its request already had its key checked
+  if (!apiKeysRequired() || (req.job && req.apiKey)) {
+    return next();
+  }
+
+  const [scheme, secret] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !secret) {
+    return res.status(401).json({
+      error: 'API key required',
+      details: 'Send your key in the Authorization header: "Authorization: Bearer <key>"'
+    });
+  }
+
+  const record = findApiKey(secret.trim());
+
+  if (!record || record.status !== 'active') {
+    return res.status(401).json({
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  const quota = getQuota(record);
+  res.set('X-Quota-Limit', quota.limit === null ? 'unlimited' : String(quota.limit));
+  res.set('X-Quota-Remaining', quota.remaining === null ? 'unlimited' : String(quota.remaining));
+
+  req.apiKey = record;
+  next();
+}
+
+// Middleware: identify the caller's API key when one is sent, without requiring it
+export function attachApiKey(req, res, next) {
+  const [scheme, secret] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme === 'Bearer' && secret) {
+    const record = findApiKey(secret.trim());
+    if (record && record.status === 'active') {
+      req.apiKey = record;
+    }
+  }
+
+  next();
+}
+
+// Middleware: reject generation requests once the key's monthly quota is used up
+export function enforceQuota(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const quota = getQuota(req.apiKey);
+  if (quota.remaining !== null && quota.remaining <= 0) {
+    return res.status(429).json({
+      error: 'Monthly token quota exceeded',
+      details: `Your ${TIERS[req.apiKey.tier]?.label || req.apiKey.tier} plan includes ${quota.limit} tokens per month. Quota resets at ${quota.resetsAt}.`,
+      quota
+    });
+  }
+
+  next();
+}
+
+// Whether the request carries the ADMIN_TOKEN in its X-Admin-Token header
+export function isAdminRequest(req) {
+  const adminToken = process.env.ADMIN_TOKEN || '';
+  if (!adminToken) {
+    return false;
+  }
+
+  const provided = createHash('sha256').update(req.get('X-Admin-Token') || '').digest();
+  const expected = createHash('sha256').update(adminToken).digest();
+  return timingSafeEqual(provided, expected);
+}
+
+// Middleware: admin endpoints need the ADMIN_TOKEN in the X-Admin-Token header
+export function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({
+      error: 'Admin token not configured',
+      details: 'Set ADMIN_TOKEN in your environment variables to manage API keys'
+    });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
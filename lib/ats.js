@@ -0,0 +1,242 @@
+import { resumeToText } from './resume.js';
+
+// Keywords pulled from a job description before ranking is cut off
+const MAX_KEYWORDS = 30;
+
+// Score weights (out of 100)
+const WEIGHTS = { keywords: 60, sections: 25, formatting: 15 };
+
+// Common English words, everyday verbs and the filler job postings are full of
+const STOPWORDS = new Set(`
+a about above across after again against all also am an and any are as at be because been before being below between both
+but by can could did do does doing down during each either etc few for from further had has have having he her here hers him
+his how i if in into is it its itself just may me might more most must my no nor not now of off on once only or other our ours
+out over own per same she should so some such than that the their them then there these they this those through to too under
+until up upon us very via was we were what when where which while who whom why will with within without would you your yours
+ability able across apply applicant applicants candidate candidates company closely day days description duties environment
+equal excellent experience experienced familiarity fast fast-paced good great help ideal include including job join knowledge
+looking new nice opportunity paced plus position preferred proven qualifications related required requirements responsibilities role
+self skills strong successful team teams understanding using well work working world year years yrs
+another around based best every first high highly key least like multiple one others several someone
+next proud today top two various whether wide ll re ve
+bring brings build building builds built come create creating drive driving ensure ensuring get getting give grow growing
+hire hiring joining keep love loves make making need needed needs offer offers owning provide providing seek seeking
+take taking want wants
+benefits bonus competitive culture demonstrated driven dynamic exciting full-time hands-on ideally impact mission motivated
+passion passionate perks record remote responsible salary solid track day-to-day
+`.trim().split(/\s+/));
+
+// Section headings recognized in plain-text resumes
+const SECTION_PATTERNS = {
+  summary: /^(professional\s+)?(summary|profile|objective|about( me)?)\b/i,
+  experience: /^(work\s+|professional\s+)?(experience|employment( history)?|work history|career history)\b/i,
+  education: /^(education|academic background|qualifications)\b/i,
+  skills: /^(key\s+|technical\s+|core\s+)?(skills|competencies|expertise|technologies)\b/i
+};
+
+const SECTION_LABELS = {
+  contact: 'Contact details (email or phone)',
+  summary: 'Professional summary',
+  experience: 'Work experience',
+  education: 'Education',
+  skills: 'Skills'
+};
+
+// Lowercase words, keeping tech tokens such as c++, c#, node.js and .net intact
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[a-z0-9][a-z0-9+#.-]*[a-z0-9+#]|[a-z0-9]|\.net\b/g) || [];
+}
+
+// Phrases never span punctuation or line breaks
+function segments(text) {
+  return String(text).split(/[,;:!?()[\]\n•|/]|\.(?:\s|$)/).map(tokenize).filter(tokens => tokens.length > 0);
+}
+
+// Naive stemming so "developers"/"developer" and "managing"/"managed" line up
+function stem(token) {
+  if (token.length <= 4 || /[^a-z]/.test(token)) return token;
+  return token
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|es|s)$/, '')
+    .replace(/(.)\1$/, '$1');
+}
+
+function isKeywordToken(token) {
+  return !STOPWORDS.has(token) && /[a-z]/.test(token) && token.length > 1;
+}
+
+// Pull the most frequent terms and two-word phrases out of a job description
+export function extractKeywords(jobDescription, limit = MAX_KEYWORDS) {
+  const terms = new Map();
+
+  const count = (key, display, weight) => {
+    const entry = terms.get(key) || { keyword: display, count: 0, weight };
+    entry.count++;
+    terms.set(key, entry);
+  };
+
+  for (const tokens of segments(jobDescription)) {
+    tokens.forEach((token, index) => {
+      if (!isKeywordToken(token)) return;
+      count(stem(token), token, 1);
+
+      const next = tokens[index + 1];
+      if (next && isKeywordToken(next)) {
+        count(`${stem(token)} ${stem(next)}`, `${token} ${next}`, 2);
+      }
+    });
+  }
+
+  // A phrase only counts when it repeats; it then replaces its words if they never appear apart from it
+  const phrases = [...terms.entries()].filter(([key, entry]) => key.includes(' ') && entry.count >= 2);
+  const ranked = [...terms.entries()].filter(([key]) => !key.includes(' '));
+
+  for (const [key, entry] of phrases) {
+    ranked.push([key, entry]);
+    for (const part of key.split(' ')) {
+      const single = terms.get(part);
+      if (single && single.count <= entry.count) {
+        single.count = 0;
+      }
+    }
+  }
+
+  return ranked
+    .filter(([, entry]) => entry.count > 0)
+    .sort((a, b) => b[1].count * b[1].weight - a[1].count * a[1].weight || a[1].keyword.localeCompare(b[1].keyword))
+    .slice(0, limit)
+    .map(([key, entry]) => ({ keyword: entry.keyword, key, count: entry.count }));
+}
+
+// Helper function to find which sections a plain-text resume has from its headings
+function detectTextSections(text) {
+  const found = new Set();
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim().replace(/[:\-–—=_*#]+$/, '').replace(/^[#*=\-\s]+/, '');
+    if (!trimmed || trimmed.length > 40) continue;
+    for (const [section, pattern] of Object.entries(SECTION_PATTERNS)) {
+      if (pattern.test(trimmed)) found.add(section);
+    }
+  }
+  return found;
+}
+
+function hasContact(text) {
+  return /[^\s@]+@[^\s@]+\.[^\s@]+/.test(text) || /\+?\d[\d\s().-]{7,}\d/.test(text);
+}
+
+// Helper function to check section coverage for either input shape
+function sectionCoverage(resume, text) {
+  let present;
+
+  if (typeof resume === 'string') {
+    present = detectTextSections(text);
+    if (hasContact(text)) present.add('contact');
+  } else {
+    present = new Set();
+    if (resume.basics.email || resume.basics.phone) present.add('contact');
+    if (resume.basics.summary) present.add('summary');
+    if (resume.work.length > 0) present.add('experience');
+    if (resume.education.length > 0) present.add('education');
+    if (resume.skills.some(group => group.keywords.length > 0 || group.name)) present.add('skills');
+  }
+
+  return Object.entries(SECTION_LABELS).map(([section, label]) => ({ section, label, present: present.has(section) }));
+}
+
+// Helper function to list things that commonly trip up ATS parsers or recruiters
+function formattingFlags(resume, text) {
+  const flags = [];
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const lines = text.split('\n');
+
+  if (words < 150) {
+    flags.push({ code: 'too_short', message: `Only ${words} words; most resumes that pass screening have 300-800` });
+  } else if (words > 1000) {
+    flags.push({ code: 'too_long', message: `${words} words; keep it to one or two pages (about 1000 words)` });
+  }
+
+  if (!/[^\s@]+@[^\s@]+\.[^\s@]+/.test(text)) {
+    flags.push({ code: 'no_email', message: 'No email address found' });
+  }
+
+  if (lines.filter(line => (line.match(/\|/g) || []).length >= 3 || line.includes('\t')).length >= 2) {
+    flags.push({ code: 'tables', message: 'Looks like tables or tab-aligned columns, which many ATS parsers read out of order' });
+  }
+
+  if (/[★☆►▶➔➤✓✔\u{1F300}-\u{1FAFF}]/u.test(text)) {
+    flags.push({ code: 'special_characters', message: 'Decorative symbols or emoji; use plain "-" or "•" bullets' });
+  }
+
+  if (/(^|[.!?]\s+|\n\s*[-•*]?\s*)(i|my|me)\s/i.test(text)) {
+    flags.push({ code: 'first_person', message: 'Uses first person ("I", "my"); resumes usually leave the pronoun out' });
+  }
+
+  if (lines.some(line => line.length > 400)) {
+    flags.push({ code: 'long_paragraphs', message: 'Very long paragraphs; break experience into short bullet points' });
+  }
+
+  if (typeof resume === 'string') {
+    if (!/\b(19|20)\d{2}\b/.test(text)) {
+      flags.push({ code: 'no_dates', message: 'No years found; list start and end dates for each role' });
+    }
+  } else {
+    const undated = resume.work.filter(job => !job.startDate && !job.endDate).length;
+    if (undated > 0) {
+      flags.push({ code: 'no_dates', message: `${undated} work entr${undated === 1 ? 'y has' : 'ies have'} no dates` });
+    }
+    const untitled = resume.work.filter(job => !job.position).length;
+    if (untitled > 0) {
+      flags.push({ code: 'no_position', message: `${untitled} work entr${untitled === 1 ? 'y has' : 'ies have'} no job title` });
+    }
+  }
+
+  return flags;
+}
+
+// Score a resume (plain text, or a validated resume structure) against a job description
+export function scoreResume(resume, jobDescription) {
+  const text = typeof resume === 'string' ? resume : resumeToText(resume);
+  const resumeTerms = new Set();
+  for (const tokens of segments(text)) {
+    const stems = tokens.map(stem);
+    stems.forEach((token, index) => {
+      resumeTerms.add(token);
+      if (stems[index + 1]) resumeTerms.add(`${token} ${stems[index + 1]}`);
+    });
+  }
+
+  const keywords = extractKeywords(jobDescription);
+  const matched = keywords.filter(entry => resumeTerms.has(entry.key));
+  const missing = keywords.filter(entry => !resumeTerms.has(entry.key));
+
+  // Keywords that appear more often in the posting count for more
+  const totalWeight = keywords.reduce((sum, entry) => sum + entry.count, 0);
+  const matchedWeight = matched.reduce((sum, entry) => sum + entry.count, 0);
+  const keywordScore = totalWeight > 0 ? matchedWeight / totalWeight : 0;
+
+  const sections = sectionCoverage(resume, text);
+  const sectionScore = sections.filter(section => section.present).length / sections.length;
+
+  const flags = formattingFlags(resume, text);
+  const formattingScore = Math.max(0, 1 - flags.length * 0.25);
+
+  const breakdown = {
+    keywords: Math.round(keywordScore * WEIGHTS.keywords),
+    sections: Math.round(sectionScore * WEIGHTS.sections),
+    formatting: Math.round(formattingScore * WEIGHTS.formatting)
+  };
+
+  return {
+    score: breakdown.keywords + breakdown.sections + breakdown.formatting,
+    breakdown,
+    weights: WEIGHTS,
+    keywords: {
+      total: keywords.length,
+      matched: matched.map(entry => ({ keyword: entry.keyword, count: entry.count })),
+      missing: missing.map(entry => ({ keyword: entry.keyword, count: entry.count }))
+    },
+    sections,
+    formatting: flags
+  };
+}
@@ -0,0 +1,118 @@
+import { createHash } from 'crypto';
+
+// Time to live per call type in milliseconds. Override any of them with the
+// CACHE_TTLS env variable, e.g. CACHE_TTLS='{"generation":60000}'
+export const CACHE_TTLS = {
+  // Sampled generations (temperature > 0): short, so "generate again" still varies soon
+  generation: 5 * 60 * 1000,
+  // Deterministic generations (temperature 0) always give the same answer
+  deterministic: 7 * 24 * 60 * 60 * 1000,
+  reddit: 5 * 60 * 1000,
+  news: 15 * 60 * 1000,
+  feeds: 15 * 60 * 1000,
+  // Which communities exist for a topic changes slowly
+  subreddits: 24 * 60 * 60 * 1000,
+  ...loadTtlOverrides()
+};
+
+function loadTtlOverrides() {
+  if (!process.env.CACHE_TTLS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.CACHE_TTLS);
+  } catch (error) {
+    console.error('Ignoring CACHE_TTLS, it is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+// Stable key for any JSON-serializable call arguments
+export function cacheKey(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Whether the client allows a cached answer (`cache: false` or Cache-Control: no-cache opt out)
+export function cacheAllowed(req) {
+  if (req.body?.cache === false || req.query?.cache === 'false') {
+    return false;
+  }
+  return !/no-cache|no-store/i.test(req.get('Cache-Control') || '');
+}
+
+// Helper function to create an in-memory LRU cache with per-entry TTLs
+export function createCache(maxEntries = 500) {
+  const entries = new Map();
+  const inFlight = new Map();
+
+  const cache = {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Re-insert so the most recently used entries are evicted last
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    // Return the cached value or run the loader once, even for concurrent callers.
+    // Resolves with { value, status } where status is HIT, MISS or BYPASS.
+    async wrap(key, ttlMs, loader, { bypass = false, shouldCache = () => true } = {}) {
+      if (!bypass) {
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+          return { value: cached, status: 'HIT' };
+        }
+        if (inFlight.has(key)) {
+          return { value: await inFlight.get(key), status: 'HIT' };
+        }
+      }
+
+      const pending = (async () => {
+        const value = await loader();
+        if (shouldCache(value)) {
+          cache.set(key, value, ttlMs);
+        }
+        return value;
+      })();
+
+      inFlight.set(key, pending);
+      try {
+        return { value: await pending, status: bypass ? 'BYPASS' : 'MISS' };
+      } finally {
+        if (inFlight.get(key) === pending) {
+          inFlight.delete(key);
+        }
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+
+  return cache;
+}
+
+// Shared cache for upstream AI and trend responses
+export const responseCache = createCache(Number(process.env.CACHE_MAX_ENTRIES) || 500);
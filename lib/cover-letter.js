@@ -0,0 +1,54 @@
+export const COVER_LETTER_TONES = ['professional', 'enthusiastic', 'confident', 'friendly', 'formal', 'conversational'];
+
+// Word ranges per length option; maxWords can tighten or widen the upper bound
+export const COVER_LETTER_LENGTHS = {
+  short: { min: 150, max: 250 },
+  medium: { min: 250, max: 350 },
+  long: { min: 350, max: 500 }
+};
+
+export const MIN_WORDS_LIMIT = 80;
+export const MAX_WORDS_LIMIT = 1000;
+
+// Job descriptions are trimmed to this many characters in the prompt
+const MAX_JOB_DESCRIPTION_PROMPT = 4000;
+
+export function countWords(text) {
+  return String(text).split(/\s+/).filter(Boolean).length;
+}
+
+export function buildCoverLetterPrompt({ name, jobTitle, experience, skills, company, role, jobDescription, hiringManager, tone, minWords, maxWords }) {
+  const description = jobDescription ? jobDescription.trim().slice(0, MAX_JOB_DESCRIPTION_PROMPT) : '';
+
+  return `Write a ${tone} cover letter from ${name} applying for the ${role} position at ${company}. ` +
+    `${jobTitle ? `Current title: ${jobTitle}. ` : ''}${experience ? `Experience: ${experience}. ` : ''}${skills ? `Skills: ${skills}. ` : ''}` +
+    `${description ? `Job description: ${description}. ` : ''}` +
+    `Address it to ${hiringManager || 'the Hiring Manager'}. Keep it between ${minWords} and ${maxWords} words. ` +
+    'Refer only to the experience and skills listed above and connect them to the job; do not invent achievements, numbers or employers. ' +
+    `Output only the letter, starting with the greeting and ending with the sign-off and ${name}.`;
+}
+
+// Helper function to cut a letter to maxWords at a sentence boundary, keeping a sign-off
+export function enforceWordLimit(text, maxWords, name) {
+  if (countWords(text) <= maxWords) {
+    return { content: text, truncated: false };
+  }
+
+  const closing = `\n\nSincerely,\n${name}`;
+  const budget = maxWords - countWords(closing);
+  let wordsSeen = 0;
+  let cut = 0;
+
+  // Walk sentence by sentence until the next one would pass the budget
+  for (const match of text.matchAll(/[^.!?]+[.!?]+["')\]]*\s*/g)) {
+    wordsSeen += countWords(match[0]);
+    if (wordsSeen > budget) break;
+    cut = match.index + match[0].length;
+  }
+
+  const body = cut > 0
+    ? text.slice(0, cut).trim()
+    : text.split(/\s+/).slice(0, budget).join(' ') + '…';
+
+  return { content: body + closing, truncated: true };
+}
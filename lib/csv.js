@@ -0,0 +1,60 @@
+// CSV reading and writing shared by the lead list exports and the bulk email batches
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, commas and newlines inside quotes).
+// Returns an array of rows, each an array of strings; blank lines are skipped.
+export function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Quote every cell; prefix formula-like values so spreadsheets don't execute them
+// (phone numbers such as +14155550100 are left alone)
+export function csvCell(value) {
+  const text = String(value ?? '');
+  const formula = /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+  const safe = formula ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+// Build CSV text from rows of cells (first row is the header)
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
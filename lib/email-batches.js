@@ -0,0 +1,269 @@
+import { EventEmitter } from 'events';
+import { openCollection } from './store.js';
+import { parseCsv, toCsv } from './csv.js';
+
+export const BATCH_EXPORT_FORMATS = ['csv', 'json'];
+export const MAX_BATCH_ROWS = Number(process.env.EMAIL_BATCH_MAX_ROWS) || 200;
+export const MAX_BATCH_CONCURRENCY = 10;
+export const DEFAULT_BATCH_CONCURRENCY = Math.min(Math.max(Number(process.env.EMAIL_BATCH_CONCURRENCY) || 3, 1), MAX_BATCH_CONCURRENCY);
+
+// Finished batches kept per owner before the oldest are dropped
+const MAX_BATCHES_PER_OWNER = 50;
+
+// Column headers accepted for the two standard fields (compared lowercased, without spaces, _ or -)
+const COLUMN_ALIASES = {
+  recipientName: ['recipientname', 'name', 'fullname', 'contactname', 'contact'],
+  recipientCompany: ['recipientcompany', 'company', 'companyname', 'organization', 'organisation']
+};
+
+const batches = openCollection('email-batches');
+
+// Row updates for clients following a batch's progress
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+// A batch still running when the process stopped can't be resumed; fail what didn't finish
+for (const batch of batches.filter(entry => entry.status === 'running')) {
+  batches.update(batch.id, existing => finishBatch({
+    ...existing,
+    rows: existing.rows.map(row => row.status === 'pending'
+      ? { ...row, status: 'error', error: 'Interrupted by a server restart' }
+      : row)
+  }, 'interrupted'));
+}
+
+function columnKey(header) {
+  return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+// Helper function to turn a custom column header into a merge field name ("Last Purchase" -> lastPurchase)
+function fieldName(header) {
+  const words = header.trim().replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  if (words.length === 0 || !/^[A-Za-z]/.test(words[0])) return null;
+  return words.map((word, index) => index === 0 ? word[0].toLowerCase() + word.slice(1) : word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function summarize(batch) {
+  const done = batch.rows.filter(row => row.status === 'done').length;
+  const failed = batch.rows.filter(row => row.status === 'error').length;
+  return { total: batch.rows.length, completed: done + failed, succeeded: done, failed };
+}
+
+function finishBatch(batch, status) {
+  return { ...batch, ...summarize(batch), status, finishedAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+}
+
+function toPublicBatch(batch, { includeRows = true } = {}) {
+  const { owner, rows, ...fields } = batch;
+  const summary = summarize(batch);
+  return {
+    ...fields,
+    ...summary,
+    progress: summary.total > 0 ? Math.round((summary.completed / summary.total) * 100) : 100,
+    ...(includeRows ? { rows } : {})
+  };
+}
+
+// Read recipients from CSV text. The header row needs a recipientName (or name) column;
+// recipientCompany (or company) is optional and every other column becomes a custom field.
+export function parseRecipients(csv) {
+  if (typeof csv !== 'string' || csv.trim().length === 0) {
+    return { error: 'CSV is required' };
+  }
+
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    return { error: 'CSV needs a header row and at least one recipient' };
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  const keys = headers.map(columnKey);
+  const nameIndex = keys.findIndex(key => COLUMN_ALIASES.recipientName.includes(key));
+  const companyIndex = keys.findIndex(key => COLUMN_ALIASES.recipientCompany.includes(key));
+
+  if (nameIndex === -1) {
+    return { error: 'CSV must have a recipientName column', details: `Found columns: ${headers.join(', ')}` };
+  }
+
+  const customColumns = headers
+    .map((header, index) => ({ index, field: fieldName(header) }))
+    .filter(column => column.field && column.index !== nameIndex && column.index !== companyIndex);
+
+  return {
+    recipients: rows.slice(1).map(cells => ({
+      recipientName: (cells[nameIndex] || '').trim(),
+      recipientCompany: companyIndex === -1 ? '' : (cells[companyIndex] || '').trim(),
+      fields: Object.fromEntries(customColumns
+        .map(column => [column.field, (cells[column.index] || '').trim()])
+        .filter(([, value]) => value !== ''))
+    }))
+  };
+}
+
+// Same shape from a JSON array of { recipientName, recipientCompany, ...customFields }
+export function normalizeRecipients(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'recipients must be a non-empty array' };
+  }
+
+  if (list.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    return { error: 'Each recipient must be an object such as { "recipientName": "Sarah", "recipientCompany": "Acme" }' };
+  }
+
+  return {
+    recipients: list.map(({ recipientName, recipientCompany, ...fields }) => ({
+      recipientName: typeof recipientName === 'string' ? recipientName.trim() : '',
+      recipientCompany: typeof recipientCompany === 'string' ? recipientCompany.trim() : '',
+      fields: Object.fromEntries(Object.entries(fields)
+        .filter(([key, value]) => fieldName(key) && ['string', 'number'].includes(typeof value) && String(value).trim() !== '')
+        .map(([key, value]) => [fieldName(key), String(value).trim().slice(0, 500)]))
+    }))
+  };
+}
+
+export function createBatch(owner, { recipients, options }) {
+  const now = new Date().toISOString();
+  const batch = batches.insert({
+    owner,
+    status: 'running',
+    options,
+    customFields: [...new Set(recipients.flatMap(recipient => Object.keys(recipient.fields)))],
+    rows: recipients.map((recipient, index) => ({
+      row: index + 1,
+      ...recipient,
+      status: 'pending',
+      subject: null,
+      body: null,
+      error: null
+    })),
+    total: recipients.length,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  });
+
+  const owned = batches.filter(entry => entry.owner === owner && entry.status !== 'running');
+  if (owned.length > MAX_BATCHES_PER_OWNER) {
+    owned
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, owned.length - MAX_BATCHES_PER_OWNER)
+      .forEach(entry => batches.remove(entry.id));
+  }
+
+  return toPublicBatch(batch, { includeRows: false });
+}
+
+// Generate every row with at most `concurrency` calls in flight. `generate(row)` returns
+// { subject, body } or { error, details }; a failing row never stops the others.
+export async function runBatch(id, generate, concurrency = DEFAULT_BATCH_CONCURRENCY) {
+  const pending = batches.get(id).rows.filter(row => row.status === 'pending').map(row => row.row);
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const rowNumber = pending.shift();
+      const row = batches.get(id)?.rows[rowNumber - 1];
+      if (!row) return;
+
+      let outcome;
+      try {
+        const generated = await generate(row);
+        outcome = generated.error
+          ? { status: 'error', error: generated.details ? `${generated.error}: ${generated.details}` : generated.error }
+          : { status: 'done', subject: generated.subject, body: generated.body, error: null };
+      } catch (error) {
+        outcome = { status: 'error', error: error.message };
+      }
+
+      const updated = batches.update(id, batch => {
+        const rows = batch.rows.map(entry => entry.row === rowNumber ? { ...entry, ...outcome } : entry);
+        return { ...batch, rows, ...summarize({ rows }), updatedAt: new Date().toISOString() };
+      });
+      if (updated) {
+        progressEvents.emit(id, { type: 'progress', row: updated.rows[rowNumber - 1], ...toPublicBatch(updated, { includeRows: false }) });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+  const finished = batches.update(id, batch => finishBatch(batch, 'completed'));
+  if (finished) {
+    progressEvents.emit(id, { type: 'done', ...toPublicBatch(finished, { includeRows: false }) });
+  }
+}
+
+// Subscribe to a batch's progress; returns an unsubscribe function
+export function onBatchProgress(id, listener) {
+  progressEvents.on(id, listener);
+  return () => progressEvents.off(id, listener);
+}
+
+// The owner's batch that is still generating, if any; an owner runs one batch at a time
+export function runningBatch(owner) {
+  const batch = batches.find(entry => entry.owner === owner && entry.status === 'running');
+  return batch ? toPublicBatch(batch, { includeRows: false }) : null;
+}
+
+export function listBatches(owner) {
+  return batches
+    .filter(batch => batch.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(batch => toPublicBatch(batch, { includeRows: false }));
+}
+
+export function getBatch(owner, id) {
+  const batch = batches.get(id);
+  return batch && owner && batch.owner === owner ? toPublicBatch(batch) : null;
+}
+
+export function deleteBatch(owner, id) {
+  const batch = batches.get(id);
+  if (!batch || !owner || batch.owner !== owner) {
+    return { status: 404, error: 'Batch not found' };
+  }
+  if (batch.status === 'running') {
+    return { status: 409, error: 'Batch is still running' };
+  }
+
+  batches.remove(id);
+  return { success: true };
+}
+
+// Subject and body per recipient, with per-row status and error. Returns { contentType, extension, body }.
+export function exportBatch(batch, format) {
+  if (format === 'json') {
+    return {
+      contentType: 'application/json; charset=utf-8',
+      extension: 'json',
+      body: JSON.stringify(batch.rows.map(row => ({
+        row: row.row,
+        recipientName: row.recipientName,
+        recipientCompany: row.recipientCompany,
+        ...row.fields,
+        status: row.status,
+        subject: row.subject,
+        body: row.body,
+        error: row.error
+      })), null, 2)
+    };
+  }
+
+  const headers = ['row', 'recipientName', 'recipientCompany', ...batch.customFields, 'status', 'subject', 'body', 'error'];
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    body: toCsv([
+      headers,
+      ...batch.rows.map(row => [
+        row.row,
+        row.recipientName,
+        row.recipientCompany,
+        ...batch.customFields.map(field => row.fields[field] ?? ''),
+        row.status,
+        row.subject ?? '',
+        row.body ?? '',
+        row.error ?? ''
+      ])
+    ])
+  };
+}
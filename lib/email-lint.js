@@ -0,0 +1,239 @@
+import { parseEmailStep } from './email-sequences.js';
+
+// Category weights (out of 100); each finding takes its severity's penalty off its category
+const WEIGHTS = { spam: 30, subject: 15, links: 15, personalization: 15, readability: 15, optOut: 10 };
+const PENALTIES = { error: 10, warning: 5, info: 2 };
+
+// Phrases spam filters and recipients commonly associate with bulk marketing
+const SPAM_PHRASES = [
+  '100% free', 'act now', 'act fast', 'apply now', 'as seen on', 'best price', 'buy now', 'call now', 'cash bonus',
+  'cheap', 'click below', 'click here', 'congratulations', 'dear friend', 'double your', 'earn money', 'exclusive deal',
+  'extra income', 'free gift', 'free trial', 'guaranteed', 'incredible deal', 'increase sales', 'limited time', 'lowest price',
+  'make money', 'miracle', 'no catch', 'no cost', 'no obligation', 'once in a lifetime', 'order now', 'risk-free', 'risk free',
+  'save big', 'special promotion', 'this is not spam', "this isn't spam", 'urgent', 'winner', 'you have been selected',
+  "don't miss out", 'what are you waiting for', 'instant access', 'amazing offer'
+];
+
+const SPAM_PATTERN = new RegExp(`\\b(${SPAM_PHRASES.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'gi');
+
+// Wording that lets a cold email recipient say no or stop further emails
+const OPT_OUT_PATTERN = /unsubscribe|opt[\s-]?out|not (?:interested|the right (?:person|time))|(?:reply|respond) (?:with )?["']?(?:stop|no|remove)|(?:won't|will not|stop) (?:reach(?:ing)? out|follow(?:ing)? up|email(?:ing)? you)|remove you from|rather not hear|let me know if (?:this|it) isn't (?:a fit|relevant)/i;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')\]]+|\bwww\.[^\s<>"')\]]+/gi;
+const IMAGE_PATTERN = /<img\b[^>]*>|!\[[^\]]*\]\([^)]*\)/gi;
+const SHORTENER_PATTERN = /\b(?:bit\.ly|tinyurl\.com|goo\.gl|t\.co|ow\.ly|is\.gd|buff\.ly|rebrand\.ly)\//i;
+
+const MAX_SUBJECT_CHARACTERS = 60;
+const MAX_SUBJECT_WORDS = 9;
+const MAX_BODY_WORDS = 200;
+const MAX_LINKS = 2;
+const MAX_READING_GRADE = 10;
+
+// Helper function to turn a character offset into a 1-based line and column
+function locate(text, index, length, field) {
+  const before = text.slice(0, index).split('\n');
+  return {
+    field,
+    line: before.length,
+    column: before[before.length - 1].length + 1,
+    start: index,
+    end: index + length,
+    text: text.slice(index, index + length)
+  };
+}
+
+function finding(category, severity, code, message, location = null) {
+  return { category, severity, code, message, location };
+}
+
+function words(text) {
+  return String(text).match(/[A-Za-z][A-Za-z'’-]*/g) || [];
+}
+
+// Rough syllable count: vowel groups, minus a silent trailing e
+function syllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+// Flesch-Kincaid grade and reading ease of the prose (links, tags and merge fields removed)
+export function readingLevel(text) {
+  const prose = String(text).replace(URL_PATTERN, ' ').replace(/<[^<>]+>/g, ' ').replace(/\{\{[^{}]*\}\}/g, 'name');
+  const wordList = words(prose);
+  const sentences = Math.max(1, (prose.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || []).filter(sentence => words(sentence).length > 0).length);
+
+  if (wordList.length === 0) {
+    return { grade: 0, readingEase: 100, words: 0, sentences: 0, wordsPerSentence: 0 };
+  }
+
+  const syllableCount = wordList.reduce((sum, word) => sum + syllables(word), 0);
+  const wordsPerSentence = wordList.length / sentences;
+  const syllablesPerWord = syllableCount / wordList.length;
+
+  return {
+    grade: Math.max(0, Math.round((0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59) * 10) / 10),
+    readingEase: Math.round((206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord) * 10) / 10,
+    words: wordList.length,
+    sentences,
+    wordsPerSentence: Math.round(wordsPerSentence * 10) / 10
+  };
+}
+
+// Helper function to find spam phrases, shouting and exclamation runs in one field
+function spamFindings(text, field) {
+  const found = [];
+
+  for (const match of text.matchAll(SPAM_PATTERN)) {
+    found.push(finding('spam', 'warning', 'spam_phrase', `"${match[0]}" is a common spam-filter trigger`, locate(text, match.index, match[0].length, field)));
+  }
+
+  for (const match of text.matchAll(/\b[A-Z]{4,}\b/g)) {
+    found.push(finding('spam', 'info', 'all_caps', `"${match[0]}" is in all caps, which reads as shouting`, locate(text, match.index, match[0].length, field)));
+  }
+
+  for (const match of text.matchAll(/!{2,}|\?{2,}|\${2,}/g)) {
+    found.push(finding('spam', 'warning', 'punctuation', `"${match[0]}" repeated punctuation looks like spam`, locate(text, match.index, match[0].length, field)));
+  }
+
+  return found;
+}
+
+// Lint one email. `email` is { subject, body } or { content } ("Subject: ..." then the body);
+// `recipient` gives the name, company and custom field values that count as personalization.
+export function lintEmail(email, recipient = {}) {
+  const { subject, body } = email.content !== undefined
+    ? parseEmailStep(email.content)
+    : { subject: String(email.subject || '').trim(), body: String(email.body || '').trim() };
+  const findings = [];
+
+  // Spam triggers, in both the subject and the body
+  findings.push(...spamFindings(subject, 'subject'), ...spamFindings(body, 'body'));
+
+  const exclamations = [...body.matchAll(/!/g)];
+  if (exclamations.length > 2) {
+    findings.push(finding('spam', 'info', 'exclamation_marks', `${exclamations.length} exclamation marks; keep it to one at most`, locate(body, exclamations[2].index, 1, 'body')));
+  }
+
+  // Subject line
+  const subjectWords = subject.split(/\s+/).filter(Boolean).length;
+  if (!subject) {
+    findings.push(finding('subject', 'error', 'no_subject', 'No subject line found (expected a first line like "Subject: ...")'));
+  } else {
+    if (subject.length > MAX_SUBJECT_CHARACTERS || subjectWords > MAX_SUBJECT_WORDS) {
+      findings.push(finding('subject', 'warning', 'subject_too_long', `Subject is ${subject.length} characters and ${subjectWords} words; keep it under ${MAX_SUBJECT_CHARACTERS} characters and ${MAX_SUBJECT_WORDS} words so it isn't cut off`, locate(subject, 0, subject.length, 'subject')));
+    } else if (subjectWords < 2) {
+      findings.push(finding('subject', 'info', 'subject_too_short', 'One-word subjects give the recipient no reason to open', locate(subject, 0, subject.length, 'subject')));
+    }
+
+    const fakeReply = subject.match(/^(re|fwd?)\s*:/i);
+    if (fakeReply) {
+      findings.push(finding('subject', 'error', 'fake_reply', `"${fakeReply[0]}" on a first email pretends to be part of a thread`, locate(subject, 0, fakeReply[0].length, 'subject')));
+    }
+  }
+
+  // Links and images
+  const links = [...body.matchAll(URL_PATTERN)];
+  const images = [...body.matchAll(IMAGE_PATTERN)];
+
+  if (links.length > MAX_LINKS) {
+    const extra = links[MAX_LINKS];
+    findings.push(finding('links', 'warning', 'too_many_links', `${links.length} links; cold emails with more than ${MAX_LINKS} are often filtered`, locate(body, extra.index, extra[0].length, 'body')));
+  }
+
+  for (const link of links.filter(match => SHORTENER_PATTERN.test(match[0]))) {
+    findings.push(finding('links', 'error', 'link_shortener', 'Link shorteners hide the destination and are widely blocklisted', locate(body, link.index, link[0].length, 'body')));
+  }
+
+  for (const image of images) {
+    findings.push(finding('links', 'warning', 'image', 'Images in a first cold email lower deliverability; send plain text', locate(body, image.index, image[0].length, 'body')));
+  }
+
+  // Personalization: recipient details or merge fields, per 100 words of body
+  const bodyWords = words(body).length;
+  const values = [recipient.recipientName, recipient.recipientCompany, ...Object.values(recipient.fields || {})]
+    .filter(value => typeof value === 'string' && value.trim().length > 1)
+    .flatMap(value => [value.trim(), value.trim().split(/\s+/)[0]]);
+  const personalTerms = [...new Set(values)].map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const personalPattern = new RegExp(`\\{\\{[A-Za-z][A-Za-z0-9_]*\\}\\}${personalTerms.length > 0 ? `|\\b(?:${personalTerms.join('|')})\\b` : ''}`, 'gi');
+  const mentions = `${subject}\n${body}`.match(personalPattern)?.length || 0;
+  const density = bodyWords > 0 ? Math.round((mentions / bodyWords) * 1000) / 10 : 0;
+
+  if (mentions === 0) {
+    findings.push(finding('personalization', 'error', 'no_personalization', 'Nothing in the email mentions the recipient or their company'));
+  } else if (density < 1) {
+    findings.push(finding('personalization', 'warning', 'low_personalization', `Only ${mentions} personal reference${mentions === 1 ? '' : 's'} in ${bodyWords} words; mention the recipient's name, company or situation more`));
+  }
+
+  const you = (body.match(/\b(you|your|you're|yours)\b/gi) || []).length;
+  const self = (body.match(/\b(i|we|our|us|my|me)\b/gi) || []).length;
+  if (self > you * 2 && self >= 4) {
+    findings.push(finding('personalization', 'info', 'self_focused', `Talks about the sender ${self} times and the recipient ${you}; lead with their needs`));
+  }
+
+  // Length and reading level
+  const level = readingLevel(body);
+  if (bodyWords > MAX_BODY_WORDS) {
+    findings.push(finding('readability', 'warning', 'too_long', `${bodyWords} words; cold emails under ${MAX_BODY_WORDS} words get more replies`));
+  }
+
+  if (level.grade > MAX_READING_GRADE) {
+    findings.push(finding('readability', 'warning', 'reading_level', `Reading level is grade ${level.grade}; aim for grade ${MAX_READING_GRADE - 2}-${MAX_READING_GRADE} with shorter sentences and plainer words`));
+  }
+
+  let offset = 0;
+  for (const paragraph of body.split(/\n\s*\n/)) {
+    if (words(paragraph).length > 80) {
+      findings.push(finding('readability', 'info', 'long_paragraph', 'Paragraph over 80 words; split it so it scans on a phone', locate(body, body.indexOf(paragraph, offset), paragraph.length, 'body')));
+    }
+    offset = body.indexOf(paragraph, offset) + paragraph.length;
+  }
+
+  // Opt-out language
+  const hasOptOut = OPT_OUT_PATTERN.test(body);
+  if (!hasOptOut) {
+    findings.push(finding('optOut', 'warning', 'missing_opt_out', 'No way to opt out; add a line such as "If this isn\'t relevant, just reply and I won\'t follow up"'));
+  }
+
+  const breakdown = Object.fromEntries(Object.entries(WEIGHTS).map(([category, weight]) => {
+    const penalty = findings
+      .filter(entry => entry.category === category)
+      .reduce((sum, entry) => sum + PENALTIES[entry.severity], 0);
+    return [category, Math.max(0, weight - penalty)];
+  }));
+
+  const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+  return {
+    score,
+    rating: score >= 85 ? 'good' : score >= 65 ? 'fair' : 'poor',
+    breakdown,
+    weights: WEIGHTS,
+    metrics: {
+      subjectCharacters: subject.length,
+      subjectWords,
+      bodyWords,
+      links: links.length,
+      images: images.length,
+      personalization: { mentions, per100Words: density },
+      readingLevel: level,
+      hasOptOut
+    },
+    findings,
+    subject,
+    body
+  };
+}
+
+// Prompt asking the model to fix the findings while keeping the message
+export function buildRewritePrompt({ subject, body }, findings) {
+  const issues = findings.map(entry => `- ${entry.message}${entry.location ? ` (${entry.location.field}: "${entry.location.text.slice(0, 60)}")` : ''}`).join('\n');
+
+  return 'Rewrite this cold email so it passes spam filters and reads well, fixing these issues:\n' +
+    `${issues}\n\n` +
+    'Keep the same offer, call to action and any {{mergeFields}} exactly as written. Do not add links, images or new claims. ' +
+    `Keep the subject under ${MAX_SUBJECT_CHARACTERS} characters and the body under ${MAX_BODY_WORDS - 50} words.\n\n` +
+    `Subject: ${subject}\n\n${body}\n\n` +
+    'Format: the first line is "Subject: <subject>", then a blank line, then the body.';
+}
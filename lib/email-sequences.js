@@ -0,0 +1,140 @@
+import { renderTemplate } from './templates.js';
+
+export const MIN_FOLLOW_UPS = 2;
+export const MAX_FOLLOW_UPS = 4;
+export const DEFAULT_FOLLOW_UPS = 3;
+
+// Send day for each step (initial email on day 0), used when dayOffsets isn't given
+export const DEFAULT_DAY_OFFSETS = [0, 3, 7, 14, 21];
+export const MAX_DAY_OFFSET = 365;
+
+export const DEFAULT_MERGE_FIELDS = ['firstName', 'company'];
+
+// A different angle per step so follow-ups don't repeat the first email
+export const SEQUENCE_ANGLES = [
+  { id: 'introduction', instruction: 'Introduce yourself and the offer, and make one clear ask.' },
+  { id: 'value', instruction: 'Bump the thread briefly and add one concrete benefit that was not in the first email.' },
+  { id: 'social-proof', instruction: 'Share a short example of how a similar company got results; keep it believable and without invented numbers.' },
+  { id: 'objection', instruction: 'Address the most likely reason they have not replied (timing, budget or relevance) and lower the ask.' },
+  { id: 'breakup', instruction: 'Write a short, polite last note saying you will stop following up, leaving the door open.' }
+];
+
+const MERGE_FIELD_NAME = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+// Check follow-up count, day offsets and merge field names. Returns { followUps, dayOffsets, mergeFields } or { error, details }.
+export function validateSequenceOptions({ followUps = DEFAULT_FOLLOW_UPS, dayOffsets, mergeFields = DEFAULT_MERGE_FIELDS }) {
+  if (!Number.isInteger(followUps) || followUps < MIN_FOLLOW_UPS || followUps > MAX_FOLLOW_UPS) {
+    return { error: `followUps must be an integer between ${MIN_FOLLOW_UPS} and ${MAX_FOLLOW_UPS}` };
+  }
+
+  const steps = followUps + 1;
+  const offsets = dayOffsets === undefined ? DEFAULT_DAY_OFFSETS.slice(0, steps) : dayOffsets;
+
+  if (!Array.isArray(offsets) || offsets.length !== steps) {
+    return { error: 'Invalid dayOffsets', details: `Send ${steps} day offsets, one per email (initial email plus ${followUps} follow-ups)` };
+  }
+
+  if (offsets[0] !== 0 || offsets.some((day, index) => !Number.isInteger(day) || day > MAX_DAY_OFFSET || (index > 0 && day <= offsets[index - 1]))) {
+    return { error: 'Invalid dayOffsets', details: `Day offsets must start at 0 and increase, up to ${MAX_DAY_OFFSET} (e.g. [0, 3, 7, 14])` };
+  }
+
+  if (!Array.isArray(mergeFields) || mergeFields.length === 0 || mergeFields.length > 10 ||
+    mergeFields.some(field => typeof field !== 'string' || !MERGE_FIELD_NAME.test(field))) {
+    return { error: 'Invalid mergeFields', details: 'Send up to 10 field names such as ["firstName", "company"]' };
+  }
+
+  return { followUps, dayOffsets: offsets, mergeFields };
+}
+
+// Angles for a sequence: introduction first, the breakup note last, the rest in between
+export function sequenceAngles(followUps) {
+  const middle = SEQUENCE_ANGLES.slice(1, -1).slice(0, followUps - 1);
+  return [SEQUENCE_ANGLES[0], ...middle, SEQUENCE_ANGLES[SEQUENCE_ANGLES.length - 1]];
+}
+
+// Prompt for one step; earlier steps are included so the follow-up can refer back to them
+export function buildStepPrompt({ purpose, valueProposition, callToAction, senderName, senderCompany, audience }, { index, total, dayOffset, angle, mergeFields, previous }) {
+  const fields = mergeFields.map(field => `{{${field}}}`).join(', ');
+  const history = previous.length > 0
+    ? ` Earlier emails in this sequence:\n${previous.map(step => `Email ${step.step} (day ${step.dayOffset}) - Subject: ${step.subject}\n${step.body}`).join('\n\n')}\nRefer back to the earlier emails naturally and do not repeat their wording.`
+    : '';
+
+  return `Write email ${index + 1} of ${total} in a cold outreach sequence, sent on day ${dayOffset}. ` +
+    `Purpose: ${purpose}. ${valueProposition ? `Value proposition: ${valueProposition}. ` : ''}${callToAction ? `Call to action: ${callToAction}. ` : ''}` +
+    `${audience ? `Audience: ${audience}. ` : ''}${senderName ? `Sender: ${senderName}${senderCompany ? ` at ${senderCompany}` : ''}. ` : ''}` +
+    `${angle.instruction} Keep it under ${index === 0 ? 150 : 100} words. ` +
+    `Use the merge fields ${fields} exactly as written, with the double curly braces, wherever the recipient's details go; never replace them with real or sample names.` +
+    `${history}\nFormat: the first line is "Subject: <subject>", then a blank line, then the body.`;
+}
+
+// Helper function to turn variants a model may produce ({firstName}, [First Name], {{ first_name }}) into {{firstName}}
+export function normalizeMergeFields(text, mergeFields) {
+  let normalized = String(text);
+
+  for (const field of mergeFields) {
+    const words = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[\s_]+/).map(word => word.toLowerCase());
+    const loose = words.join('[\\s_-]*');
+    const variants = new RegExp(`\\{\\{\\s*${loose}\\s*\\}\\}|\\{\\s*${loose}\\s*\\}|\\[\\s*${loose}\\s*\\]|<\\s*${loose}\\s*>`, 'gi');
+    normalized = normalized.replace(variants, `{{${field}}}`);
+  }
+
+  return normalized;
+}
+
+// Merge fields used in a text, in order of first appearance
+export function findMergeFields(text) {
+  return [...new Set([...String(text).matchAll(/\{\{([A-Za-z][A-Za-z0-9_]*)\}\}/g)].map(match => match[1]))];
+}
+
+// Split "Subject: ...\n\nbody" into its parts; a missing subject line leaves subject empty
+export function parseEmailStep(text) {
+  const cleaned = String(text).replace(/^[\s\n]+|[\s\n]+$/g, '');
+  const match = cleaned.match(/^(?:\*\*)?subject(?:\s+line)?(?:\*\*)?\s*:\s*(.+)$/im);
+
+  if (!match) {
+    return { subject: '', body: cleaned };
+  }
+
+  const body = (cleaned.slice(0, match.index) + cleaned.slice(match.index + match[0].length)).replace(/^[\s\n]+|[\s\n]+$/g, '');
+  return { subject: match[1].replace(/\*\*/g, '').trim(), body };
+}
+
+// Render every step for one sample recipient; fields the recipient lacks stay as {{field}}
+export function renderSequencePreview(steps, recipient, startDate = new Date()) {
+  const start = new Date(startDate);
+
+  return steps.map(step => {
+    const sendDate = new Date(start);
+    sendDate.setUTCDate(sendDate.getUTCDate() + step.dayOffset);
+
+    const subject = renderTemplate(step.subject, recipient);
+    const body = renderTemplate(step.body, recipient);
+
+    return {
+      step: step.step,
+      dayOffset: step.dayOffset,
+      sendDate: sendDate.toISOString().slice(0, 10),
+      subject,
+      body,
+      unfilled: findMergeFields(`${subject}\n${body}`)
+    };
+  });
+}
+
+// Check a preview recipient: an object of merge field name -> string value
+export function validatePreviewRecipient(recipient) {
+  if (!recipient || typeof recipient !== 'object' || Array.isArray(recipient)) {
+    return { error: 'previewRecipient must be an object such as { "firstName": "Sarah", "company": "Acme" }' };
+  }
+
+  // No prototype, so a field named like an Object method ({{constructor}}) is never "filled"
+  const values = Object.create(null);
+  for (const [field, value] of Object.entries(recipient)) {
+    if (!MERGE_FIELD_NAME.test(field) || typeof value !== 'string' || value.length > 200) {
+      return { error: 'Invalid previewRecipient', details: `${field} must be a merge field name with a text value (max 200 characters)` };
+    }
+    values[field] = value;
+  }
+
+  return { values };
+}
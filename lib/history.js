@@ -0,0 +1,132 @@
+import { openCollection } from './store.js';
+
+// Oldest entries are dropped past this many stored generations
+const MAX_ENTRIES = Number(process.env.HISTORY_MAX_ENTRIES) || 2000;
+
+const history = openCollection('history');
+
+// Entries belong to the API key that made the request, or to the browser's
+// X-Client-Id (a random id each tool page keeps in localStorage)
+export function historyOwner(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+
+  const clientId = req.get('X-Client-Id');
+  if (clientId && /^[A-Za-z0-9-]{8,64}$/.test(clientId)) {
+    return `client:${clientId}`;
+  }
+
+  return null;
+}
+
+// Collect every string in a value, for full-text search
+function collectText(value, parts = []) {
+  if (typeof value === 'string') {
+    parts.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectText(item, parts));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectText(item, parts));
+  }
+  return parts;
+}
+
+function pruneHistory() {
+  const entries = history.all();
+  if (entries.length <= MAX_ENTRIES) return;
+
+  entries
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, entries.length - MAX_ENTRIES)
+    .forEach(entry => history.remove(entry.id));
+}
+
+// Store a successful generation and return the response payload with its `historyId`.
+// Without an API key or client id nobody could read the entry back, so it isn't stored.
+export function saveToHistory(req, tool, input, payload) {
+  const owner = historyOwner(req);
+  if (!owner) {
+    return payload;
+  }
+
+  try {
+    const { success, ...response } = payload;
+    const entry = history.insert({
+      tool,
+      owner,
+      input,
+      provider: payload.provider || null,
+      model: payload.model || payload.data?.model || null,
+      response,
+      searchText: collectText([input, response]).join('\n').toLowerCase(),
+      createdAt: new Date().toISOString()
+    });
+    pruneHistory();
+
+    return { ...payload, historyId: entry.id };
+  } catch (error) {
+    // History is a convenience; never fail the generation because of it
+    console.error('Failed to save generation history:', error.message);
+    return payload;
+  }
+}
+
+// Short excerpt of the generated text for list views
+function previewOf(entry) {
+  const text = collectText(entry.response).find(part => part.length > 40) || collectText(entry.response)[0] || '';
+  return text.replace(/\s+/g, ' ').trim().substring(0, 160);
+}
+
+function toSummary(entry) {
+  return {
+    id: entry.id,
+    tool: entry.tool,
+    input: entry.input,
+    provider: entry.provider,
+    model: entry.model,
+    preview: previewOf(entry),
+    createdAt: entry.createdAt
+  };
+}
+
+// Filter by tool, date range (ISO dates) and search words; newest first
+export function listHistory(owner, { tool, from, to, q, limit = 20, offset = 0 } = {}) {
+  const words = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const fromTime = from ? Date.parse(from) : null;
+  // A bare date like 2024-05-01 includes that whole day
+  const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+
+  const matches = history
+    .filter(entry =>
+      entry.owner === owner &&
+      (!tool || entry.tool === tool) &&
+      (fromTime === null || Date.parse(entry.createdAt) >= fromTime) &&
+      (toTime === null || Date.parse(entry.createdAt) <= toTime) &&
+      words.every(word => entry.searchText.includes(word))
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: matches.length,
+    items: matches.slice(offset, offset + limit).map(toSummary)
+  };
+}
+
+export function getHistoryEntry(owner, id) {
+  const entry = history.get(id);
+  if (!owner || !entry || entry.owner !== owner) {
+    return null;
+  }
+
+  const { searchText, owner: entryOwner, ...publicFields } = entry;
+  return publicFields;
+}
+
+export function deleteHistoryEntry(owner, id) {
+  const entry = history.get(id);
+  if (!owner || !entry || entry.owner !== owner) {
+    return false;
+  }
+  return history.remove(id);
+}
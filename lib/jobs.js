@@ -0,0 +1,303 @@
+import { createHmac } from 'crypto';
+import { openCollection } from './store.js';
+import { isPrivateHost, publicFetch } from './public-fetch.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const MAX_JOB_ATTEMPTS = Math.min(Math.max(Number(process.env.JOB_MAX_ATTEMPTS) || 3, 1), 10);
+export const JOB_CONCURRENCY = Math.max(Number(process.env.JOB_CONCURRENCY) || 2, 1);
+
+// Wait before retry n is RETRY_BASE_DELAY_MS * 2^(n-1)
+const RETRY_BASE_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 5000;
+
+// Finished jobs are kept this long so clients can still fetch the result
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ATTEMPTS = 3;
+
+const jobs = openCollection('jobs');
+
+// Abort controllers of the jobs running in this process
+const running = new Map();
+
+let runner = null;
+let pumpTimer = null;
+let started = false;
+
+function isFinished(job) {
+  return ['succeeded', 'failed', 'cancelled'].includes(job.status);
+}
+
+function toPublicJob(job) {
+  const { owner, body, apiKeyId, clientId, runAfter, expectedTokens, ...fields } = job;
+  return fields;
+}
+
+// Helper function to check a completion webhook URL: http(s) only, and never this machine or a private network
+export function validateWebhookUrl(value) {
+  if (value === undefined || value === null || value === '') {
+    return { url: null };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { error: 'webhookUrl must be a valid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(url.hostname)) {
+    return { error: 'webhookUrl must be a public http(s) URL' };
+  }
+
+  return { url: url.toString() };
+}
+
+// The function that actually runs a job: runner(job, { signal, progress }) resolves to
+// { status, body } with the HTTP status and JSON body the route produced
+export function setJobRunner(fn) {
+  runner = fn;
+}
+
+export function createJob(owner, { type, method = 'POST', path, body, apiKeyId = null, clientId = null, webhookUrl = null, expectedTokens = null }) {
+  const now = new Date().toISOString();
+  const job = jobs.insert({
+    owner,
+    type,
+    method,
+    path,
+    body,
+    apiKeyId,
+    clientId,
+    webhookUrl,
+    expectedTokens,
+    status: 'queued',
+    progress: 0,
+    attempts: 0,
+    maxAttempts: MAX_JOB_ATTEMPTS,
+    result: null,
+    error: null,
+    webhook: webhookUrl ? { status: 'pending', attempts: 0, deliveredAt: null, error: null } : null,
+    runAfter: 0,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  });
+
+  pruneFinishedJobs();
+  schedulePump(0);
+  return toPublicJob(job);
+}
+
+export function getJob(owner, id) {
+  const job = jobs.get(id);
+  return job && owner && job.owner === owner ? toPublicJob(job) : null;
+}
+
+// Full record for the runner (includes the stored request)
+export function getJobRecord(id) {
+  return jobs.get(id);
+}
+
+export function listJobs(owner, { status } = {}) {
+  return jobs
+    .filter(job => job.owner === owner && (!status || job.status === status))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(job => {
+      const { result, ...fields } = toPublicJob(job);
+      return fields;
+    });
+}
+
+export function cancelJob(owner, id) {
+  const job = jobs.get(id);
+  if (!job || !owner || job.owner !== owner) {
+    return { status: 404, error: 'Job not found' };
+  }
+  if (isFinished(job)) {
+    return { status: 409, error: `Job already ${job.status}` };
+  }
+
+  const cancelled = finishJob(id, { status: 'cancelled', error: 'Cancelled by the client' });
+  running.get(id)?.abort();
+  return { success: true, job: toPublicJob(cancelled) };
+}
+
+// Update a job's progress (0-100) while it runs
+function reportProgress(id, progress) {
+  const job = jobs.get(id);
+  if (!job || job.status !== 'running') return;
+
+  const value = Math.max(0, Math.min(99, Math.round(progress)));
+  if (value > job.progress) {
+    jobs.update(id, { progress: value, updatedAt: new Date().toISOString() });
+  }
+}
+
+function finishJob(id, changes) {
+  const now = new Date().toISOString();
+  const job = jobs.update(id, {
+    ...changes,
+    progress: changes.status === 'succeeded' ? 100 : jobs.get(id).progress,
+    finishedAt: now,
+    updatedAt: now
+  });
+
+  if (job.webhookUrl) {
+    deliverWebhook(job.id).catch(error => console.error(`Webhook for job ${job.id} failed:`, error.message));
+  }
+  return job;
+}
+
+async function runJob(id) {
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  const job = jobs.update(id, existing => ({
+    ...existing,
+    status: 'running',
+    attempts: existing.attempts + 1,
+    progress: 0,
+    startedAt: existing.startedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }));
+
+  let outcome;
+  try {
+    outcome = await runner(job, { signal: controller.signal, progress: value => reportProgress(id, value) });
+  } catch (error) {
+    outcome = { status: 0, body: { error: error.name === 'AbortError' ? 'Job was cancelled' : error.message } };
+  } finally {
+    running.delete(id);
+  }
+
+  // Cancelled (or removed) while it ran; the result is thrown away
+  const current = jobs.get(id);
+  if (!current || current.status !== 'running') {
+    schedulePump(0);
+    return;
+  }
+
+  const { status, body } = outcome;
+  if (status >= 200 && status < 300) {
+    finishJob(id, { status: 'succeeded', result: body, error: null });
+  } else {
+    const error = body?.error ? (body.details ? `${body.error}: ${body.details}` : body.error) : `Request failed with status ${status}`;
+    // Bad input never succeeds on a retry; provider outages, rate limits and crashes might
+    const retryable = status === 0 || status === 429 || status >= 500;
+
+    if (retryable && current.attempts < current.maxAttempts) {
+      jobs.update(id, {
+        status: 'queued',
+        error,
+        runAfter: Date.now() + RETRY_BASE_DELAY_MS * 2 ** (current.attempts - 1),
+        updatedAt: new Date().toISOString()
+      });
+    } else {
+      finishJob(id, { status: 'failed', result: body || null, error });
+    }
+  }
+
+  schedulePump(0);
+}
+
+// Start queued jobs that are due, up to JOB_CONCURRENCY at a time
+function pump() {
+  pumpTimer = null;
+  if (!runner) return;
+
+  const now = Date.now();
+  const queued = jobs
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const job of queued) {
+    if (running.size >= JOB_CONCURRENCY) break;
+    if (job.runAfter <= now) {
+      runJob(job.id).catch(error => console.error(`Job ${job.id} crashed:`, error.message));
+    }
+  }
+
+  // Wake up again for the next retry that isn't due yet
+  const waiting = jobs.filter(job => job.status === 'queued' && job.runAfter > now);
+  if (waiting.length > 0) {
+    schedulePump(Math.min(...waiting.map(job => job.runAfter)) - now);
+  }
+}
+
+function schedulePump(delay) {
+  if (!started) return;
+  if (pumpTimer) clearTimeout(pumpTimer);
+  pumpTimer = setTimeout(pump, Math.max(0, delay));
+  pumpTimer.unref();
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  jobs
+    .filter(job => isFinished(job) && Date.parse(job.finishedAt) < cutoff)
+    .forEach(job => jobs.remove(job.id));
+}
+
+// POST the finished job to its webhook URL, retrying a few times; a signature is added when JOB_WEBHOOK_SECRET is set
+async function deliverWebhook(id) {
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const job = jobs.get(id);
+    if (!job) return;
+
+    const payload = JSON.stringify({ event: `job.${job.status}`, job: toPublicJob(job) });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'multi-tool-saas-jobs' };
+    if (process.env.JOB_WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = `sha256=${createHmac('sha256', process.env.JOB_WEBHOOK_SECRET).update(payload).digest('hex')}`;
+    }
+
+    let error = null;
+    try {
+      const response = await publicFetch(job.webhookUrl, { method: 'POST', headers, body: payload, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+      if (!response.ok) {
+        error = `Webhook responded with status ${response.status}`;
+      }
+    } catch (caught) {
+      error = caught.message;
+    }
+
+    const delivered = !error;
+    jobs.update(id, existing => ({
+      ...existing,
+      webhook: {
+        status: delivered ? 'delivered' : (attempt < WEBHOOK_ATTEMPTS ? 'retrying' : 'failed'),
+        attempts: attempt,
+        deliveredAt: delivered ? new Date().toISOString() : null,
+        error
+      }
+    }));
+
+    if (delivered) return;
+    if (attempt < WEBHOOK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY_MS * attempt));
+    }
+  }
+}
+
+// Start processing once the server is listening. Jobs that were running when the
+// process stopped are queued again (counting the interrupted attempt); undelivered webhooks are resent.
+export function startJobQueue() {
+  if (started) return;
+  started = true;
+
+  for (const job of jobs.filter(entry => entry.status === 'running')) {
+    if (job.attempts >= job.maxAttempts) {
+      finishJob(job.id, { status: 'failed', error: 'Interrupted by a server restart' });
+    } else {
+      jobs.update(job.id, { status: 'queued', runAfter: 0, error: 'Interrupted by a server restart', updatedAt: new Date().toISOString() });
+    }
+  }
+
+  for (const job of jobs.filter(entry => isFinished(entry) && entry.webhook && ['pending', 'retrying'].includes(entry.webhook.status))) {
+    deliverWebhook(job.id).catch(error => console.error(`Webhook for job ${job.id} failed:`, error.message));
+  }
+
+  pruneFinishedJobs();
+  schedulePump(0);
+}
@@ -0,0 +1,533 @@
+import { randomUUID } from 'crypto';
+import { openCollection } from './store.js';
+import { LEAD_FIELDS } from './leads.js';
+import { buildXlsx } from './xlsx.js';
+import { toCsv } from './csv.js';
+
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1000+'];
+export const EXPORT_FORMATS = ['csv', 'json', 'vcard', 'xlsx'];
+
+// Fit score weights; a criterion without a target is left out and the rest are rescaled
+export const DEFAULT_SCORE_WEIGHTS = { industry: 40, location: 25, companySize: 20, completeness: 15 };
+
+// Calling code for numbers written without one, e.g. "(415) 555-0100" -> +1...
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '1').replace(/\D/g, '') || '1';
+
+const MAX_LISTS_PER_OWNER = 50;
+const MAX_LEADS_PER_LIST = 5000;
+export const MAX_LEADS_PER_REQUEST = 500;
+
+const EMAIL_PATTERN = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.[a-z]{2,}$/;
+
+// Webmail domains say nothing about the company, so they are not used to match leads
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com', 'yandex.com', 'zoho.com'
+]);
+
+// Domains filled in when the real one is unknown (example.com, yourcompany.com, reserved TLDs).
+// Leads that share one are not the same company.
+const PLACEHOLDER_DOMAIN = /(^|\.)(example\d*|test|domain|email|company|yourcompany|yourwebsite|website|sample)\.(com|org|net)$|\.(example|test|invalid|localhost)$/;
+
+// Legal suffixes dropped when comparing company names ("Acme, Inc." and "ACME" are the same company)
+const COMPANY_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'gmbh', 'plc', 'sa', 'ag', 'bv']);
+
+const leadLists = openCollection('lead-lists');
+
+export function normalizeEmail(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { email: null, status: 'missing' };
+  }
+  const email = value.trim().toLowerCase().replace(/^mailto:/, '');
+  return { email, status: EMAIL_PATTERN.test(email) && !email.includes('..') ? 'valid' : 'invalid' };
+}
+
+// Bare lowercase hostname without "www.", from a URL or a domain
+export function normalizeDomain(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  try {
+    const raw = value.trim();
+    const url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+    const host = url.hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    return host.includes('.') ? host : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Convert a phone number to E.164 (+<country><number>), dropping extensions
+export function normalizePhone(value, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { phone: null, status: 'missing' };
+  }
+
+  const raw = String(value).trim().replace(/\s*(?:x|ext\.?|extension)\s*\d+$/i, '');
+  if (raw === '') {
+    return { phone: null, status: 'missing' };
+  }
+
+  const digits = raw.replace(/\D/g, '');
+  let number;
+
+  if (raw.startsWith('+')) {
+    number = digits;
+  } else if (digits.startsWith('00')) {
+    number = digits.slice(2);
+  } else if (countryCode === '1') {
+    // North American numbers are 10 digits, optionally written with the leading 1
+    number = digits.length === 10 ? `1${digits}` : (digits.length === 11 && digits.startsWith('1') ? digits : '');
+  } else if (digits.startsWith('0')) {
+    // National trunk prefix, e.g. 020 7946 0958 in the UK
+    number = countryCode + digits.slice(1);
+  } else {
+    number = countryCode + digits;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(number)
+    ? { phone: `+${number}`, status: 'valid' }
+    : { phone: String(value).trim(), status: 'invalid' };
+}
+
+// Helper function to normalize one lead for storage in a list
+function normalizeLead(input, context = {}) {
+  const email = normalizeEmail(input.contactEmail);
+  const phone = normalizePhone(input.phone, context.countryCode);
+  const websiteDomain = normalizeDomain(input.website);
+  const emailDomain = email.status === 'valid' ? email.email.split('@')[1] : null;
+  const domain = websiteDomain || (emailDomain && !FREE_EMAIL_DOMAINS.has(emailDomain) ? emailDomain : null);
+
+  const provenance = {};
+  for (const field of LEAD_FIELDS) {
+    provenance[field] = input.provenance?.[field] || (input[field] ? 'manual' : 'missing');
+  }
+
+  return {
+    companyName: typeof input.companyName === 'string' ? input.companyName.trim() : null,
+    contactName: typeof input.contactName === 'string' && input.contactName.trim() ? input.contactName.trim() : null,
+    contactEmail: email.email,
+    phone: phone.phone,
+    website: websiteDomain ? `https://${websiteDomain}` : null,
+    domain,
+    address: typeof input.address === 'string' && input.address.trim() ? input.address.trim() : null,
+    industry: input.industry || context.industry || null,
+    location: input.location || context.location || null,
+    companySize: COMPANY_SIZES.includes(input.companySize || context.companySize) ? (input.companySize || context.companySize) : null,
+    provenance,
+    checks: {
+      email: email.status,
+      phone: phone.status,
+      website: input.website ? (websiteDomain ? 'valid' : 'invalid') : 'missing'
+    }
+  };
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+}
+
+// 1 for a full match, 0.5 when the texts share a word, 0 otherwise
+function textMatch(target, ...candidates) {
+  const wanted = target.toLowerCase();
+  const text = candidates.filter(Boolean).join(' ').toLowerCase();
+  if (!text) return 0;
+  if (text.includes(wanted)) return 1;
+  const targetWords = words(target);
+  return words(text).some(word => targetWords.includes(word)) ? 0.5 : 0;
+}
+
+// 1 for the same size bucket, 0.5 for a neighbouring one
+function sizeMatch(target, size) {
+  if (!size) return 0;
+  const distance = Math.abs(COMPANY_SIZES.indexOf(target) - COMPANY_SIZES.indexOf(size));
+  return distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+}
+
+// Share of contact fields that are real (model or manual) and pass their checks
+function completeness(lead) {
+  const fields = ['contactName', 'contactEmail', 'phone', 'website', 'address'];
+  const usable = fields.filter(field => {
+    const source = lead.provenance[field];
+    const check = { contactEmail: 'email', phone: 'phone', website: 'website' }[field];
+    return lead[field] && (source === 'model' || source === 'manual') && (!check || lead.checks[check] === 'valid');
+  });
+  return usable.length / fields.length;
+}
+
+// Fit score (0-100) of a lead against the list's targets
+export function scoreLead(lead, { targets = {}, weights = DEFAULT_SCORE_WEIGHTS } = {}) {
+  const breakdown = {};
+
+  if (targets.industry) breakdown.industry = textMatch(targets.industry, lead.industry, lead.companyName);
+  if (targets.location) breakdown.location = textMatch(targets.location, lead.location, lead.address);
+  if (targets.companySize) breakdown.companySize = sizeMatch(targets.companySize, lead.companySize);
+  breakdown.completeness = Math.round(completeness(lead) * 100) / 100;
+
+  const totalWeight = Object.keys(breakdown).reduce((sum, key) => sum + (weights[key] || 0), 0);
+  const score = totalWeight === 0
+    ? 0
+    : Math.round(100 * Object.entries(breakdown).reduce((sum, [key, match]) => sum + (weights[key] || 0) * match, 0) / totalWeight);
+
+  return { score, scoreBreakdown: breakdown };
+}
+
+// Helper function to validate list settings. Returns { error, details } or { fields }.
+function validateListSettings(input, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.trim().length > 100) {
+      return { error: 'List name is required (at most 100 characters)' };
+    }
+    fields.name = input.name.trim();
+  }
+
+  if (input.targets !== undefined) {
+    const targets = input.targets || {};
+    if (typeof targets !== 'object' || Array.isArray(targets)) {
+      return { error: 'targets must be an object with industry, location and/or companySize' };
+    }
+    if (targets.companySize && !COMPANY_SIZES.includes(targets.companySize)) {
+      return { error: 'Invalid target company size', details: `Available sizes: ${COMPANY_SIZES.join(', ')}` };
+    }
+    fields.targets = {
+      industry: typeof targets.industry === 'string' && targets.industry.trim() ? targets.industry.trim() : null,
+      location: typeof targets.location === 'string' && targets.location.trim() ? targets.location.trim() : null,
+      companySize: targets.companySize || null
+    };
+  }
+
+  if (input.weights !== undefined) {
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, ...input.weights };
+    const invalid = Object.entries(weights).some(([key, value]) =>
+      !(key in DEFAULT_SCORE_WEIGHTS) || typeof value !== 'number' || value < 0 || value > 100);
+    if (invalid) {
+      return { error: 'Invalid score weights', details: `Weights are numbers from 0 to 100 for: ${Object.keys(DEFAULT_SCORE_WEIGHTS).join(', ')}` };
+    }
+    fields.weights = weights;
+  }
+
+  if (input.countryCode !== undefined) {
+    const countryCode = String(input.countryCode).replace(/^\+/, '');
+    if (!/^[1-9]\d{0,2}$/.test(countryCode)) {
+      return { error: 'countryCode must be a calling code such as 1 or 44' };
+    }
+    fields.countryCode = countryCode;
+  }
+
+  return { fields };
+}
+
+function toListSummary(list) {
+  const { owner, leads, ...fields } = list;
+  return { ...fields, leadCount: leads.length };
+}
+
+function ownedList(owner, id) {
+  const list = leadLists.get(id);
+  return list && owner && list.owner === owner ? list : null;
+}
+
+export function listLeadLists(owner) {
+  return leadLists
+    .filter(list => owner && list.owner === owner)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(toListSummary);
+}
+
+export function createLeadList(owner, input = {}) {
+  const validation = validateListSettings(input);
+  if (validation.error) {
+    return validation;
+  }
+
+  if (leadLists.filter(list => list.owner === owner).length >= MAX_LISTS_PER_OWNER) {
+    return { error: `You can have at most ${MAX_LISTS_PER_OWNER} lead lists` };
+  }
+
+  const now = new Date().toISOString();
+  const list = leadLists.insert({
+    name: validation.fields.name,
+    owner,
+    targets: validation.fields.targets || { industry: null, location: null, companySize: null },
+    weights: validation.fields.weights || { ...DEFAULT_SCORE_WEIGHTS },
+    countryCode: validation.fields.countryCode || DEFAULT_COUNTRY_CODE,
+    leads: [],
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { success: true, list: toListSummary(list) };
+}
+
+// Find a list by id, or by name (creating it) for "save these leads to <name>"
+export function resolveLeadList(owner, { listId, listName, targets } = {}) {
+  if (listId) {
+    const list = ownedList(owner, listId);
+    return list ? { list } : { status: 404, error: 'Lead list not found' };
+  }
+
+  const existing = leadLists.find(list => list.owner === owner && list.name.toLowerCase() === String(listName).trim().toLowerCase());
+  if (existing) {
+    return { list: existing };
+  }
+
+  const created = createLeadList(owner, { name: listName, targets });
+  return created.error ? { status: 400, ...created } : { list: leadLists.get(created.list.id) };
+}
+
+export function getLeadList(owner, id) {
+  const list = ownedList(owner, id);
+  if (!list) {
+    return null;
+  }
+
+  const { owner: listOwner, ...fields } = list;
+  return { ...fields, leads: [...list.leads].sort((a, b) => b.score - a.score), leadCount: list.leads.length };
+}
+
+// Rename or change scoring settings; changing targets or weights rescores every lead
+export function updateLeadList(owner, id, changes = {}) {
+  const list = ownedList(owner, id);
+  if (!list) {
+    return { status: 404, error: 'Lead list not found' };
+  }
+
+  const validation = validateListSettings(changes, { partial: true });
+  if (validation.error) {
+    return { status: 400, ...validation };
+  }
+
+  const updated = leadLists.update(id, (current) => {
+    const next = { ...current, ...validation.fields, updatedAt: new Date().toISOString() };
+    next.leads = current.leads.map(lead => ({ ...lead, ...scoreLead(lead, next) }));
+    return next;
+  });
+
+  return { success: true, list: toListSummary(updated) };
+}
+
+export function deleteLeadList(owner, id) {
+  if (!ownedList(owner, id)) {
+    return false;
+  }
+  return leadLists.remove(id);
+}
+
+// A domain that identifies one company: not webmail and not a placeholder
+function companyDomain(domain) {
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) && !PLACEHOLDER_DOMAIN.test(domain) ? domain : null;
+}
+
+function nameKey(text, { company = false } = {}) {
+  const parts = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return (company ? parts.filter(part => !COMPANY_SUFFIXES.has(part)) : parts).join(' ');
+}
+
+// The same contact at the same company, for leads without a usable domain or email
+function personKey(lead) {
+  const contact = nameKey(lead.contactName);
+  const company = nameKey(lead.companyName, { company: true });
+  return contact && company ? `${contact}|${company}` : null;
+}
+
+function matchableEmail(lead) {
+  return lead.contactEmail && lead.checks.email === 'valid' && !PLACEHOLDER_DOMAIN.test(lead.contactEmail.split('@')[1])
+    ? lead.contactEmail
+    : null;
+}
+
+// Stored leads keyed by company domain, email and contact, so each new lead is matched without a scan.
+// Two leads are the same company when they share a company domain. Otherwise, unless their company
+// domains differ, they match on the same valid email address (not at a placeholder domain) or on the
+// same contact name at the same company.
+function duplicateIndex(leads) {
+  const byDomain = new Map();
+  const byEmail = new Map();
+  const byPerson = new Map();
+
+  const addTo = (map, key, lead) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(lead);
+  };
+
+  const add = (lead) => {
+    const domain = companyDomain(lead.domain);
+    if (domain && !byDomain.has(domain)) byDomain.set(domain, lead);
+    addTo(byEmail, lead.contactEmail, lead);
+    addTo(byPerson, personKey(lead), lead);
+  };
+
+  const find = (lead) => {
+    const domain = companyDomain(lead.domain);
+    if (domain && byDomain.has(domain)) {
+      return byDomain.get(domain);
+    }
+
+    const email = matchableEmail(lead);
+    const candidates = [...(email ? byEmail.get(email) || [] : []), ...(byPerson.get(personKey(lead)) || [])];
+    return candidates.find(existing => !domain || !companyDomain(existing.domain));
+  };
+
+  leads.forEach(add);
+  return { add, find };
+}
+
+// Normalize, deduplicate and score leads into a list. Duplicates fill in fields the stored lead lacks.
+export function addLeadsToList(owner, id, leads, context = {}) {
+  const list = ownedList(owner, id);
+  if (!list) {
+    return { status: 404, error: 'Lead list not found' };
+  }
+
+  if (!Array.isArray(leads) || leads.length === 0) {
+    return { status: 400, error: 'leads must be a non-empty array' };
+  }
+
+  if (leads.length > MAX_LEADS_PER_REQUEST) {
+    return { status: 400, error: 'Too many leads', details: `Add up to ${MAX_LEADS_PER_REQUEST} leads at a time` };
+  }
+
+  let added = 0;
+  let merged = 0;
+  let skipped = 0;
+  const now = new Date().toISOString();
+
+  const updated = leadLists.update(id, (current) => {
+    const stored = current.leads.map(lead => ({ ...lead }));
+    const index = duplicateIndex(stored);
+
+    for (const input of leads) {
+      if (stored.length >= MAX_LEADS_PER_LIST) {
+        skipped++;
+        continue;
+      }
+
+      if (!input || typeof input !== 'object' || typeof input.companyName !== 'string' || input.companyName.trim() === '') {
+        skipped++;
+        continue;
+      }
+
+      const lead = normalizeLead(input, { countryCode: current.countryCode, ...context });
+      const duplicate = index.find(lead);
+
+      if (duplicate) {
+        for (const field of [...LEAD_FIELDS, 'domain', 'industry', 'location', 'companySize']) {
+          if (!duplicate[field] && lead[field]) {
+            duplicate[field] = lead[field];
+            if (LEAD_FIELDS.includes(field)) duplicate.provenance = { ...duplicate.provenance, [field]: lead.provenance[field] };
+          }
+        }
+        for (const check of Object.keys(lead.checks)) {
+          if (duplicate.checks[check] !== 'valid' && lead.checks[check] === 'valid') {
+            duplicate.checks = { ...duplicate.checks, [check]: 'valid' };
+          }
+        }
+        duplicate.seenCount = (duplicate.seenCount || 1) + 1;
+        duplicate.updatedAt = now;
+        Object.assign(duplicate, scoreLead(duplicate, current));
+        index.add(duplicate);
+        merged++;
+      } else {
+        const entry = { id: randomUUID(), ...lead, ...scoreLead(lead, current), seenCount: 1, addedAt: now, updatedAt: now };
+        stored.push(entry);
+        index.add(entry);
+        added++;
+      }
+    }
+
+    return { ...current, leads: stored, updatedAt: now };
+  });
+
+  return { success: true, added, merged, skipped, list: toListSummary(updated) };
+}
+
+export function removeLeadFromList(owner, id, leadId) {
+  const list = ownedList(owner, id);
+  if (!list || !list.leads.some(lead => lead.id === leadId)) {
+    return false;
+  }
+
+  leadLists.update(id, {
+    leads: list.leads.filter(lead => lead.id !== leadId),
+    updatedAt: new Date().toISOString()
+  });
+  return true;
+}
+
+const EXPORT_COLUMNS = [
+  ['Company Name', 'companyName'],
+  ['Contact Name', 'contactName'],
+  ['Email', 'contactEmail'],
+  ['Phone', 'phone'],
+  ['Website', 'website'],
+  ['Domain', 'domain'],
+  ['Address', 'address'],
+  ['Industry', 'industry'],
+  ['Location', 'location'],
+  ['Company Size', 'companySize'],
+  ['Fit Score', 'score']
+];
+
+function exportRows(leads) {
+  return leads.map(lead => [
+    ...EXPORT_COLUMNS.map(([, key]) => lead[key] ?? ''),
+    LEAD_FIELDS.filter(field => lead.provenance[field] === 'placeholder').join(' ')
+  ]);
+}
+
+function vcardEscape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function toVCard(lead) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+  const name = lead.contactName || lead.companyName;
+  const [first, ...rest] = (lead.contactName || '').split(' ');
+
+  lines.push(`FN:${vcardEscape(name)}`);
+  lines.push(lead.contactName ? `N:${vcardEscape(rest.join(' '))};${vcardEscape(first)};;;` : 'N:;;;;');
+  lines.push(`ORG:${vcardEscape(lead.companyName)}`);
+  if (lead.contactEmail) lines.push(`EMAIL;TYPE=INTERNET,WORK:${vcardEscape(lead.contactEmail)}`);
+  if (lead.phone) lines.push(`TEL;TYPE=WORK,VOICE:${vcardEscape(lead.phone)}`);
+  if (lead.website) lines.push(`URL:${vcardEscape(lead.website)}`);
+  if (lead.address) lines.push(`ADR;TYPE=WORK:;;${vcardEscape(lead.address)};;;;`);
+  lines.push(`NOTE:${vcardEscape(`Fit score: ${lead.score}${lead.industry ? ` | Industry: ${lead.industry}` : ''}`)}`);
+  lines.push('END:VCARD');
+
+  return lines.join('\r\n');
+}
+
+// Render a list for download. Returns { contentType, extension, body }.
+export function exportLeadList(list, format) {
+  const headers = [...EXPORT_COLUMNS.map(([label]) => label), 'Placeholder Fields'];
+
+  switch (format) {
+    case 'json':
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        body: JSON.stringify({ list: { id: list.id, name: list.name, targets: list.targets }, exportedAt: new Date().toISOString(), leads: list.leads }, null, 2)
+      };
+    case 'vcard':
+      return {
+        contentType: 'text/vcard; charset=utf-8',
+        extension: 'vcf',
+        body: list.leads.map(toVCard).join('\r\n') + '\r\n'
+      };
+    case 'xlsx':
+      return {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        body: buildXlsx([headers, ...exportRows(list.leads)], { sheetName: list.name })
+      };
+    default:
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        body: toCsv([headers, ...exportRows(list.leads)])
+      };
+  }
+}
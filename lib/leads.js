@@ -0,0 +1,89 @@
+import { validateSchema } from './structured.js';
+
+export const LEAD_FIELDS = ['companyName', 'contactName', 'contactEmail', 'phone', 'website', 'address'];
+
+// What /api/leads/generate asks the model for; optional fields may be null when unknown
+export const LEAD_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 10,
+  items: {
+    type: 'object',
+    required: ['companyName'],
+    properties: {
+      companyName: { type: 'string', minLength: 1, maxLength: 120 },
+      contactName: { type: ['string', 'null'], maxLength: 80 },
+      contactEmail: { type: ['string', 'null'], format: 'email' },
+      phone: { type: ['string', 'null'], pattern: '^[+()0-9 .\\-x]{7,25}$' },
+      website: { type: ['string', 'null'], format: 'uri' },
+      address: { type: ['string', 'null'], maxLength: 200 }
+    }
+  }
+};
+
+// Values models typically make up when they don't know real contact details
+const PLACEHOLDER_PATTERNS = {
+  any: [/\b(lorem|ipsum|placeholder|sample|dummy|n\/a|tbd|unknown|xxx+)\b/i, /^\[.*\]$|^<.*>$/, /^(company|contact|lead|business) ?\d+$/i],
+  contactName: [/^(john|jane) (doe|smith)\b/i, /^(first|full) ?name\b/i],
+  contactEmail: [/@(example\d*|test|domain|email|company|yourcompany|sample)\.(com|org|net)$/i, /^(john|jane)\.?doe@/i, /^(contact|email|info)\d+@/i],
+  phone: [/\b555[-. ]?\d{4}\b/, /^(\+?1[-. ]?)?\(?555\)?[-. ]/, /(\d)\1{6,}/, /123[-. ]?456[-. ]?7890/],
+  website: [/\b(example\d*|test|yourwebsite|yourcompany|domain)\.(com|org|net)\b/i],
+  address: [/\b123 main st/i, /\banytown\b/i, /^city, state$/i]
+};
+
+function looksLikePlaceholder(field, value) {
+  return [...PLACEHOLDER_PATTERNS.any, ...(PLACEHOLDER_PATTERNS[field] || [])].some(pattern => pattern.test(value));
+}
+
+// Helper function to turn schema-checked model output into leads with per-field provenance:
+//   model        returned by the model and passed checks
+//   placeholder  returned by the model but looks made up (example.com, 555 numbers, John Doe...)
+//   invalid      returned by the model but failed the schema (value dropped)
+//   missing      not returned (value is null)
+// Nothing is ever filled in by the server. Items without a usable company name are dropped.
+export function buildLeads(items) {
+  const fieldSchemas = LEAD_SCHEMA.items.properties;
+  const leads = [];
+  let dropped = 0;
+
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      dropped++;
+      continue;
+    }
+
+    const lead = {};
+    const provenance = {};
+
+    for (const field of LEAD_FIELDS) {
+      const raw = typeof item[field] === 'string' ? item[field].trim() : item[field];
+
+      if (raw === undefined || raw === null || raw === '') {
+        lead[field] = null;
+        provenance[field] = 'missing';
+      } else if (validateSchema(fieldSchemas[field], raw).length > 0) {
+        lead[field] = null;
+        provenance[field] = 'invalid';
+      } else {
+        lead[field] = raw;
+        provenance[field] = looksLikePlaceholder(field, raw) ? 'placeholder' : 'model';
+      }
+    }
+
+    if (provenance.companyName !== 'model') {
+      dropped++;
+      continue;
+    }
+
+    leads.push({ ...lead, provenance });
+  }
+
+  return { leads, dropped };
+}
+
+// Count fields by provenance across a batch, for warnings and the UI summary
+export function summarizeProvenance(leads) {
+  const summary = { model: 0, placeholder: 0, invalid: 0, missing: 0 };
+  leads.forEach(lead => Object.values(lead.provenance).forEach(source => { summary[source]++; }));
+  return summary;
+}
@@ -0,0 +1,723 @@
+import fetch from 'node-fetch';
+import { createHash } from 'crypto';
+import { responseCache, cacheKey, CACHE_TTLS } from './cache.js';
+
+// Router-compatible models (in order of preference)
+export const COMPATIBLE_MODELS = [
+  'HuggingFaceH4/zephyr-7b-beta',
+  'google/gemma-2b-it',
+  'tiiuae/falcon-7b-instruct',
+  'Qwen/Qwen1.5-7B-Chat'
+];
+
+// Default model for all AI operations
+export const DEFAULT_MODEL = 'HuggingFaceH4/zephyr-7b-beta';
+
+// Free OpenRouter model used when HuggingFace is unavailable
+export const OPENROUTER_DEFAULT_MODEL = process.env.OPENROUTER_MODEL || 'mistralai/mistral-7b-instruct:free';
+
+// Deterministic offline model (development, tests and last-resort fallback)
+export const LOCAL_MODEL = 'local/echo-1';
+
+// Catalog metadata for each known model
+const MODEL_DETAILS = {
+  'HuggingFaceH4/zephyr-7b-beta': { contextLength: 8192 },
+  'google/gemma-2b-it': { contextLength: 8192 },
+  'tiiuae/falcon-7b-instruct': { contextLength: 2048 },
+  'Qwen/Qwen1.5-7B-Chat': { contextLength: 32768 },
+  [OPENROUTER_DEFAULT_MODEL]: { contextLength: 32768 },
+  [LOCAL_MODEL]: { contextLength: 8192 }
+};
+
+// Parameters used when a request doesn't set its own
+export const DEFAULT_PARAMETERS = {
+  max_new_tokens: 200,
+  temperature: 0.7
+};
+
+// Last observed availability per model, updated on every call
+const modelStatus = new Map();
+
+// Upstream statuses that mean "try the next model or provider" instead of giving up
+const FALLBACK_STATUSES = [404, 429, 503];
+
+// Turn a failed HuggingFace router response into our error object
+function huggingFaceError(response, model, errorText) {
+  let errorDetails = errorText.substring(0, 200);
+
+  // Handle model loading errors
+  if (response.status === 503) {
+    errorDetails = 'Model is currently loading. Please try again in a few moments.';
+  }
+
+  // Handle 404 for invalid/unavailable models
+  if (response.status === 404) {
+    errorDetails = `Model "${model}" is not available on the router. Available models: ${COMPATIBLE_MODELS.join(', ')}`;
+  }
+
+  // Handle rate limiting
+  if (response.status === 429) {
+    errorDetails = 'Rate limit exceeded. Please try again later.';
+  }
+
+  // Handle authentication errors
+  if (response.status === 401 || response.status === 403) {
+    errorDetails = 'Invalid or expired API key. Please check your HUGGINGFACE_API_KEY.';
+  }
+
+  return {
+    error: `API request failed: ${response.status} ${response.statusText}`,
+    details: errorDetails,
+    model,
+    status: response.status
+  };
+}
+
+// The router rejects temperature 0; greedy decoding gives the same deterministic output
+function huggingFaceParameters(options) {
+  if (options.temperature !== 0) {
+    return options;
+  }
+  const { temperature, ...rest } = options;
+  return { ...rest, do_sample: false };
+}
+
+// Read a Server-Sent Events body, calling onData with each `data:` payload
+async function readEventStream(body, onData) {
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        onData(line.slice(5).trim());
+      }
+    }
+  }
+
+  if (buffer.startsWith('data:')) {
+    onData(buffer.slice(5).trim());
+  }
+}
+
+// Helper function to safely call HuggingFace API (using router endpoint)
+export async function callHuggingFaceAPI(model, inputs, options = {}) {
+  // Use default model if none specified or if model is not router-compatible
+  const modelToUse = model || DEFAULT_MODEL;
+
+  try {
+    const apiKey = process.env.HUGGINGFACE_API_KEY || '';
+
+    if (!apiKey) {
+      return {
+        error: 'API key not configured. Please set HUGGINGFACE_API_KEY in your environment variables.',
+        suggestion: 'Get a free API key from https://huggingface.co/settings/tokens',
+        notConfigured: true
+      };
+    }
+
+    // Use router endpoint: https://router.huggingface.co/hf-inference/models/{model_name}
+    const response = await fetch(
+      `https://router.huggingface.co/hf-inference/models/${modelToUse}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        method: 'POST',
+        body: JSON.stringify({ inputs, parameters: huggingFaceParameters(options) }),
+      }
+    );
+
+    if (!response.ok) {
+      return huggingFaceError(response, modelToUse, await response.text());
+    }
+
+    const data = await response.json();
+
+    // Handle array responses (common in router API format)
+    if (Array.isArray(data)) {
+      if (data.length === 0) {
+        return {
+          error: 'Empty response from API',
+          details: 'The API returned an empty array',
+          model: modelToUse
+        };
+      }
+      // Safely extract first element
+      const firstItem = data[0];
+      if (firstItem && typeof firstItem === 'object') {
+        return { success: true, data: firstItem, model: modelToUse };
+      }
+      return { success: true, data: { generated_text: String(firstItem) }, model: modelToUse };
+    }
+
+    // Handle error responses from API
+    if (data.error) {
+      return {
+        error: typeof data.error === 'string' ? data.error : 'API returned an error',
+        details: typeof data.error === 'string' ? data.error : JSON.stringify(data.error),
+        model: modelToUse
+      };
+    }
+
+    // Handle object responses with error_message field
+    if (data.error_message) {
+      return {
+        error: data.error_message,
+        details: data.error_message,
+        model: modelToUse
+      };
+    }
+
+    // Validate that we have some form of response data
+    if (!data || (typeof data === 'object' && Object.keys(data).length === 0)) {
+      return {
+        error: 'Empty response from API',
+        details: 'The API returned an empty response object',
+        model: modelToUse
+      };
+    }
+
+    return { success: true, data, model: modelToUse };
+  } catch (error) {
+    return {
+      error: 'Failed to connect to AI service',
+      details: error.message,
+      model: modelToUse,
+      connectionFailed: true
+    };
+  }
+}
+
+// Helper function to call OpenRouter API (free models)
+export async function callOpenRouterAPI(prompt, model = OPENROUTER_DEFAULT_MODEL, options = {}) {
+  try {
+    const apiKey = process.env.OPENROUTER_API_KEY || '';
+
+    if (!apiKey) {
+      return {
+        error: 'OpenRouter API key not configured. Please set OPENROUTER_API_KEY in your environment variables.',
+        suggestion: 'Get a free API key from https://openrouter.ai/keys',
+        notConfigured: true
+      };
+    }
+
+    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: options.max_new_tokens || 500,
+        temperature: options.temperature ?? 0.7
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      return {
+        error: `OpenRouter API request failed: ${response.status} ${response.statusText}`,
+        details: errorText.substring(0, 200),
+        model,
+        status: response.status
+      };
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content || '';
+    const usage = data.usage ? {
+      promptTokens: data.usage.prompt_tokens || 0,
+      completionTokens: data.usage.completion_tokens || 0,
+      totalTokens: data.usage.total_tokens || 0,
+      estimated: false
+    } : undefined;
+
+    return { success: true, data: { generated_text: content, text: content }, model, usage };
+  } catch (error) {
+    return {
+      error: 'Failed to connect to OpenRouter service',
+      details: error.message,
+      model,
+      connectionFailed: true
+    };
+  }
+}
+
+// Helper function for the deterministic local provider: the same prompt and
+// parameters always produce the same text, and nothing leaves the process
+export async function callLocalProvider(prompt, model = LOCAL_MODEL, options = {}) {
+  const words = [
+    'strategy', 'growth', 'customers', 'value', 'insight', 'results', 'team',
+    'market', 'quality', 'simple', 'practical', 'clear', 'focus', 'impact',
+    'process', 'ideas', 'audience', 'plan', 'data', 'trust'
+  ];
+  const seed = createHash('sha256')
+    .update(`${model}\n${prompt}\n${JSON.stringify(options)}`)
+    .digest();
+  const maxWords = Math.max(10, Math.min(options.max_new_tokens || 200, 2000));
+  const subject = String(prompt).replace(/\s+/g, ' ').trim().substring(0, 80);
+
+  // xorshift32 seeded from the request hash
+  let state = seed.readUInt32LE(0) || 1;
+  const next = () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+  };
+
+  const output = [`Draft for: ${subject}`];
+  for (let i = 0; output.length < maxWords; i++) {
+    output.push(words[next() % words.length]);
+    if (i % 12 === 11) output[output.length - 1] += '.';
+  }
+
+  return { success: true, data: { generated_text: output.join(' ') }, model };
+}
+
+// Streaming variant of callHuggingFaceAPI: onToken receives each piece of text as it arrives
+export async function streamHuggingFaceAPI(model, inputs, options = {}, onToken = () => {}, signal) {
+  const modelToUse = model || DEFAULT_MODEL;
+
+  try {
+    const apiKey = process.env.HUGGINGFACE_API_KEY || '';
+
+    if (!apiKey) {
+      return {
+        error: 'API key not configured. Please set HUGGINGFACE_API_KEY in your environment variables.',
+        suggestion: 'Get a free API key from https://huggingface.co/settings/tokens',
+        notConfigured: true
+      };
+    }
+
+    const response = await fetch(
+      `https://router.huggingface.co/hf-inference/models/${modelToUse}`,
+      {
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        method: 'POST',
+        body: JSON.stringify({ inputs, parameters: huggingFaceParameters(options), stream: true }),
+        signal
+      }
+    );
+
+    if (!response.ok) {
+      return huggingFaceError(response, modelToUse, await response.text());
+    }
+
+    let text = '';
+    let streamError = null;
+    await readEventStream(response.body, (payload) => {
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (parseError) {
+        return;
+      }
+      if (event.error) {
+        streamError = event.error;
+        return;
+      }
+      const piece = event.token?.special ? '' : (event.token?.text || '');
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+    });
+
+    if (streamError && !text) {
+      return { error: 'API returned an error', details: String(streamError), model: modelToUse };
+    }
+
+    return { success: true, data: { generated_text: text }, model: modelToUse };
+  } catch (error) {
+    return {
+      error: 'Failed to connect to AI service',
+      details: error.message,
+      model: modelToUse,
+      connectionFailed: true
+    };
+  }
+}
+
+// Streaming variant of callOpenRouterAPI
+export async function streamOpenRouterAPI(prompt, model = OPENROUTER_DEFAULT_MODEL, options = {}, onToken = () => {}, signal) {
+  try {
+    const apiKey = process.env.OPENROUTER_API_KEY || '';
+
+    if (!apiKey) {
+      return {
+        error: 'OpenRouter API key not configured. Please set OPENROUTER_API_KEY in your environment variables.',
+        suggestion: 'Get a free API key from https://openrouter.ai/keys',
+        notConfigured: true
+      };
+    }
+
+    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: options.max_new_tokens || 500,
+        temperature: options.temperature ?? 0.7,
+        stream: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      return {
+        error: `OpenRouter API request failed: ${response.status} ${response.statusText}`,
+        details: errorText.substring(0, 200),
+        model,
+        status: response.status
+      };
+    }
+
+    let text = '';
+    await readEventStream(response.body, (payload) => {
+      if (payload === '[DONE]') return;
+      try {
+        const piece = JSON.parse(payload).choices?.[0]?.delta?.content || '';
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      } catch (parseError) {
+        // OpenRouter sends keep-alive comments between chunks
+      }
+    });
+
+    return { success: true, data: { generated_text: text, text }, model };
+  } catch (error) {
+    return {
+      error: 'Failed to connect to OpenRouter service',
+      details: error.message,
+      model,
+      connectionFailed: true
+    };
+  }
+}
+
+// Streaming variant of callLocalProvider, emitting one word at a time
+export async function streamLocalProvider(prompt, model = LOCAL_MODEL, options = {}, onToken = () => {}, signal) {
+  const result = await callLocalProvider(prompt, model, options);
+  const pieces = result.data.generated_text.split(/(?=\s)/);
+
+  for (const piece of pieces) {
+    if (signal?.aborted) break;
+    onToken(piece);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return result;
+}
+
+// Registered providers, each exposing the same call signature
+export const PROVIDERS = {
+  huggingface: {
+    label: 'HuggingFace Router',
+    models: () => COMPATIBLE_MODELS,
+    isConfigured: () => Boolean(process.env.HUGGINGFACE_API_KEY),
+    call: (model, prompt, options) => callHuggingFaceAPI(model, prompt, options),
+    stream: (model, prompt, options, onToken, signal) => streamHuggingFaceAPI(model, prompt, options, onToken, signal)
+  },
+  openrouter: {
+    label: 'OpenRouter',
+    models: () => [OPENROUTER_DEFAULT_MODEL],
+    isConfigured: () => Boolean(process.env.OPENROUTER_API_KEY),
+    call: (model, prompt, options) => callOpenRouterAPI(prompt, model, options),
+    stream: (model, prompt, options, onToken, signal) => streamOpenRouterAPI(prompt, model, options, onToken, signal)
+  },
+  local: {
+    label: 'Local (deterministic)',
+    models: () => [LOCAL_MODEL],
+    isConfigured: () => true,
+    call: (model, prompt, options) => callLocalProvider(prompt, model, options),
+    stream: (model, prompt, options, onToken, signal) => streamLocalProvider(prompt, model, options, onToken, signal)
+  }
+};
+
+// Provider order comes from LLM_PROVIDERS (comma separated), e.g. "huggingface,openrouter,local"
+export function getProviderOrder() {
+  const configured = (process.env.LLM_PROVIDERS || 'huggingface,openrouter')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROVIDERS[name]);
+  return configured.length > 0 ? [...new Set(configured)] : ['huggingface'];
+}
+
+// Find which provider serves a model name
+export function findProviderForModel(model) {
+  return Object.keys(PROVIDERS).find(name => PROVIDERS[name].models().includes(model)) || null;
+}
+
+// Every (provider, model) pair to try, starting with the preferred model if given
+function buildCandidateChain(preferredModel, fallback = true) {
+  const chain = [];
+  const preferredProvider = preferredModel ? findProviderForModel(preferredModel) : null;
+
+  if (preferredProvider) {
+    chain.push({ provider: preferredProvider, model: preferredModel });
+    if (!fallback) {
+      return chain;
+    }
+  }
+
+  for (const provider of getProviderOrder()) {
+    for (const model of PROVIDERS[provider].models()) {
+      if (!chain.some(c => c.provider === provider && c.model === model)) {
+        chain.push({ provider, model });
+      }
+    }
+  }
+
+  return chain;
+}
+
+// Map a call outcome to the availability shown in the model catalog
+function recordModelStatus(model, result) {
+  let status = 'error';
+  if (result.success) status = 'available';
+  else if (result.notConfigured) status = 'not_configured';
+  else if (result.connectionFailed) status = 'unreachable';
+  else if (result.status === 503) status = 'loading';
+  else if (result.status === 429) status = 'rate_limited';
+  else if (result.status === 404) status = 'unavailable';
+
+  modelStatus.set(model, { status, checkedAt: new Date().toISOString() });
+}
+
+// Catalog of every model the provider layer knows about
+export function getModelRegistry() {
+  const enabled = getProviderOrder();
+
+  return Object.entries(PROVIDERS).flatMap(([providerName, provider]) =>
+    provider.models().map(id => {
+      const observed = modelStatus.get(id);
+      let status = observed ? observed.status : 'unknown';
+      if (!enabled.includes(providerName)) status = 'disabled';
+      else if (!provider.isConfigured()) status = 'not_configured';
+
+      return {
+        id,
+        provider: providerName,
+        providerLabel: provider.label,
+        contextLength: MODEL_DETAILS[id]?.contextLength || null,
+        defaultParameters: { ...DEFAULT_PARAMETERS },
+        isDefault: id === DEFAULT_MODEL,
+        status,
+        lastCheckedAt: observed ? observed.checkedAt : null
+      };
+    })
+  );
+}
+
+// Check a requested model name against the registry; returns null when usable
+export function validateModel(model) {
+  if (model === undefined || model === null || model === '') {
+    return null;
+  }
+
+  const entry = getModelRegistry().find(m => m.id === model);
+  if (!entry) {
+    return {
+      error: `Unknown model "${model}"`,
+      details: 'See GET /api/v1/models for the list of supported models'
+    };
+  }
+
+  if (entry.status === 'disabled') {
+    return {
+      error: `Model "${model}" is not enabled on this server`,
+      details: `Provider "${entry.provider}" is not listed in LLM_PROVIDERS`
+    };
+  }
+
+  return null;
+}
+
+// Largest completion an API caller can ask for in one request
+export const MAX_COMPLETION_TOKENS = 4000;
+
+// Check the maxTokens and temperature an API caller sent; returns null when they are absent or usable
+export function validateGenerationOptions({ maxTokens, temperature } = {}) {
+  if (maxTokens !== undefined && maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_COMPLETION_TOKENS)) {
+    return {
+      error: 'Invalid maxTokens',
+      details: `maxTokens must be a whole number from 1 to ${MAX_COMPLETION_TOKENS}`
+    };
+  }
+
+  if (temperature !== undefined && temperature !== null && (!Number.isFinite(temperature) || temperature < 0 || temperature > 2)) {
+    return {
+      error: 'Invalid temperature',
+      details: 'temperature must be a number from 0 to 2'
+    };
+  }
+
+  return null;
+}
+
+// Whether a failed call should fall through to the next candidate
+function shouldFallBack(result) {
+  return Boolean(result.notConfigured || result.connectionFailed || FALLBACK_STATUSES.includes(result.status));
+}
+
+// Walk the candidate chain, calling `attempt(provider, model)` until one succeeds.
+// Successful results carry `provider`, `model` and the failed `attempts` before it.
+async function runWithFallback(preferredModel, fallback, attempt) {
+  const attempts = [];
+  const unconfigured = new Set();
+  let lastError = null;
+
+  for (const candidate of buildCandidateChain(preferredModel, fallback !== false)) {
+    if (unconfigured.has(candidate.provider)) {
+      continue;
+    }
+
+    const result = await attempt(PROVIDERS[candidate.provider], candidate.model);
+    recordModelStatus(candidate.model, result);
+
+    if (result.success) {
+      return { ...result, provider: candidate.provider, model: candidate.model, attempts };
+    }
+
+    if (result.notConfigured) {
+      unconfigured.add(candidate.provider);
+    } else {
+      attempts.push({
+        provider: candidate.provider,
+        model: candidate.model,
+        status: result.status || null,
+        error: result.error
+      });
+    }
+
+    // A real upstream error is more useful to the caller than "not configured"
+    if (!lastError || (lastError.notConfigured && !result.notConfigured)) {
+      lastError = { ...result, provider: candidate.provider, model: candidate.model };
+    }
+
+    if (!shouldFallBack(result)) {
+      lastError = { ...result, provider: candidate.provider, model: candidate.model };
+      break;
+    }
+  }
+
+  const { notConfigured, connectionFailed, ...error } = lastError || { error: 'No AI providers available' };
+  return { ...error, attempts };
+}
+
+// Rough token count (about 4 characters per token) for providers that don't report usage
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Make sure every successful result carries a `usage` object
+function withUsage(prompt, result) {
+  if (!result.success || result.usage) {
+    return result;
+  }
+
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(extractGeneratedText(result.data));
+  return {
+    ...result,
+    usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true }
+  };
+}
+
+// Cache key and TTL for a generation; temperature 0 output is deterministic and kept longest
+function generationCacheEntry(prompt, options) {
+  const { model, fallback, cache, store, signal, ...parameters } = options;
+  return {
+    key: cacheKey('llm', model || null, fallback !== false, prompt, parameters),
+    ttl: parameters.temperature === 0 ? CACHE_TTLS.deterministic : CACHE_TTLS.generation
+  };
+}
+
+// Cached successful result for these exact arguments, if any
+export function getCachedGeneration(prompt, options = {}) {
+  return responseCache.get(generationCacheEntry(prompt, options).key) || null;
+}
+
+// Store a result under these exact arguments, for callers that only keep output they have checked
+export function cacheGeneration(prompt, options, result) {
+  const { key, ttl } = generationCacheEntry(prompt, options);
+  const { cache, ...value } = result;
+  responseCache.set(key, value, ttl);
+}
+
+// Unified generation entry point: walks models and providers until one answers.
+// Identical calls are served from the response cache unless `cache: false` is passed;
+// `store: false` still reads the cache but leaves a fresh result out of it.
+// The result's `cache` field says HIT, MISS or BYPASS.
+export async function callLLM(prompt, options = {}) {
+  const { model, fallback, cache, store, ...parameters } = options;
+  const { key, ttl } = generationCacheEntry(prompt, options);
+
+  const { value, status } = await responseCache.wrap(key, ttl, async () => {
+    const result = await runWithFallback(model, fallback, (provider, candidateModel) =>
+      provider.call(candidateModel, prompt, parameters)
+    );
+    return withUsage(prompt, result);
+  }, { bypass: cache === false, shouldCache: result => store !== false && Boolean(result.success) });
+
+  return { ...value, cache: status };
+}
+
+// Streaming generation: onToken receives text as it arrives. Falling back to another
+// model is only possible until the first token has been sent to the client.
+// Successful streams are stored in the response cache like callLLM results.
+export async function streamLLM(prompt, options = {}, onToken = () => {}) {
+  const { model, fallback, signal, cache, ...parameters } = options;
+  const { key, ttl } = generationCacheEntry(prompt, options);
+  let started = false;
+  const emit = (piece) => {
+    started = true;
+    onToken(piece);
+  };
+
+  const result = await runWithFallback(model, fallback, async (provider, candidateModel) => {
+    const attemptResult = await provider.stream(candidateModel, prompt, parameters, emit, signal);
+    // Once text has reached the client a failure is final
+    return !attemptResult.success && started ? { ...attemptResult, connectionFailed: false, status: null } : attemptResult;
+  });
+  const finalResult = withUsage(prompt, result);
+
+  if (finalResult.success && !signal?.aborted) {
+    responseCache.set(key, finalResult, ttl);
+  }
+
+  return { ...finalResult, cache: cache === false ? 'BYPASS' : 'MISS' };
+}
+
+// Pull the generated text out of the different provider response shapes
+export function extractGeneratedText(data) {
+  if (Array.isArray(data)) {
+    return data[0]?.generated_text || data[0]?.text || data[0]?.summary || JSON.stringify(data[0]);
+  }
+  if (data && typeof data === 'object') {
+    return data.generated_text || data.text || data.summary || data[0]?.generated_text || JSON.stringify(data);
+  }
+  if (typeof data === 'string') {
+    return data;
+  }
+  return JSON.stringify(data);
+}
@@ -0,0 +1,75 @@
+import nodemailer from 'nodemailer';
+
+// Messages per second across the whole process; keeps within provider limits and warms up IPs gently
+export const SMTP_MAX_PER_SECOND = Math.max(Number(process.env.SMTP_MAX_PER_SECOND) || 2, 0.1);
+
+let transporter = null;
+let nextSlot = 0;
+
+// SMTP settings from the environment. SMTP_HOST is the only required one, so a local catcher
+// such as MailHog or Mailpit (SMTP_HOST=localhost SMTP_PORT=1025) works without credentials.
+export function mailerConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+export function defaultSender() {
+  return process.env.MAIL_FROM || (process.env.SMTP_USER && process.env.SMTP_USER.includes('@') ? process.env.SMTP_USER : 'newsletter@localhost');
+}
+
+// The bare address of a sender line such as '"Name" <name@example.com>'
+function senderAddress(sender) {
+  const bracketed = String(sender).match(/<([^<>]+)>/);
+  return (bracketed ? bracketed[1] : String(sender)).trim().toLowerCase();
+}
+
+// Lists can only send as MAIL_FROM or from a domain in SENDER_DOMAINS (comma-separated), the
+// domains verified with the SMTP provider, so the server can't be used to impersonate anyone else
+export function senderAllowed(email) {
+  const address = senderAddress(email);
+  const domains = (process.env.SENDER_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+  return address === senderAddress(defaultSender()) || domains.includes(address.split('@').pop());
+}
+
+function getTransporter() {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined,
+      pool: true,
+      maxConnections: 2
+    });
+  }
+  return transporter;
+}
+
+// Wait for the next free send slot so the whole process stays under SMTP_MAX_PER_SECOND
+async function throttle() {
+  const interval = 1000 / SMTP_MAX_PER_SECOND;
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot);
+  nextSlot = slot + interval;
+  if (slot > now) {
+    await new Promise(resolve => setTimeout(resolve, slot - now));
+  }
+}
+
+// A 5xx reply to the recipient (mailbox unknown, domain doesn't accept mail) won't succeed later
+export function isPermanentFailure(error) {
+  return Number(error?.responseCode) >= 500 && Number(error.responseCode) < 600 &&
+    (error.command === 'RCPT TO' || error.code === 'EENVELOPE');
+}
+
+// Send one message. Resolves to { messageId, response }; rejects with nodemailer's error
+// (responseCode and command tell a permanent bounce from a temporary failure).
+export async function sendMail({ from, to, subject, html, text, headers = {} }) {
+  if (!mailerConfigured()) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+
+  await throttle();
+  const info = await getTransporter().sendMail({ from: from || defaultSender(), to, subject, html, text, headers });
+  return { messageId: info.messageId, response: info.response };
+}
@@ -0,0 +1,275 @@
+import { openCollection } from './store.js';
+import { escapeXml } from './zip.js';
+import { renderNewsletterHtml, DEFAULT_ACCENT_COLOR } from './newsletter.js';
+
+// Issues listed on the archive page and in the feeds, newest first
+export const FEED_ISSUE_LIMIT = 20;
+
+// Published issues kept per owner across all their publications; delete old ones to publish more
+export const MAX_ISSUES_PER_OWNER = Number(process.env.NEWSLETTER_MAX_ISSUES) || 200;
+
+const PUBLICATION_SLUG = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+const publications = openCollection('newsletter-publications');
+const issues = openCollection('newsletter-issues');
+
+function slugify(text, maxLength = 60) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/g, '') || 'issue';
+}
+
+function toPublicIssue(issue) {
+  const { owner, ...fields } = issue;
+  return fields;
+}
+
+function toPublicPublication(publication) {
+  const { owner, ...fields } = publication;
+  return fields;
+}
+
+export function findPublication(slug) {
+  return publications.find(publication => publication.slug === slug);
+}
+
+// Check the publication fields sent with an issue. Returns { slug, title, description, accentColor } or { error }.
+export function validatePublication({ publication, publicationTitle, description, accentColor }) {
+  if (typeof publication !== 'string' || !PUBLICATION_SLUG.test(publication)) {
+    return { error: 'publication must be a slug of lowercase letters, numbers and dashes (up to 50 characters), e.g. "founder-notes"' };
+  }
+  if (publicationTitle !== undefined && (typeof publicationTitle !== 'string' || publicationTitle.trim().length === 0 || publicationTitle.length > 100)) {
+    return { error: 'publicationTitle must be text up to 100 characters' };
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 300)) {
+    return { error: 'description must be text up to 300 characters' };
+  }
+  if (accentColor !== undefined && (typeof accentColor !== 'string' || !/^#[0-9a-f]{6}$/i.test(accentColor))) {
+    return { error: 'accentColor must be a hex color such as #667eea' };
+  }
+
+  return { slug: publication, title: publicationTitle?.trim(), description: description?.trim(), accentColor };
+}
+
+// Save an issue to a publication's public archive. The first caller to publish under a slug owns it;
+// later issues may update its title, description and color.
+export function publishIssue(owner, { publication, sections, topic = '' }) {
+  if (issues.filter(issue => issue.owner === owner).length >= MAX_ISSUES_PER_OWNER) {
+    return { status: 409, error: `You can have up to ${MAX_ISSUES_PER_OWNER} published issues`, details: 'Delete old issues to publish new ones' };
+  }
+
+  let record = findPublication(publication.slug);
+
+  if (record && record.owner !== owner) {
+    return { status: 403, error: 'Publication belongs to someone else', details: `Choose another publication slug than "${publication.slug}"` };
+  }
+
+  const now = new Date().toISOString();
+  if (!record) {
+    record = publications.insert({
+      owner,
+      slug: publication.slug,
+      title: publication.title || publication.slug,
+      description: publication.description || '',
+      accentColor: publication.accentColor || DEFAULT_ACCENT_COLOR,
+      createdAt: now,
+      updatedAt: now
+    });
+  } else if (publication.title || publication.description !== undefined || publication.accentColor) {
+    record = publications.update(record.id, {
+      title: publication.title || record.title,
+      description: publication.description ?? record.description,
+      accentColor: publication.accentColor || record.accentColor,
+      updatedAt: now
+    });
+  }
+
+  // Slug from the subject and date, made unique within the publication
+  const base = `${now.slice(0, 10)}-${slugify(sections.subject)}`;
+  const taken = new Set(issues.filter(issue => issue.publication === record.slug).map(issue => issue.slug));
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+
+  const issue = issues.insert({
+    owner,
+    publication: record.slug,
+    slug,
+    topic,
+    sections,
+    publishedAt: now
+  });
+
+  return { issue: toPublicIssue(issue), publication: toPublicPublication(record) };
+}
+
+export function listPublishedIssues(slug, limit = FEED_ISSUE_LIMIT) {
+  return issues
+    .filter(issue => issue.publication === slug)
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+    .slice(0, limit)
+    .map(toPublicIssue);
+}
+
+export function getPublishedIssue(publicationSlug, slug) {
+  const issue = issues.find(entry => entry.publication === publicationSlug && entry.slug === slug);
+  return issue ? toPublicIssue(issue) : null;
+}
+
+// Issues the caller published, across their publications
+export function listOwnIssues(owner) {
+  return issues
+    .filter(issue => issue.owner === owner)
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+    .map(({ sections, ...issue }) => ({ ...toPublicIssue(issue), subject: sections.subject, preheader: sections.preheader }));
+}
+
+export function deleteIssue(owner, id) {
+  const issue = issues.get(id);
+  if (!issue || !owner || issue.owner !== owner) {
+    return false;
+  }
+  issues.remove(id);
+  return true;
+}
+
+// Public URLs for a publication, given the site's base URL
+export function archiveUrls(baseUrl, publicationSlug, issueSlug = null) {
+  const archive = `${baseUrl}/newsletter/archive/${publicationSlug}`;
+  return {
+    archive,
+    rss: `${archive}/rss.xml`,
+    atom: `${archive}/atom.xml`,
+    ...(issueSlug ? { issue: `${archive}/${issueSlug}` } : {})
+  };
+}
+
+// The web version of an issue: the email HTML with links back to the archive
+export function renderIssuePage(publication, issue, baseUrl) {
+  const urls = archiveUrls(baseUrl, publication.slug, issue.slug);
+  return renderNewsletterHtml(issue.sections, {
+    brandName: publication.title,
+    accentColor: publication.accentColor,
+    archiveUrl: urls.archive
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function renderArchivePage(publication, list, baseUrl) {
+  const urls = archiveUrls(baseUrl, publication.slug);
+  const items = list.map(issue => `
+      <li>
+        <a href="${escapeHtml(archiveUrls(baseUrl, publication.slug, issue.slug).issue)}">${escapeHtml(issue.sections.subject)}</a>
+        <time datetime="${issue.publishedAt}">${new Date(issue.publishedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })}</time>
+        ${issue.sections.preheader ? `<p>${escapeHtml(issue.sections.preheader)}</p>` : ''}
+      </li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(publication.title)} - Archive</title>
+  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(publication.title)} (RSS)" href="${escapeHtml(urls.rss)}">
+  <link rel="alternate" type="application/atom+xml" title="${escapeHtml(publication.title)} (Atom)" href="${escapeHtml(urls.atom)}">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f4f4f7; color: #333; }
+    header { background: ${publication.accentColor}; color: white; padding: 40px 20px; text-align: center; }
+    header h1 { margin: 0 0 10px; }
+    header p { margin: 0; opacity: 0.9; }
+    main { max-width: 700px; margin: 30px auto; padding: 0 20px; }
+    .feeds { margin-bottom: 20px; }
+    .feeds a { color: ${publication.accentColor}; margin-right: 15px; font-weight: 600; }
+    ul { list-style: none; padding: 0; }
+    li { background: white; border-radius: 8px; padding: 20px; margin-bottom: 15px; }
+    li a { font-size: 1.2rem; font-weight: 600; color: #222; text-decoration: none; }
+    li a:hover { color: ${publication.accentColor}; }
+    time { display: block; color: #888; font-size: 0.9rem; margin-top: 5px; }
+    li p { margin: 10px 0 0; color: #555; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(publication.title)}</h1>
+    ${publication.description ? `<p>${escapeHtml(publication.description)}</p>` : ''}
+  </header>
+  <main>
+    <div class="feeds">Subscribe: <a href="${escapeHtml(urls.rss)}">RSS</a><a href="${escapeHtml(urls.atom)}">Atom</a></div>
+    ${list.length > 0 ? `<ul>${items}
+    </ul>` : '<p>No issues published yet.</p>'}
+  </main>
+</body>
+</html>
+`;
+}
+
+export function renderRssFeed(publication, list, baseUrl) {
+  const urls = archiveUrls(baseUrl, publication.slug);
+  const items = list.map(issue => {
+    const link = archiveUrls(baseUrl, publication.slug, issue.slug).issue;
+    return `
+    <item>
+      <title>${escapeXml(issue.sections.subject)}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="true">${escapeXml(link)}</guid>
+      <pubDate>${new Date(issue.publishedAt).toUTCString()}</pubDate>
+      <description>${escapeXml(issue.sections.preheader || issue.sections.intro)}</description>
+      <content:encoded>${escapeXml(renderIssuePage(publication, issue, baseUrl))}</content:encoded>
+    </item>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(publication.title)}</title>
+    <link>${escapeXml(urls.archive)}</link>
+    <description>${escapeXml(publication.description || `${publication.title} newsletter archive`)}</description>
+    <language>en</language>
+    <atom:link href="${escapeXml(urls.rss)}" rel="self" type="application/rss+xml"/>
+    ${list.length > 0 ? `<lastBuildDate>${new Date(list[0].publishedAt).toUTCString()}</lastBuildDate>` : ''}${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtomFeed(publication, list, baseUrl) {
+  const urls = archiveUrls(baseUrl, publication.slug);
+  const entries = list.map(issue => {
+    const link = archiveUrls(baseUrl, publication.slug, issue.slug).issue;
+    return `
+  <entry>
+    <title>${escapeXml(issue.sections.subject)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>
+    <id>${escapeXml(link)}</id>
+    <published>${issue.publishedAt}</published>
+    <updated>${issue.publishedAt}</updated>
+    <summary>${escapeXml(issue.sections.preheader || issue.sections.intro)}</summary>
+    <content type="html">${escapeXml(renderIssuePage(publication, issue, baseUrl))}</content>
+  </entry>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(publication.title)}</title>
+  ${publication.description ? `<subtitle>${escapeXml(publication.description)}</subtitle>` : ''}
+  <link rel="alternate" type="text/html" href="${escapeXml(urls.archive)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(urls.atom)}"/>
+  <id>${escapeXml(urls.archive)}</id>
+  <updated>${list.length > 0 ? list[0].publishedAt : publication.createdAt}</updated>
+  <author><name>${escapeXml(publication.title)}</name></author>${entries}
+</feed>
+`;
+}
@@ -0,0 +1,237 @@
+import { openCollection } from './store.js';
+import { toCsv } from './csv.js';
+import { renderNewsletterHtml, renderNewsletterText } from './newsletter.js';
+import { sendMail, isPermanentFailure, defaultSender } from './mailer.js';
+import { confirmedSubscribers, getListRecord, getSubscriberRecord, listSender, markBounced } from './subscribers.js';
+
+export const SEND_EXPORT_FORMATS = ['csv', 'json'];
+
+const sends = openCollection('newsletter-sends');
+
+// Sends being worked on in this process
+const active = new Set();
+
+// Public URL a subscriber uses to leave the list
+export function unsubscribeUrl(baseUrl, token) {
+  return `${baseUrl}/newsletter/unsubscribe/${token}`;
+}
+
+export function confirmUrl(baseUrl, token) {
+  return `${baseUrl}/newsletter/confirm/${token}`;
+}
+
+// Email a pending subscriber their double opt-in link. Resolves to { sent, error } and never throws,
+// so a signup is still recorded when SMTP is down.
+export async function sendConfirmation(list, subscriber, baseUrl) {
+  if (!subscriber.confirmToken) {
+    return { sent: false, error: 'Subscriber is not pending confirmation' };
+  }
+
+  const link = confirmUrl(baseUrl, subscriber.confirmToken);
+  const text = [
+    `Please confirm your subscription to ${list.name}.`,
+    '',
+    `Confirm: ${link}`,
+    '',
+    'If you did not sign up, ignore this email and you will not hear from us again.'
+  ].join('\n');
+
+  try {
+    await sendMail({
+      from: listSender(list, defaultSender()),
+      to: subscriber.email,
+      subject: `Confirm your subscription to ${list.name}`,
+      text,
+      html: `<p>Please confirm your subscription to <strong>${escapeHtml(list.name)}</strong>.</p>
+<p><a href="${escapeHtml(link)}">Yes, subscribe me</a></p>
+<p style="color: #888888;">If you did not sign up, ignore this email and you will not hear from us again.</p>`
+    });
+    return { sent: true, error: null };
+  } catch (error) {
+    return { sent: false, error: error.message };
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The small pages behind the subscribe, confirm and unsubscribe links. `form` adds a POST form
+// ({ action, button, fields: [{ name, label, type }] }).
+export function renderSubscriptionPage({ title, message, form = null }) {
+  const fields = form ? (form.fields || []).map(field => `
+      <label>${escapeHtml(field.label)}<input type="${field.type || 'text'}" name="${escapeHtml(field.name)}"${field.required ? ' required' : ''}></label>`).join('') : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f4f4f7; color: #333; }
+    main { max-width: 480px; margin: 60px auto; background: white; border-radius: 10px; padding: 30px; }
+    h1 { margin-top: 0; font-size: 1.5rem; }
+    label { display: block; margin-bottom: 15px; font-weight: 600; }
+    input { display: block; width: 100%; box-sizing: border-box; margin-top: 5px; padding: 10px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem; }
+    button { background: #667eea; color: white; border: none; border-radius: 8px; padding: 12px 24px; font-size: 1rem; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>${form ? `
+    <form method="POST" action="${escapeHtml(form.action)}">${fields}
+      <button type="submit">${escapeHtml(form.button)}</button>
+    </form>` : ''}
+  </main>
+</body>
+</html>
+`;
+}
+
+function summarize(recipients) {
+  const counts = { total: recipients.length, pending: 0, sent: 0, failed: 0, bounced: 0, skipped: 0 };
+  for (const recipient of recipients) {
+    counts[recipient.status]++;
+  }
+  return counts;
+}
+
+function toPublicSend(send, { includeRecipients = true } = {}) {
+  const { owner, sections, options, baseUrl, recipients, ...fields } = send;
+  const counts = summarize(recipients);
+  return {
+    ...fields,
+    counts,
+    progress: counts.total > 0 ? Math.round(((counts.total - counts.pending) / counts.total) * 100) : 100,
+    ...(includeRecipients ? { recipients } : {})
+  };
+}
+
+// Queue a newsletter for every confirmed subscriber of a list. The recipient list is fixed
+// here; people who unsubscribe before their turn are skipped.
+export function createSend(owner, { listId, sections, options, baseUrl }) {
+  const recipients = confirmedSubscribers(listId).map(subscriber => ({
+    subscriberId: subscriber.id,
+    email: subscriber.email,
+    status: 'pending',
+    messageId: null,
+    error: null,
+    sentAt: null
+  }));
+
+  const now = new Date().toISOString();
+  const send = sends.insert({
+    owner,
+    listId,
+    subject: sections.subject,
+    sections,
+    options,
+    baseUrl,
+    status: recipients.length > 0 ? 'sending' : 'completed',
+    recipients,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: recipients.length > 0 ? null : now
+  });
+
+  return toPublicSend(send, { includeRecipients: false });
+}
+
+function updateRecipient(id, subscriberId, changes) {
+  return sends.update(id, send => ({
+    ...send,
+    recipients: send.recipients.map(entry => entry.subscriberId === subscriberId ? { ...entry, ...changes } : entry),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+// Deliver to each pending recipient in turn; the mailer spaces the messages out to SMTP_MAX_PER_SECOND.
+// Every message gets its own unsubscribe link and one-click List-Unsubscribe headers (RFC 8058).
+export async function runSend(id) {
+  if (active.has(id)) return;
+  active.add(id);
+
+  try {
+    const send = sends.get(id);
+    if (!send) return;
+
+    const list = getListRecord(send.listId);
+    const from = list ? listSender(list, defaultSender()) : defaultSender();
+
+    for (const recipient of send.recipients.filter(entry => entry.status === 'pending')) {
+      const subscriber = getSubscriberRecord(recipient.subscriberId);
+      if (!subscriber || subscriber.status !== 'subscribed') {
+        updateRecipient(id, recipient.subscriberId, { status: 'skipped', error: subscriber ? `Subscriber is ${subscriber.status}` : 'Subscriber was removed' });
+        continue;
+      }
+
+      const unsubscribe = unsubscribeUrl(send.baseUrl, subscriber.unsubscribeToken);
+      const options = { ...send.options, unsubscribeUrl: unsubscribe };
+
+      try {
+        const info = await sendMail({
+          from,
+          to: subscriber.name ? { name: subscriber.name, address: subscriber.email } : subscriber.email,
+          subject: send.sections.subject,
+          html: renderNewsletterHtml(send.sections, options),
+          text: renderNewsletterText(send.sections, options),
+          headers: {
+            'List-Unsubscribe': `<${unsubscribe}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        });
+        updateRecipient(id, recipient.subscriberId, { status: 'sent', messageId: info.messageId, error: null, sentAt: new Date().toISOString() });
+      } catch (error) {
+        const bounced = isPermanentFailure(error);
+        updateRecipient(id, recipient.subscriberId, { status: bounced ? 'bounced' : 'failed', error: error.response || error.message });
+        if (bounced) {
+          markBounced(send.listId, [subscriber.email], error.response || error.message);
+        }
+      }
+    }
+
+    sends.update(id, { status: 'completed', finishedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+  } finally {
+    active.delete(id);
+  }
+}
+
+// Pick up sends that were interrupted by a restart; recipients already sent to are not mailed again
+export function resumeSends() {
+  for (const send of sends.filter(entry => entry.status === 'sending')) {
+    runSend(send.id).catch(error => console.error(`Newsletter send ${send.id} failed:`, error.message));
+  }
+}
+
+export function listSends(owner) {
+  return sends
+    .filter(send => send.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(send => toPublicSend(send, { includeRecipients: false }));
+}
+
+export function getSend(owner, id) {
+  const send = sends.get(id);
+  return send && owner && send.owner === owner ? toPublicSend(send) : null;
+}
+
+// The delivery log, one row per recipient. Returns { contentType, extension, body }.
+export function exportSend(send, format) {
+  if (format === 'json') {
+    return { contentType: 'application/json; charset=utf-8', extension: 'json', body: JSON.stringify(send.recipients, null, 2) };
+  }
+
+  const headers = ['email', 'status', 'sentAt', 'messageId', 'error'];
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    body: toCsv([headers, ...send.recipients.map(recipient => headers.map(header => recipient[header] ?? ''))])
+  };
+}
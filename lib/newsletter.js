@@ -0,0 +1,397 @@
+import { validateSchema } from './structured.js';
+
+export const NEWSLETTER_RENDER_FORMATS = ['html', 'text', 'eml'];
+export const DEFAULT_ACCENT_COLOR = '#667eea';
+
+export const NEWSLETTER_SCHEMA = {
+  type: 'object',
+  required: ['subject', 'intro', 'stories'],
+  additionalProperties: false,
+  properties: {
+    subject: { type: 'string', minLength: 1, maxLength: 150 },
+    preheader: { type: 'string', maxLength: 200 },
+    intro: { type: 'string', minLength: 1, maxLength: 3000 },
+    stories: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        required: ['title', 'body'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 200 },
+          body: { type: 'string', minLength: 1, maxLength: 5000 },
+          url: { type: ['string', 'null'], format: 'uri' }
+        }
+      }
+    },
+    cta: {
+      type: ['object', 'null'],
+      required: ['label'],
+      additionalProperties: false,
+      properties: {
+        text: { type: 'string', maxLength: 500 },
+        label: { type: 'string', minLength: 1, maxLength: 40 },
+        url: { type: ['string', 'null'], format: 'uri' }
+      }
+    }
+  }
+};
+
+// Labels the model is asked to put at the start of each part
+const LABEL_PATTERN = /^\s*(?:\*\*|#{1,3}\s*)?(subject(?: line)?|preheader|intro(?:duction)?|story|cta button|cta|call to action)\s*(?:\*\*)?\s*[:\-–]\s*(?:\*\*)?\s*(.*)$/i;
+
+const PREHEADER_LENGTH = 110;
+
+export function buildNewsletterPrompt({ topic, audience, sections, trends }) {
+  return `Create a ${sections || 'weekly'} newsletter about ${topic} for ${audience || 'general audience'}. ` +
+    `${trends ? `Include trending topics: ${trends.map(p => p.title).join(', ')}. ` : ''}` +
+    'Make it informative and engaging, with 2-4 main stories. Use exactly this format, one label per part:\n' +
+    'SUBJECT: <subject line under 60 characters>\n' +
+    'PREHEADER: <one sentence shown after the subject in the inbox>\n' +
+    'INTRO: <a short introduction>\n' +
+    'STORY: <headline>\n<two or three sentences>\n' +
+    '(repeat STORY for each story)\n' +
+    'CTA: <one sentence inviting readers to act>\n' +
+    'CTA BUTTON: <2-4 word button label>';
+}
+
+function firstSentence(text, limit = PREHEADER_LENGTH) {
+  const sentence = (String(text).match(/^[^.!?\n]+[.!?]?/) || [''])[0].trim();
+  return sentence.length > limit ? `${sentence.slice(0, limit - 1).trim()}…` : sentence;
+}
+
+function cleanLine(line) {
+  return line.replace(/\*\*/g, '').replace(/^#+\s*/, '').trim();
+}
+
+// Helper function to guess sections from free text when the model ignored the labels:
+// the first paragraph is the intro, headings (markdown, bold or short lines) start stories
+function guessSections(text) {
+  const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  const stories = [];
+  let intro = '';
+
+  for (const paragraph of paragraphs) {
+    const [first, ...rest] = paragraph.split('\n');
+    const heading = /^(#{1,4}\s+|\*\*[^*]+\*\*\s*$)/.test(first) || (first.length <= 80 && !/[.!?:,]$/.test(first.trim()) && rest.length > 0);
+
+    if (heading) {
+      stories.push({ title: cleanLine(first), body: rest.join('\n').trim() });
+    } else if (!intro && stories.length === 0) {
+      intro = paragraph;
+    } else if (stories.length > 0 && !stories[stories.length - 1].body) {
+      stories[stories.length - 1].body = paragraph;
+    } else {
+      stories.push({ title: firstSentence(paragraph, 60), body: paragraph });
+    }
+  }
+
+  return { intro, stories: stories.filter(story => story.body) };
+}
+
+// Split generated text into { subject, preheader, intro, stories, cta }. Returns { sections, warnings }.
+export function parseNewsletter(text, { topic = '', ctaUrl = null } = {}) {
+  const warnings = [];
+  const parts = { subject: '', preheader: '', intro: '', stories: [], ctaText: '', ctaLabel: '' };
+  let current = null;
+  let labeled = false;
+
+  for (const line of String(text).replace(/\r\n/g, '\n').split('\n')) {
+    const match = line.match(LABEL_PATTERN);
+
+    if (match) {
+      labeled = true;
+      const label = match[1].toLowerCase();
+      const value = cleanLine(match[2]);
+
+      if (label.startsWith('subject')) {
+        parts.subject = value;
+        current = null;
+      } else if (label === 'preheader') {
+        parts.preheader = value;
+        current = 'preheader';
+      } else if (label.startsWith('intro')) {
+        parts.intro = value;
+        current = 'intro';
+      } else if (label === 'story') {
+        parts.stories.push({ title: value, body: '' });
+        current = 'story';
+      } else if (label === 'cta button') {
+        parts.ctaLabel = value;
+        current = null;
+      } else {
+        parts.ctaText = value;
+        current = 'cta';
+      }
+      continue;
+    }
+
+    const value = line.trim();
+    if (!value || !current) continue;
+
+    if (current === 'story') {
+      const story = parts.stories[parts.stories.length - 1];
+      // A headline on its own line right after "STORY:"
+      if (!story.title) {
+        story.title = cleanLine(value);
+      } else {
+        story.body = story.body ? `${story.body}\n${value}` : value;
+      }
+    } else if (current === 'intro') {
+      parts.intro = parts.intro ? `${parts.intro}\n${value}` : value;
+    } else if (current === 'preheader') {
+      parts.preheader = parts.preheader ? `${parts.preheader} ${value}` : value;
+    } else {
+      parts.ctaText = parts.ctaText ? `${parts.ctaText} ${value}` : value;
+    }
+  }
+
+  if (!labeled || (!parts.intro && parts.stories.length === 0)) {
+    const guessed = guessSections(String(text).replace(/^\s*subject(?: line)?\s*:.*$/im, ''));
+    parts.intro = parts.intro || guessed.intro;
+    parts.stories = guessed.stories;
+    warnings.push('The model did not label the sections, so they were guessed from the text; check them before sending');
+  }
+
+  parts.stories = parts.stories
+    .map(story => ({ title: story.title || firstSentence(story.body, 60), body: story.body.trim(), url: null }))
+    .filter(story => story.body)
+    .slice(0, NEWSLETTER_SCHEMA.properties.stories.maxItems);
+
+  if (!parts.subject) {
+    parts.subject = topic ? `${topic}: this issue` : 'Newsletter';
+    warnings.push('No subject line was generated; a placeholder subject was used');
+  }
+
+  if (!parts.intro) {
+    parts.intro = parts.stories.length > 0 ? firstSentence(parts.stories[0].body) : parts.subject;
+    warnings.push('No introduction was generated');
+  }
+
+  // A single block of text: keep its opening sentences as the intro and the rest as one story
+  if (parts.stories.length === 0) {
+    const sentences = parts.intro.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [parts.intro];
+    const rest = sentences.slice(2).join('').trim();
+    if (rest) parts.intro = sentences.slice(0, 2).join('').trim();
+    parts.stories = [{ title: parts.subject, body: rest || parts.intro, url: null }];
+    warnings.push('No stories were generated; the text was kept as a single story');
+  }
+
+  const cta = parts.ctaText || ctaUrl
+    ? { text: parts.ctaText, label: (parts.ctaLabel || 'Read more').slice(0, 40), url: ctaUrl || null }
+    : null;
+
+  return {
+    sections: {
+      subject: parts.subject.slice(0, 150),
+      preheader: (parts.preheader || firstSentence(parts.intro)).slice(0, 200),
+      intro: parts.intro.slice(0, 3000),
+      stories: parts.stories.map(story => ({ ...story, title: story.title.slice(0, 200), body: story.body.slice(0, 5000) })),
+      cta
+    },
+    warnings
+  };
+}
+
+// Bare domains pass the schema's uri check; links in the email need the scheme
+function absoluteUrl(url) {
+  if (!url || !url.trim()) return null;
+  return /^https?:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`;
+}
+
+// Check edited sections against the schema. Returns { sections } or { error, details }.
+export function validateNewsletterSections(sections) {
+  const errors = validateSchema(NEWSLETTER_SCHEMA, sections);
+  if (errors.length > 0) {
+    return { error: 'Invalid newsletter sections', details: errors.map(error => `${error.path} ${error.message}`).join('; ') };
+  }
+
+  return {
+    sections: {
+      ...sections,
+      preheader: sections.preheader || firstSentence(sections.intro),
+      stories: sections.stories.map(story => ({ ...story, url: absoluteUrl(story.url) })),
+      cta: sections.cta ? { text: sections.cta.text || '', label: sections.cta.label, url: absoluteUrl(sections.cta.url) } : null
+    }
+  };
+}
+
+// Check the look-and-feel options shared by every render. Returns { options } or { error }.
+export function validateRenderOptions({ brandName, accentColor, unsubscribeUrl } = {}) {
+  if (brandName !== undefined && (typeof brandName !== 'string' || brandName.length > 80)) {
+    return { error: 'brandName must be text up to 80 characters' };
+  }
+  if (accentColor !== undefined && (typeof accentColor !== 'string' || !/^#[0-9a-f]{6}$/i.test(accentColor))) {
+    return { error: 'accentColor must be a hex color such as #667eea' };
+  }
+  if (unsubscribeUrl !== undefined && (typeof unsubscribeUrl !== 'string' || !/^https?:\/\/\S+$/.test(unsubscribeUrl))) {
+    return { error: 'unsubscribeUrl must be an http(s) URL' };
+  }
+
+  return { options: { brandName: brandName?.trim() || '', accentColor: accentColor || DEFAULT_ACCENT_COLOR, unsubscribeUrl: unsubscribeUrl || null } };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function paragraphsHtml(text, style) {
+  return String(text)
+    .split(/\n\s*\n|\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p style="${style}">${escapeHtml(paragraph)}</p>`)
+    .join('\n');
+}
+
+// Responsive single-column email: tables and inline styles for Outlook and Gmail,
+// plus one media query for small screens. `webUrl` and `archiveUrl` add "view in browser" links.
+export function renderNewsletterHtml(sections, { brandName = '', accentColor = DEFAULT_ACCENT_COLOR, unsubscribeUrl = null, webUrl = null, archiveUrl = null } = {}) {
+  const font = "font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;";
+  const text = `${font} font-size: 16px; line-height: 1.6; color: #333333; margin: 0 0 16px;`;
+  const button = `${font} display: inline-block; background: ${accentColor}; color: #ffffff; text-decoration: none; font-weight: 600; padding: 12px 28px; border-radius: 6px;`;
+
+  const stories = sections.stories.map(story => `
+          <tr>
+            <td class="content" style="padding: 0 40px 24px;">
+              <h2 style="${font} font-size: 20px; line-height: 1.3; color: #222222; margin: 0 0 10px;">${story.url ? `<a href="${escapeHtml(story.url)}" style="color: #222222; text-decoration: none;">${escapeHtml(story.title)}</a>` : escapeHtml(story.title)}</h2>
+              ${paragraphsHtml(story.body, text)}
+              ${story.url ? `<p style="${text}"><a href="${escapeHtml(story.url)}" style="color: ${accentColor}; font-weight: 600;">Read more &rarr;</a></p>` : ''}
+            </td>
+          </tr>`).join('');
+
+  const cta = sections.cta ? `
+          <tr>
+            <td class="content" align="center" style="padding: 8px 40px 32px;">
+              ${sections.cta.text ? `<p style="${text}">${escapeHtml(sections.cta.text)}</p>` : ''}
+              ${sections.cta.url ? `<a href="${escapeHtml(sections.cta.url)}" style="${button}">${escapeHtml(sections.cta.label)}</a>` : ''}
+            </td>
+          </tr>` : '';
+
+  const footerLinks = [
+    webUrl ? `<a href="${escapeHtml(webUrl)}" style="color: #888888;">View in browser</a>` : '',
+    archiveUrl ? `<a href="${escapeHtml(archiveUrl)}" style="color: #888888;">Past issues</a>` : '',
+    unsubscribeUrl ? `<a href="${escapeHtml(unsubscribeUrl)}" style="color: #888888;">Unsubscribe</a>` : ''
+  ].filter(Boolean).join(' &nbsp;|&nbsp; ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="x-apple-disable-message-reformatting">
+  <title>${escapeHtml(sections.subject)}</title>
+  <style>
+    @media only screen and (max-width: 620px) {
+      .container { width: 100% !important; }
+      .content { padding-left: 20px !important; padding-right: 20px !important; }
+    }
+  </style>
+</head>
+<body style="margin: 0; padding: 0; background: #f4f4f7;">
+  <div style="display: none; max-height: 0; overflow: hidden; opacity: 0; color: transparent;">${escapeHtml(sections.preheader)}</div>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background: #f4f4f7;">
+    <tr>
+      <td align="center" style="padding: 24px 12px;">
+        <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width: 600px; max-width: 600px; background: #ffffff; border-radius: 8px; overflow: hidden;">
+          <tr>
+            <td class="content" style="background: ${accentColor}; padding: 28px 40px;">
+              ${brandName ? `<p style="${font} font-size: 13px; letter-spacing: 1px; text-transform: uppercase; color: #ffffff; opacity: 0.85; margin: 0 0 8px;">${escapeHtml(brandName)}</p>` : ''}
+              <h1 style="${font} font-size: 26px; line-height: 1.25; color: #ffffff; margin: 0;">${escapeHtml(sections.subject)}</h1>
+            </td>
+          </tr>
+          <tr>
+            <td class="content" style="padding: 32px 40px 8px;">
+              ${paragraphsHtml(sections.intro, text)}
+            </td>
+          </tr>${stories}${cta}
+          <tr>
+            <td class="content" align="center" style="padding: 20px 40px; background: #fafafa; border-top: 1px solid #eeeeee;">
+              <p style="${font} font-size: 12px; line-height: 1.5; color: #888888; margin: 0;">${brandName ? `${escapeHtml(brandName)}<br>` : ''}${footerLinks}</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Plain-text alternative with the same content and links
+export function renderNewsletterText(sections, { brandName = '', unsubscribeUrl = null, webUrl = null, archiveUrl = null } = {}) {
+  const lines = [];
+  if (brandName) lines.push(brandName.toUpperCase(), '');
+  lines.push(sections.subject, '='.repeat(Math.min(sections.subject.length, 70)), '', sections.intro, '');
+
+  for (const story of sections.stories) {
+    lines.push(story.title, '-'.repeat(Math.min(story.title.length, 70)), story.body);
+    if (story.url) lines.push(`Read more: ${story.url}`);
+    lines.push('');
+  }
+
+  if (sections.cta) {
+    if (sections.cta.text) lines.push(sections.cta.text);
+    if (sections.cta.url) lines.push(`${sections.cta.label}: ${sections.cta.url}`);
+    lines.push('');
+  }
+
+  const footer = [
+    webUrl ? `View in browser: ${webUrl}` : '',
+    archiveUrl ? `Past issues: ${archiveUrl}` : '',
+    unsubscribeUrl ? `Unsubscribe: ${unsubscribeUrl}` : ''
+  ].filter(Boolean);
+  if (footer.length > 0) lines.push('---', ...footer);
+
+  return lines.join('\n').trim() + '\n';
+}
+
+function base64Lines(text) {
+  return Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g).join('\r\n');
+}
+
+// A draft .eml (multipart/alternative: plain text, then HTML) that mail clients open ready to send
+export function renderNewsletterEml(sections, options = {}) {
+  const boundary = `newsletter-${Date.now().toString(36)}`;
+  const subject = /^[\x20-\x7e]*$/.test(sections.subject)
+    ? sections.subject
+    : `=?UTF-8?B?${Buffer.from(sections.subject, 'utf8').toString('base64')}?=`;
+
+  return [
+    'MIME-Version: 1.0',
+    `Subject: ${subject}`,
+    'X-Unsent: 1',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(renderNewsletterText(sections, options)),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(renderNewsletterHtml(sections, options)),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+// Returns { contentType, extension, body } for a render format
+export function renderNewsletter(sections, format, options = {}) {
+  if (format === 'text') {
+    return { contentType: 'text/plain; charset=utf-8', extension: 'txt', body: renderNewsletterText(sections, options) };
+  }
+  if (format === 'eml') {
+    return { contentType: 'message/rfc822', extension: 'eml', body: renderNewsletterEml(sections, options) };
+  }
+  return { contentType: 'text/html; charset=utf-8', extension: 'html', body: renderNewsletterHtml(sections, options) };
+}
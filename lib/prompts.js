@@ -0,0 +1,294 @@
+import { createHash } from 'crypto';
+import { openCollection } from './store.js';
+import { parseTemplate } from './templates.js';
+
+export const PROMPT_CATEGORIES = [
+  'Content Writing',
+  'Marketing',
+  'Code Generation',
+  'Data Analysis',
+  'Creative Writing',
+  'Business Strategy',
+  'Education'
+];
+
+export const PROMPT_SORTS = ['newest', 'oldest', 'rating', 'popular', 'price_asc', 'price_desc', 'title'];
+
+const MAX_PRICE = 1000;
+const MAX_TAGS = 10;
+
+const catalog = openCollection('prompts');
+
+// Accepts an array or a comma-separated string; tags are lowercased and de-duplicated
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(tag => tag.length > 0 && tag.length <= 30))];
+}
+
+// Helper function to validate catalog fields. Returns { error, details } or { fields }.
+// With `partial`, only the fields present are checked (for updates). Generated text is kept even when a
+// stray {{...}} in it isn't a valid variable; the listing then simply has no variables.
+function validatePromptFields(input, { partial = false, generated = false } = {}) {
+  const fields = {};
+  const has = key => input[key] !== undefined;
+
+  if (!partial || has('text')) {
+    if (typeof input.text !== 'string' || input.text.trim().length === 0) {
+      return { error: 'Prompt text is required' };
+    }
+    if (input.text.length > 10000) {
+      return { error: 'Prompt text is too long', details: 'Maximum 10000 characters' };
+    }
+    const template = parseTemplate(input.text);
+    if (template.error && !generated) {
+      return template;
+    }
+    fields.text = input.text.trim();
+  }
+
+  if (!partial || has('title')) {
+    if (typeof input.title !== 'string' || input.title.trim().length === 0) {
+      return { error: 'Title is required' };
+    }
+    if (input.title.trim().length > 120) {
+      return { error: 'Title is too long', details: 'Maximum 120 characters' };
+    }
+    fields.title = input.title.trim();
+  }
+
+  if (!partial || has('category')) {
+    if (!PROMPT_CATEGORIES.includes(input.category)) {
+      return { error: 'Invalid category', details: `Available categories: ${PROMPT_CATEGORIES.join(', ')}` };
+    }
+    fields.category = input.category;
+  }
+
+  if (has('description')) {
+    if (typeof input.description !== 'string' || input.description.length > 500) {
+      return { error: 'Description must be a string of at most 500 characters' };
+    }
+    fields.description = input.description.trim();
+  }
+
+  if (has('tags')) {
+    const tags = normalizeTags(input.tags);
+    if (tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_TAGS} tags are allowed` };
+    }
+    fields.tags = tags;
+  }
+
+  if (has('price')) {
+    const price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price < 0 || price > MAX_PRICE) {
+      return { error: 'Invalid price', details: `Price must be between 0 and ${MAX_PRICE} (USD)` };
+    }
+    fields.price = Math.round(price * 100) / 100;
+  }
+
+  if (has('author')) {
+    if (typeof input.author !== 'string' || input.author.trim().length > 60) {
+      return { error: 'Author must be a string of at most 60 characters' };
+    }
+    fields.author = input.author.trim() || 'Anonymous';
+  }
+
+  for (const key of ['useCase', 'style']) {
+    if (has(key)) {
+      if (typeof input[key] !== 'string' || input[key].length > 100) {
+        return { error: `${key} must be a string of at most 100 characters` };
+      }
+      fields[key] = input[key].trim();
+    }
+  }
+
+  return { fields };
+}
+
+function ratingSummary(ratings = {}) {
+  const scores = Object.values(ratings);
+  if (scores.length === 0) {
+    return { average: null, count: 0 };
+  }
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return { average: Math.round(average * 10) / 10, count: scores.length };
+}
+
+// Ratings and uses are keyed by a hash of the client (API key or IP), so the catalog holds no addresses
+function clientHash(client) {
+  return createHash('sha256').update(client).digest('hex').slice(0, 16);
+}
+
+// Catalog record without owner ids or individual ratings; `mine` tells the viewer what they can edit
+function toPublicPrompt(record, viewer = null) {
+  const { owner, ratings, usedBy, ...publicFields } = record;
+  return {
+    ...publicFields,
+    variables: parseTemplate(record.text).variables || [],
+    rating: ratingSummary(ratings),
+    mine: Boolean(viewer) && owner === viewer
+  };
+}
+
+export function createPrompt(owner, input = {}) {
+  const validation = validatePromptFields(input, { generated: input.source === 'generated' });
+  if (validation.error) {
+    return validation;
+  }
+
+  const now = new Date().toISOString();
+  const record = catalog.insert({
+    title: '',
+    description: '',
+    text: '',
+    category: '',
+    useCase: '',
+    style: '',
+    tags: [],
+    price: 0,
+    author: 'Anonymous',
+    ...validation.fields,
+    owner,
+    source: input.source || 'manual',
+    model: input.model || null,
+    ratings: {},
+    uses: 0,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { success: true, prompt: toPublicPrompt(record, owner) };
+}
+
+export function getPrompt(id, viewer = null) {
+  const record = catalog.get(id);
+  return record ? toPublicPrompt(record, viewer) : null;
+}
+
+// Only the owner (API key or browser client id that created it) may change a listing
+function ownedPrompt(owner, id) {
+  const record = catalog.get(id);
+  if (!record) {
+    return { status: 404, error: 'Prompt not found' };
+  }
+  if (!owner || record.owner !== owner) {
+    return { status: 403, error: 'You can only change prompts you published' };
+  }
+  return { record };
+}
+
+export function updatePrompt(owner, id, changes = {}) {
+  const found = ownedPrompt(owner, id);
+  if (found.error) {
+    return found;
+  }
+
+  const validation = validatePromptFields(changes, { partial: true });
+  if (validation.error) {
+    return { status: 400, ...validation };
+  }
+
+  const updated = catalog.update(id, { ...validation.fields, updatedAt: new Date().toISOString() });
+  return { success: true, prompt: toPublicPrompt(updated, owner) };
+}
+
+export function deletePrompt(owner, id) {
+  const found = ownedPrompt(owner, id);
+  if (found.error) {
+    return found;
+  }
+
+  catalog.remove(id);
+  return { success: true };
+}
+
+// One rating (1-5) per rater; rating again replaces the earlier score. `rater` is the rate-limit client
+// (API key or IP), which a caller can't make up the way it can a client id; `viewer` is the caller's
+// history owner, used to keep owners from rating their own listings.
+export function ratePrompt(rater, id, score, viewer = null) {
+  const record = catalog.get(id);
+  if (!record) {
+    return { status: 404, error: 'Prompt not found' };
+  }
+  if (viewer && record.owner === viewer) {
+    return { status: 403, error: 'You cannot rate your own prompt' };
+  }
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    return { status: 400, error: 'Rating must be an integer from 1 to 5' };
+  }
+
+  const updated = catalog.update(id, { ratings: { ...record.ratings, [clientHash(rater)]: score } });
+  return { success: true, prompt: toPublicPrompt(updated, viewer) };
+}
+
+// Count a copy/run of a listing, used by the "popular" sort. Each client (API key or IP) counts once.
+export function recordPromptUse(id, client) {
+  const record = catalog.get(id);
+  const user = clientHash(client);
+  if (record && !(record.usedBy || []).includes(user)) {
+    catalog.update(id, { uses: (record.uses || 0) + 1, usedBy: [...(record.usedBy || []), user] });
+  }
+}
+
+const SORTERS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  rating: (a, b) => (b.rating.average ?? 0) - (a.rating.average ?? 0) || b.rating.count - a.rating.count,
+  popular: (a, b) => (b.uses || 0) - (a.uses || 0) || b.rating.count - a.rating.count,
+  price_asc: (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  title: (a, b) => a.title.localeCompare(b.title)
+};
+
+// Search, filter, sort and paginate the catalog
+export function listPrompts({ q, category, tag, author, minPrice, maxPrice, mine, sort = 'newest', page = 1, limit = 12 } = {}, viewer = null) {
+  const words = (q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const tags = tag ? normalizeTags(tag) : [];
+
+  const matches = catalog
+    .filter(record => {
+      const haystack = [record.title, record.description, record.text, record.category, record.author, ...record.tags]
+        .join('\n')
+        .toLowerCase();
+
+      return (!category || record.category === category) &&
+        tags.every(t => record.tags.includes(t)) &&
+        (!author || record.author.toLowerCase() === author.toLowerCase()) &&
+        (minPrice === undefined || record.price >= minPrice) &&
+        (maxPrice === undefined || record.price <= maxPrice) &&
+        (!mine || (viewer && record.owner === viewer)) &&
+        words.every(word => haystack.includes(word));
+    })
+    .map(record => toPublicPrompt(record, viewer))
+    .sort((a, b) => SORTERS[sort](a, b) || b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: matches.length,
+    page,
+    limit,
+    totalPages: Math.max(1, Math.ceil(matches.length / limit)),
+    prompts: matches.slice((page - 1) * limit, page * limit)
+  };
+}
+
+// Listing counts per category and the most used tags, for browse filters
+export function getCatalogFacets() {
+  const records = catalog.all();
+  const tagCounts = new Map();
+
+  records.forEach(record => record.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+
+  return {
+    categories: PROMPT_CATEGORIES.map(name => ({
+      name,
+      count: records.filter(record => record.category === name).length
+    })),
+    tags: [...tagCounts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 30)
+      .map(([name, count]) => ({ name, count }))
+  };
+}
@@ -0,0 +1,122 @@
+import fetch from 'node-fetch';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { lookup } from 'dns/promises';
+
+function isPrivateIPv4(address) {
+  const [a, b, c] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19));
+}
+
+// Eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4 part turned into two groups
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : new Array(8 - left.length - right.length).fill('0');
+  return [...left, ...fill, ...right].map(group => parseInt(group, 16));
+}
+
+function groupsToIPv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Whether an IP address is loopback, private, link-local, reserved or multicast.
+// IPv4-mapped, IPv4-compatible, NAT64 and 6to4 IPv6 addresses are checked as the IPv4 address they carry.
+export function isPrivateAddress(address) {
+  const version = net.isIP(address.split('%')[0]);
+  if (version === 4) {
+    return isPrivateIPv4(address);
+  }
+  if (version !== 6) {
+    return true;
+  }
+
+  const groups = ipv6Groups(address);
+  const zeros = count => groups.slice(0, count).every(group => group === 0);
+
+  if (zeros(8) || (zeros(7) && groups[7] === 1)) return true;
+  if (zeros(5) && groups[5] === 0xffff) return isPrivateIPv4(groupsToIPv4(groups[6], groups[7]));
+  if (zeros(6)) return isPrivateIPv4(groupsToIPv4(groups[6], groups[7]));
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isPrivateIPv4(groupsToIPv4(groups[6], groups[7]));
+  }
+  if (groups[0] === 0x2002) return isPrivateIPv4(groupsToIPv4(groups[1], groups[2]));
+
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00;
+}
+
+// Whether a URL's hostname is this machine or a private network, judging by the name alone.
+// Names that only resolve to private addresses are caught by publicFetch when it connects.
+export function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host.split('%')[0])) {
+    return isPrivateAddress(host);
+  }
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local');
+}
+
+// Resolve a hostname and make sure every address it has is public. Resolves to { address, family } or { error }.
+export async function resolvePublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateHost(host)) {
+    return { error: `${host} is not a public address` };
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return { error: `Could not resolve ${host}: ${error.code || error.message}` };
+  }
+
+  if (addresses.length === 0) {
+    return { error: `Could not resolve ${host}` };
+  }
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) {
+    return { error: `${host} resolves to a private address (${blocked.address})` };
+  }
+
+  return addresses[0];
+}
+
+// fetch() for caller-supplied URLs: the hostname is resolved and checked first, and the
+// connection is pinned to the checked address so a second DNS answer can't point it elsewhere.
+// Redirects are not followed; pass each Location back through publicFetch to check it too.
+export async function publicFetch(value, options = {}) {
+  const url = new URL(value);
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Only http(s) URLs can be fetched');
+  }
+
+  const resolved = await resolvePublicHost(url.hostname);
+  if (resolved.error) {
+    throw new Error(resolved.error);
+  }
+
+  const pinnedLookup = (hostname, lookupOptions, callback) => {
+    if (lookupOptions?.all) {
+      callback(null, [{ address: resolved.address, family: resolved.family }]);
+    } else {
+      callback(null, resolved.address, resolved.family);
+    }
+  };
+  const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+
+  return fetch(url.toString(), { ...options, redirect: 'manual', agent: new Agent({ lookup: pinnedLookup }) });
+}
@@ -0,0 +1,186 @@
+// Requests allowed per window for each tool route. Override any of them with the
+// RATE_LIMITS env variable, e.g. RATE_LIMITS='{"leads":{"max":3,"windowMs":60000}}'
+export const ROUTE_BUDGETS = {
+  default: { windowMs: 60 * 1000, max: 20 },
+  content: { windowMs: 60 * 1000, max: 20 },
+  leads: { windowMs: 60 * 1000, max: 5 },
+  products: { windowMs: 60 * 1000, max: 10 },
+  prompts: { windowMs: 60 * 1000, max: 10 },
+  trends: { windowMs: 60 * 1000, max: 10 },
+  resume: { windowMs: 60 * 1000, max: 10 },
+  email: { windowMs: 60 * 1000, max: 20 },
+  newsletter: { windowMs: 60 * 1000, max: 5 },
+  // Long-form posts are charged one request per generation stage and possible continuation (12 for 1,000 words)
+  seo: { windowMs: 60 * 1000, max: 30 },
+  api: { windowMs: 60 * 1000, max: 60 },
+  subscribe: { windowMs: 60 * 60 * 1000, max: 10 }
+};
+
+function loadBudgetOverrides() {
+  if (!process.env.RATE_LIMITS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (error) {
+    console.error('Ignoring RATE_LIMITS, it is not valid JSON:', error.message);
+    return {};
+  }
+}
+
+const budgetOverrides = loadBudgetOverrides();
+
+export function getBudget(name) {
+  return {
+    ...ROUTE_BUDGETS.default,
+    ...ROUTE_BUDGETS[name],
+    ...budgetOverrides.default,
+    ...budgetOverrides[name]
+  };
+}
+
+// In-memory fixed-window counters. Any shared store only needs the same
+// async `increment(key, windowMs, amount)` method returning `{ count, resetAt }`.
+export function createMemoryStore() {
+  const windows = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    async increment(key, windowMs, amount = 1) {
+      const now = Date.now();
+      let entry = windows.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+
+      entry.count += amount;
+      return { count: entry.count, resetAt: entry.resetAt };
+    }
+  };
+}
+
+// Store backed by a Redis client (node-redis v4 or ioredis) so several instances share counters
+export function createRedisStore(client, prefix = 'ratelimit:') {
+  const pexpire = (client.pExpire || client.pexpire).bind(client);
+  const pttl = (client.pTTL || client.pttl).bind(client);
+  const incrBy = (client.incrBy || client.incrby).bind(client);
+
+  return {
+    async increment(key, windowMs, amount = 1) {
+      const redisKey = `${prefix}${key}`;
+      const count = Number(await incrBy(redisKey, amount));
+
+      if (count === amount) {
+        await pexpire(redisKey, windowMs);
+      }
+
+      let ttl = Number(await pttl(redisKey));
+      if (ttl < 0) {
+        // Key lost its expiry (e.g. crash between INCR and PEXPIRE); start a new window
+        await pexpire(redisKey, windowMs);
+        ttl = windowMs;
+      }
+
+      return { count, resetAt: Date.now() + ttl };
+    }
+  };
+}
+
+let store = createMemoryStore();
+
+// Swap the counter store, e.g. setRateLimitStore(createRedisStore(redisClient))
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+// Use Redis for counters when REDIS_URL is set (needs the optional `redis` package installed)
+export async function configureRateLimitStore() {
+  if (!process.env.REDIS_URL) {
+    return;
+  }
+
+  try {
+    const { createClient } = await import('redis');
+    const client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', (error) => console.error('Redis error:', error.message));
+    await client.connect();
+    setRateLimitStore(createRedisStore(client));
+    console.log('Rate limits: shared Redis store');
+  } catch (error) {
+    console.error('Redis unavailable, using in-memory rate limits:', error.message);
+  }
+}
+
+// Verified API keys get their own budget; everyone else is limited by IP
+export function clientKey(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  return `ip:${req.ip || 'unknown'}`;
+}
+
+// Charge `cost` requests to a client's budget for a route. Resolves to { allowed, max, windowMs, count, resetAt },
+// or null when the counter store is unreachable (callers let the work through then).
+export async function chargeBudget(name, client, cost = 1) {
+  const { windowMs, max } = getBudget(name);
+
+  try {
+    const counter = await store.increment(`${name}:${client}`, windowMs, cost);
+    return { allowed: counter.count <= max, max, windowMs, count: counter.count, resetAt: counter.resetAt };
+  } catch (error) {
+    // Never take the tools down because the counter store is unreachable
+    console.error('Rate limit store error:', error.message);
+    return null;
+  }
+}
+
+// Middleware factory: limit a route to its configured budget. `cost` (a number, or a function of
+// the request) charges heavy requests as several, e.g. one per upstream call they will make; a cost of 0 lets the request through uncounted.
+export function rateLimit(name, { cost = 1 } = {}) {
+  return async (req, res, next) => {
+    // Queued jobs were counted when they were accepted
+    if (req.job) {
+      return next();
+    }
+
+    const amount = typeof cost === 'function' ? cost(req) : cost;
+    if (amount === 0) {
+      return next();
+    }
+
+    const counter = await chargeBudget(name, clientKey(req), amount);
+    if (!counter) {
+      return next();
+    }
+
+    const { max, windowMs } = counter;
+    const remaining = Math.max(0, max - counter.count);
+    const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(counter.resetAt / 1000)));
+
+    if (!counter.allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        details: `This tool allows ${max} requests per ${Math.round(windowMs / 1000)} seconds. Try again in ${retryAfter} seconds.`,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
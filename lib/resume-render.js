@@ -0,0 +1,326 @@
+import PDFDocument from 'pdfkit';
+import { createZip, escapeXml } from './zip.js';
+import { dateRange } from './resume.js';
+
+export const RENDER_FORMATS = ['html', 'pdf', 'docx'];
+
+// One definition per template drives the HTML, PDF and DOCX output
+export const RESUME_TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    description: 'Serif type, centered header, ruled section headings',
+    font: { html: 'Georgia, "Times New Roman", serif', pdf: 'Times-Roman', pdfBold: 'Times-Bold', docx: 'Times New Roman' },
+    accent: '#222222',
+    baseSize: 11,
+    nameSize: 22,
+    align: 'center',
+    uppercaseHeadings: true,
+    rule: true
+  },
+  modern: {
+    label: 'Modern',
+    description: 'Sans-serif type with a colored name and headings',
+    font: { html: '"Helvetica Neue", Arial, sans-serif', pdf: 'Helvetica', pdfBold: 'Helvetica-Bold', docx: 'Arial' },
+    accent: '#667eea',
+    baseSize: 10.5,
+    nameSize: 24,
+    align: 'left',
+    uppercaseHeadings: false,
+    rule: false
+  },
+  compact: {
+    label: 'Compact',
+    description: 'Smaller type and tight spacing to fit more on one page',
+    font: { html: 'Arial, Helvetica, sans-serif', pdf: 'Helvetica', pdfBold: 'Helvetica-Bold', docx: 'Arial' },
+    accent: '#333333',
+    baseSize: 9.5,
+    nameSize: 18,
+    align: 'left',
+    uppercaseHeadings: true,
+    rule: true
+  }
+};
+
+export const DEFAULT_TEMPLATE = 'classic';
+
+function heading(template, title) {
+  return template.uppercaseHeadings ? title.toUpperCase() : title;
+}
+
+// Section content as a neutral list of blocks, shared by all three formats
+function resumeBlocks(resume) {
+  const { basics, work, education, skills } = resume;
+  const blocks = [];
+
+  if (basics.summary) {
+    blocks.push({ type: 'heading', text: 'Professional Summary' }, { type: 'paragraph', text: basics.summary });
+  }
+
+  if (work.length > 0) {
+    blocks.push({ type: 'heading', text: 'Work Experience' });
+    for (const job of work) {
+      const title = [job.position, job.name].filter(Boolean).join(' — ');
+      const meta = [dateRange(job), job.location].filter(Boolean).join(' | ');
+      if (title || meta) blocks.push({ type: 'entry', title, meta });
+      if (job.summary) blocks.push({ type: 'paragraph', text: job.summary });
+      job.highlights.forEach(highlight => blocks.push({ type: 'bullet', text: highlight }));
+    }
+  }
+
+  if (education.length > 0) {
+    blocks.push({ type: 'heading', text: 'Education' });
+    for (const entry of education) {
+      const degree = [entry.studyType, entry.area].filter(Boolean).join(' in ');
+      blocks.push({
+        type: 'entry',
+        title: [degree, entry.institution].filter(Boolean).join(' — '),
+        meta: [dateRange(entry), entry.score].filter(Boolean).join(' | ')
+      });
+    }
+  }
+
+  if (skills.length > 0) {
+    blocks.push({ type: 'heading', text: 'Skills' });
+    for (const group of skills) {
+      blocks.push({ type: 'skill', name: group.name, text: [group.level, group.keywords.join(', ')].filter(Boolean).join(' · ') });
+    }
+  }
+
+  return blocks;
+}
+
+function contactLine(basics) {
+  return [basics.email, basics.phone, basics.location, basics.url].filter(Boolean).join('  |  ');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function renderResumeHtml(resume, templateName = DEFAULT_TEMPLATE) {
+  const template = RESUME_TEMPLATES[templateName];
+  const { basics } = resume;
+
+  const body = resumeBlocks(resume).map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h2>${escapeHtml(heading(template, block.text))}</h2>`;
+      case 'entry':
+        return `<div class="entry"><strong>${escapeHtml(block.title)}</strong>${block.meta ? `<span>${escapeHtml(block.meta)}</span>` : ''}</div>`;
+      case 'bullet':
+        return `<ul><li>${escapeHtml(block.text)}</li></ul>`;
+      case 'skill':
+        return `<p>${block.name ? `<strong>${escapeHtml(block.name)}:</strong> ` : ''}${escapeHtml(block.text)}</p>`;
+      default:
+        return `<p>${escapeHtml(block.text)}</p>`;
+    }
+  }).join('\n    ').replace(/<\/ul>\n\s*<ul>/g, '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(basics.name)} - Resume</title>
+  <style>
+    body { font-family: ${template.font.html}; font-size: ${template.baseSize}pt; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; line-height: 1.45; }
+    header { text-align: ${template.align}; margin-bottom: 16px; }
+    h1 { font-size: ${template.nameSize}pt; color: ${template.accent}; margin: 0; }
+    .label { font-size: ${template.baseSize + 2}pt; margin-top: 4px; }
+    .contact { color: #555; margin-top: 4px; }
+    h2 { font-size: ${template.baseSize + 2}pt; color: ${template.accent}; margin: 18px 0 6px;${template.rule ? ' border-bottom: 1px solid #999; padding-bottom: 2px;' : ''} }
+    .entry { display: flex; justify-content: space-between; gap: 12px; margin-top: 8px; }
+    .entry span { color: #555; white-space: nowrap; }
+    p { margin: 4px 0; }
+    ul { margin: 4px 0; padding-left: 20px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(basics.name)}</h1>
+    ${basics.label ? `<div class="label">${escapeHtml(basics.label)}</div>` : ''}
+    ${contactLine(basics) ? `<div class="contact">${escapeHtml(contactLine(basics))}</div>` : ''}
+  </header>
+  <main>
+    ${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+export function renderResumePdf(resume, templateName = DEFAULT_TEMPLATE) {
+  const template = RESUME_TEMPLATES[templateName];
+  const { basics } = resume;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: `${basics.name} - Resume`, Author: basics.name } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const size = template.baseSize;
+
+    doc.font(template.font.pdfBold).fontSize(template.nameSize).fillColor(template.accent)
+      .text(basics.name, { align: template.align });
+    if (basics.label) {
+      doc.font(template.font.pdf).fontSize(size + 2).fillColor('#222222').text(basics.label, { align: template.align });
+    }
+    if (contactLine(basics)) {
+      doc.font(template.font.pdf).fontSize(size).fillColor('#555555').text(contactLine(basics), { align: template.align });
+    }
+
+    for (const block of resumeBlocks(resume)) {
+      const x = doc.page.margins.left;
+
+      switch (block.type) {
+        case 'heading':
+          doc.moveDown(0.8);
+          doc.font(template.font.pdfBold).fontSize(size + 2).fillColor(template.accent)
+            .text(heading(template, block.text), x, doc.y, { width });
+          if (template.rule) {
+            doc.moveTo(x, doc.y + 1).lineTo(x + width, doc.y + 1).lineWidth(0.5).strokeColor('#999999').stroke();
+          }
+          doc.moveDown(0.3);
+          break;
+        case 'entry':
+          doc.moveDown(0.3);
+          doc.font(template.font.pdfBold).fontSize(size).fillColor('#222222').text(block.title || '', x, doc.y, { width });
+          if (block.meta) {
+            doc.font(template.font.pdf).fontSize(size - 0.5).fillColor('#555555').text(block.meta, x, doc.y, { width });
+          }
+          break;
+        case 'bullet':
+          doc.font(template.font.pdf).fontSize(size).fillColor('#222222')
+            .text(`•  ${block.text}`, x + 12, doc.y, { width: width - 12, indent: -8 });
+          break;
+        case 'skill':
+          doc.fontSize(size).fillColor('#222222');
+          if (block.name) {
+            doc.font(template.font.pdfBold).text(`${block.name}: `, x, doc.y, { width, continued: true });
+            doc.font(template.font.pdf).text(block.text);
+          } else {
+            doc.font(template.font.pdf).text(block.text, x, doc.y, { width });
+          }
+          break;
+        default:
+          doc.font(template.font.pdf).fontSize(size).fillColor('#222222').text(block.text, x, doc.y, { width });
+      }
+    }
+
+    doc.end();
+  });
+}
+
+// DOCX run/paragraph helpers (sizes are in half-points, spacing in twentieths of a point)
+function docxRun(text, { bold = false, size, color, font } = {}) {
+  const props = [
+    font ? `<w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}"/>` : '',
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color.replace('#', '')}"/>` : '',
+    size ? `<w:sz w:val="${Math.round(size * 2)}"/>` : ''
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function docxParagraph(runs, { align, spaceBefore = 0, spaceAfter = 60, indent, border } = {}) {
+  const props = [
+    border ? `<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="${border.replace('#', '')}"/></w:pBdr>` : '',
+    `<w:spacing w:before="${spaceBefore}" w:after="${spaceAfter}"/>`,
+    indent ? `<w:ind w:left="${indent}" w:hanging="200"/>` : '',
+    align && align !== 'left' ? `<w:jc w:val="${align}"/>` : ''
+  ].join('');
+  return `<w:p><w:pPr>${props}</w:pPr>${runs.join('')}</w:p>`;
+}
+
+export function renderResumeDocx(resume, templateName = DEFAULT_TEMPLATE) {
+  const template = RESUME_TEMPLATES[templateName];
+  const { basics } = resume;
+  const font = template.font.docx;
+  const size = template.baseSize;
+  const paragraphs = [];
+
+  paragraphs.push(docxParagraph([docxRun(basics.name, { bold: true, size: template.nameSize, color: template.accent, font })], { align: template.align, spaceAfter: 40 }));
+  if (basics.label) {
+    paragraphs.push(docxParagraph([docxRun(basics.label, { size: size + 2, font })], { align: template.align, spaceAfter: 40 }));
+  }
+  if (contactLine(basics)) {
+    paragraphs.push(docxParagraph([docxRun(contactLine(basics), { size, color: '#555555', font })], { align: template.align, spaceAfter: 120 }));
+  }
+
+  for (const block of resumeBlocks(resume)) {
+    switch (block.type) {
+      case 'heading':
+        paragraphs.push(docxParagraph(
+          [docxRun(heading(template, block.text), { bold: true, size: size + 2, color: template.accent, font })],
+          { spaceBefore: 240, spaceAfter: 80, border: template.rule ? '#999999' : null }
+        ));
+        break;
+      case 'entry':
+        paragraphs.push(docxParagraph([
+          docxRun(block.title || '', { bold: true, size, font }),
+          block.meta ? docxRun(`    ${block.meta}`, { size: size - 0.5, color: '#555555', font }) : ''
+        ], { spaceBefore: 80, spaceAfter: 40 }));
+        break;
+      case 'bullet':
+        paragraphs.push(docxParagraph([docxRun(`•  ${block.text}`, { size, font })], { indent: 360, spaceAfter: 20 }));
+        break;
+      case 'skill':
+        paragraphs.push(docxParagraph([
+          block.name ? docxRun(`${block.name}: `, { bold: true, size, font }) : '',
+          docxRun(block.text, { size, font })
+        ]));
+        break;
+      default:
+        paragraphs.push(docxParagraph([docxRun(block.text, { size, font })]));
+    }
+  }
+
+  const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${paragraphs.join('')}` +
+    '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>' +
+    '</w:body></w:document>';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'word/document.xml', data: document }
+  ]);
+}
+
+// Render to the requested format. Returns { contentType, extension, body } (body may be a Buffer).
+export async function renderResume(resume, format, templateName = DEFAULT_TEMPLATE) {
+  switch (format) {
+    case 'pdf':
+      return { contentType: 'application/pdf', extension: 'pdf', body: await renderResumePdf(resume, templateName) };
+    case 'docx':
+      return {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        body: renderResumeDocx(resume, templateName)
+      };
+    default:
+      return { contentType: 'text/html; charset=utf-8', extension: 'html', body: renderResumeHtml(resume, templateName) };
+  }
+}
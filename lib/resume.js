@@ -0,0 +1,326 @@
+import { openCollection } from './store.js';
+import { validateSchema } from './structured.js';
+
+export const RESUME_SECTIONS = ['basics', 'work', 'education', 'skills'];
+
+// Resumes kept per owner before the oldest are dropped
+const MAX_RESUMES_PER_OWNER = 100;
+
+const text = maxLength => ({ type: ['string', 'null'], maxLength });
+const list = (maxItems, maxLength = 300) => ({ type: 'array', maxItems, items: { type: 'string', maxLength } });
+
+// JSON Resume-style sections (https://jsonresume.org/schema), trimmed to what the templates render
+export const SECTION_SCHEMAS = {
+  basics: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      label: text(120),
+      email: { type: ['string', 'null'], format: 'email' },
+      phone: text(40),
+      url: { type: ['string', 'null'], format: 'uri' },
+      location: text(120),
+      summary: text(1500)
+    }
+  },
+  work: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      properties: {
+        name: text(120),
+        position: text(120),
+        location: text(120),
+        startDate: text(30),
+        endDate: text(30),
+        summary: text(1500),
+        highlights: list(12)
+      }
+    }
+  },
+  education: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      properties: {
+        institution: text(150),
+        area: text(120),
+        studyType: text(80),
+        startDate: text(30),
+        endDate: text(30),
+        score: text(40)
+      }
+    }
+  },
+  skills: {
+    type: 'array',
+    maxItems: 20,
+    items: {
+      type: 'object',
+      properties: {
+        name: text(80),
+        level: text(40),
+        keywords: list(30, 60)
+      }
+    }
+  }
+};
+
+// What /api/resume/generate asks the model for
+export const RESUME_SCHEMA = {
+  type: 'object',
+  required: ['basics', 'work', 'education', 'skills'],
+  properties: {
+    basics: { ...SECTION_SCHEMAS.basics, required: [] },
+    work: SECTION_SCHEMAS.work,
+    education: SECTION_SCHEMAS.education,
+    skills: SECTION_SCHEMAS.skills
+  }
+};
+
+const resumes = openCollection('resumes');
+
+function cleanString(value) {
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+}
+
+// Helper function to trim strings, drop empty entries and keep only known fields of a section
+function cleanSection(section, value) {
+  const schema = SECTION_SCHEMAS[section];
+  const cleanItem = (item, properties) => {
+    const cleaned = {};
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (propertySchema.type === 'array') {
+        cleaned[key] = (Array.isArray(item[key]) ? item[key] : []).map(cleanString).filter(Boolean);
+      } else {
+        cleaned[key] = cleanString(item[key]);
+      }
+    }
+    return cleaned;
+  };
+
+  if (schema.type === 'object') {
+    return cleanItem(value, schema.properties);
+  }
+
+  return value
+    .map(item => cleanItem(item, schema.items.properties))
+    .filter(item => Object.values(item).some(field => Array.isArray(field) ? field.length > 0 : field !== null));
+}
+
+// Check an edited section. Returns { value } or { error, details }.
+export function validateSection(section, value) {
+  if (!RESUME_SECTIONS.includes(section)) {
+    return { error: 'Unknown resume section', details: `Available sections: ${RESUME_SECTIONS.join(', ')}` };
+  }
+
+  const errors = validateSchema(SECTION_SCHEMAS[section], value, section);
+  if (errors.length > 0) {
+    return {
+      error: `Invalid ${section} section`,
+      details: errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ')
+    };
+  }
+
+  return { value: cleanSection(section, value) };
+}
+
+function splitList(value, separator) {
+  return String(value || '').split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+// Sections built only from what the candidate typed, used when the model's output is unusable
+function sectionsFromInputs({ experience, skills, education }) {
+  return {
+    work: experience ? [{ name: null, position: null, location: null, startDate: null, endDate: null, summary: experience.trim(), highlights: [] }] : [],
+    education: splitList(education, /\n|;/).map(line => ({ institution: line, area: null, studyType: null, startDate: null, endDate: null, score: null })),
+    skills: skills ? [{ name: 'Skills', level: null, keywords: splitList(skills, /,|\n/) }] : []
+  };
+}
+
+// Helper function to assemble the resume from the model's JSON and the candidate's inputs.
+// Contact details always come from the inputs; a section the model left empty or got wrong
+// falls back to the inputs. `sources` records which one was used per section.
+export function buildResume(inputs, generated) {
+  const fallback = sectionsFromInputs(inputs);
+  const sources = {};
+  const result = {};
+
+  const generatedBasics = generated && typeof generated.basics === 'object' && generated.basics ? generated.basics : {};
+  const basics = validateSchema({ ...SECTION_SCHEMAS.basics, required: [] }, generatedBasics).length === 0
+    ? cleanSection('basics', generatedBasics)
+    : cleanSection('basics', {});
+
+  result.basics = {
+    ...basics,
+    name: inputs.name.trim(),
+    label: basics.label || inputs.jobTitle.trim(),
+    email: cleanString(inputs.email),
+    phone: cleanString(inputs.phone)
+  };
+  sources.basics = basics.summary ? 'model' : 'input';
+
+  for (const section of ['work', 'education', 'skills']) {
+    const value = generated?.[section];
+    const usable = Array.isArray(value) && validateSchema(SECTION_SCHEMAS[section], value).length === 0
+      ? cleanSection(section, value)
+      : [];
+
+    if (usable.length > 0) {
+      result[section] = usable;
+      sources[section] = 'model';
+    } else {
+      result[section] = fallback[section];
+      sources[section] = 'input';
+    }
+  }
+
+  return { resume: result, sources };
+}
+
+// Helper function to format start/end dates ("2019 – Present")
+export function dateRange(item) {
+  if (!item.startDate && !item.endDate) return '';
+  return `${item.startDate || ''} – ${item.endDate || 'Present'}`.trim();
+}
+
+// Plain-text rendering (the `content` field and TXT download)
+export function resumeToText(resume) {
+  const { basics, work, education, skills } = resume;
+  const lines = [basics.name];
+
+  if (basics.label) lines.push(basics.label);
+  const contact = [basics.email, basics.phone, basics.location, basics.url].filter(Boolean).join(' | ');
+  if (contact) lines.push(contact);
+
+  if (basics.summary) {
+    lines.push('', 'PROFESSIONAL SUMMARY', basics.summary);
+  }
+
+  if (work.length > 0) {
+    lines.push('', 'WORK EXPERIENCE');
+    for (const job of work) {
+      const title = [job.position, job.name].filter(Boolean).join(', ');
+      const meta = [dateRange(job), job.location].filter(Boolean).join(' | ');
+      if (title) lines.push(title + (meta ? ` (${meta})` : ''));
+      if (job.summary) lines.push(job.summary);
+      job.highlights.forEach(highlight => lines.push(`- ${highlight}`));
+      lines.push('');
+    }
+    lines.pop();
+  }
+
+  if (education.length > 0) {
+    lines.push('', 'EDUCATION');
+    for (const entry of education) {
+      const degree = [entry.studyType, entry.area].filter(Boolean).join(' in ');
+      lines.push([degree, entry.institution, dateRange(entry), entry.score].filter(Boolean).join(', '));
+    }
+  }
+
+  if (skills.length > 0) {
+    lines.push('', 'SKILLS');
+    for (const group of skills) {
+      const keywords = group.keywords.join(', ');
+      lines.push(group.name && keywords ? `${group.name}: ${keywords}` : group.name || keywords);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// The /api/resume/generate fields that reproduce a structured resume, for regenerating it
+export function resumeToInputs(resume) {
+  const { basics, work, education, skills } = resume;
+
+  return {
+    name: basics.name,
+    email: basics.email || '',
+    phone: basics.phone || '',
+    jobTitle: resume.jobTitle || basics.label || '',
+    experience: work.map(job => [
+      [job.position, job.name, dateRange(job)].filter(Boolean).join(', '),
+      job.summary,
+      ...job.highlights.map(highlight => `- ${highlight}`)
+    ].filter(Boolean).join('\n')).join('\n\n'),
+    skills: skills.flatMap(group => group.keywords.length > 0 ? group.keywords : [group.name]).filter(Boolean).join(', '),
+    education: education.map(entry => [[entry.studyType, entry.area].filter(Boolean).join(' in '), entry.institution, dateRange(entry)].filter(Boolean).join(', ')).join('\n')
+  };
+}
+
+function toPublicResume(record) {
+  const { owner, ...fields } = record;
+  return { ...fields, content: resumeToText(record) };
+}
+
+// Keep a generated resume so its sections can be edited and re-rendered later
+export function saveResume(owner, { jobTitle, template, resume, sources }) {
+  const now = new Date().toISOString();
+  const record = resumes.insert({
+    owner,
+    jobTitle,
+    template,
+    ...resume,
+    sources,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  const owned = resumes.filter(entry => entry.owner === owner);
+  if (owned.length > MAX_RESUMES_PER_OWNER) {
+    owned
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .slice(0, owned.length - MAX_RESUMES_PER_OWNER)
+      .forEach(entry => resumes.remove(entry.id));
+  }
+
+  return toPublicResume(record);
+}
+
+export function getResume(owner, id) {
+  const record = resumes.get(id);
+  return record && owner && record.owner === owner ? toPublicResume(record) : null;
+}
+
+// Replace one section; the rest of the resume is left as generated
+export function updateResumeSection(owner, id, section, value) {
+  const record = resumes.get(id);
+  if (!record || !owner || record.owner !== owner) {
+    return { status: 404, error: 'Resume not found' };
+  }
+
+  const validation = validateSection(section, value);
+  if (validation.error) {
+    return { status: 400, ...validation };
+  }
+
+  const updated = resumes.update(id, {
+    [section]: validation.value,
+    sources: { ...record.sources, [section]: 'edited' },
+    updatedAt: new Date().toISOString()
+  });
+
+  return { success: true, resume: toPublicResume(updated) };
+}
+
+// Check a full resume sent for stateless rendering. Returns { resume } or { error, details }.
+export function validateResume(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'resume must be an object with basics, work, education and skills' };
+  }
+
+  const resume = {};
+  for (const section of RESUME_SECTIONS) {
+    const value = input[section] ?? (section === 'basics' ? undefined : []);
+    const validation = validateSection(section, value);
+    if (validation.error) {
+      return validation;
+    }
+    resume[section] = validation.value;
+  }
+
+  return { resume };
+}
@@ -0,0 +1,348 @@
+import { readingLevel } from './email-lint.js';
+
+// Category weights (out of 100); each finding takes its severity's penalty off its category
+const WEIGHTS = { keyword: 30, headings: 15, meta: 20, readability: 15, passiveVoice: 10, links: 10 };
+const PENALTIES = { error: 10, warning: 5, info: 2 };
+
+// Recommended ranges, in line with what search result snippets show and common on-page guidelines
+export const SEO_TARGETS = {
+  titleCharacters: [30, 60],
+  metaDescriptionCharacters: [120, 160],
+  keywordDensity: [0.5, 2.5],
+  readingEase: 60,
+  passiveRatio: 10,
+  wordsPerSubheading: 300
+};
+
+// Label lines models write above the post ("Title: ...", "Meta description: ..."), matched against the
+// trimmed line. Bold markers around the value are stripped afterwards: optional groups around a lazy
+// capture backtrack catastrophically on long runs of whitespace.
+const TITLE_LABEL = /^(?:\*\*)?(?:seo[\s-]*)?(?:title|title tag)(?:\*\*)?\s*:\s*(.+)$/i;
+const META_LABEL = /^(?:\*\*)?meta[\s-]*description(?:\*\*)?\s*:\s*(.+)$/i;
+const HEADING = /^(#{1,6})\s+(.+)$/;
+
+// Every pattern that runs on the whole post stops at the next bracket or tag, so unterminated ones stay linear
+const MARKDOWN_LINK = /\[([^[\]]*)\]\(\s*([^()\s]+)(?:\s[^()]*)?\)/g;
+const HTML_LINK_TAG = /<a\b[^<>]*>/gi;
+const BARE_URL = /\bhttps?:\/\/[^\s<>"')\]]+/gi;
+
+// "to be" followed by a past participle (regular -ed/-en or a common irregular), optionally with an adverb between
+const IRREGULAR_PARTICIPLES = [
+  'begun', 'bought', 'brought', 'built', 'caught', 'chosen', 'done', 'drawn', 'driven', 'eaten', 'felt', 'found', 'forgotten',
+  'given', 'grown', 'held', 'hidden', 'kept', 'known', 'laid', 'led', 'left', 'lost', 'made', 'meant', 'met', 'paid', 'put',
+  'read', 'run', 'said', 'seen', 'sent', 'set', 'shown', 'sold', 'spent', 'taken', 'taught', 'thought', 'told', 'understood',
+  'won', 'written', 'cut', 'hit', 'let', 'shut', 'spread', 'struck', 'sung', 'worn', 'broken', 'spoken', 'stolen', 'frozen'
+];
+const PASSIVE_PATTERN = new RegExp(`\\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|\\w+en|${IRREGULAR_PARTICIPLES.join('|')})\\b`, 'i');
+
+function finding(category, severity, code, message) {
+  return { category, severity, code, message };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function words(text) {
+  return String(text).match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+}
+
+function stripInline(text) {
+  return text
+    .replace(MARKDOWN_LINK, '$1')
+    .replace(/<[^<>]+>/g, ' ')
+    .replace(/[*_`~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper function to drop "**" around a label's value and closing "#"s after a heading, without a regex
+function trimMarkers(text, marker, { leading = true } = {}) {
+  let value = text.trim();
+  while (leading && value.startsWith(marker)) value = value.slice(marker.length).trimStart();
+  while (value.endsWith(marker)) value = value.slice(0, -marker.length).trimEnd();
+  return value;
+}
+
+// HTML headings become Markdown ones, in one forward scan; a level with no closing tag left is skipped from then on
+function htmlHeadingsToMarkdown(html) {
+  const open = /<h([1-6])\b[^<>]*>/gi;
+  const unclosed = new Set();
+  let result = '';
+  let cursor = 0;
+
+  let match;
+  while ((match = open.exec(html))) {
+    const level = match[1];
+    if (unclosed.has(level)) continue;
+
+    const close = new RegExp(`</h${level}\\s*>`, 'gi');
+    close.lastIndex = open.lastIndex;
+    const end = close.exec(html);
+    if (!end) {
+      unclosed.add(level);
+      continue;
+    }
+
+    result += `${html.slice(cursor, match.index)}\n${'#'.repeat(Number(level))} ${stripInline(html.slice(open.lastIndex, end.index))}\n`;
+    cursor = close.lastIndex;
+    open.lastIndex = close.lastIndex;
+  }
+
+  return result + html.slice(cursor);
+}
+
+// Helper function to split a post (Markdown, HTML or labeled plain text) into the parts search engines look at
+function parsePost(content) {
+  const headings = [];
+  const paragraphs = [];
+  let title = null;
+  let metaDescription = null;
+
+  // HTML headings become Markdown ones so both are handled the same way
+  const text = htmlHeadingsToMarkdown(content.replace(/\r\n/g, '\n'))
+    .replace(/<\/?(?:p|div|section|article|br)\b[^<>]*>/gi, '\n');
+
+  let paragraph = [];
+  const endParagraph = () => {
+    const joined = stripInline(paragraph.join(' '));
+    if (joined) paragraphs.push(joined);
+    paragraph = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    const heading = trimmed.match(HEADING);
+    const titleLabel = trimmed.match(TITLE_LABEL);
+    const metaLabel = trimmed.match(META_LABEL);
+
+    if (heading) {
+      endParagraph();
+      headings.push({ level: heading[1].length, text: stripInline(trimMarkers(heading[2], '#', { leading: false })) });
+    } else if (titleLabel && !title) {
+      endParagraph();
+      title = stripInline(trimMarkers(titleLabel[1], '**')).replace(/^["']|["']$/g, '');
+    } else if (metaLabel && !metaDescription) {
+      endParagraph();
+      metaDescription = stripInline(trimMarkers(metaLabel[1], '**')).replace(/^["']|["']$/g, '');
+    } else if (line.trim() === '') {
+      endParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  endParagraph();
+
+  return { title, metaDescription, headings, paragraphs };
+}
+
+// Helper function to collect links, splitting them into internal (relative or on siteUrl's host) and external.
+// A bare URL that repeats an <a href> (the link's own text) isn't counted twice.
+function collectLinks(content, siteHost) {
+  const urls = [];
+  const markdown = content.replace(MARKDOWN_LINK, (match, label, url) => {
+    urls.push(url);
+    return ' ';
+  });
+
+  const hrefs = new Set();
+  const html = markdown.replace(HTML_LINK_TAG, tag => {
+    const href = tag.match(/\shref\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+    const url = href ? (href[1] ?? href[2]).trim() : '';
+    if (url) {
+      urls.push(url);
+      hrefs.add(url);
+    }
+    return ' ';
+  });
+  urls.push(...(html.match(BARE_URL) || []).filter(url => !hrefs.has(url)));
+
+  let internal = 0;
+  let external = 0;
+  for (const url of urls) {
+    if (/^(?:\/(?!\/)|#|\.{1,2}\/)/.test(url)) {
+      internal++;
+      continue;
+    }
+
+    let host = null;
+    try {
+      host = new URL(url.startsWith('//') ? `https:${url}` : url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      continue;
+    }
+    if (siteHost && host === siteHost) {
+      internal++;
+    } else {
+      external++;
+    }
+  }
+
+  return { internal, external, total: internal + external };
+}
+
+function siteHostOf(siteUrl) {
+  if (!siteUrl) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function sentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(sentence => words(sentence).length > 2);
+}
+
+// Analyze a blog post for a target keyword. `title` and `metaDescription` override the ones found in the
+// content ("Title:" / "Meta description:" lines, or the H1 as the title); `siteUrl` decides which links are internal.
+export function analyzeSeo(content, keyword, { title, metaDescription, siteUrl } = {}) {
+  const post = parsePost(String(content));
+  const findings = [];
+
+  const h1s = post.headings.filter(heading => heading.level === 1);
+  const subheadings = post.headings.filter(heading => heading.level > 1);
+  const pageTitle = (title || post.title || h1s[0]?.text || '').trim();
+  const description = (metaDescription || post.metaDescription || '').trim();
+  const bodyText = post.paragraphs.join('\n\n');
+  const totalWords = words(bodyText).length;
+
+  // Keyword density and placement
+  const keywordText = keyword.trim();
+  const keywordPattern = new RegExp(`(?<![A-Za-z0-9])${keywordText.split(/\s+/).map(escapeRegExp).join('[\\s-]+')}(?![A-Za-z0-9])`, 'i');
+  const keywordCount = (bodyText.match(new RegExp(keywordPattern.source, 'gi')) || []).length;
+  const keywordWords = words(keywordText).length || 1;
+  const density = totalWords > 0 ? Math.round((keywordCount * keywordWords / totalWords) * 1000) / 10 : 0;
+
+  const placement = {
+    title: keywordPattern.test(pageTitle),
+    h1: h1s.some(heading => keywordPattern.test(heading.text)),
+    firstParagraph: post.paragraphs.length > 0 && keywordPattern.test(post.paragraphs[0]),
+    subheadings: subheadings.filter(heading => keywordPattern.test(heading.text)).length,
+    metaDescription: keywordPattern.test(description)
+  };
+
+  const [minDensity, maxDensity] = SEO_TARGETS.keywordDensity;
+  if (keywordCount === 0) {
+    findings.push(finding('keyword', 'error', 'keyword_missing', `"${keywordText}" never appears in the body; use it naturally a few times`));
+  } else if (density < minDensity) {
+    findings.push(finding('keyword', 'warning', 'keyword_density_low', `Keyword density is ${density}% (${keywordCount} use${keywordCount === 1 ? '' : 's'} in ${totalWords} words); aim for ${minDensity}-${maxDensity}%, about ${Math.ceil((totalWords * minDensity) / 100 / keywordWords)} uses`));
+  } else if (density > maxDensity) {
+    findings.push(finding('keyword', 'warning', 'keyword_stuffing', `Keyword density is ${density}%; above ${maxDensity}% reads as keyword stuffing, use synonyms for some of the ${keywordCount} uses`));
+  }
+  if (!placement.title) {
+    findings.push(finding('keyword', 'error', 'keyword_not_in_title', `Put "${keywordText}" in the title, ideally near the start`));
+  }
+  if (h1s.length > 0 && !placement.h1) {
+    findings.push(finding('keyword', 'warning', 'keyword_not_in_h1', `The H1 "${h1s[0].text}" doesn't contain "${keywordText}"`));
+  }
+  if (!placement.firstParagraph) {
+    findings.push(finding('keyword', 'warning', 'keyword_not_in_intro', `Mention "${keywordText}" in the first paragraph so readers and search engines see the topic right away`));
+  }
+  if (subheadings.length > 0 && placement.subheadings === 0) {
+    findings.push(finding('keyword', 'info', 'keyword_not_in_subheadings', `None of the ${subheadings.length} subheadings mention "${keywordText}"; work it (or a close variant) into one or two`));
+  }
+
+  // Heading hierarchy
+  if (h1s.length === 0) {
+    findings.push(finding('headings', 'error', 'missing_h1', 'No H1 heading; start the post with one "# " heading'));
+  } else if (h1s.length > 1) {
+    findings.push(finding('headings', 'warning', 'multiple_h1', `${h1s.length} H1 headings; keep one H1 and make the rest H2`));
+  }
+  if (subheadings.length === 0 && totalWords > SEO_TARGETS.wordsPerSubheading) {
+    findings.push(finding('headings', 'warning', 'no_subheadings', `No subheadings in ${totalWords} words; add an H2 every ${SEO_TARGETS.wordsPerSubheading} words or so`));
+  } else if (subheadings.length > 0 && totalWords / subheadings.length > SEO_TARGETS.wordsPerSubheading * 1.5) {
+    findings.push(finding('headings', 'info', 'few_subheadings', `${subheadings.length} subheading${subheadings.length === 1 ? '' : 's'} for ${totalWords} words; break long sections up with more H2/H3s`));
+  }
+  post.headings.forEach((heading, index) => {
+    const previous = index > 0 ? post.headings[index - 1].level : 1;
+    if (heading.level > previous + 1) {
+      findings.push(finding('headings', 'warning', 'skipped_heading_level', `"${heading.text}" jumps from H${previous} to H${heading.level}; use H${previous + 1}`));
+    }
+  });
+
+  // Title and meta description
+  const [minTitle, maxTitle] = SEO_TARGETS.titleCharacters;
+  if (!pageTitle) {
+    findings.push(finding('meta', 'error', 'missing_title', 'No title found; add a "Title:" line or an H1'));
+  } else if (pageTitle.length > maxTitle) {
+    findings.push(finding('meta', 'warning', 'title_too_long', `Title is ${pageTitle.length} characters; search results cut it off after about ${maxTitle}`));
+  } else if (pageTitle.length < minTitle) {
+    findings.push(finding('meta', 'info', 'title_too_short', `Title is ${pageTitle.length} characters; use ${minTitle}-${maxTitle} to say more about the post`));
+  }
+
+  const [minMeta, maxMeta] = SEO_TARGETS.metaDescriptionCharacters;
+  if (!description) {
+    findings.push(finding('meta', 'error', 'missing_meta_description', `No meta description; add a "Meta description:" line of ${minMeta}-${maxMeta} characters that includes "${keywordText}"`));
+  } else {
+    if (description.length > maxMeta) {
+      findings.push(finding('meta', 'warning', 'meta_description_too_long', `Meta description is ${description.length} characters; it is cut off after about ${maxMeta}`));
+    } else if (description.length < minMeta) {
+      findings.push(finding('meta', 'info', 'meta_description_too_short', `Meta description is ${description.length} characters; use ${minMeta}-${maxMeta} to fill the search snippet`));
+    }
+    if (!placement.metaDescription) {
+      findings.push(finding('meta', 'info', 'keyword_not_in_meta_description', `Include "${keywordText}" in the meta description; search engines bold it in results`));
+    }
+  }
+
+  // Readability
+  const level = readingLevel(bodyText);
+  if (totalWords > 0 && level.readingEase < SEO_TARGETS.readingEase) {
+    findings.push(finding('readability', level.readingEase < 30 ? 'error' : 'warning', 'hard_to_read', `Flesch reading ease is ${level.readingEase}; aim for ${SEO_TARGETS.readingEase}+ with shorter sentences (now ${level.wordsPerSentence} words on average) and plainer words`));
+  }
+  const longParagraphs = post.paragraphs.filter(paragraph => words(paragraph).length > 150).length;
+  if (longParagraphs > 0) {
+    findings.push(finding('readability', 'info', 'long_paragraphs', `${longParagraphs} paragraph${longParagraphs === 1 ? ' is' : 's are'} over 150 words; split ${longParagraphs === 1 ? 'it' : 'them'} up`));
+  }
+
+  // Passive voice
+  const sentenceList = sentences(bodyText);
+  const passiveSentences = sentenceList.filter(sentence => PASSIVE_PATTERN.test(sentence));
+  const passiveRatio = sentenceList.length > 0 ? Math.round((passiveSentences.length / sentenceList.length) * 1000) / 10 : 0;
+  if (passiveRatio > SEO_TARGETS.passiveRatio) {
+    findings.push(finding('passiveVoice', passiveRatio > SEO_TARGETS.passiveRatio * 2 ? 'error' : 'warning', 'passive_voice', `${passiveRatio}% of sentences use the passive voice (e.g. "${passiveSentences[0].slice(0, 80)}"); keep it under ${SEO_TARGETS.passiveRatio}%`));
+  }
+
+  // Links
+  const links = collectLinks(String(content), siteHostOf(siteUrl));
+  if (links.internal === 0) {
+    findings.push(finding('links', 'warning', 'no_internal_links', 'No internal links; link to one or two related pages on your site'));
+  }
+  if (links.external === 0) {
+    findings.push(finding('links', 'info', 'no_external_links', 'No external links; cite at least one authoritative source'));
+  }
+
+  const breakdown = Object.fromEntries(Object.entries(WEIGHTS).map(([category, weight]) => {
+    const penalty = findings
+      .filter(entry => entry.category === category)
+      .reduce((sum, entry) => sum + PENALTIES[entry.severity], 0);
+    return [category, Math.max(0, weight - penalty)];
+  }));
+
+  const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  const order = { error: 0, warning: 1, info: 2 };
+
+  return {
+    score,
+    rating: score >= 85 ? 'good' : score >= 65 ? 'fair' : 'poor',
+    breakdown,
+    weights: WEIGHTS,
+    metrics: {
+      words: totalWords,
+      title: { text: pageTitle, characters: pageTitle.length },
+      metaDescription: { text: description, characters: description.length },
+      keyword: { text: keywordText, count: keywordCount, density, placement },
+      headings: {
+        h1: h1s.length,
+        subheadings: subheadings.length,
+        outline: post.headings
+      },
+      readability: level,
+      passiveVoice: { sentences: sentenceList.length, passive: passiveSentences.length, ratio: passiveRatio },
+      links
+    },
+    findings,
+    // Most important first
+    recommendations: [...findings].sort((a, b) => order[a.severity] - order[b.severity]).map(entry => entry.message)
+  };
+}
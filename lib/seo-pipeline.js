@@ -0,0 +1,413 @@
+// Long-form SEO posts are written in stages so the requested length fits the per-call token limit:
+// an outline, then the intro, each section and the conclusion separately, then an FAQ.
+
+export const MIN_WORD_COUNT = 300;
+export const MAX_WORD_COUNT = 5000;
+export const DEFAULT_WORD_COUNT = 1000;
+
+// Largest completion asked of the model in one call
+const MAX_SECTION_TOKENS = 1000;
+const TOKENS_PER_WORD = 1.4;
+
+const MIN_SECTIONS = 3;
+const MAX_SECTIONS = 12;
+const WORDS_PER_SECTION = 350;
+// Shortest section asked for; a 300-word post still splits into MIN_SECTIONS sections of this length
+const MIN_SECTION_WORDS = 60;
+
+// A section this far under its target gets one continuation call
+const SHORT_SECTION_RATIO = 0.6;
+
+const FAQ_QUESTIONS = 4;
+const OUTLINE_TOKENS = 400;
+const FAQ_TOKENS_PER_QUESTION = 120;
+
+function words(text) {
+  return String(text).match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+}
+
+function titleCase(text) {
+  return text.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
+
+function slugify(text, maxLength = 60) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/g, '') || 'post';
+}
+
+function tokensFor(wordTarget) {
+  return Math.min(MAX_SECTION_TOKENS, Math.ceil(wordTarget * TOKENS_PER_WORD) + 40);
+}
+
+// Check the requested length. Returns { wordCount } or { error, details }.
+export function validateWordCount(value) {
+  if (value === undefined || value === null || value === '') {
+    return { wordCount: DEFAULT_WORD_COUNT };
+  }
+
+  const wordCount = Number(value);
+  if (!Number.isInteger(wordCount) || wordCount < MIN_WORD_COUNT || wordCount > MAX_WORD_COUNT) {
+    return { error: 'Invalid word count', details: `wordCount must be a whole number from ${MIN_WORD_COUNT} to ${MAX_WORD_COUNT}` };
+  }
+
+  return { wordCount };
+}
+
+// How the word count is split: a short intro and conclusion, the rest over the body sections
+export function planSections(wordCount) {
+  const introWords = Math.min(200, Math.max(60, Math.round(wordCount * 0.08)));
+  const conclusionWords = introWords;
+  const bodyWords = wordCount - introWords - conclusionWords;
+  const sectionCount = Math.min(MAX_SECTIONS, Math.max(MIN_SECTIONS, Math.round(bodyWords / WORDS_PER_SECTION)));
+
+  return { introWords, conclusionWords, bodyWords, sectionCount };
+}
+
+// The most upstream calls and completion tokens a post of this length can take, known before anything
+// is generated: the outline, intro, each planned section and conclusion (each with a possible
+// continuation of up to its own budget) and the FAQ
+export function estimatePipeline(wordCount) {
+  const plan = planSections(wordCount);
+  const sectionWords = Math.max(MIN_SECTION_WORDS, Math.round(plan.bodyWords / plan.sectionCount));
+  const writingTokens = tokensFor(plan.introWords) + plan.sectionCount * tokensFor(sectionWords) + tokensFor(plan.conclusionWords);
+  const writingCalls = plan.sectionCount + 2;
+
+  return {
+    calls: 2 * writingCalls + 2,
+    tokens: OUTLINE_TOKENS + 2 * writingTokens + FAQ_TOKENS_PER_QUESTION * FAQ_QUESTIONS
+  };
+}
+
+// Headings used when the model's outline can't be parsed or has too few sections
+function fallbackHeadings(keyword) {
+  const topic = titleCase(keyword);
+  return [
+    `What Is ${topic}?`,
+    `Why ${topic} Matters`,
+    `How to Get Started with ${topic}`,
+    `${topic} Best Practices`,
+    `Common ${topic} Mistakes to Avoid`,
+    `Tools and Resources for ${topic}`,
+    `How to Measure Results from ${topic}`,
+    `Advanced ${topic} Tips`,
+    `${topic} Examples`,
+    `${topic} Trends to Watch`,
+    `Building Your ${topic} Plan`,
+    `Your ${topic} Checklist`
+  ];
+}
+
+function fallbackQuestions(keyword) {
+  return [
+    `What is ${keyword}?`,
+    `How do I get started with ${keyword}?`,
+    `How long does ${keyword} take to show results?`,
+    `What are the most common ${keyword} mistakes?`
+  ];
+}
+
+export function buildOutlinePrompt({ keyword, targetAudience, sectionCount, trends = [] }) {
+  return `Plan an SEO blog post targeting the keyword "${keyword}" for ${targetAudience}. ` +
+    `${trends.length > 0 ? `Work in these trending topics where they fit: ${trends.join('; ')}. ` : ''}` +
+    'Reply in exactly this format and nothing else:\n' +
+    'TITLE: <title under 60 characters that includes the keyword>\n' +
+    'META DESCRIPTION: <120-155 characters that include the keyword>\n' +
+    'SECTIONS:\n' +
+    `- <section heading> | <one-line summary of the section> (${sectionCount} sections, not counting the introduction and conclusion)\n` +
+    'FAQ:\n' +
+    `- <a question readers search for> (${FAQ_QUESTIONS} questions)`;
+}
+
+// Read the outline. Missing or unusable parts fall back to headings and questions built from the
+// keyword, and `warnings` says which. Returns { title, metaDescription, sections: [{ heading, summary }], questions, warnings }.
+export function parseOutline(text, { keyword, sectionCount }) {
+  const warnings = [];
+  const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+
+  const label = (pattern) => {
+    const line = lines.find(entry => pattern.test(entry));
+    return line ? line.replace(pattern, '').replace(/^\*+|\*+$/g, '').replace(/^["']|["']$/g, '').trim() : '';
+  };
+
+  let title = label(/^\**\s*title\s*\**\s*:\s*/i);
+  let metaDescription = label(/^\**\s*meta\s*description\s*\**\s*:\s*/i);
+
+  const sections = [];
+  const questions = [];
+  let block = null;
+  for (const line of lines) {
+    if (/^\**\s*sections?\s*\**\s*:?\s*$/i.test(line)) {
+      block = 'sections';
+    } else if (/^\**\s*(?:faq|faqs|questions)\s*\**\s*:?\s*$/i.test(line)) {
+      block = 'faq';
+    } else if (block && /^(?:[-*•]|\d+[.)]|#{2,3})\s+/.test(line)) {
+      const item = line.replace(/^(?:[-*•]|\d+[.)]|#{2,3})\s+/, '').replace(/\*\*/g, '').trim();
+      if (block === 'sections') {
+        const [heading, summary = ''] = item.split(/\s+\|\s+|\s+[-–—]\s+/);
+        if (heading.length >= 3 && heading.length <= 80) {
+          sections.push({ heading: heading.replace(/[:.]$/, ''), summary });
+        }
+      } else if (item.endsWith('?')) {
+        questions.push(item);
+      }
+    }
+  }
+
+  if (title.length < 10 || title.length > 70) {
+    title = `${titleCase(keyword)}: A Complete Guide`;
+    warnings.push('No usable title in the outline; used a default title');
+  }
+
+  if (metaDescription.length < 50 || metaDescription.length > 170) {
+    metaDescription = `Learn everything you need to know about ${keyword}: what it is, why it matters, how to get started and the mistakes to avoid.`;
+    warnings.push('No usable meta description in the outline; used a default one');
+  }
+
+  const unique = sections.filter((section, index) =>
+    sections.findIndex(other => other.heading.toLowerCase() === section.heading.toLowerCase()) === index);
+  // Never more sections than planned, so the calls and tokens stay within estimatePipeline()
+  const planned = unique.slice(0, sectionCount);
+  // Fewer sections than planned would leave each one longer than a single call can write
+  if (planned.length < sectionCount) {
+    const fallback = fallbackHeadings(keyword)
+      .filter(heading => !planned.some(section => section.heading.toLowerCase() === heading.toLowerCase()))
+      .slice(0, sectionCount - planned.length)
+      .map(heading => ({ heading, summary: '' }));
+    planned.push(...fallback);
+    warnings.push(`Outline had ${unique.length} usable section${unique.length === 1 ? '' : 's'}; added ${fallback.length} standard ones`);
+  }
+
+  const faqQuestions = questions.length >= 2 ? questions.slice(0, FAQ_QUESTIONS) : fallbackQuestions(keyword);
+  if (questions.length < 2) {
+    warnings.push('No FAQ questions in the outline; used common questions about the keyword');
+  }
+
+  return { title: title.slice(0, 70), metaDescription, sections: planned, questions: faqQuestions, warnings };
+}
+
+function outlineList(outline) {
+  return outline.sections.map((section, index) => `${index + 1}. ${section.heading}`).join('\n');
+}
+
+export function buildIntroPrompt({ keyword, targetAudience }, outline, wordTarget) {
+  return `Write the introduction of a blog post titled "${outline.title}" for ${targetAudience}. The post covers:\n${outlineList(outline)}\n\n` +
+    `Write about ${wordTarget} words in short paragraphs. Use the keyword "${keyword}" in the first two sentences and tell readers what they will learn. ` +
+    'Do not use headings and do not start writing the sections.';
+}
+
+export function buildSectionPrompt({ keyword, targetAudience }, outline, index, wordTarget) {
+  const section = outline.sections[index];
+  const previous = index > 0 ? outline.sections[index - 1].heading : null;
+
+  return `You are writing one section of a blog post titled "${outline.title}" about "${keyword}" for ${targetAudience}. The full outline:\n${outlineList(outline)}\n\n` +
+    `Write section ${index + 1}, "${section.heading}"${section.summary ? ` (${section.summary})` : ''}, in about ${wordTarget} words. ` +
+    `${previous ? `Open with one sentence that carries on from the previous section, "${previous}". ` : 'Open by picking up from the introduction. '}` +
+    'Use short paragraphs, concrete examples and "###" subheadings or bullet lists where they help. ' +
+    'Do not repeat the section heading, do not write the other sections and do not add a conclusion.';
+}
+
+export function buildConclusionPrompt({ keyword, targetAudience }, outline, wordTarget) {
+  return `Write the conclusion of a blog post titled "${outline.title}" for ${targetAudience}. The post covered:\n${outlineList(outline)}\n\n` +
+    `In about ${wordTarget} words, sum up the key points, mention "${keyword}" once and end with a clear next step for the reader. Do not use headings.`;
+}
+
+function buildContinuePrompt(heading, text, missingWords) {
+  return `Continue this blog post section${heading ? ` ("${heading}")` : ''} with about ${missingWords} more words. ` +
+    `Add new points or examples rather than repeating what is already written, and do not add headings.\n\n${text}`;
+}
+
+export function buildFaqPrompt({ keyword, targetAudience }, questions) {
+  return `Answer these questions about "${keyword}" for ${targetAudience}, each in 40-80 words:\n` +
+    `${questions.map(question => `- ${question}`).join('\n')}\n\n` +
+    'Reply in exactly this format for each question:\nQ: <question>\nA: <answer>';
+}
+
+// Read "Q: ... / A: ..." pairs; returns [{ question, answer }]
+export function parseFaq(text) {
+  const pairs = [];
+  for (const match of String(text).matchAll(/(?:^|\n)\s*\**Q(?:uestion)?\s*\d*\**\s*[:.]\s*(.+?)\s*\n+\s*\**A(?:nswer)?\s*\d*\**\s*[:.]\s*([\s\S]+?)(?=\n\s*\**Q(?:uestion)?\s*\d*\**\s*[:.]|$)/gi)) {
+    const question = match[1].replace(/\*\*/g, '').trim();
+    const answer = match[2].replace(/\*\*/g, '').replace(/\s+/g, ' ').trim();
+    if (question.endsWith('?') && words(answer).length >= 5) {
+      pairs.push({ question, answer });
+    }
+  }
+  return pairs;
+}
+
+// Helper function to tidy one generated section: no repeated heading, and nothing above ### inside it
+function cleanSection(text, heading) {
+  const lines = String(text).trim().split('\n');
+  const normalized = (value) => value.replace(/^#+\s*/, '').replace(/[*_:]/g, '').trim().toLowerCase();
+  if (lines.length > 0 && heading && normalized(lines[0]) === normalized(heading)) {
+    lines.shift();
+  }
+
+  return lines
+    .map(line => line.replace(/^#{1,2}\s+/, '### '))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Helper function to answer FAQ questions from the post itself when the model's answers can't be parsed:
+// the first two sentences of the section sharing the most words with the question
+function answerFromPost(question, parts) {
+  const questionWords = new Set(words(question.toLowerCase()).filter(word => word.length > 3));
+  const best = parts
+    .map(part => ({ part, overlap: words(part.heading.toLowerCase()).filter(word => questionWords.has(word)).length }))
+    .sort((a, b) => b.overlap - a.overlap)[0];
+  const sentences = best.part.content.replace(/^###.*$/gm, '').replace(/\s+/g, ' ').match(/[^.!?]+[.!?]+/g) || [best.part.content];
+  return sentences.slice(0, 2).join(' ').trim();
+}
+
+// Assemble the Markdown post: H1, intro, one H2 per section, conclusion and FAQ
+export function stitchPost(title, parts, faq) {
+  const [intro, ...rest] = parts;
+  const blocks = [`# ${title}`, intro.content];
+
+  for (const part of rest) {
+    blocks.push(`## ${part.heading}`, part.content);
+  }
+
+  if (faq.length > 0) {
+    blocks.push('## Frequently Asked Questions');
+    for (const entry of faq) {
+      blocks.push(`### ${entry.question}`, entry.answer);
+    }
+  }
+
+  return blocks.join('\n\n');
+}
+
+// schema.org Article and FAQPage objects, plus ready-to-paste <script type="application/ld+json"> tags
+export function buildJsonLd({ title, metaDescription, keyword, wordCount, headings, faq, url = null, author = null, publishedAt }) {
+  const article = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: title.slice(0, 110),
+    description: metaDescription,
+    keywords: keyword,
+    wordCount,
+    articleSection: headings,
+    inLanguage: 'en',
+    datePublished: publishedAt,
+    dateModified: publishedAt,
+    ...(author ? { author: { '@type': 'Person', name: author } } : {}),
+    ...(url ? { mainEntityOfPage: { '@type': 'WebPage', '@id': url }, url } : {})
+  };
+
+  const faqPage = faq.length > 0 ? {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: faq.map(entry => ({
+      '@type': 'Question',
+      name: entry.question,
+      acceptedAnswer: { '@type': 'Answer', text: entry.answer }
+    }))
+  } : null;
+
+  // "<" is escaped so an answer containing "</script>" can't close the tag early
+  const script = (data) => `<script type="application/ld+json">\n${JSON.stringify(data, null, 2).replace(/</g, '\\u003c')}\n</script>`;
+
+  return {
+    article,
+    faqPage,
+    html: [article, faqPage].filter(Boolean).map(script).join('\n')
+  };
+}
+
+// Run the whole pipeline. `generate(prompt, { max_new_tokens, stage })` resolves to { text } or { error, ... };
+// `onProgress({ stage, step, steps, heading })` is called as each stage starts; `onSection(part)` after each
+// part is written. Resolves to the post, or to { error } from the first failed call.
+export async function generateLongFormPost(input, { generate, onProgress = () => {}, onSection = () => {}, signal } = {}) {
+  const plan = planSections(input.wordCount);
+  const warnings = [];
+
+  const outlinePrompt = buildOutlinePrompt({ ...input, sectionCount: plan.sectionCount });
+
+  // Outline, intro, each section, conclusion and FAQ; the section count is known once the outline is in
+  let steps = plan.sectionCount + 4;
+  let step = 0;
+  const progress = (stage, heading = null) => onProgress({ stage, step: ++step, steps, heading });
+
+  progress('outline');
+  const outlineResult = await generate(outlinePrompt, { max_new_tokens: OUTLINE_TOKENS, stage: 'outline' });
+  if (outlineResult.error) return outlineResult;
+
+  const outline = parseOutline(outlineResult.text, { keyword: input.keyword, sectionCount: plan.sectionCount });
+  warnings.push(...outline.warnings);
+
+  // The outline decides how many sections there are, and so how long each one should be
+  const sectionWords = Math.max(MIN_SECTION_WORDS, Math.round(plan.bodyWords / outline.sections.length));
+  steps = outline.sections.length + 4;
+
+  const stages = [
+    { stage: 'intro', heading: null, wordTarget: plan.introWords, prompt: buildIntroPrompt(input, outline, plan.introWords) },
+    ...outline.sections.map((section, index) => ({
+      stage: 'section',
+      heading: section.heading,
+      wordTarget: sectionWords,
+      prompt: buildSectionPrompt(input, outline, index, sectionWords)
+    })),
+    { stage: 'conclusion', heading: 'Conclusion', wordTarget: plan.conclusionWords, prompt: buildConclusionPrompt(input, outline, plan.conclusionWords) }
+  ];
+
+  const parts = [];
+  for (const job of stages) {
+    if (signal?.aborted) return { error: 'Generation was cancelled' };
+    progress(job.stage, job.heading);
+
+    const result = await generate(job.prompt, { max_new_tokens: tokensFor(job.wordTarget), stage: job.stage, heading: job.heading });
+    if (result.error) return result;
+
+    let content = cleanSection(result.text, job.heading);
+
+    // Models often stop early; ask once for the rest
+    const written = words(content).length;
+    if (written < job.wordTarget * SHORT_SECTION_RATIO) {
+      const missing = job.wordTarget - written;
+      const more = await generate(buildContinuePrompt(job.heading, content, missing), { max_new_tokens: tokensFor(missing), stage: job.stage, heading: job.heading, continuation: true });
+      if (!more.error) {
+        content = `${content}\n\n${cleanSection(more.text, job.heading)}`.trim();
+      }
+    }
+
+    const part = { stage: job.stage, heading: job.heading, content, words: words(content).length, targetWords: job.wordTarget };
+    parts.push(part);
+    onSection(part);
+  }
+
+  if (signal?.aborted) return { error: 'Generation was cancelled' };
+  progress('faq');
+  let faq = [];
+  const faqResult = await generate(buildFaqPrompt(input, outline.questions), { max_new_tokens: FAQ_TOKENS_PER_QUESTION * outline.questions.length, stage: 'faq' });
+  if (!faqResult.error) {
+    faq = parseFaq(faqResult.text);
+  }
+  if (faq.length < 2) {
+    faq = outline.questions.map(question => ({ question, answer: answerFromPost(question, parts.slice(1)) }));
+    warnings.push('FAQ answers could not be parsed; answered from the post instead');
+  }
+
+  const content = stitchPost(outline.title, parts, faq);
+  const articleWords = parts.reduce((sum, part) => sum + part.words, 0);
+
+  return {
+    title: outline.title,
+    metaDescription: outline.metaDescription,
+    slug: slugify(input.keyword),
+    outline: outline.sections,
+    sections: parts,
+    faq,
+    content,
+    wordCount: articleWords,
+    warnings
+  };
+}
@@ -0,0 +1,84 @@
+import { callLLM, streamLLM, getCachedGeneration, extractGeneratedText } from './llm.js';
+import { cacheAllowed } from './cache.js';
+
+// Whether the client asked for Server-Sent Events instead of one JSON response
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Switch the response into SSE mode; the stream aborts upstream work when the client goes away
+export function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  res.locals.eventStream = {
+    signal: controller.signal,
+    send(event, data) {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    }
+  };
+
+  return res.locals.eventStream;
+}
+
+// Run a generation for a route, streaming `token` events when the client opted in.
+// Reports the response cache status in the X-Cache header.
+export async function generateForRequest(req, res, prompt, options = {}) {
+  const generationOptions = { cache: cacheAllowed(req), ...options };
+
+  if (!wantsEventStream(req)) {
+    const result = await callLLM(prompt, generationOptions);
+    res.set('X-Cache', result.cache);
+    return result;
+  }
+
+  // Headers go out with the first event, so the cache lookup has to happen up front
+  const cached = generationOptions.cache === false ? null : getCachedGeneration(prompt, generationOptions);
+  if (!res.headersSent) {
+    res.set('X-Cache', cached ? 'HIT' : (generationOptions.cache === false ? 'BYPASS' : 'MISS'));
+  }
+
+  const stream = res.locals.eventStream || openEventStream(res);
+
+  if (cached) {
+    stream.send('token', { text: extractGeneratedText(cached.data) });
+    return { ...cached, cache: 'HIT' };
+  }
+
+  return streamLLM(prompt, { ...generationOptions, signal: stream.signal }, text => stream.send('token', { text }));
+}
+
+// Send the final payload: a `done` event in streaming mode, plain JSON otherwise
+export function sendResult(res, payload) {
+  const stream = res.locals.eventStream;
+  if (stream) {
+    stream.send('done', payload);
+    return res.end();
+  }
+  return res.json(payload);
+}
+
+// Send an error: an `error` event once streaming has started, a JSON status otherwise
+export function sendError(res, status, payload) {
+  const stream = res.locals.eventStream;
+  if (stream) {
+    stream.send('error', { status, ...payload });
+    return res.end();
+  }
+  return res.status(status).json(payload);
+}
@@ -0,0 +1,124 @@
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+// JSON files live here; point DATA_DIR at a persistent disk in production
+export const DATA_DIR = process.env.DATA_DIR || join(process.cwd(), 'data');
+
+const collections = new Map();
+
+// Write a collection to disk atomically (temp file + rename)
+function writeCollection(name, items) {
+  mkdirSync(DATA_DIR, { recursive: true });
+  const file = join(DATA_DIR, `${name}.json`);
+  const tmpFile = `${file}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify({ items: [...items.values()] }, null, 2));
+  renameSync(tmpFile, file);
+}
+
+// Load a collection from disk, starting empty if the file is missing or unreadable
+function readCollection(name) {
+  const file = join(DATA_DIR, `${name}.json`);
+  const items = new Map();
+
+  if (!existsSync(file)) {
+    return items;
+  }
+
+  try {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'));
+    for (const item of parsed.items || []) {
+      items.set(item.id, item);
+    }
+  } catch (error) {
+    console.error(`Failed to read ${file}, starting with an empty collection:`, error.message);
+  }
+
+  return items;
+}
+
+// Helper function to open a named, file-backed collection of records keyed by `id`.
+// Reads are served from memory; writes are batched and flushed on the next tick.
+export function openCollection(name) {
+  if (collections.has(name)) {
+    return collections.get(name);
+  }
+
+  const items = readCollection(name);
+  let pendingWrite = null;
+
+  const scheduleWrite = () => {
+    if (pendingWrite) return;
+    pendingWrite = setImmediate(() => {
+      pendingWrite = null;
+      try {
+        writeCollection(name, items);
+      } catch (error) {
+        console.error(`Failed to save ${name} collection:`, error.message);
+      }
+    });
+  };
+
+  const collection = {
+    name,
+
+    all() {
+      return [...items.values()];
+    },
+
+    get(id) {
+      return items.get(id) || null;
+    },
+
+    find(predicate) {
+      return [...items.values()].find(predicate) || null;
+    },
+
+    filter(predicate) {
+      return [...items.values()].filter(predicate);
+    },
+
+    insert(record) {
+      const item = { id: record.id || randomUUID(), ...record };
+      items.set(item.id, item);
+      scheduleWrite();
+      return item;
+    },
+
+    update(id, changes) {
+      const existing = items.get(id);
+      if (!existing) return null;
+      const updated = typeof changes === 'function' ? changes(existing) : { ...existing, ...changes };
+      items.set(id, updated);
+      scheduleWrite();
+      return updated;
+    },
+
+    remove(id) {
+      const removed = items.delete(id);
+      if (removed) scheduleWrite();
+      return removed;
+    },
+
+    flush() {
+      if (!pendingWrite) return;
+      clearImmediate(pendingWrite);
+      pendingWrite = null;
+      writeCollection(name, items);
+    }
+  };
+
+  collections.set(name, collection);
+  return collection;
+}
+
+// Write every open collection synchronously (used on shutdown)
+export function flushAllCollections() {
+  for (const collection of collections.values()) {
+    try {
+      collection.flush();
+    } catch (error) {
+      console.error(`Failed to flush ${collection.name} collection:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,230 @@
+import { callLLM, cacheGeneration, extractGeneratedText } from './llm.js';
+
+// Re-ask the model at most this many times in total when its JSON doesn't fit the schema
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.STRUCTURED_MAX_ATTEMPTS) || 3;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+// Helper function to check a value against the subset of JSON Schema we use
+// (type, properties, required, additionalProperties, items, minItems, maxItems,
+// minLength, maxLength, pattern, format: email|uri, enum). Returns a list of { path, message }.
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(type, value))) {
+    errors.push({ path, message: `must be ${types.join(' or ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    // Empty strings are left to minLength/required; formats only apply to actual values
+    if (value.trim() !== '') {
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: 'has an invalid format' });
+      }
+      if (schema.format === 'email' && !EMAIL_PATTERN.test(value.trim())) {
+        errors.push({ path, message: 'must be an email address' });
+      }
+      if (schema.format === 'uri' && !isHttpUrl(value.trim())) {
+        errors.push({ path, message: 'must be a URL' });
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !(key in (schema.properties || {})))
+        .forEach(key => errors.push({ path: `${path}.${key}`, message: 'is not allowed' }));
+    }
+  }
+
+  return errors;
+}
+
+// Accepts bare domains ("acme.com") as well as full http(s) URLs
+export function isHttpUrl(value) {
+  try {
+    const url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    return /^https?:$/.test(url.protocol) && url.hostname.includes('.') && !/\s/.test(value);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Cut truncated JSON back to the last complete element and close whatever is still open.
+// Returns { json, complete } or null when nothing usable was found.
+function closeTruncatedJson(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let cut = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      closers.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      closers.pop();
+      if (closers.length === 0) {
+        return { json: text.slice(0, i + 1), complete: true };
+      }
+      cut = { index: i + 1, closers: [...closers].reverse().join('') };
+    } else if (ch === ',') {
+      cut = { index: i, closers: [...closers].reverse().join('') };
+    }
+  }
+
+  return cut ? { json: text.slice(0, cut.index) + cut.closers, complete: false } : null;
+}
+
+// Common model quirks: smart quotes and trailing commas
+function cleanJson(json) {
+  return json
+    .replace(/[“”]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1');
+}
+
+// Helper function to pull the first JSON value of the expected root type ('array' or 'object')
+// out of model output, tolerating code fences, chatter and truncation.
+// Returns { value, partial } or null.
+export function extractJson(text, root = 'array') {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const opener = root === 'array' ? '[' : '{';
+  let start = source.indexOf(opener);
+
+  while (start !== -1) {
+    const candidate = closeTruncatedJson(source.slice(start));
+
+    if (candidate) {
+      try {
+        const value = JSON.parse(cleanJson(candidate.json));
+        return { value, partial: !candidate.complete };
+      } catch (error) {
+        // Not JSON after all (e.g. "[1]" in prose); try the next opener
+      }
+    }
+
+    start = source.indexOf(opener, start + 1);
+  }
+
+  // Some models wrap the array in an object, e.g. {"leads": [...]}
+  if (root === 'array') {
+    const wrapped = extractJson(source, 'object');
+    const inner = wrapped && Object.values(wrapped.value).find(Array.isArray);
+    if (inner) {
+      return { value: inner, partial: wrapped.partial };
+    }
+  }
+
+  return null;
+}
+
+function describeErrors(errors) {
+  return errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ');
+}
+
+// Helper function to generate JSON that fits `schema`: extract (partial) JSON from the output,
+// validate it, and re-ask with the validation errors until it fits or maxAttempts is reached.
+// Only a first answer that validates is cached, so a repeated request never replays an invalid one;
+// re-asks always go to the provider. Returns { result, value, valid, errors, attempts } with the best attempt's value,
+// or { result, attempts } when the provider call itself failed.
+export async function generateStructured(prompt, { schema, maxAttempts = DEFAULT_MAX_ATTEMPTS, ...options }) {
+  const attempts = [];
+  let best = null;
+  let result = null;
+  let currentPrompt = prompt;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    result = await callLLM(currentPrompt, attempt === 1 ? { ...options, store: false } : { ...options, cache: false });
+
+    if (result.error) {
+      return { result, attempts };
+    }
+
+    const text = extractGeneratedText(result.data).replace(currentPrompt, '');
+    const extracted = extractJson(text, schema.type);
+    const errors = extracted
+      ? validateSchema(schema, extracted.value)
+      : [{ path: '$', message: `no JSON ${schema.type} found in the response` }];
+
+    attempts.push({ attempt, partial: Boolean(extracted?.partial), errors: errors.slice(0, 10) });
+
+    if (extracted && (!best || errors.length < best.errors.length)) {
+      best = { value: extracted.value, errors };
+    }
+
+    if (extracted && errors.length === 0) {
+      if (attempt === 1 && result.cache === 'MISS') {
+        cacheGeneration(prompt, options, result);
+      }
+      break;
+    }
+
+    currentPrompt = `${prompt}\n\nYour previous answer could not be used (${describeErrors(errors)}). ` +
+      `Reply with only JSON matching this schema, no other text:\n${JSON.stringify(schema)}`;
+  }
+
+  return {
+    result,
+    value: best ? best.value : null,
+    valid: Boolean(best) && best.errors.length === 0,
+    errors: best ? best.errors : attempts[attempts.length - 1].errors,
+    attempts
+  };
+}
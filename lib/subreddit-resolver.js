@@ -0,0 +1,222 @@
+import { fetchRedditListing, searchRedditSubreddits, searchRedditPosts, subredditForIndustry } from './trend-sources.js';
+
+// Hand-picked communities for common topics. A key matches when its words appear together, in order, in the
+// topic; a one-word key only matches a topic that is just that word, so "food security" finds no security communities.
+export const CURATED_SUBREDDITS = {
+  'ai': ['artificial', 'MachineLearning', 'OpenAI'],
+  'artificial intelligence': ['artificial', 'MachineLearning', 'singularity'],
+  'machine learning': ['MachineLearning', 'learnmachinelearning', 'datascience'],
+  'data science': ['datascience', 'dataengineering', 'statistics'],
+  'technology': ['technology', 'tech', 'gadgets'],
+  'tech': ['technology', 'tech', 'gadgets'],
+  'programming': ['programming', 'learnprogramming', 'coding'],
+  'web development': ['webdev', 'Frontend', 'javascript'],
+  'cybersecurity': ['cybersecurity', 'netsec', 'AskNetsec'],
+  'security': ['cybersecurity', 'netsec'],
+  'crypto': ['CryptoCurrency', 'Bitcoin', 'ethereum'],
+  'cryptocurrency': ['CryptoCurrency', 'Bitcoin', 'ethereum'],
+  'blockchain': ['CryptoCurrency', 'ethereum', 'web3'],
+  'marketing': ['marketing', 'digital_marketing', 'socialmedia'],
+  'digital marketing': ['digital_marketing', 'marketing', 'PPC'],
+  'seo': ['SEO', 'bigseo', 'TechSEO'],
+  'content marketing': ['content_marketing', 'marketing', 'copywriting'],
+  'social media': ['socialmedia', 'SocialMediaMarketing', 'Instagram'],
+  'email marketing': ['emailmarketing', 'marketing', 'copywriting'],
+  'startup': ['startups', 'Entrepreneur', 'SaaS'],
+  'entrepreneur': ['Entrepreneur', 'startups', 'smallbusiness'],
+  'small business': ['smallbusiness', 'Entrepreneur', 'sweatystartup'],
+  'saas': ['SaaS', 'startups', 'microsaas'],
+  'ecommerce': ['ecommerce', 'shopify', 'FulfillmentByAmazon'],
+  'e commerce': ['ecommerce', 'shopify', 'FulfillmentByAmazon'],
+  'productivity': ['productivity', 'getdisciplined', 'Notion'],
+  'remote work': ['remotework', 'digitalnomad', 'WorkOnline'],
+  'career': ['careerguidance', 'jobs', 'resumes'],
+  'personal finance': ['personalfinance', 'financialindependence', 'Frugal'],
+  'finance': ['finance', 'personalfinance', 'investing'],
+  'investing': ['investing', 'stocks', 'Bogleheads'],
+  'stock': ['stocks', 'investing', 'StockMarket'],
+  'real estate': ['RealEstate', 'realestateinvesting', 'FirstTimeHomeBuyer'],
+  'health': ['Health', 'nutrition', 'fitness'],
+  'healthcare': ['healthcare', 'medicine', 'HealthIT'],
+  'fitness': ['Fitness', 'bodyweightfitness', 'running'],
+  'nutrition': ['nutrition', 'EatCheapAndHealthy', 'HealthyFood'],
+  'mental health': ['mentalhealth', 'Anxiety', 'selfimprovement'],
+  'gaming': ['gaming', 'Games', 'pcgaming'],
+  'travel': ['travel', 'solotravel', 'TravelHacks'],
+  'food': ['food', 'Cooking', 'recipes'],
+  'cooking': ['Cooking', 'recipes', 'AskCulinary'],
+  'parenting': ['Parenting', 'Mommit', 'daddit'],
+  'education': ['education', 'Teachers', 'edtech'],
+  'climate': ['climate', 'climatechange', 'sustainability'],
+  'sustainability': ['sustainability', 'ZeroWaste', 'climate'],
+  'energy': ['energy', 'RenewableEnergy', 'solar'],
+  'electric vehicle': ['electricvehicles', 'teslamotors', 'EVs'],
+  'ev': ['electricvehicles', 'EVs'],
+  'science': ['science', 'EverythingScience', 'space'],
+  'space': ['space', 'spacex', 'nasa'],
+  'design': ['design', 'graphic_design', 'UXDesign'],
+  'ux': ['UXDesign', 'userexperience', 'UI_Design'],
+  'photography': ['photography', 'AskPhotography', 'photocritique'],
+  'fashion': ['malefashionadvice', 'femalefashionadvice', 'fashion'],
+  'beauty': ['SkincareAddiction', 'MakeupAddiction', 'beauty'],
+  'music': ['Music', 'WeAreTheMusicMakers', 'musicproduction'],
+  'film': ['movies', 'Filmmakers', 'TrueFilm'],
+  'sport': ['sports', 'nba', 'soccer'],
+  'pet': ['pets', 'dogs', 'cats'],
+  'home improvement': ['HomeImprovement', 'DIY', 'InteriorDesign'],
+  'gardening': ['gardening', 'vegetablegardening', 'houseplants'],
+  'writing': ['writing', 'freelanceWriters', 'copywriting'],
+  'freelance': ['freelance', 'freelanceWriters', 'WorkOnline'],
+  'legal': ['legaladvice', 'law', 'Lawyertalk'],
+  'hr': ['humanresources', 'recruiting', 'managers'],
+  'leadership': ['managers', 'leadership', 'ExperiencedDevs']
+};
+
+// Communities from search need this many subscribers to be trusted as being about the topic
+const MIN_SEARCH_SUBSCRIBERS = 10000;
+
+// Posts below this relevance are dropped
+const MIN_RELEVANCE = 0.3;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'in', 'on', 'to', 'with', 'about', 'trends', 'trend', 'news', 'latest',
+  'best', 'top', 'guide', 'tip', 'tips', 'weekly', 'monthly', 'update', 'updates', 'insight', 'insights', 'how', 'what', 'your', 'my']);
+
+// Lowercase words with a light plural strip, so "startups" matches "startup"
+function terms(text) {
+  return (String(text).toLowerCase().replace(/[-_/]+/g, ' ').match(/[a-z0-9+#']+/g) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+export function topicTerms(topic) {
+  return [...new Set(terms(topic).filter(word => !STOPWORDS.has(word)))];
+}
+
+// Longest keys first, and each topic word is used by one key at most
+function curatedMatches(topic) {
+  const words = terms(topic).filter(word => !STOPWORDS.has(word));
+  const used = words.map(() => false);
+  const keys = Object.keys(CURATED_SUBREDDITS)
+    .map(key => ({ key, parts: terms(key) }))
+    .filter(({ parts }) => parts.length > 1 || words.length === 1)
+    .sort((a, b) => b.parts.length - a.parts.length || b.key.length - a.key.length);
+
+  const matched = [];
+  keys.forEach(({ key, parts }) => {
+    for (let start = 0; start + parts.length <= words.length; start++) {
+      if (parts.every((part, i) => words[start + i] === part && !used[start + i])) {
+        parts.forEach((_, i) => { used[start + i] = true; });
+        matched.push(key);
+        return;
+      }
+    }
+  });
+  return matched.flatMap(key => CURATED_SUBREDDITS[key]);
+}
+
+// Pick up to `limit` subreddits for a topic: curated ones first, then Reddit's community search
+// (safe-for-work, public and big enough), then a subreddit named after the topic when search is down.
+// Returns { subreddits: [{ name, via, subscribers }], statuses } where via is curated, search or guess.
+export async function resolveSubreddits(topic, { limit = 3, cache = true } = {}) {
+  const picked = new Map();
+  const statuses = [];
+  const add = (name, via, subscribers = null) => {
+    if (picked.size < limit && !picked.has(name.toLowerCase())) {
+      picked.set(name.toLowerCase(), { name, via, subscribers });
+    }
+  };
+
+  curatedMatches(topic).forEach(name => add(name, 'curated'));
+
+  if (picked.size < limit) {
+    const wanted = topicTerms(topic);
+    const result = await searchRedditSubreddits(topic, { cache });
+    statuses.push(result.cache);
+
+    if (result.success) {
+      result.data.subreddits
+        .filter(subreddit => !subreddit.over18 && subreddit.type === 'public' && subreddit.subscribers >= MIN_SEARCH_SUBSCRIBERS)
+        .map(subreddit => {
+          const nameTerms = terms(subreddit.name.replace(/([a-z])([A-Z])/g, '$1 $2')).join('');
+          const described = new Set(terms(subreddit.description));
+          return {
+            ...subreddit,
+            named: wanted.filter(word => nameTerms.includes(word)).length,
+            described: wanted.filter(word => described.has(word)).length
+          };
+        })
+        // Big general communities that only matched on some post are left out; ones named after the topic come first
+        .filter(subreddit => subreddit.named > 0 || subreddit.described > 0)
+        .sort((a, b) => b.named - a.named || b.described - a.described || b.subscribers - a.subscribers)
+        .forEach(subreddit => add(subreddit.name, 'search', subreddit.subscribers));
+    } else if (picked.size === 0) {
+      const guess = subredditForIndustry(topic);
+      if (guess) add(guess, 'guess');
+    }
+  }
+
+  return { subreddits: [...picked.values()], statuses };
+}
+
+// How well a post matches a topic, from 0 to 1: the share of topic words in the title, a bonus
+// when the whole phrase appears, and a base for posts from a community about the topic. The base alone
+// stays under MIN_RELEVANCE, so even those posts need a topic word in the title.
+export function scoreRelevance(post, topic, { onTopic = false } = {}) {
+  const wanted = topicTerms(topic);
+  const titleWords = new Set(terms(post.title));
+  const coverage = wanted.length > 0 ? wanted.filter(word => titleWords.has(word)).length / wanted.length : 0;
+  const phrase = wanted.length > 1 && terms(post.title).join(' ').includes(wanted.join(' '));
+  const relevance = coverage * 0.6 + (phrase ? 0.25 : 0) + (onTopic ? 0.25 : 0);
+  return Math.round(Math.min(relevance, 1) * 100) / 100;
+}
+
+function combinedCacheStatus(statuses) {
+  if (statuses.includes('BYPASS')) return 'BYPASS';
+  return statuses.length > 0 && statuses.every(status => status === 'HIT') ? 'HIT' : 'MISS';
+}
+
+// Trending Reddit posts for a topic, ranked by relevance and then engagement. Reads the hot
+// listing of the resolved subreddits and, when that gives fewer than `limit` relevant posts,
+// Reddit's post search for the past week. Resolves to
+// { success, data: { posts: [{ title, score, comments, subreddit, url, created, relevance }], subreddits }, cache }
+// or { error, details } when nothing could be fetched.
+export async function fetchTopicTrends(topic, { limit = 5, cache = true } = {}) {
+  const { subreddits, statuses } = await resolveSubreddits(topic, { cache });
+  const results = await Promise.all(subreddits.map(subreddit => fetchRedditListing(subreddit.name, 'hot', 25, { cache })));
+  statuses.push(...results.map(result => result.cache));
+
+  const posts = new Map();
+  const collect = (list, onTopic) => {
+    for (const post of list) {
+      const relevance = scoreRelevance(post, topic, { onTopic });
+      if (relevance >= MIN_RELEVANCE && !posts.has(post.url)) {
+        posts.set(post.url, { ...post, relevance });
+      }
+    }
+  };
+
+  results.forEach(result => collect(result.data?.posts || [], true));
+
+  let searched = null;
+  if (posts.size < limit && topicTerms(topic).length > 0) {
+    searched = await searchRedditPosts(topic, 25, { cache });
+    statuses.push(searched.cache);
+    collect(searched.data?.posts || [], false);
+  }
+
+  if (!results.some(result => result.success) && !searched?.success) {
+    const failed = searched || results[0];
+    return {
+      error: failed?.error || 'Failed to fetch Reddit trends',
+      details: failed?.details || 'No subreddits found for this topic',
+      cache: combinedCacheStatus(statuses)
+    };
+  }
+
+  const ranked = [...posts.values()]
+    .sort((a, b) => b.relevance * (1 + Math.log10(1 + Math.max(b.score, 0) + b.comments)) -
+      a.relevance * (1 + Math.log10(1 + Math.max(a.score, 0) + a.comments)))
+    .slice(0, limit);
+
+  return { success: true, data: { posts: ranked, subreddits }, cache: combinedCacheStatus(statuses) };
+}
@@ -0,0 +1,330 @@
+import { randomBytes } from 'crypto';
+import { openCollection } from './store.js';
+import { parseCsv, toCsv } from './csv.js';
+import { senderAllowed } from './mailer.js';
+
+export const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed', 'bounced'];
+export const SUBSCRIBER_EXPORT_FORMATS = ['csv', 'json'];
+export const MAX_IMPORT_ROWS = Number(process.env.SUBSCRIBER_IMPORT_MAX_ROWS) || 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Column headers accepted on import (compared lowercased, without spaces, _ or -)
+const EMAIL_COLUMNS = ['email', 'emailaddress', 'mail'];
+const NAME_COLUMNS = ['name', 'fullname', 'firstname', 'subscribername'];
+
+const lists = openCollection('subscriber-lists');
+const subscribers = openCollection('subscribers');
+
+function token() {
+  return randomBytes(24).toString('hex');
+}
+
+function columnKey(header) {
+  return header.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function counts(listId) {
+  const result = Object.fromEntries(SUBSCRIBER_STATUSES.map(status => [status, 0]));
+  for (const subscriber of subscribers.filter(entry => entry.listId === listId)) {
+    result[subscriber.status]++;
+  }
+  return result;
+}
+
+function toPublicList(list) {
+  const { owner, ...fields } = list;
+  return { ...fields, counts: counts(list.id) };
+}
+
+// Tokens stay server-side; they are only ever sent in emails
+export function toPublicSubscriber(subscriber) {
+  const { confirmToken, unsubscribeToken, ...fields } = subscriber;
+  return fields;
+}
+
+export function createList(owner, { name, fromName, fromEmail }) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return { error: 'List name is required (up to 100 characters)' };
+  }
+  if (fromName !== undefined && (typeof fromName !== 'string' || fromName.length > 100)) {
+    return { error: 'fromName must be text up to 100 characters' };
+  }
+  if (fromEmail !== undefined && (typeof fromEmail !== 'string' || !EMAIL_PATTERN.test(fromEmail.trim()))) {
+    return { error: 'fromEmail must be an email address' };
+  }
+  if (fromEmail !== undefined && !senderAllowed(fromEmail)) {
+    return {
+      error: 'fromEmail is not an allowed sender',
+      details: 'Use MAIL_FROM or an address on one of the verified domains in SENDER_DOMAINS'
+    };
+  }
+
+  const now = new Date().toISOString();
+  const list = lists.insert({
+    owner,
+    name: name.trim(),
+    fromName: fromName?.trim() || '',
+    fromEmail: fromEmail?.trim() || '',
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { list: toPublicList(list) };
+}
+
+export function listLists(owner) {
+  return lists
+    .filter(list => list.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicList);
+}
+
+export function getList(owner, id) {
+  const list = lists.get(id);
+  return list && owner && list.owner === owner ? toPublicList(list) : null;
+}
+
+// Public details for the subscribe form (no owner check)
+export function getListForSignup(id) {
+  const list = lists.get(id);
+  return list ? { id: list.id, name: list.name } : null;
+}
+
+export function deleteList(owner, id) {
+  const list = lists.get(id);
+  if (!list || !owner || list.owner !== owner) {
+    return false;
+  }
+
+  subscribers.filter(subscriber => subscriber.listId === id).forEach(subscriber => subscribers.remove(subscriber.id));
+  lists.remove(id);
+  return true;
+}
+
+// Sender line for a list's emails, falling back to the configured default address (also when the
+// list's address is no longer on an allowed sender domain)
+export function listSender(list, fallback) {
+  const email = list.fromEmail && senderAllowed(list.fromEmail) ? list.fromEmail : fallback;
+  return list.fromName ? `"${list.fromName.replace(/"/g, '')}" <${email}>` : email;
+}
+
+// Full list record (with owner) for the senders
+export function getListRecord(id) {
+  return lists.get(id);
+}
+
+export function listSubscribers(owner, listId, { status } = {}) {
+  if (!getList(owner, listId)) return null;
+
+  return subscribers
+    .filter(subscriber => subscriber.listId === listId && (!status || subscriber.status === status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toPublicSubscriber);
+}
+
+// Subscribers a newsletter goes to, with their unsubscribe tokens
+export function confirmedSubscribers(listId) {
+  return subscribers
+    .filter(subscriber => subscriber.listId === listId && subscriber.status === 'subscribed')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function findSubscriber(listId, email) {
+  const normalized = email.trim().toLowerCase();
+  return subscribers.find(subscriber => subscriber.listId === listId && subscriber.email === normalized);
+}
+
+// Add one address. New addresses start as `pending` until they confirm, unless `confirmed` says the
+// list owner already has their consent. Unsubscribed and bounced addresses are never re-added here.
+// Returns { subscriber, created, needsConfirmation } or { error, status }.
+export function addSubscriber(listId, { email, name = '', confirmed = false, source = 'api' }) {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return { status: 400, error: 'A valid email address is required' };
+  }
+  if (typeof name !== 'string' || name.length > 100) {
+    return { status: 400, error: 'name must be text up to 100 characters' };
+  }
+
+  const existing = findSubscriber(listId, email);
+  if (existing) {
+    if (['unsubscribed', 'bounced'].includes(existing.status) && source !== 'signup') {
+      return { status: 409, error: `${existing.email} is ${existing.status} and can only rejoin by signing up again` };
+    }
+
+    // Someone signing up again after leaving (or before confirming) gets a fresh confirmation
+    if (existing.status !== 'subscribed') {
+      const updated = subscribers.update(existing.id, {
+        status: confirmed ? 'subscribed' : 'pending',
+        name: name.trim() || existing.name,
+        confirmToken: confirmed ? null : token(),
+        confirmedAt: confirmed ? new Date().toISOString() : null,
+        unsubscribedAt: null,
+        bouncedAt: null,
+        bounceReason: null,
+        updatedAt: new Date().toISOString()
+      });
+      return { subscriber: updated, created: false, needsConfirmation: !confirmed };
+    }
+
+    return { subscriber: existing, created: false, needsConfirmation: false };
+  }
+
+  const now = new Date().toISOString();
+  const subscriber = subscribers.insert({
+    listId,
+    email: email.trim().toLowerCase(),
+    name: name.trim(),
+    status: confirmed ? 'subscribed' : 'pending',
+    source,
+    confirmToken: confirmed ? null : token(),
+    unsubscribeToken: token(),
+    createdAt: now,
+    updatedAt: now,
+    confirmedAt: confirmed ? now : null,
+    unsubscribedAt: null,
+    bouncedAt: null,
+    bounceReason: null
+  });
+
+  return { subscriber, created: true, needsConfirmation: !confirmed };
+}
+
+export function removeSubscriber(owner, listId, id) {
+  const subscriber = subscribers.get(id);
+  if (!getList(owner, listId) || !subscriber || subscriber.listId !== listId) {
+    return false;
+  }
+  subscribers.remove(id);
+  return true;
+}
+
+// Full record (with tokens) for the senders
+export function getSubscriberRecord(id) {
+  return subscribers.get(id);
+}
+
+// Read subscribers from CSV text (an email column is required, name is optional) or a JSON array
+export function parseSubscriberImport({ csv, subscribers: list }) {
+  if (csv !== undefined) {
+    if (typeof csv !== 'string' || csv.trim().length === 0) {
+      return { error: 'CSV is required' };
+    }
+
+    const rows = parseCsv(csv);
+    if (rows.length < 2) {
+      return { error: 'CSV needs a header row and at least one subscriber' };
+    }
+
+    const keys = rows[0].map(header => columnKey(header.trim()));
+    const emailIndex = keys.findIndex(key => EMAIL_COLUMNS.includes(key));
+    const nameIndex = keys.findIndex(key => NAME_COLUMNS.includes(key));
+
+    if (emailIndex === -1) {
+      return { error: 'CSV must have an email column', details: `Found columns: ${rows[0].join(', ')}` };
+    }
+
+    return {
+      entries: rows.slice(1).map(cells => ({
+        email: (cells[emailIndex] || '').trim(),
+        name: nameIndex === -1 ? '' : (cells[nameIndex] || '').trim().slice(0, 100)
+      }))
+    };
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'Send csv text or a non-empty subscribers array' };
+  }
+
+  return {
+    entries: list.map(item => ({
+      email: typeof item === 'string' ? item : (typeof item?.email === 'string' ? item.email : ''),
+      name: typeof item?.name === 'string' ? item.name.slice(0, 100) : ''
+    }))
+  };
+}
+
+// Add many addresses; rows that can't be added are reported with their row number and reason
+export function importSubscribers(listId, entries, { confirmed = false } = {}) {
+  const added = [];
+  const skipped = [];
+  let alreadySubscribed = 0;
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    const key = entry.email.trim().toLowerCase();
+    if (seen.has(key)) {
+      skipped.push({ row: index + 1, email: entry.email, reason: 'Duplicate in this import' });
+      return;
+    }
+    seen.add(key);
+
+    const result = addSubscriber(listId, { ...entry, confirmed, source: 'import' });
+    if (result.error) {
+      skipped.push({ row: index + 1, email: entry.email, reason: result.error });
+    } else if (!result.created && !result.needsConfirmation) {
+      alreadySubscribed++;
+    } else {
+      added.push(result.subscriber);
+    }
+  });
+
+  return { added, skipped, alreadySubscribed };
+}
+
+export function exportSubscribers(owner, listId, format) {
+  const rows = listSubscribers(owner, listId);
+  if (!rows) return null;
+
+  if (format === 'json') {
+    return { contentType: 'application/json; charset=utf-8', extension: 'json', body: JSON.stringify(rows, null, 2) };
+  }
+
+  const headers = ['email', 'name', 'status', 'source', 'createdAt', 'confirmedAt', 'unsubscribedAt', 'bouncedAt', 'bounceReason'];
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    body: toCsv([headers, ...rows.map(row => headers.map(header => row[header] ?? ''))])
+  };
+}
+
+export function confirmSubscription(confirmToken) {
+  const subscriber = typeof confirmToken === 'string' && confirmToken
+    ? subscribers.find(entry => entry.confirmToken === confirmToken)
+    : null;
+  if (!subscriber) return null;
+
+  const now = new Date().toISOString();
+  return subscribers.update(subscriber.id, { status: 'subscribed', confirmToken: null, confirmedAt: now, updatedAt: now });
+}
+
+export function findByUnsubscribeToken(unsubscribeToken) {
+  return typeof unsubscribeToken === 'string' && unsubscribeToken
+    ? subscribers.find(entry => entry.unsubscribeToken === unsubscribeToken)
+    : null;
+}
+
+export function unsubscribe(unsubscribeToken) {
+  const subscriber = findByUnsubscribeToken(unsubscribeToken);
+  if (!subscriber) return null;
+  if (subscriber.status === 'unsubscribed') return subscriber;
+
+  const now = new Date().toISOString();
+  return subscribers.update(subscriber.id, { status: 'unsubscribed', confirmToken: null, unsubscribedAt: now, updatedAt: now });
+}
+
+// Mark addresses as bounced (from a send failure or a bounce report); returns how many were updated
+export function markBounced(listId, emails, reason = 'Bounced') {
+  let updated = 0;
+  const now = new Date().toISOString();
+
+  for (const email of emails) {
+    const subscriber = typeof email === 'string' ? findSubscriber(listId, email) : null;
+    if (subscriber && subscriber.status !== 'bounced') {
+      subscribers.update(subscriber.id, { status: 'bounced', bouncedAt: now, bounceReason: String(reason).slice(0, 300), updatedAt: now });
+      updated++;
+    }
+  }
+
+  return updated;
+}
@@ -0,0 +1,173 @@
+// Prompt templates: plain text with typed {{variables}}.
+//   {{product}}                     required string
+//   {{count:number}}                also: string, text, integer, boolean
+//   {{audience:enum(b2b,b2c)}}      one of the listed options
+//   {{tone=friendly}}               optional, with a default value
+//   {{audience:enum(b2b,b2c)=b2b}}  type and default together
+// A variable may appear several times; only one occurrence needs the type.
+
+export const VARIABLE_TYPES = ['string', 'text', 'number', 'integer', 'boolean', 'enum'];
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const DEFINITION = /^([A-Za-z_][A-Za-z0-9_]*)(?:\s*:\s*([a-z]+)(?:\(([^()]*)\))?)?(?:\s*=\s*(.*))?$/;
+
+const MAX_STRING_LENGTH = 500;
+const MAX_TEXT_LENGTH = 5000;
+
+// Helper function to check one value against a variable definition.
+// Returns { value } (normalized) or { error }.
+function coerceValue(variable, raw) {
+  switch (variable.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: variable.type === 'integer' ? 'must be an integer' : 'must be a number' };
+      }
+      if (variable.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'must be an integer' };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    case 'enum': {
+      const match = variable.options.find(option => option.toLowerCase() === String(raw).trim().toLowerCase());
+      if (match === undefined) {
+        return { error: `must be one of: ${variable.options.join(', ')}` };
+      }
+      return { value: match };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: 'must be a string' };
+      }
+      const value = String(raw).trim();
+      const maxLength = variable.type === 'text' ? MAX_TEXT_LENGTH : MAX_STRING_LENGTH;
+      if (value.length === 0) {
+        return { error: 'must not be empty' };
+      }
+      if (value.length > maxLength) {
+        return { error: `must be at most ${maxLength} characters` };
+      }
+      return { value };
+    }
+  }
+}
+
+function parseDefinition(body) {
+  const match = body.match(DEFINITION);
+  if (!match) {
+    return { error: `Invalid template variable "{{${body}}}"` };
+  }
+
+  const [, name, type = null, optionList, defaultValue] = match;
+
+  if (type && !VARIABLE_TYPES.includes(type)) {
+    return { error: `Unknown type "${type}" for {{${name}}}`, details: `Available types: ${VARIABLE_TYPES.join(', ')}` };
+  }
+
+  if ((type === 'enum') !== (optionList !== undefined)) {
+    return { error: `Invalid template variable "{{${body}}}"`, details: 'Only enum takes options, e.g. {{audience:enum(b2b,b2c)}}' };
+  }
+
+  const variable = { name, type: type || 'string', required: defaultValue === undefined };
+
+  if (type === 'enum') {
+    variable.options = [...new Set(optionList.split(',').map(option => option.trim()).filter(Boolean))];
+    if (variable.options.length < 2) {
+      return { error: `{{${name}}} needs at least two enum options` };
+    }
+  }
+
+  if (defaultValue !== undefined) {
+    const coerced = coerceValue(variable, defaultValue.trim());
+    if (coerced.error) {
+      return { error: `Default for {{${name}}} ${coerced.error}` };
+    }
+    variable.default = coerced.value;
+  }
+
+  return { variable, typed: Boolean(type) || defaultValue !== undefined };
+}
+
+// List a template's variables in order of first appearance. Returns { variables } or { error, details }.
+export function parseTemplate(text) {
+  const variables = new Map();
+  const typed = new Set();
+
+  for (const [, body] of String(text).matchAll(PLACEHOLDER)) {
+    const parsed = parseDefinition(body);
+    if (parsed.error) {
+      return parsed;
+    }
+
+    const { variable } = parsed;
+    const existing = variables.get(variable.name);
+
+    if (!existing || (parsed.typed && !typed.has(variable.name))) {
+      // A bare {{name}} seen first is upgraded by a later typed occurrence
+      variables.set(variable.name, variable);
+      if (parsed.typed) typed.add(variable.name);
+    } else if (parsed.typed && JSON.stringify(existing) !== JSON.stringify(variable)) {
+      return { error: `{{${variable.name}}} is defined more than once with different types or defaults` };
+    }
+  }
+
+  return { variables: [...variables.values()] };
+}
+
+// Check supplied values against the variables. Returns { values } or { error, details, fields }.
+export function validateTemplateValues(variables, input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'values must be an object', details: 'e.g. {"values": {"product": "CRM"}}' };
+  }
+
+  const fields = {};
+  const values = {};
+
+  for (const variable of variables) {
+    const raw = input[variable.name];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (variable.required) {
+        fields[variable.name] = 'is required';
+      } else {
+        values[variable.name] = variable.default;
+      }
+      continue;
+    }
+
+    const coerced = coerceValue(variable, raw);
+    if (coerced.error) {
+      fields[variable.name] = coerced.error;
+    } else {
+      values[variable.name] = coerced.value;
+    }
+  }
+
+  const known = new Set(variables.map(variable => variable.name));
+  Object.keys(input)
+    .filter(name => !known.has(name))
+    .forEach(name => { fields[name] = 'is not a variable of this template'; });
+
+  if (Object.keys(fields).length > 0) {
+    return {
+      error: 'Invalid template values',
+      details: Object.entries(fields).map(([name, message]) => `${name} ${message}`).join('; '),
+      fields
+    };
+  }
+
+  return { values };
+}
+
+// Replace every placeholder with its validated value
+export function renderTemplate(text, values) {
+  return String(text).replace(PLACEHOLDER, (placeholder, body) => {
+    const name = body.match(DEFINITION)?.[1];
+    return name in values ? String(values[name]) : placeholder;
+  });
+}
@@ -0,0 +1,490 @@
+import fetch from 'node-fetch';
+import { createHash } from 'crypto';
+import { responseCache, cacheKey, CACHE_TTLS } from './cache.js';
+import { isPrivateHost, publicFetch } from './public-fetch.js';
+
+export const REDDIT_LISTINGS = ['hot', 'top', 'rising'];
+export const MAX_SUBREDDITS = 5;
+export const MAX_FEEDS = 5;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SaaS Tool/1.0)';
+const SOURCE_TIMEOUT_MS = 10000;
+const REDDIT_LIMIT = 15;
+const NEWS_PAGE_SIZE = 20;
+const FEED_ITEM_LIMIT = 30;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const MAX_FEED_REDIRECTS = 3;
+
+const SUBREDDIT_PATTERN = /^[A-Za-z0-9_]{2,21}$/;
+
+// Helper function to fetch one Reddit listing (hot, top of the day or rising), cached per subreddit, listing and limit
+export async function fetchRedditListing(subreddit = 'all', listing = 'hot', limit = 10, options = {}) {
+  const { value, status } = await responseCache.wrap(
+    cacheKey('reddit', subreddit.toLowerCase(), listing, limit),
+    CACHE_TTLS.reddit,
+    () => requestRedditListing(subreddit, listing, limit),
+    { bypass: options.cache === false, shouldCache: result => Boolean(result.success) }
+  );
+  return { ...value, cache: status };
+}
+
+// Helper function to fetch Reddit trends (the hot listing)
+export function fetchRedditTrends(subreddit = 'all', limit = 10, options = {}) {
+  return fetchRedditListing(subreddit, 'hot', limit, options);
+}
+
+async function requestRedditListing(subreddit, listing, limit) {
+  try {
+    const url = `https://www.reddit.com/r/${encodeURIComponent(subreddit)}/${listing}.json?limit=${limit}${listing === 'top' ? '&t=day' : ''}`;
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      return {
+        error: `Reddit API request failed: ${response.status}`,
+        details: 'Unable to fetch Reddit trends'
+      };
+    }
+
+    const data = await response.json();
+    const posts = data.data?.children?.filter(child => !child.data.stickied).map(toPost) || [];
+
+    return { success: true, data: { posts } };
+  } catch (error) {
+    return {
+      error: 'Failed to fetch Reddit trends',
+      details: error.message
+    };
+  }
+}
+
+// Helper function to search Reddit for communities about a topic (cached per query)
+export async function searchRedditSubreddits(query, options = {}) {
+  const { value, status } = await responseCache.wrap(
+    cacheKey('reddit-subreddits', query.toLowerCase()),
+    CACHE_TTLS.subreddits,
+    () => requestReddit(`https://www.reddit.com/subreddits/search.json?q=${encodeURIComponent(query)}&limit=10&include_over_18=off`, data => ({
+      subreddits: data.data?.children?.map(child => ({
+        name: child.data.display_name,
+        subscribers: child.data.subscribers || 0,
+        over18: Boolean(child.data.over18),
+        type: child.data.subreddit_type,
+        description: child.data.public_description || ''
+      })) || []
+    })),
+    { bypass: options.cache === false, shouldCache: result => Boolean(result.success) }
+  );
+  return { ...value, cache: status };
+}
+
+// Helper function to search posts across Reddit from the past week (cached per query and limit)
+export async function searchRedditPosts(query, limit = 25, options = {}) {
+  const { value, status } = await responseCache.wrap(
+    cacheKey('reddit-search', query.toLowerCase(), limit),
+    CACHE_TTLS.reddit,
+    () => requestReddit(`https://www.reddit.com/search.json?q=${encodeURIComponent(query)}&sort=relevance&t=week&limit=${limit}`, data => ({
+      posts: data.data?.children?.filter(child => !child.data.over_18).map(toPost) || []
+    })),
+    { bypass: options.cache === false, shouldCache: result => Boolean(result.success) }
+  );
+  return { ...value, cache: status };
+}
+
+function toPost(child) {
+  return {
+    title: child.data.title,
+    score: child.data.score,
+    comments: child.data.num_comments || 0,
+    subreddit: child.data.subreddit,
+    url: `https://reddit.com${child.data.permalink}`,
+    created: new Date(child.data.created_utc * 1000).toISOString()
+  };
+}
+
+async function requestReddit(url, transform) {
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      return {
+        error: `Reddit API request failed: ${response.status}`,
+        details: 'Unable to search Reddit'
+      };
+    }
+
+    return { success: true, data: transform(await response.json()) };
+  } catch (error) {
+    return {
+      error: 'Failed to search Reddit',
+      details: error.message
+    };
+  }
+}
+
+// Helper function to fetch NewsAPI (optional, cached per query and options)
+export async function fetchNewsAPI(query, apiKey, options = {}) {
+  const { pageSize = 5, sortBy = 'popularity', from = null } = options;
+
+  if (!apiKey) {
+    return requestNewsAPI(query, apiKey, { pageSize, sortBy, from });
+  }
+
+  const { value, status } = await responseCache.wrap(
+    cacheKey('news', query.toLowerCase(), pageSize, sortBy, from),
+    CACHE_TTLS.news,
+    () => requestNewsAPI(query, apiKey, { pageSize, sortBy, from }),
+    { bypass: options.cache === false, shouldCache: result => Boolean(result.success) }
+  );
+  return { ...value, cache: status };
+}
+
+async function requestNewsAPI(query, apiKey, { pageSize, sortBy, from }) {
+  try {
+    if (!apiKey) {
+      return {
+        error: 'NewsAPI key not configured',
+        suggestion: 'Set NEWS_API_KEY in environment variables (optional)'
+      };
+    }
+
+    const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(query)}&sortBy=${sortBy}&pageSize=${pageSize}${from ? `&from=${from}` : ''}&apiKey=${apiKey}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS) });
+
+    if (!response.ok) {
+      return {
+        error: `NewsAPI request failed: ${response.status}`,
+        details: 'Unable to fetch news'
+      };
+    }
+
+    const data = await response.json();
+    return { success: true, data: { articles: data.articles || [] } };
+  } catch (error) {
+    return {
+      error: 'Failed to fetch news',
+      details: error.message
+    };
+  }
+}
+
+// Helper function to check a feed URL: http(s) only, and never this machine or a private network
+export function validateFeedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { error: `Invalid feed URL: ${String(value).slice(0, 200)}` };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(url.hostname)) {
+    return { error: `Feed URL must be a public http(s) URL: ${url.toString().slice(0, 200)}` };
+  }
+
+  return { url: url.toString() };
+}
+
+// Helper function to fetch and parse an RSS or Atom feed (cached per URL)
+export async function fetchFeed(url, options = {}) {
+  const { value, status } = await responseCache.wrap(
+    cacheKey('feed', url),
+    CACHE_TTLS.feeds,
+    () => requestFeed(url),
+    { bypass: options.cache === false, shouldCache: result => Boolean(result.success) }
+  );
+  return { ...value, cache: status };
+}
+
+// Redirects are followed by hand so every hop gets the same public-URL check, and publicFetch
+// resolves each hop's hostname and connects only to the public address it checked
+async function requestFeed(url) {
+  try {
+    let current = url;
+    let response;
+
+    for (let hop = 0; ; hop++) {
+      response = await publicFetch(current, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml;q=0.9, */*;q=0.8'
+        },
+        size: MAX_FEED_BYTES,
+        signal: AbortSignal.timeout(SOURCE_TIMEOUT_MS)
+      });
+
+      if (![301, 302, 303, 307, 308].includes(response.status)) break;
+      if (hop >= MAX_FEED_REDIRECTS) {
+        return { error: 'Feed request failed', details: 'Too many redirects' };
+      }
+
+      const next = validateFeedUrl(new URL(response.headers.get('location') || '', current).toString());
+      if (next.error) {
+        return { error: 'Feed request failed', details: next.error };
+      }
+      current = next.url;
+    }
+
+    if (!response.ok) {
+      return {
+        error: `Feed request failed: ${response.status}`,
+        details: 'Unable to fetch feed'
+      };
+    }
+
+    const feed = parseFeed(await response.text());
+    if (!feed) {
+      return { error: 'Failed to fetch feed', details: 'The URL did not return an RSS or Atom feed' };
+    }
+
+    return { success: true, data: feed };
+  } catch (error) {
+    return {
+      error: 'Failed to fetch feed',
+      details: error.message
+    };
+  }
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Complete <name>...</name> elements, up to `limit`, found in one forward scan so that
+// unterminated tags can't make matching quadratic. An unterminated element ends the scan.
+function elementBlocks(xml, name, limit) {
+  const open = new RegExp(`<${name}[\\s>]`, 'gi');
+  const close = new RegExp(`</${name}\\s*>`, 'gi');
+  const blocks = [];
+
+  let match;
+  while (blocks.length < limit && (match = open.exec(xml))) {
+    close.lastIndex = open.lastIndex;
+    const end = close.exec(xml);
+    if (!end) break;
+
+    blocks.push({ start: match.index, text: xml.slice(match.index, close.lastIndex), inner: xml.slice(open.lastIndex - 1, end.index) });
+    open.lastIndex = close.lastIndex;
+  }
+  return blocks;
+}
+
+// Text of the first matching element, with CDATA unwrapped and any markup inside it removed
+function elementText(xml, names) {
+  for (const name of names) {
+    const [block] = elementBlocks(xml, name, 1);
+    if (block) {
+      // inner starts at the character closing the open tag's name: '>' or the attributes
+      const raw = block.inner.slice(block.inner.indexOf('>') + 1).replace(/<!\[CDATA\[|\]\]>/g, '');
+      const text = decodeEntities(raw.replace(/<[^<>]*>/g, ' ')).replace(/<[^<>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeEntities(match[2] ?? match[3]) : '';
+}
+
+// Atom links are <link href>; the alternate (or unlabelled) one is the article
+function atomLink(entry) {
+  const links = entry.match(/<link\b[^<>]*>/gi) || [];
+  const preferred = links.find(tag => ['', 'alternate'].includes(attribute(tag, 'rel'))) || links[0];
+  return preferred ? attribute(preferred, 'href') : '';
+}
+
+function isoDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Parse RSS 2.0, RSS 1.0 (RDF) or Atom into { title, items: [{ title, url, publishedAt }] };
+// returns null when the text isn't a feed
+export function parseFeed(xml) {
+  if (typeof xml !== 'string') return null;
+
+  const atom = /<feed[\s>]/i.test(xml) && !/<(rss|rdf:RDF)[\s>]/i.test(xml);
+  if (!atom && !/<(rss|rdf:RDF|channel)[\s>]/i.test(xml)) return null;
+
+  const entries = elementBlocks(xml, atom ? 'entry' : 'item', FEED_ITEM_LIMIT);
+  // The feed's own title comes before its first item
+  const header = entries.length > 0 ? xml.slice(0, entries[0].start) : xml;
+
+  const items = entries.map(({ text: entry }) => ({
+    title: elementText(entry, ['title']),
+    url: atom ? atomLink(entry) : (elementText(entry, ['link']) || attribute(entry.match(/<link\b[^<>]*>/i)?.[0] || '', 'href') || elementText(entry, ['guid'])),
+    publishedAt: isoDate(elementText(entry, ['pubDate', 'published', 'updated', 'dc:date']))
+  })).filter(item => item.title);
+
+  return { title: elementText(header, ['title']), items };
+}
+
+// The subreddit named after an industry ("E-commerce" -> ecommerce), or null if that isn't a valid name
+export function subredditForIndustry(industry) {
+  const guess = String(industry || '').replace(/[^A-Za-z0-9_]/g, '').toLowerCase();
+  return SUBREDDIT_PATTERN.test(guess) ? guess : null;
+}
+
+// Check a list of subreddit names ("r/" prefixes are dropped); returns { subreddits } or { error, details }
+export function validateSubreddits(list) {
+  if (!Array.isArray(list) || list.length > MAX_SUBREDDITS) {
+    return { error: 'Invalid subreddits', details: `Send up to ${MAX_SUBREDDITS} subreddit names` };
+  }
+  const cleaned = list.map(name => typeof name === 'string' ? name.trim().replace(/^\/?r\//i, '') : '');
+  const badSubreddit = cleaned.find(name => !SUBREDDIT_PATTERN.test(name));
+  if (badSubreddit !== undefined) {
+    return { error: 'Invalid subreddits', details: `Not a subreddit name: ${String(badSubreddit).slice(0, 50) || '(empty)'}` };
+  }
+  return { subreddits: [...new Set(cleaned.map(name => name.toLowerCase()))] };
+}
+
+// Check the source options of a trends request. Subreddits default to one named after the industry.
+// Returns { sources: { subreddits, listings, feeds, news } } or { error, details }.
+export function validateTrendSources({ subreddits, listings, feeds, news }, { industry = '' } = {}) {
+  const guess = subredditForIndustry(industry);
+  const checkedSubreddits = validateSubreddits(subreddits === undefined ? (guess ? [guess] : []) : subreddits);
+  if (checkedSubreddits.error) {
+    return checkedSubreddits;
+  }
+
+  const listingList = listings === undefined ? REDDIT_LISTINGS : listings;
+  if (!Array.isArray(listingList) || listingList.length === 0 || listingList.some(listing => !REDDIT_LISTINGS.includes(listing))) {
+    return { error: 'Invalid listings', details: `Use any of: ${REDDIT_LISTINGS.join(', ')}` };
+  }
+
+  const feedList = feeds === undefined ? [] : feeds;
+  if (!Array.isArray(feedList) || feedList.length > MAX_FEEDS) {
+    return { error: 'Invalid feeds', details: `Send up to ${MAX_FEEDS} RSS or Atom feed URLs` };
+  }
+  const feedUrls = [];
+  for (const feed of feedList) {
+    const checked = validateFeedUrl(feed);
+    if (checked.error) {
+      return { error: 'Invalid feeds', details: checked.error };
+    }
+    feedUrls.push(checked.url);
+  }
+
+  if (news !== undefined && typeof news !== 'boolean') {
+    return { error: 'news must be true or false' };
+  }
+
+  return {
+    sources: {
+      subreddits: checkedSubreddits.subreddits,
+      listings: [...new Set(listingList)],
+      feeds: [...new Set(feedUrls)],
+      news: news !== false
+    }
+  };
+}
+
+function itemId(url, title) {
+  return createHash('sha256').update(url || title).digest('hex').slice(0, 16);
+}
+
+// Fetch every configured source in parallel and normalize the results into one item list:
+// { id, source (reddit, news or feed), origin, title, url, publishedAt, score, comments, listings }.
+// A source that fails is reported in `sources` and doesn't stop the others. NewsAPI is only
+// asked when a key is configured.
+export async function collectTrendItems({ subreddits, listings, feeds, news }, { newsQuery, newsApiKey, cache = true } = {}) {
+  const tasks = [];
+
+  for (const subreddit of subreddits) {
+    for (const listing of listings) {
+      tasks.push(fetchRedditListing(subreddit, listing, REDDIT_LIMIT, { cache }).then(result => ({
+        source: { type: 'reddit', name: `r/${subreddit} (${listing})` },
+        result,
+        items: (result.data?.posts || []).map(post => ({
+          source: 'reddit',
+          origin: `r/${post.subreddit}`,
+          title: post.title,
+          url: post.url,
+          publishedAt: post.created,
+          score: post.score,
+          comments: post.comments,
+          listings: [listing]
+        }))
+      })));
+    }
+  }
+
+  if (news && newsQuery && newsApiKey) {
+    const from = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    tasks.push(fetchNewsAPI(newsQuery, newsApiKey, { pageSize: NEWS_PAGE_SIZE, sortBy: 'publishedAt', from, cache }).then(result => ({
+      source: { type: 'news', name: `NewsAPI: ${newsQuery}` },
+      result,
+      items: (result.data?.articles || []).filter(article => article.title && article.title !== '[Removed]').map(article => ({
+        source: 'news',
+        origin: article.source?.name || 'NewsAPI',
+        title: article.title,
+        url: article.url,
+        publishedAt: isoDate(article.publishedAt),
+        score: null,
+        comments: null,
+        listings: []
+      }))
+    })));
+  }
+
+  for (const feed of feeds) {
+    tasks.push(fetchFeed(feed, { cache }).then(result => ({
+      source: { type: 'feed', name: feed },
+      result,
+      items: (result.data?.items || []).map(item => ({
+        source: 'feed',
+        origin: result.data.title || new URL(feed).hostname,
+        title: item.title,
+        url: item.url,
+        publishedAt: item.publishedAt,
+        score: null,
+        comments: null,
+        listings: []
+      }))
+    })));
+  }
+
+  const results = await Promise.all(tasks);
+  const items = new Map();
+
+  for (const { items: fetched } of results) {
+    for (const item of fetched) {
+      const id = itemId(item.url, item.title);
+      const existing = items.get(id);
+      if (existing) {
+        // The same post in hot and top: keep one item and remember both listings
+        existing.listings = [...new Set([...existing.listings, ...item.listings])];
+      } else {
+        items.set(id, { id, ...item });
+      }
+    }
+  }
+
+  return {
+    items: [...items.values()],
+    sources: results.map(({ source, result, items: fetched }) => ({
+      ...source,
+      ok: Boolean(result.success),
+      items: fetched.length,
+      cache: result.cache || null,
+      error: result.success ? null : [result.error, result.details || result.suggestion].filter(Boolean).join(': ')
+    }))
+  };
+}
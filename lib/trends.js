@@ -0,0 +1,323 @@
+import { createHash } from 'crypto';
+import { openCollection } from './store.js';
+
+export const MAX_TOPICS = 15;
+export const MAX_PROMPT_SIGNALS = 25;
+
+// Repeat ingests closer together than this replace the latest snapshot instead of adding one,
+// so cached fetches don't show up as zero movement
+const SNAPSHOT_MIN_INTERVAL_MS = Number(process.env.TREND_SNAPSHOT_INTERVAL_MS) || 15 * 60 * 1000;
+const SNAPSHOTS_PER_STREAM = 200;
+const SNAPSHOT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Momentum compares against the average of this many earlier snapshots
+const BASELINE_SNAPSHOTS = 5;
+const RECENCY_HALF_LIFE_HOURS = 24;
+const MIN_TOPIC_MENTIONS = 2;
+
+const STOPWORDS = new Set(`a about above after again against all also am an and any are aren't as at be because been before being
+below between both but by can can't cannot could did didn't do does doesn't doing don't down during each few for from further get
+gets got had has hasn't have having he her here hers herself him himself his how i if in into is isn't it it's its itself just
+let's like make makes me more most my myself new no nor not now of off on once one only or other our ours out over own really
+same say says said she should so some such than that that's the their theirs them themselves then there there's these they
+this those through to too under until up upon us use used using very via vs was wasn't we were weren't what what's when where
+which while who whom why will with won't would you your yours yourself first last next year years day days week weeks today
+time way ways people thing things best top good better big still even back want need know see look going go much many
+every another news update updates report reports video watch anyone someone something thread question help discussion
+post posts reddit`.split(/\s+/));
+
+// Two-letter terms that are worth keeping as topics
+const SHORT_TERMS = new Set(['ai', 'ar', 'vr', 'ev', 'ml', 'ui', 'ux', '5g', '3d', 'ip', 'os']);
+
+const snapshots = openCollection('trend-snapshots');
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// A stream is one combination of industry, focus and sources; snapshots of the same stream are compared over time
+export function trendStream(industry, { subreddits, listings, feeds, news }, { focus = '' } = {}) {
+  const stream = {
+    industry: industry.trim().toLowerCase(),
+    focus: typeof focus === 'string' ? focus.trim().toLowerCase() : '',
+    subreddits: [...subreddits].sort(),
+    listings: [...listings].sort(),
+    feeds: [...feeds].sort(),
+    news: Boolean(news)
+  };
+  return { id: createHash('sha256').update(JSON.stringify(stream)).digest('hex').slice(0, 16), ...stream };
+}
+
+function tokenize(title) {
+  return (title.toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9][a-z0-9+#'-]*/g) || [])
+    .map(token => token.replace(/['-]+$/, '').replace(/'s$/, ''));
+}
+
+function isTerm(token) {
+  if (STOPWORDS.has(token) || /^\d+$/.test(token)) return false;
+  return token.length > 2 || SHORT_TERMS.has(token);
+}
+
+// Unigrams and adjacent-pair bigrams of the meaningful words in a title
+function titleTerms(title, excluded) {
+  const tokens = tokenize(title);
+  const terms = new Set();
+
+  tokens.forEach((token, index) => {
+    if (!isTerm(token)) return;
+    if (!excluded.has(token)) terms.add(token);
+
+    const next = tokens[index + 1];
+    if (next && isTerm(next) && !(excluded.has(token) && excluded.has(next))) {
+      terms.add(`${token} ${next}`);
+    }
+  });
+
+  return terms;
+}
+
+// How much one item counts towards its topics: Reddit posts by engagement, news and feed items
+// a fixed 2, all halving every RECENCY_HALF_LIFE_HOURS of age
+export function itemWeight(item, now = Date.now()) {
+  const engagement = item.source === 'reddit' ? 1 + Math.log10(1 + Math.max(item.score || 0, 0) + (item.comments || 0)) : 2;
+  const published = Date.parse(item.publishedAt);
+  const ageHours = Number.isNaN(published) ? RECENCY_HALF_LIFE_HOURS : Math.max(now - published, 0) / 3600000;
+  return engagement * 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS);
+}
+
+// Group items into topics: terms that appear in at least MIN_TOPIC_MENTIONS titles, ranked by heat
+// (summed item weight, boosted when more than one kind of source mentions them). A word is dropped
+// when a two-word topic containing it covers all of its mentions. Words of the industry itself
+// aren't topics on their own.
+export function extractTopics(items, { industry = '', now = Date.now() } = {}) {
+  const excluded = new Set(tokenize(industry));
+  const terms = new Map();
+
+  for (const item of items) {
+    const weight = itemWeight(item, now);
+    for (const term of titleTerms(item.title, excluded)) {
+      const entry = terms.get(term) || { key: term, items: [], heat: 0, sources: new Set() };
+      entry.items.push({ id: item.id, weight });
+      entry.heat += weight;
+      entry.sources.add(item.source);
+      terms.set(term, entry);
+    }
+  }
+
+  const candidates = [...terms.values()].filter(entry => entry.items.length >= MIN_TOPIC_MENTIONS);
+  const bigrams = candidates.filter(entry => entry.key.includes(' '));
+
+  return candidates
+    .filter(entry => entry.key.includes(' ') || !bigrams.some(bigram =>
+      bigram.key.split(' ').includes(entry.key) && bigram.items.length === entry.items.length))
+    .map(entry => ({
+      key: entry.key,
+      label: entry.key,
+      mentions: entry.items.length,
+      sources: [...entry.sources].sort(),
+      heat: round(entry.heat * (1 + 0.5 * (entry.sources.size - 1))),
+      items: entry.items.sort((a, b) => b.weight - a.weight).map(item => item.id)
+    }))
+    .sort((a, b) => b.heat - a.heat || b.mentions - a.mentions)
+    .slice(0, MAX_TOPICS);
+}
+
+function streamSnapshots(streamId) {
+  return snapshots
+    .filter(snapshot => snapshot.streamId === streamId)
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+function pruneSnapshots(streamId) {
+  const cutoff = new Date(Date.now() - SNAPSHOT_TTL_MS).toISOString();
+  const history = streamSnapshots(streamId);
+  history
+    .filter((snapshot, index) => snapshot.takenAt < cutoff || index < history.length - SNAPSHOTS_PER_STREAM)
+    .forEach(snapshot => snapshots.remove(snapshot.id));
+}
+
+// Score each topic against the stream's earlier snapshots:
+// - velocity: change in heat per hour since the previous snapshot
+// - momentum: percent change in heat against the average of up to BASELINE_SNAPSHOTS earlier snapshots
+// - trend: rising or falling (momentum of 25% or more either way), steady, new (absent from the
+//   baseline) or unknown (no earlier snapshots yet)
+export function scoreMomentum(topics, history, now = Date.now()) {
+  const previous = history[history.length - 1] || null;
+  const baseline = history.slice(-BASELINE_SNAPSHOTS);
+  const hours = previous ? Math.max((now - Date.parse(previous.takenAt)) / 3600000, 1 / 60) : null;
+
+  const scored = topics.map(topic => {
+    const before = previous?.topics.find(entry => entry.key === topic.key);
+    const baselineHeat = baseline.length > 0
+      ? baseline.reduce((sum, snapshot) => sum + (snapshot.topics.find(entry => entry.key === topic.key)?.heat || 0), 0) / baseline.length
+      : null;
+
+    let momentum = null;
+    let trend = 'unknown';
+    if (baselineHeat === 0) {
+      trend = 'new';
+    } else if (baselineHeat !== null) {
+      momentum = Math.round(((topic.heat - baselineHeat) / baselineHeat) * 100);
+      trend = momentum >= 25 ? 'rising' : (momentum <= -25 ? 'falling' : 'steady');
+    }
+
+    return {
+      ...topic,
+      velocity: previous ? round((topic.heat - (before?.heat || 0)) / hours) : null,
+      momentum,
+      trend
+    };
+  });
+
+  // Topics from the previous snapshot that dropped out of this one
+  const faded = previous
+    ? previous.topics
+      .filter(entry => !topics.some(topic => topic.key === entry.key))
+      .slice(0, 5)
+      .map(entry => ({ key: entry.key, label: entry.label, previousHeat: entry.heat, velocity: round(-entry.heat / hours) }))
+    : [];
+
+  return { topics: scored, faded };
+}
+
+// Store a snapshot of a stream's topics and return them scored against the earlier ones.
+// Returns { snapshot: { id, takenAt, itemCount, topics, faded }, history } where history
+// counts the earlier snapshots used. When every source failed nothing is stored and id is null.
+export function recordSnapshot(stream, { items, sources }) {
+  const now = Date.now();
+  const takenAt = new Date(now).toISOString();
+  let history = streamSnapshots(stream.id);
+
+  // Nothing could be fetched: keep the stream's history free of empty snapshots
+  if (items.length === 0 && !sources.some(source => source.ok)) {
+    return { snapshot: { id: null, takenAt, itemCount: 0, topics: [], faded: [] }, history: history.length };
+  }
+
+  const latest = history[history.length - 1];
+  const replace = latest && now - Date.parse(latest.takenAt) < SNAPSHOT_MIN_INTERVAL_MS;
+  if (replace) {
+    history = history.slice(0, -1);
+  }
+
+  const topics = extractTopics(items, { industry: stream.industry, now });
+  const scored = scoreMomentum(topics, history, now);
+
+  const record = {
+    streamId: stream.id,
+    stream,
+    takenAt,
+    itemCount: items.length,
+    sources: sources.map(({ type, name, ok, items: count }) => ({ type, name, ok, items: count })),
+    topics: topics.map(({ key, label, mentions, sources: kinds, heat }) => ({ key, label, mentions, sources: kinds, heat }))
+  };
+
+  const saved = replace ? snapshots.update(latest.id, record) : snapshots.insert(record);
+  pruneSnapshots(stream.id);
+
+  return {
+    snapshot: { id: saved.id, takenAt, itemCount: items.length, topics: scored.topics, faded: scored.faded },
+    history: history.length
+  };
+}
+
+// A stream's snapshots, oldest first, each with its top topics; null for an unknown stream
+export function getStreamSnapshots(streamId, { limit = 50 } = {}) {
+  const history = streamSnapshots(streamId);
+  if (history.length === 0) return null;
+
+  return {
+    stream: history[history.length - 1].stream,
+    snapshots: history.slice(-limit).map(snapshot => ({
+      id: snapshot.id,
+      takenAt: snapshot.takenAt,
+      itemCount: snapshot.itemCount,
+      sources: snapshot.sources,
+      topics: snapshot.topics.slice(0, 5)
+    }))
+  };
+}
+
+// The signals shown to the model, heaviest first, numbered S1, S2, ... for citation
+export function rankSignals(items, { limit = MAX_PROMPT_SIGNALS, now = Date.now() } = {}) {
+  return items
+    .map(item => ({ item, weight: itemWeight(item, now) }))
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, limit)
+    .map(({ item }, index) => ({
+      ref: `S${index + 1}`,
+      source: item.source,
+      origin: item.origin,
+      title: item.title,
+      url: item.url,
+      publishedAt: item.publishedAt,
+      score: item.score,
+      comments: item.comments,
+      itemId: item.id
+    }));
+}
+
+function describeAge(publishedAt, now) {
+  const time = Date.parse(publishedAt);
+  if (Number.isNaN(time)) return 'date unknown';
+  const hours = Math.max(Math.round((now - time) / 3600000), 0);
+  return hours < 48 ? `${hours}h ago` : `${Math.round(hours / 24)}d ago`;
+}
+
+function describeTopic(topic, refsById) {
+  const movement = topic.trend === 'unknown'
+    ? 'first snapshot'
+    : (topic.momentum === null ? topic.trend : `${topic.trend}, ${topic.momentum > 0 ? '+' : ''}${topic.momentum}% vs earlier snapshots`);
+  const refs = topic.items.map(id => refsById.get(id)).filter(Boolean).slice(0, 5);
+  return `- "${topic.label}": ${topic.mentions} mentions (${topic.sources.join(', ')}), heat ${topic.heat}, ${movement}${refs.length ? ` [${refs.join(', ')}]` : ''}`;
+}
+
+// Prompt for /api/trends/analyze. With signals the model is asked to ground every trend in them
+// and cite their [S#] numbers; without any it falls back to the model's own knowledge.
+export function buildTrendPrompt({ industry, timeframe, focus, topics = [], faded = [], signals = [] }, now = Date.now()) {
+  const ask = `Analyze current trends in the ${industry} industry${timeframe ? ` for the ${timeframe}` : ''}${focus ? ` focusing on ${focus}` : ''}.`;
+  const sections = 'Provide: 1) Top 5 trends, 2) Market opportunities, 3) Emerging technologies, 4) Consumer behavior shifts, 5) Business ideas. Format as structured analysis.';
+
+  if (signals.length === 0) {
+    return `${ask} ${sections}`;
+  }
+
+  const refsById = new Map(signals.map(signal => [signal.itemId, signal.ref]));
+  const lines = [
+    `${ask} Base the analysis on the live signals below, collected just now. Cite the signals that support each point by their numbers, e.g. [S3]. If a point is your own inference rather than something in the signals, say so.`,
+    ''
+  ];
+
+  if (topics.length > 0) {
+    lines.push('Recurring topics (heat weighs engagement and recency; momentum compares with earlier snapshots):');
+    topics.slice(0, 10).forEach(topic => lines.push(describeTopic(topic, refsById)));
+    if (faded.length > 0) {
+      lines.push(`Cooling since the last snapshot: ${faded.map(topic => `"${topic.label}"`).join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('Signals:');
+  for (const signal of signals) {
+    const engagement = signal.source === 'reddit' ? `, ${signal.score} upvotes, ${signal.comments} comments` : '';
+    lines.push(`[${signal.ref}] (${signal.source === 'reddit' ? signal.origin : `${signal.source}: ${signal.origin}`}${engagement}, ${describeAge(signal.publishedAt, now)}) ${signal.title}`);
+  }
+
+  lines.push('', sections);
+  return lines.join('\n');
+}
+
+// The signals a generated analysis actually cites, in order of first mention
+export function findCitations(text, signals) {
+  const byRef = new Map(signals.map(signal => [signal.ref, signal]));
+  const cited = [];
+
+  for (const match of text.matchAll(/\bS(\d{1,2})\b/g)) {
+    const signal = byRef.get(`S${match[1]}`);
+    if (signal && !cited.includes(signal)) {
+      cited.push(signal);
+    }
+  }
+
+  return cited.map(({ ref, source, origin, title, url }) => ({ ref, source, origin, title, url }));
+}
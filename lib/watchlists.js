@@ -0,0 +1,729 @@
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { openCollection } from './store.js';
+import { validateWebhookUrl } from './jobs.js';
+import { publicFetch } from './public-fetch.js';
+import { mailerConfigured, sendMail, defaultSender } from './mailer.js';
+import { fetchRedditTrends, fetchNewsAPI, validateSubreddits } from './trend-sources.js';
+import { resolveSubreddits } from './subreddit-resolver.js';
+
+export const DIGEST_FREQUENCIES = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+export const MAX_WATCHLISTS = 20;
+// Active (unpaused) watchlists across all owners; each one polls Reddit and NewsAPI on its own schedule
+export const MAX_ACTIVE_WATCHLISTS = Number(process.env.WATCHLIST_MAX_ACTIVE) || 500;
+export const MAX_KEYWORDS = 10;
+
+// Check intervals are written like "30m", "6h" or "1d"
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL = '1h';
+
+const DEFAULT_THRESHOLDS = {
+  // New matching stories needed in one check before it alerts
+  newMentions: 1,
+  // Reddit posts below this score are ignored
+  minScore: 0,
+  // A seen post alerts again when its score grows this much (percent) between two checks; 0 turns it off
+  spikePercent: 100,
+  // ...and reaches at least this score
+  spikeMinScore: 100
+};
+
+const SCHEDULER_TICK_MS = Number(process.env.WATCHLIST_TICK_MS) || 60 * 1000;
+const REDDIT_LIMIT = 25;
+const NEWS_PAGE_SIZE = 20;
+
+// Stories not seen for this long are forgotten (a story that comes back after that alerts again)
+const SEEN_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_SEEN = 2000;
+const ALERTS_PER_WATCHLIST = 200;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY_MS = 5000;
+
+const watchlists = openCollection('trend-watchlists');
+const alerts = openCollection('trend-alerts');
+
+// Watchlists being checked in this process
+const checking = new Set();
+
+let schedulerTimer = null;
+let ticking = false;
+
+// Set by startWatchlistScheduler: the public address for links in digests, and a hook that charges
+// a digest to its owner's email allowance (returns an error to hold the digest back, or null)
+let digestBaseUrl = () => null;
+let chargeDigest = () => null;
+
+function parseInterval(value) {
+  const match = typeof value === 'string' ? value.trim().match(/^(\d+)\s*(m|h|d)$/i) : null;
+  if (!match) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+  const ms = Number(match[1]) * unit;
+  return ms >= MIN_INTERVAL_MS && ms <= MAX_INTERVAL_MS ? ms : null;
+}
+
+function storyKey(url, title) {
+  return createHash('sha256').update(url || title).digest('hex').slice(0, 16);
+}
+
+function toPublicWatchlist(watchlist) {
+  const { owner, seen, emailToken, unsubscribeToken, ...fields } = watchlist;
+  return { ...fields, trackedStories: Object.keys(seen || {}).length };
+}
+
+function toPublicAlert(alert) {
+  const { owner, ...fields } = alert;
+  return fields;
+}
+
+// Check watchlist fields, falling back to `existing` for anything not sent. Returns the cleaned
+// fields or { error, details }.
+function validateWatchlist(input, existing = null) {
+  const value = field => (input[field] === undefined && existing ? existing[field] : input[field]);
+
+  const name = value('name');
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return { error: 'Watchlist name is required (up to 100 characters)' };
+  }
+
+  const keywords = value('keywords') ?? [];
+  if (!Array.isArray(keywords) || keywords.length > MAX_KEYWORDS ||
+    keywords.some(keyword => typeof keyword !== 'string' || keyword.trim().length === 0 || keyword.length > 60)) {
+    return { error: 'Invalid keywords', details: `Send up to ${MAX_KEYWORDS} keywords of up to 60 characters` };
+  }
+
+  const checkedSubreddits = validateSubreddits(value('subreddits') ?? []);
+  if (checkedSubreddits.error) {
+    return checkedSubreddits;
+  }
+
+  const industry = value('industry') ?? '';
+  if (typeof industry !== 'string' || industry.length > 100) {
+    return { error: 'industry must be text up to 100 characters' };
+  }
+
+  if (keywords.length === 0 && checkedSubreddits.subreddits.length === 0 && !industry.trim()) {
+    return { error: 'Nothing to watch', details: 'Add keywords, subreddits or an industry' };
+  }
+
+  const every = value('every') ?? DEFAULT_INTERVAL;
+  const intervalMs = parseInterval(every);
+  if (!intervalMs) {
+    return { error: 'Invalid every', details: 'Use an interval like "30m", "6h" or "1d", from 15 minutes to 7 days' };
+  }
+
+  if (input.thresholds !== undefined && (typeof input.thresholds !== 'object' || input.thresholds === null || Array.isArray(input.thresholds))) {
+    return { error: 'thresholds must be an object' };
+  }
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(existing?.thresholds || {}), ...(input.thresholds || {}) };
+  for (const [key, number] of Object.entries(thresholds)) {
+    if (!(key in DEFAULT_THRESHOLDS)) {
+      return { error: 'Invalid thresholds', details: `Unknown threshold: ${key}. Use ${Object.keys(DEFAULT_THRESHOLDS).join(', ')}` };
+    }
+    if (!Number.isInteger(number) || number < 0 || (key === 'newMentions' && number < 1)) {
+      return { error: 'Invalid thresholds', details: `${key} must be a whole number${key === 'newMentions' ? ' of at least 1' : ' of 0 or more'}` };
+    }
+  }
+
+  if (input.notify !== undefined && (typeof input.notify !== 'object' || input.notify === null || Array.isArray(input.notify))) {
+    return { error: 'notify must be an object' };
+  }
+  const notify = { webhookUrl: null, email: null, digest: 'hourly', ...(existing?.notify || {}), ...(input.notify || {}) };
+  const webhook = validateWebhookUrl(notify.webhookUrl);
+  if (webhook.error) {
+    return webhook;
+  }
+  if (notify.email !== null && notify.email !== '' && (typeof notify.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(notify.email.trim()))) {
+    return { error: 'notify.email must be an email address' };
+  }
+  if (input.notify?.email && !mailerConfigured()) {
+    return { error: 'Email alerts are not available', details: 'SMTP is not configured (set SMTP_HOST)' };
+  }
+  if (!Object.keys(DIGEST_FREQUENCIES).includes(notify.digest)) {
+    return { error: 'Invalid notify.digest', details: `Use one of: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}` };
+  }
+
+  const paused = value('paused') ?? false;
+  if (typeof paused !== 'boolean') {
+    return { error: 'paused must be true or false' };
+  }
+
+  return {
+    fields: {
+      name: name.trim(),
+      keywords: [...new Set(keywords.map(keyword => keyword.trim().toLowerCase()))],
+      subreddits: checkedSubreddits.subreddits,
+      industry: industry.trim(),
+      every,
+      intervalMs,
+      thresholds,
+      notify: { webhookUrl: webhook.url, email: notify.email ? notify.email.trim() : null, digest: notify.digest },
+      paused
+    }
+  };
+}
+
+// Digests only go to an address that confirmed it wants them. A new address gets a fresh token and
+// waits for confirmation; an unchanged one keeps its state.
+function emailState(email, existing = null) {
+  if (!email) {
+    return { emailToken: null, emailConfirmedAt: null };
+  }
+  if (existing && existing.notify.email === email) {
+    return { emailToken: existing.emailToken || null, emailConfirmedAt: existing.notify.emailConfirmedAt || null };
+  }
+  return { emailToken: randomBytes(24).toString('hex'), emailConfirmedAt: null };
+}
+
+function activeCapacityError() {
+  if (watchlists.filter(watchlist => !watchlist.paused).length >= MAX_ACTIVE_WATCHLISTS) {
+    return {
+      status: 503,
+      error: 'Watchlist capacity reached',
+      details: `This server checks up to ${MAX_ACTIVE_WATCHLISTS} active watchlists. Pause or delete one, or try again later.`
+    };
+  }
+  return null;
+}
+
+// Returns { watchlist, needsConfirmation } or { error, status }. With needsConfirmation, send the
+// confirmation email with sendEmailConfirmation().
+export function createWatchlist(owner, input) {
+  if (watchlists.filter(watchlist => watchlist.owner === owner).length >= MAX_WATCHLISTS) {
+    return { status: 409, error: `You can have up to ${MAX_WATCHLISTS} watchlists` };
+  }
+
+  const checked = validateWatchlist(input);
+  if (checked.error) {
+    return { status: 400, ...checked };
+  }
+
+  const capacityError = checked.fields.paused ? null : activeCapacityError();
+  if (capacityError) {
+    return capacityError;
+  }
+
+  const { emailToken, emailConfirmedAt } = emailState(checked.fields.notify.email);
+  const now = new Date().toISOString();
+  const watchlist = watchlists.insert({
+    owner,
+    ...checked.fields,
+    notify: { ...checked.fields.notify, emailConfirmedAt },
+    emailToken,
+    seen: {},
+    checks: 0,
+    lastCheckedAt: null,
+    lastError: null,
+    nextCheckAt: now,
+    lastDigestAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { watchlist: toPublicWatchlist(watchlist), needsConfirmation: Boolean(emailToken) };
+}
+
+export function listWatchlists(owner) {
+  return watchlists
+    .filter(watchlist => watchlist.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicWatchlist);
+}
+
+export function getWatchlist(owner, id) {
+  const watchlist = watchlists.get(id);
+  return watchlist && owner && watchlist.owner === owner ? toPublicWatchlist(watchlist) : null;
+}
+
+// Changing the interval or un-pausing schedules the next check from now. A changed notify.email
+// needs confirming again, like a new one.
+export function updateWatchlist(owner, id, input) {
+  const existing = watchlists.get(id);
+  if (!existing || !owner || existing.owner !== owner) {
+    return { status: 404, error: 'Watchlist not found' };
+  }
+
+  const checked = validateWatchlist(input, existing);
+  if (checked.error) {
+    return { status: 400, ...checked };
+  }
+
+  const capacityError = existing.paused && !checked.fields.paused ? activeCapacityError() : null;
+  if (capacityError) {
+    return capacityError;
+  }
+
+  const email = emailState(checked.fields.notify.email, existing);
+  const reschedule = checked.fields.intervalMs !== existing.intervalMs || (existing.paused && !checked.fields.paused);
+  const updated = watchlists.update(id, {
+    ...checked.fields,
+    notify: { ...checked.fields.notify, emailConfirmedAt: email.emailConfirmedAt },
+    emailToken: email.emailToken,
+    ...(reschedule ? { nextCheckAt: new Date(Date.now() + (existing.lastCheckedAt ? checked.fields.intervalMs : 0)).toISOString() } : {}),
+    updatedAt: new Date().toISOString()
+  });
+
+  return {
+    watchlist: toPublicWatchlist(updated),
+    needsConfirmation: Boolean(email.emailToken) && email.emailToken !== existing.emailToken
+  };
+}
+
+// Email the watchlist's digest address a link to confirm it wants the digests.
+// Resolves to { sent, error } like newsletter confirmations.
+export async function sendEmailConfirmation(id, baseUrl) {
+  const watchlist = watchlists.get(id);
+  if (!watchlist?.emailToken || watchlist.notify.emailConfirmedAt) {
+    return { sent: false, error: 'The digest address is not waiting for confirmation' };
+  }
+
+  const link = `${baseUrl}/watchlists/confirm/${watchlist.emailToken}`;
+  try {
+    await sendMail({
+      from: defaultSender(),
+      to: watchlist.notify.email,
+      subject: `Confirm trend digests for "${watchlist.name}"`,
+      text: [
+        `Someone asked for ${watchlist.notify.digest} trend digests for the watchlist "${watchlist.name}" to be sent to this address.`,
+        '',
+        `Confirm: ${link}`,
+        '',
+        'If this wasn\'t you, ignore this email and no digests will be sent.'
+      ].join('\n'),
+      html: `<p>Someone asked for ${watchlist.notify.digest} trend digests for the watchlist <strong>${escapeHtml(watchlist.name)}</strong> to be sent to this address.</p>
+<p><a href="${escapeHtml(link)}">Yes, send me digests</a></p>
+<p style="color: #888888;">If this wasn't you, ignore this email and no digests will be sent.</p>`
+    });
+    return { sent: true, error: null };
+  } catch (error) {
+    return { sent: false, error: error.message };
+  }
+}
+
+// Confirm a digest address from its emailed link. Returns the public watchlist, or null for an unknown or used token.
+export function confirmEmail(token) {
+  const watchlist = typeof token === 'string' && token
+    ? watchlists.find(entry => entry.emailToken === token)
+    : null;
+  if (!watchlist) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  return toPublicWatchlist(watchlists.update(watchlist.id, {
+    notify: { ...watchlist.notify, emailConfirmedAt: now },
+    emailToken: null,
+    updatedAt: now
+  }));
+}
+
+export function findWatchlistByUnsubscribeToken(token) {
+  const watchlist = typeof token === 'string' && token
+    ? watchlists.find(entry => entry.unsubscribeToken === token)
+    : null;
+  return watchlist ? toPublicWatchlist(watchlist) : null;
+}
+
+// Stop a watchlist's digests from the link in one. The address is removed, so sending digests
+// again needs a new confirmation. Returns the address and the watchlist, or null for an unknown token.
+export function stopDigests(token) {
+  const watchlist = typeof token === 'string' && token
+    ? watchlists.find(entry => entry.unsubscribeToken === token)
+    : null;
+  if (!watchlist) {
+    return null;
+  }
+
+  const updated = watchlists.update(watchlist.id, {
+    notify: { ...watchlist.notify, email: null, emailConfirmedAt: null },
+    emailToken: null,
+    unsubscribeToken: null,
+    updatedAt: new Date().toISOString()
+  });
+  return { email: watchlist.notify.email, watchlist: toPublicWatchlist(updated) };
+}
+
+export function deleteWatchlist(owner, id) {
+  const watchlist = watchlists.get(id);
+  if (!watchlist || !owner || watchlist.owner !== owner) {
+    return false;
+  }
+
+  alerts.filter(alert => alert.watchlistId === id).forEach(alert => alerts.remove(alert.id));
+  watchlists.remove(id);
+  return true;
+}
+
+export function listAlerts(owner, watchlistId) {
+  if (!getWatchlist(owner, watchlistId)) return null;
+
+  return alerts
+    .filter(alert => alert.watchlistId === watchlistId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(toPublicAlert);
+}
+
+function matchesKeywords(title, keywords) {
+  if (keywords.length === 0) return true;
+  const text = title.toLowerCase();
+  return keywords.some(keyword => new RegExp(`(^|[^a-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(text));
+}
+
+// Fetch every source of a watchlist and keep the stories that match its keywords.
+// Without subreddits, the ones resolved for the industry (or the keywords) are read, then r/all.
+async function fetchWatchedStories(watchlist, { cache }) {
+  let subreddits = watchlist.subreddits;
+  if (subreddits.length === 0) {
+    const resolved = await resolveSubreddits(watchlist.industry || watchlist.keywords.join(' '), { cache });
+    subreddits = resolved.subreddits.length > 0 ? resolved.subreddits.map(subreddit => subreddit.name) : ['all'];
+  }
+  const newsQuery = watchlist.keywords.length > 0
+    ? watchlist.keywords.map(keyword => `"${keyword}"`).join(' OR ')
+    : watchlist.industry;
+
+  const tasks = subreddits.map(subreddit => fetchRedditTrends(subreddit, REDDIT_LIMIT, { cache }).then(result => ({
+    source: `r/${subreddit}`,
+    result,
+    stories: (result.data?.posts || []).map(post => ({
+      source: 'reddit',
+      origin: `r/${post.subreddit}`,
+      title: post.title,
+      url: post.url,
+      score: post.score,
+      publishedAt: post.created
+    }))
+  })));
+
+  if (newsQuery && process.env.NEWS_API_KEY) {
+    const from = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    tasks.push(fetchNewsAPI(newsQuery, process.env.NEWS_API_KEY, { pageSize: NEWS_PAGE_SIZE, sortBy: 'publishedAt', from, cache }).then(result => ({
+      source: 'NewsAPI',
+      result,
+      stories: (result.data?.articles || []).filter(article => article.title && article.title !== '[Removed]').map(article => ({
+        source: 'news',
+        origin: article.source?.name || 'NewsAPI',
+        title: article.title,
+        url: article.url,
+        score: null,
+        publishedAt: article.publishedAt || null
+      }))
+    })));
+  }
+
+  const results = await Promise.all(tasks);
+  const stories = new Map();
+  for (const { stories: fetched } of results) {
+    for (const story of fetched) {
+      // With only an industry, everything in its subreddit counts; NewsAPI already searched for it
+      const keywords = story.source === 'news' ? [] : watchlist.keywords;
+      if (matchesKeywords(story.title, keywords)) {
+        stories.set(storyKey(story.url, story.title), { key: storyKey(story.url, story.title), ...story });
+      }
+    }
+  }
+
+  return {
+    stories: [...stories.values()],
+    sources: results.map(({ source, result, stories: fetched }) => ({
+      name: source,
+      ok: Boolean(result.success),
+      stories: fetched.length,
+      error: result.success ? null : [result.error, result.details || result.suggestion].filter(Boolean).join(': ')
+    }))
+  };
+}
+
+// Compare fetched stories with the ones seen before. Every story alerts as new at most once and
+// spikes at most once, so the same story never alerts twice for the same reason.
+function findAlerts(watchlist, stories) {
+  const { newMentions, minScore, spikePercent, spikeMinScore } = watchlist.thresholds;
+  const fresh = [];
+  const spiking = [];
+
+  for (const story of stories) {
+    if (story.source === 'reddit' && story.score < minScore) continue;
+
+    const seen = watchlist.seen[story.key];
+    if (!seen) {
+      fresh.push(story);
+    } else if (story.source === 'reddit' && spikePercent > 0 && !seen.spikedAt && seen.score > 0 &&
+      story.score >= spikeMinScore && story.score >= seen.score * (1 + spikePercent / 100)) {
+      spiking.push({ ...story, previousScore: seen.score });
+    }
+  }
+
+  const found = [];
+  if (fresh.length >= newMentions) {
+    found.push({ type: 'new_mentions', stories: fresh });
+  }
+  if (spiking.length > 0) {
+    found.push({ type: 'score_spike', stories: spiking });
+  }
+  return found;
+}
+
+function rememberStories(seen, stories, spiked, now) {
+  const next = { ...seen };
+  for (const story of stories) {
+    next[story.key] = {
+      score: story.score,
+      firstSeenAt: next[story.key]?.firstSeenAt || now,
+      lastSeenAt: now,
+      spikedAt: spiked.has(story.key) ? now : (next[story.key]?.spikedAt || null)
+    };
+  }
+
+  const cutoff = new Date(Date.parse(now) - SEEN_TTL_MS).toISOString();
+  const kept = Object.entries(next)
+    .filter(([, entry]) => entry.lastSeenAt >= cutoff)
+    .sort((a, b) => b[1].lastSeenAt.localeCompare(a[1].lastSeenAt))
+    .slice(0, MAX_SEEN);
+  return Object.fromEntries(kept);
+}
+
+function pruneAlerts(watchlistId) {
+  alerts
+    .filter(alert => alert.watchlistId === watchlistId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(ALERTS_PER_WATCHLIST)
+    .forEach(alert => alerts.remove(alert.id));
+}
+
+// Run one check now. The first check of a watchlist only records what is already out there, so
+// it doesn't alert on every existing story. Scheduled checks share the Reddit/NewsAPI response cache;
+// `fresh` skips it. Resolves to { checkedAt, baseline, stories, sources, alerts } or { error, status }.
+export async function checkWatchlist(id, { fresh = false } = {}) {
+  if (checking.has(id)) {
+    return { status: 409, error: 'A check of this watchlist is already running' };
+  }
+  checking.add(id);
+
+  try {
+    const watchlist = watchlists.get(id);
+    if (!watchlist) {
+      return { status: 404, error: 'Watchlist not found' };
+    }
+
+    const now = new Date().toISOString();
+    const nextCheckAt = new Date(Date.now() + watchlist.intervalMs).toISOString();
+    const { stories, sources } = await fetchWatchedStories(watchlist, { cache: !fresh });
+    if (!watchlists.get(id)) {
+      return { status: 404, error: 'Watchlist not found' };
+    }
+
+    if (!sources.some(source => source.ok)) {
+      const lastError = sources.map(source => `${source.name}: ${source.error}`).join('; ');
+      watchlists.update(id, { lastCheckedAt: now, lastError, nextCheckAt, updatedAt: now });
+      return { checkedAt: now, baseline: false, stories: 0, sources, alerts: [] };
+    }
+
+    const baseline = watchlist.checks === 0;
+    const found = baseline ? [] : findAlerts(watchlist, stories);
+    const spiked = new Set(found.filter(alert => alert.type === 'score_spike').flatMap(alert => alert.stories.map(story => story.key)));
+
+    watchlists.update(id, existing => ({
+      ...existing,
+      seen: rememberStories(existing.seen, stories, spiked, now),
+      checks: existing.checks + 1,
+      lastCheckedAt: now,
+      lastError: null,
+      nextCheckAt,
+      updatedAt: now
+    }));
+
+    const created = found.map(alert => alerts.insert({
+      watchlistId: id,
+      owner: watchlist.owner,
+      type: alert.type,
+      stories: alert.stories.map(({ key, ...story }) => story),
+      createdAt: now,
+      webhook: watchlist.notify.webhookUrl ? { status: 'pending', attempts: 0, deliveredAt: null, error: null } : null,
+      digestedAt: null
+    }));
+    pruneAlerts(id);
+
+    for (const alert of created.filter(entry => entry.webhook)) {
+      deliverAlertWebhook(alert.id).catch(error => console.error(`Webhook for trend alert ${alert.id} failed:`, error.message));
+    }
+
+    return { checkedAt: now, baseline, stories: stories.length, sources, alerts: created.map(toPublicAlert) };
+  } finally {
+    checking.delete(id);
+  }
+}
+
+// POST an alert to its watchlist's webhook, retrying a few times; signed like job webhooks when
+// WATCHLIST_WEBHOOK_SECRET is set
+async function deliverAlertWebhook(alertId) {
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const alert = alerts.get(alertId);
+    const watchlist = alert ? watchlists.get(alert.watchlistId) : null;
+    if (!alert || !watchlist?.notify.webhookUrl) return;
+
+    const payload = JSON.stringify({
+      event: `watchlist.${alert.type}`,
+      watchlist: { id: watchlist.id, name: watchlist.name },
+      alert: { id: alert.id, type: alert.type, stories: alert.stories, createdAt: alert.createdAt }
+    });
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'multi-tool-saas-watchlists' };
+    if (process.env.WATCHLIST_WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = `sha256=${createHmac('sha256', process.env.WATCHLIST_WEBHOOK_SECRET).update(payload).digest('hex')}`;
+    }
+
+    let error = null;
+    try {
+      const response = await publicFetch(watchlist.notify.webhookUrl, { method: 'POST', headers, body: payload, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS) });
+      if (!response.ok) {
+        error = `Webhook responded with status ${response.status}`;
+      }
+    } catch (caught) {
+      error = caught.message;
+    }
+
+    const delivered = !error;
+    alerts.update(alertId, {
+      webhook: {
+        status: delivered ? 'delivered' : (attempt < WEBHOOK_ATTEMPTS ? 'retrying' : 'failed'),
+        attempts: attempt,
+        deliveredAt: delivered ? new Date().toISOString() : null,
+        error
+      }
+    });
+
+    if (delivered) return;
+    if (attempt < WEBHOOK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+// "r/technology (120 -> 480 points)" or the news source's name
+function storyDetails(story) {
+  const score = story.source === 'reddit'
+    ? ` (${story.previousScore !== undefined ? `${story.previousScore} -> ` : ''}${story.score} points)`
+    : '';
+  return `${story.origin}${score}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const ALERT_HEADINGS = { new_mentions: 'New stories', score_spike: 'Taking off' };
+
+// Email the alerts a watchlist collected since its last digest, once per digest period. Each digest
+// is charged to the owner's email allowance and carries a stop link and one-click List-Unsubscribe
+// headers (RFC 8058), like newsletter sends.
+async function sendDigest(watchlist) {
+  const pending = alerts
+    .filter(alert => alert.watchlistId === watchlist.id && !alert.digestedAt)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (pending.length === 0) return;
+
+  const now = new Date().toISOString();
+  const baseUrl = digestBaseUrl();
+  const chargeError = baseUrl
+    ? chargeDigest(watchlist)
+    : { details: 'PUBLIC_BASE_URL is not set, so the digest has no stop link' };
+  if (chargeError) {
+    // Left undigested so the next period retries them
+    pending.forEach(alert => alerts.update(alert.id, { digestError: chargeError.details || chargeError.error }));
+    watchlists.update(watchlist.id, { lastDigestAt: now });
+    return;
+  }
+
+  const unsubscribeToken = watchlist.unsubscribeToken ||
+    watchlists.update(watchlist.id, { unsubscribeToken: randomBytes(24).toString('hex') }).unsubscribeToken;
+  const stopLink = `${baseUrl}/watchlists/unsubscribe/${unsubscribeToken}`;
+
+  const groups = Object.keys(ALERT_HEADINGS)
+    .map(type => ({ type, stories: pending.filter(alert => alert.type === type).flatMap(alert => alert.stories) }))
+    .filter(group => group.stories.length > 0);
+  const total = groups.reduce((sum, group) => sum + group.stories.length, 0);
+
+  const text = [
+    `${total} update${total === 1 ? '' : 's'} for your watchlist "${watchlist.name}".`,
+    ...groups.flatMap(group => ['', `${ALERT_HEADINGS[group.type]}:`, ...group.stories.map(story => `- ${story.title} - ${storyDetails(story)}\n  ${story.url}`)]),
+    '',
+    `Stop these digests: ${stopLink}`
+  ].join('\n');
+  const html = `<p>${total} update${total === 1 ? '' : 's'} for your watchlist <strong>${escapeHtml(watchlist.name)}</strong>.</p>
+${groups.map(group => `<h3>${ALERT_HEADINGS[group.type]}</h3>
+<ul>
+${group.stories.map(story => `  <li><a href="${escapeHtml(story.url)}">${escapeHtml(story.title)}</a> <span style="color: #888888;">${escapeHtml(storyDetails(story))}</span></li>`).join('\n')}
+</ul>`).join('\n')}
+<p style="color: #888888;"><a href="${escapeHtml(stopLink)}" style="color: #888888;">Stop these digests</a></p>`;
+
+  try {
+    await sendMail({
+      from: defaultSender(),
+      to: watchlist.notify.email,
+      subject: `[${watchlist.name}] ${total} trend update${total === 1 ? '' : 's'}`,
+      text,
+      html,
+      headers: {
+        'List-Unsubscribe': `<${stopLink}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+    pending.forEach(alert => alerts.update(alert.id, { digestedAt: now, digestError: null }));
+    watchlists.update(watchlist.id, { lastDigestAt: now });
+  } catch (error) {
+    // Left undigested so the next period retries them
+    pending.forEach(alert => alerts.update(alert.id, { digestError: error.message }));
+    watchlists.update(watchlist.id, { lastDigestAt: now });
+  }
+}
+
+function digestDue(watchlist, now) {
+  return watchlist.notify.email && watchlist.notify.emailConfirmedAt && (!watchlist.lastDigestAt ||
+    now - Date.parse(watchlist.lastDigestAt) >= DIGEST_FREQUENCIES[watchlist.notify.digest]);
+}
+
+// One scheduler pass: check every due watchlist in turn, then send the digests that are due
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    const due = watchlists.filter(watchlist => !watchlist.paused && Date.parse(watchlist.nextCheckAt) <= now);
+    for (const watchlist of due) {
+      const result = await checkWatchlist(watchlist.id);
+      if (result.error && result.status !== 409) {
+        console.error(`Watchlist ${watchlist.id} check failed:`, result.error);
+      }
+    }
+
+    for (const watchlist of watchlists.filter(entry => digestDue(entry, Date.now()))) {
+      await sendDigest(watchlist);
+    }
+  } catch (error) {
+    console.error('Watchlist scheduler failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+// Start the in-process scheduler once the server is listening. Webhooks that were still being
+// retried when the process stopped are sent again. `baseUrl()` gives the public address for digest
+// links and `chargeDigest(watchlist)` charges each digest before it is sent.
+export function startWatchlistScheduler({ baseUrl = () => null, chargeDigest: charge = () => null } = {}) {
+  if (schedulerTimer) return;
+
+  digestBaseUrl = baseUrl;
+  chargeDigest = charge;
+
+  for (const alert of alerts.filter(entry => entry.webhook && ['pending', 'retrying'].includes(entry.webhook.status))) {
+    deliverAlertWebhook(alert.id).catch(error => console.error(`Webhook for trend alert ${alert.id} failed:`, error.message));
+  }
+
+  schedulerTimer = setInterval(() => tick(), SCHEDULER_TICK_MS);
+  schedulerTimer.unref();
+  setImmediate(() => tick());
+}
@@ -0,0 +1,140 @@
+// Recent generations panel shared by the tool pages.
+// Usage: <div id="historyPanel" data-tool="seo"></div>, then define
+// onHistorySelect(response) on the page to show a past generation.
+// Pages call apiFetch() instead of fetch() for /api/ requests so they carry this browser's client id.
+(function () {
+    const CLIENT_ID_KEY = 'multiToolClientId';
+
+    // Random id that scopes this browser's history on the server
+    function getClientId() {
+        let clientId = localStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+        return clientId;
+    }
+
+    // fetch() for this app's API: sends the client id so generations land in this browser's history.
+    // Tool pages call apiFetch for every /api/ request; other requests go out unchanged.
+    function apiFetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (url.startsWith('/api/')) {
+            const headers = new Headers(init.headers || {});
+            headers.set('X-Client-Id', getClientId());
+            init = { ...init, headers };
+        }
+        return fetch(input, init);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    function describeInput(input) {
+        return Object.entries(input || {})
+            .filter(([key, value]) => value !== undefined && value !== null && value !== '' && key !== 'model')
+            .slice(0, 3)
+            .map(([, value]) => String(value))
+            .join(' · ');
+    }
+
+    async function refresh() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        const tool = panel.dataset.tool;
+        const search = panel.querySelector('.history-search');
+        const query = search ? search.value.trim() : '';
+
+        try {
+            const params = new URLSearchParams({ tool, limit: '10' });
+            if (query) params.set('q', query);
+
+            const response = await apiFetch(`/api/history?${params}`);
+            const data = await response.json();
+            const list = panel.querySelector('.history-list');
+
+            if (!data.success) {
+                list.innerHTML = `<div class="history-empty">${escapeHtml(data.error || 'History unavailable')}</div>`;
+                return;
+            }
+
+            if (data.items.length === 0) {
+                list.innerHTML = `<div class="history-empty">${query ? 'No matches.' : 'Nothing generated yet.'}</div>`;
+                return;
+            }
+
+            list.innerHTML = data.items.map(item => `
+                <div class="history-item" data-id="${escapeHtml(item.id)}">
+                    <div class="history-item-main">
+                        <strong>${escapeHtml(describeInput(item.input) || item.tool)}</strong>
+                        <span class="history-date">${escapeHtml(new Date(item.createdAt).toLocaleString())}</span>
+                        <div class="history-preview">${escapeHtml(item.preview)}</div>
+                    </div>
+                    <button type="button" class="history-delete" title="Delete" data-delete="${escapeHtml(item.id)}">✕</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            panel.querySelector('.history-list').innerHTML = '<div class="history-empty">History unavailable</div>';
+        }
+    }
+
+    async function open(id) {
+        const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`);
+        const data = await response.json();
+
+        if (data.success && typeof window.onHistorySelect === 'function') {
+            window.onHistorySelect({ success: true, ...data.entry.response });
+            window.scrollTo({ top: document.getElementById('result').offsetTop - 20, behavior: 'smooth' });
+        }
+    }
+
+    async function remove(id) {
+        await apiFetch(`/api/history/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        refresh();
+    }
+
+    function init() {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        panel.className = 'history-panel';
+        panel.innerHTML = `
+            <div class="history-header">
+                <h3>🕘 Recent Generations</h3>
+                <input type="search" class="history-search" placeholder="Search your history...">
+            </div>
+            <div class="history-list"><div class="history-empty">Loading...</div></div>
+        `;
+
+        let searchTimer = null;
+        panel.querySelector('.history-search').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(refresh, 300);
+        });
+
+        panel.querySelector('.history-list').addEventListener('click', (e) => {
+            const deleteId = e.target.dataset.delete;
+            if (deleteId) {
+                remove(deleteId);
+                return;
+            }
+            const item = e.target.closest('.history-item');
+            if (item) open(item.dataset.id);
+        });
+
+        refresh();
+    }
+
+    window.generationHistory = { refresh };
+    window.apiFetch = apiFetch;
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
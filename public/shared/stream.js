@@ -0,0 +1,60 @@
+// Server-Sent Events client shared by the tool pages that stream generations.
+// Usage: <script src="/shared/stream.js"></script> after /shared/history.js (it sends requests with apiFetch), then
+// const data = await streamGeneration('/api/seo/generate', body, onToken, onProgress);
+(function () {
+    // POST `body` with `stream: true` and read the event stream, passing each token to onToken
+    // and each `progress` event to onProgress as they arrive. Resolves with the final `done` (or
+    // `error`) payload, the same shape as the JSON response.
+    async function streamGeneration(url, body, onToken, onProgress = () => {}) {
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
+            },
+            body: JSON.stringify({ ...body, stream: true })
+        });
+
+        // Validation errors come back as plain JSON before streaming starts
+        if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            return response.json();
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finalPayload = null;
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                let eventName = 'message';
+                let data = '';
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) eventName = line.slice(6).trim();
+                    if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                if (!data) continue;
+
+                const payload = JSON.parse(data);
+                if (eventName === 'token') {
+                    onToken(payload.text);
+                } else if (eventName === 'progress') {
+                    onProgress(payload);
+                } else if (eventName === 'done' || eventName === 'error') {
+                    finalPayload = payload;
+                }
+            }
+        }
+
+        return finalPayload || { error: 'Connection closed before the generation finished' };
+    }
+
+    window.streamGeneration = streamGeneration;
+})();
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const ROOT = join(import.meta.dirname, '..');
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the app on a free port with the local provider and an empty data directory
+async function startServer() {
+  const port = await freePort();
+  const dataDir = mkdtempSync(join(tmpdir(), 'api-generate-'));
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ADMIN_TOKEN: 'test-admin', LLM_PROVIDERS: 'local' },
+    stdio: 'ignore'
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${base}/health`);
+      break;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const stop = () => new Promise((resolve) => {
+    child.once('exit', () => {
+      rmSync(dataDir, { recursive: true, force: true });
+      resolve();
+    });
+    child.kill();
+  });
+
+  return { base, stop };
+}
+
+test('a generation with an invalid maxTokens is refused, so every generation that runs is billed', async (t) => {
+  const { base, stop } = await startServer();
+  t.after(stop);
+
+  const created = await fetch(`${base}/api/admin/keys`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Admin-Token': 'test-admin' },
+    body: JSON.stringify({ name: 'Billing test', tier: 'free' })
+  }).then(response => response.json());
+
+  const generate = body => fetch(`${base}/api/v1/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${created.key}` },
+    body: JSON.stringify(body)
+  });
+  const usage = () => fetch(`${base}/api/v1/usage`, { headers: { 'Authorization': `Bearer ${created.key}` } })
+    .then(response => response.json())
+    .then(body => body.usage);
+
+  for (const options of [{ maxTokens: 'x' }, { maxTokens: 0 }, { maxTokens: 1e9 }, { temperature: 'hot' }, { temperature: 5 }]) {
+    const response = await generate({ prompt: 'Write a short story about a lighthouse', ...options });
+    assert.equal(response.status, 400, JSON.stringify(options));
+  }
+  assert.equal((await usage()).totalTokens, 0);
+
+  const response = await generate({ prompt: 'Write a short story about a harbor', maxTokens: 50 });
+  assert.equal(response.status, 200);
+
+  const billed = await usage();
+  assert.equal(billed.requests, 1);
+  assert.ok(Number.isFinite(billed.totalTokens) && billed.totalTokens > 0);
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractKeywords, scoreResume } from '../lib/ats.js';
+
+const POSTING = `Senior Frontend Engineer (Remote)
+
+We're building the next generation of scheduling software for clinics, and we need a frontend engineer who loves building fast, accessible interfaces.
+
+What you'll do:
+- Build and own React components across our TypeScript codebase
+- Work closely with design to ship accessible, responsive UI
+- Drive performance improvements in our React and Next.js apps
+- Help us grow a culture of code review and testing with Jest and Cypress
+
+What we need:
+- 5+ years of experience with React and TypeScript
+- Strong knowledge of accessibility (WCAG) and responsive design
+- Experience with GraphQL APIs and Next.js
+- Familiarity with Jest, Cypress or other testing tools
+
+What we offer: competitive salary, equity, remote-first team, and a mission you'll be proud of.`;
+
+test('keywords from a realistic posting are skills, not filler', () => {
+  const keywords = extractKeywords(POSTING).map(entry => entry.keyword);
+
+  for (const skill of ['react', 'typescript', 'next.js', 'jest', 'cypress', 'graphql', 'accessibility']) {
+    assert.ok(keywords.includes(skill), `expected ${skill} in ${keywords.join(', ')}`);
+  }
+  for (const filler of ['need', 'building', 'build', 'we', 'll', 'offer', 'competitive', 'salary', 'drive', 'own', 'help', 'grow', 'loves', 'proud']) {
+    assert.ok(!keywords.includes(filler), `did not expect ${filler} in ${keywords.join(', ')}`);
+  }
+});
+
+test('a matching resume is not marked as missing filler words', () => {
+  const resume = `Jane Doe - jane@example.com
+
+Skills
+React, TypeScript, Next.js, GraphQL, Jest, Cypress, accessibility (WCAG), responsive design
+
+Experience
+Frontend Engineer, Acme Health (2019-2025)
+- Shipped React and TypeScript components used by 300 clinics`;
+
+  const { keywords } = scoreResume(resume, POSTING);
+  const missing = keywords.missing.map(entry => entry.keyword);
+
+  for (const filler of ['need', 'building', 'offer', 'competitive']) {
+    assert.ok(!missing.includes(filler), `did not expect ${filler} in missing: ${missing.join(', ')}`);
+  }
+  assert.ok(keywords.matched.some(entry => entry.keyword === 'react'));
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSeo } from '../lib/seo-analysis.js';
+
+test('reads labeled title and meta description lines', () => {
+  const post = 'Title: **Best Productivity Apps for 2026**\nMeta description: "A short guide to the best productivity apps."\n\n# Best productivity apps #\n\nThe best productivity apps save time.';
+  const { metrics } = analyzeSeo(post, 'best productivity apps');
+
+  assert.equal(metrics.title.text, 'Best Productivity Apps for 2026');
+  assert.equal(metrics.metaDescription.text, 'A short guide to the best productivity apps.');
+  assert.deepEqual(metrics.headings.outline, [{ level: 1, text: 'Best productivity apps' }]);
+});
+
+test('a label line with a long run of whitespace is analyzed in linear time', () => {
+  for (const line of ['Title: a' + ' '.repeat(50000) + 'b', 'Meta description: **a' + ' '.repeat(50000) + 'b', '# a' + ' '.repeat(50000) + 'b']) {
+    const started = Date.now();
+    analyzeSeo(line, 'a');
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms for ${line.slice(0, 20)}...`);
+  }
+});
+
+test('unterminated tags and brackets are analyzed in linear time', () => {
+  for (const content of ['<'.repeat(100000), '<a '.repeat(33000), '<h1>'.repeat(25000), '['.repeat(100000), '[a](' + 'b'.repeat(99990), '{{'.repeat(50000)]) {
+    const started = Date.now();
+    analyzeSeo(content, 'a');
+    assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms for ${content.slice(0, 20)}...`);
+  }
+});
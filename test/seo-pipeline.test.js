@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimatePipeline, generateLongFormPost } from '../lib/seo-pipeline.js';
+
+const OUTLINE = [
+  'Title: SEO Tools for Small Marketing Teams',
+  'Meta description: How small marketing teams can pick SEO tools that fit their budget, skills and goals without wasting time.',
+  ...Array.from({ length: 12 }, (_, index) => `- Choosing tool number ${index + 1} | what it does`),
+  'FAQ: Which SEO tool should a small team start with?',
+  'FAQ: Are free SEO tools good enough?'
+].join('\n');
+
+// A model that writes a full outline but stops early on every section, so each one is continued
+function stoppingEarly(calls) {
+  return async (prompt, options) => {
+    calls.push(options);
+    return { text: options.stage === 'outline' ? OUTLINE : 'Too short.' };
+  };
+}
+
+test('a post never takes more calls or tokens than estimatePipeline allows', async () => {
+  for (const wordCount of [300, 1000, 5000]) {
+    const calls = [];
+    const post = await generateLongFormPost({ keyword: 'seo tools', targetAudience: 'small teams', wordCount }, { generate: stoppingEarly(calls) });
+    const estimate = estimatePipeline(wordCount);
+
+    assert.ok(!post.error);
+    assert.ok(calls.length <= estimate.calls, `${wordCount} words: ${calls.length} calls, estimated ${estimate.calls}`);
+    assert.ok(calls.reduce((sum, call) => sum + call.max_new_tokens, 0) <= estimate.tokens);
+  }
+});
+
+test('the outline is cut to the planned number of sections', async () => {
+  const calls = [];
+  const post = await generateLongFormPost({ keyword: 'seo tools', targetAudience: 'small teams', wordCount: 300 }, { generate: stoppingEarly(calls) });
+
+  assert.equal(post.outline.length, 3);
+  assert.equal(post.sections.reduce((sum, section) => sum + section.targetWords, 0), 300);
+});
@@ -0,0 +1,13 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreRelevance } from '../lib/subreddit-resolver.js';
+
+test('posts from an on-topic community still need a topic word in the title', () => {
+  assert.ok(scoreRelevance({ title: 'What is everyone cooking this weekend?' }, 'machine learning', { onTopic: true }) < 0.3);
+  assert.ok(scoreRelevance({ title: 'Tricks for tuning the learning rate' }, 'machine learning', { onTopic: true }) >= 0.3);
+});
+
+test('search results need the topic in the title', () => {
+  assert.ok(scoreRelevance({ title: 'What is everyone cooking this weekend?' }, 'machine learning') < 0.3);
+  assert.ok(scoreRelevance({ title: 'Machine learning for small datasets' }, 'machine learning') >= 0.3);
+});